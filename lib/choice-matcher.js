@@ -0,0 +1,151 @@
+// Free-text replies in branching scenes
+//
+// The learner types their own words instead of picking a choice; the closest choice decides
+// the branch and its impact. A reply is compared with each choice's text (and description)
+// by the techniques both use (lib/feedback-engine.js), the response pattern they call for
+// (lib/response-engine.js) and the words they share. The match comes back with the reasons,
+// so the learner can see why their words were read that way.
+
+const RehearsalEngine = require('../packages/rehearsal-engine');
+const { TECHNIQUES, detectTechniques } = require('./feedback-engine');
+const { classifyMessage } = require('./response-engine');
+
+const TECHNIQUE_POINTS = 2;
+const TECHNIQUE_MISMATCH_POINTS = -0.5;
+const CATEGORY_POINTS = 0.5;
+const WORD_POINTS = 4;
+
+// A match this far ahead of the runner-up, with at least MIN_CONFIDENT_SCORE, is "high"
+const MIN_CONFIDENT_SCORE = 2;
+const MIN_CONFIDENT_MARGIN = 1;
+
+// Words shown in the explanation
+const MAX_SHARED_WORDS = 3;
+
+// How a reply that matches no choice leans: supportive replies take the scene's best choice,
+// dismissive ones its worst, anything else the middle one (the lower of two)
+const SUPPORTIVE = ['open-question', 'reflection', 'validation', 'safety-question', 'safety-check', 'connects-help', 'clear-request', 'i-statement'];
+const DISMISSIVE = ['dismissal', 'vague-safety', 'undercutting'];
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'but', 'for', 'you', 'your', 'you\'re', 'yours', 'are', 'was', 'were', 'this', 'that', 'these',
+  'those', 'with', 'have', 'has', 'had', 'not', 'just', 'really', 'about', 'what', 'how', 'why', 'when', 'where',
+  'who', 'can', 'could', 'would', 'will', 'should', 'did', 'does', 'don\'t', 'i\'m', 'i\'ve', 'i\'ll', 'it\'s',
+  'that\'s', 'there', 'their', 'they', 'them', 'then', 'than', 'all', 'any', 'some', 'more', 'from', 'into',
+  'out', 'our', 'its', 'been', 'being', 'very', 'too', 'also', 'here', 'now', 'let', 'get', 'got', 'maybe',
+  'hey', 'yeah', 'okay', 'like', 'know', 'right', 'well', 'one', 'thing', 'something'
+]);
+
+// The scene's closest choice for a reply, with a score, a confidence and the reasons
+function matchChoice(scene, reply) {
+  const choices = (scene && scene.choices) || [];
+  if (choices.length === 0) {
+    const error = new Error(`Scene "${scene && scene.id}" has no choices to match`);
+    error.code = 'INVALID_CHOICE';
+    throw error;
+  }
+
+  const profile = describe(reply);
+  const candidates = choices
+    .map((choice, index) => ({ choice, index, ...compare(profile, describe(choice.text, choice.description)) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const [best, runnerUp] = candidates;
+  if (best.reasons.length === 0 || best.score <= 0) {
+    return matchByLean(profile, candidates);
+  }
+
+  const isClear = best.score >= MIN_CONFIDENT_SCORE &&
+    (!runnerUp || best.score - runnerUp.score >= MIN_CONFIDENT_MARGIN);
+
+  return {
+    choiceId: best.choice.id,
+    score: Math.round(best.score * 10) / 10,
+    confidence: isClear ? 'high' : 'medium',
+    reasons: best.reasons,
+    explanation: `Your reply was read as "${best.choice.text}": ${best.reasons.join(' and ')}.`
+  };
+}
+
+// No choice is close: go by whether the reply is supportive or dismissive
+function matchByLean(profile, candidates) {
+  const supportive = SUPPORTIVE.filter(id => profile.techniques.has(id));
+  const dismissive = DISMISSIVE.filter(id => profile.techniques.has(id));
+  const lean = supportive.length - dismissive.length;
+
+  const byValue = [...candidates].sort((a, b) =>
+    RehearsalEngine.getChoiceValue(b.choice) - RehearsalEngine.getChoiceValue(a.choice) || a.index - b.index);
+  const match = lean > 0 ? byValue[0]
+    : lean < 0 ? byValue[byValue.length - 1]
+      : byValue[Math.floor(byValue.length / 2)];
+
+  const techniques = lean > 0 ? supportive : lean < 0 ? dismissive : [];
+  const reasons = techniques.map(id => `your reply tries to ${TECHNIQUES[id].label}`);
+  const reading = reasons.length > 0 ? `${reasons.join(' and ')}, so it` : 'it';
+
+  return {
+    choiceId: match.choice.id,
+    score: 0,
+    confidence: 'low',
+    reasons,
+    explanation: `Your reply doesn't closely match any of the choices; ${reading} was read as "${match.choice.text}".`
+  };
+}
+
+// Techniques, response pattern and content words (stem -> first spelling) of a reply or a choice
+function describe(text, description = '') {
+  return {
+    techniques: new Set(detectTechniques(text)),
+    category: classifyMessage(text),
+    words: new Map(tokenize(`${text} ${description}`).map(word => [stem(word), word]).reverse())
+  };
+}
+
+function compare(reply, choice) {
+  const reasons = [];
+  let score = 0;
+
+  reply.techniques.forEach(id => {
+    if (choice.techniques.has(id)) {
+      score += TECHNIQUE_POINTS;
+      reasons.push(`both ${TECHNIQUES[id].label}`);
+    } else {
+      score += TECHNIQUE_MISMATCH_POINTS;
+    }
+  });
+  choice.techniques.forEach(id => {
+    if (!reply.techniques.has(id)) score += TECHNIQUE_MISMATCH_POINTS;
+  });
+
+  if (reply.category !== 'general' && reply.category === choice.category) {
+    score += CATEGORY_POINTS;
+  }
+
+  // Cosine overlap of the two word sets
+  const shared = [...reply.words.keys()].filter(word => choice.words.has(word));
+  if (shared.length > 0) {
+    score += WORD_POINTS * shared.length / Math.sqrt(reply.words.size * choice.words.size);
+    const quoted = shared.slice(0, MAX_SHARED_WORDS).map(word => `"${reply.words.get(word)}"`).join(', ');
+    reasons.push(`you both mention ${quoted}`);
+  }
+
+  return { score, reasons };
+}
+
+// Lowercase content words
+function tokenize(text) {
+  return (String(text).toLowerCase().replace(/[‘’`]/g, '\'').match(/[a-z][a-z']+/g) || [])
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+// Plurals and -ing/-ed endings folded together, roughly
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+module.exports = {
+  matchChoice
+};
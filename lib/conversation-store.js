@@ -0,0 +1,247 @@
+// Storage for free-text conversations and branching sessions
+//
+// A store is { get(id), set(id, record), delete(id), lock(id, task), sweep(), close() }, all
+// async, so the routes don't care whether records live in memory, on disk or (later) in the
+// Prisma Conversation table. Every set() pushes the record's expiry out by ttlMs; abandoned
+// records are dropped on read and by a periodic sweep. get() hands out a copy, so a change
+// only counts once it is set(); routes that read, change and set a record do it inside
+// lock(id, task), which runs the tasks for one ID one after another.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// IDs become file names, so only accept the characters our UUIDs use
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+// A file store's lock is a <id>.lock file. Another instance waits for it, polling every
+// LOCK_RETRY_MS, and takes it over once it is LOCK_STALE_MS old (its owner crashed).
+const LOCK_RETRY_MS = 20;
+const LOCK_STALE_MS = 30 * 1000;
+
+// lock(id, task) for one process: task starts once the tasks queued for id before it have
+// settled, and its result (or error) is passed back
+function createLocks() {
+  const queues = new Map();
+
+  return function lock(id, task) {
+    const result = (queues.get(id) || Promise.resolve()).then(() => task());
+    const queue = result.catch(() => {});
+    queues.set(id, queue);
+    queue.then(() => {
+      if (queues.get(id) === queue) queues.delete(id);
+    });
+    return result;
+  };
+}
+
+// Process-local store - fast, but lost on restart and not shared between instances
+function createMemoryStore({ ttlMs = DEFAULT_TTL_MS, now = Date.now } = {}) {
+  const entries = new Map();
+  const lock = createLocks();
+
+  return {
+    driver: 'memory',
+
+    async get(id) {
+      const entry = entries.get(id);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= now()) {
+        entries.delete(id);
+        return null;
+      }
+
+      return structuredClone(entry.record);
+    },
+
+    async set(id, record) {
+      entries.set(id, { record: structuredClone(record), expiresAt: now() + ttlMs });
+      return record;
+    },
+
+    async delete(id) {
+      return entries.delete(id);
+    },
+
+    lock,
+
+    // Drop every expired record, returning how many were removed
+    async sweep() {
+      const cutoff = now();
+      let removed = 0;
+
+      entries.forEach((entry, id) => {
+        if (entry.expiresAt <= cutoff) {
+          entries.delete(id);
+          removed++;
+        }
+      });
+
+      return removed;
+    },
+
+    async close() {}
+  };
+}
+
+// One JSON file per record under dir - survives restarts and can be shared by
+// instances on the same volume. Writes go through a temp file and a rename so a
+// crash never leaves half a record behind.
+function createFileStore({ dir, ttlMs = DEFAULT_TTL_MS, now = Date.now } = {}) {
+  if (!dir) {
+    throw new Error('A directory is required for the file conversation store');
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = id => path.join(dir, `${id}.json`);
+
+  // Numbers the temp files, so concurrent writes of one record don't share a temp file
+  let writes = 0;
+  const queue = createLocks();
+
+  async function acquireLockFile(lockFile) {
+    for (;;) {
+      try {
+        await (await fs.promises.open(lockFile, 'wx')).close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const stats = await fs.promises.stat(lockFile).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs >= LOCK_STALE_MS) {
+        await removeFile(lockFile);
+      } else {
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+  }
+
+  async function readEntry(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function removeFile(file) {
+    try {
+      await fs.promises.unlink(file);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  return {
+    driver: 'file',
+
+    async get(id) {
+      if (!SAFE_ID.test(id)) return null;
+
+      const entry = await readEntry(fileFor(id));
+      if (!entry) return null;
+
+      if (entry.expiresAt <= now()) {
+        await removeFile(fileFor(id));
+        return null;
+      }
+
+      return entry.record;
+    },
+
+    async set(id, record) {
+      if (!SAFE_ID.test(id)) {
+        throw new Error(`Invalid record ID "${id}"`);
+      }
+
+      const file = fileFor(id);
+      const tempFile = `${file}.${process.pid}.${++writes}.tmp`;
+      await fs.promises.writeFile(tempFile, JSON.stringify({ record, expiresAt: now() + ttlMs }));
+      await fs.promises.rename(tempFile, file);
+      return record;
+    },
+
+    async delete(id) {
+      if (!SAFE_ID.test(id)) return false;
+      return removeFile(fileFor(id));
+    },
+
+    // Queued in this process, and held across instances sharing dir by the lock file
+    lock(id, task) {
+      if (!SAFE_ID.test(id)) return queue(id, task);
+
+      return queue(id, async () => {
+        const lockFile = path.join(dir, `${id}.lock`);
+        await acquireLockFile(lockFile);
+        try {
+          return await task();
+        } finally {
+          await removeFile(lockFile);
+        }
+      });
+    },
+
+    async sweep() {
+      const cutoff = now();
+      const files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.json'));
+      let removed = 0;
+
+      for (const file of files) {
+        const entry = await readEntry(path.join(dir, file)).catch(() => null);
+        if (entry && entry.expiresAt <= cutoff && await removeFile(path.join(dir, file))) {
+          removed++;
+        }
+      }
+
+      return removed;
+    },
+
+    async close() {}
+  };
+}
+
+// Build a named store from the environment and keep it swept
+//   CONVERSATION_STORE=memory|file, CONVERSATION_STORE_DIR, CONVERSATION_TTL_MINUTES
+function createConversationStore(name, { env = process.env, sweepIntervalMs = DEFAULT_SWEEP_INTERVAL_MS } = {}) {
+  const driver = env.CONVERSATION_STORE || 'memory';
+  const ttlMinutes = parseFloat(env.CONVERSATION_TTL_MINUTES);
+  const ttlMs = ttlMinutes > 0 ? ttlMinutes * 60 * 1000 : DEFAULT_TTL_MS;
+
+  let store;
+  if (driver === 'memory') {
+    store = createMemoryStore({ ttlMs });
+  } else if (driver === 'file') {
+    const baseDir = env.CONVERSATION_STORE_DIR || path.join(process.cwd(), '.data');
+    store = createFileStore({ dir: path.join(baseDir, name), ttlMs });
+  } else {
+    throw new Error(`Unknown CONVERSATION_STORE "${driver}" (expected memory or file)`);
+  }
+
+  // Sweep in the background without keeping the process alive
+  const timer = setInterval(() => {
+    store.sweep().catch(error => console.warn(`⚠️ Failed to sweep ${name} store: ${error.message}`));
+  }, sweepIntervalMs);
+  timer.unref();
+
+  const close = store.close;
+  store.close = async () => {
+    clearInterval(timer);
+    await close();
+  };
+
+  return store;
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createConversationStore
+};
@@ -0,0 +1,134 @@
+// Crisis resource directory lookup
+//
+// The directory (public/data/crisis-resources.json) lists resources per country. Each entry
+// has a type (call, text, chat or web), the languages it is offered in and specialty tags
+// (lgbtq, veterans, youth). A locale like "en-GB" picks the country; a bare language like
+// "fr" goes through languageCountries. Countries we have no entries for get the international
+// directory only - showing a US number to someone in Japan helps nobody.
+
+const fs = require('fs');
+
+const RESOURCE_TYPES = ['call', 'text', 'chat', 'web'];
+
+function loadDirectory(filePath) {
+  const directory = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const problems = validateDirectory(directory);
+
+  if (problems.length > 0) {
+    throw new Error(`Refusing to load ${filePath}:\n${problems.join('\n')}`);
+  }
+
+  return directory;
+}
+
+function validateDirectory(directory) {
+  const problems = [];
+  const checkResource = (resource, where) => {
+    if (!resource || !resource.id || !resource.name || !resource.contact) {
+      problems.push(`${where}: every resource needs an id, a name and a contact`);
+    } else if (!RESOURCE_TYPES.includes(resource.type)) {
+      problems.push(`${where}: resource "${resource.id}" has unknown type "${resource.type}"`);
+    }
+  };
+
+  if (!directory || typeof directory.countries !== 'object') {
+    return ['Crisis resource directory needs a "countries" object'];
+  }
+
+  Object.entries(directory.countries).forEach(([code, country]) => {
+    (country.resources || []).forEach(resource => checkResource(resource, code));
+  });
+  (directory.international || []).forEach(resource => checkResource(resource, 'international'));
+
+  if (directory.defaultCountry && !directory.countries[directory.defaultCountry]) {
+    problems.push(`defaultCountry "${directory.defaultCountry}" is not in the directory`);
+  }
+
+  return problems;
+}
+
+// "en-GB" -> { language: 'en', region: 'GB' }; "fr" -> { language: 'fr', region: null }
+function parseLocale(tag) {
+  const match = /^([a-z]{2,3})(?:[-_](?:[a-z]{4}[-_])?([a-z]{2}|\d{3}))?$/i.exec(String(tag || '').trim());
+  if (!match) return null;
+
+  return {
+    language: match[1].toLowerCase(),
+    region: match[2] ? match[2].toUpperCase() : null
+  };
+}
+
+// Accept-Language header -> locales, most preferred first
+function parseAcceptLanguage(header) {
+  return String(header || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+      return { locale: parseLocale(tag), q: quality ? parseFloat(quality[1]) : 1, index };
+    })
+    .filter(entry => entry.locale && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.locale);
+}
+
+// Pick the country and language for a request: an explicit locale wins over Accept-Language
+function resolveLocale(directory, { locale, acceptLanguage } = {}) {
+  const explicit = parseLocale(locale);
+  const candidates = explicit ? [explicit] : parseAcceptLanguage(acceptLanguage);
+
+  if (candidates.length === 0) {
+    return { country: directory.defaultCountry || null, language: 'en' };
+  }
+
+  // Prefer any candidate naming a country we know, then fall back on language defaults
+  const withRegion = candidates.find(candidate => candidate.region && directory.countries[candidate.region]);
+  if (withRegion) {
+    return { country: withRegion.region, language: withRegion.language };
+  }
+
+  const first = candidates[0];
+  if (first.region) {
+    return { country: null, language: first.language };
+  }
+
+  const country = (directory.languageCountries || {})[first.language];
+  return { country: country && directory.countries[country] ? country : null, language: first.language };
+}
+
+// Resources for a locale: the country's entries (matching language and tags first) plus the
+// international directory. Nothing is filtered out; preferences only change the order.
+function findResources(directory, { locale, acceptLanguage, tags = [] } = {}) {
+  const resolved = resolveLocale(directory, { locale, acceptLanguage });
+  const country = resolved.country ? directory.countries[resolved.country] : null;
+
+  const score = resource => {
+    const languageMatch = (resource.languages || []).includes(resolved.language) ? 2 : 0;
+    const tagMatch = tags.some(tag => (resource.tags || []).includes(tag)) ? 1 : 0;
+    return languageMatch + tagMatch;
+  };
+
+  const resources = (country ? country.resources : [])
+    .map((resource, index) => ({ resource, index, score: score(resource) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(entry => entry.resource);
+
+  return {
+    country: resolved.country,
+    countryName: country ? country.name : null,
+    language: resolved.language,
+    emergency: country ? country.emergency : null,
+    resources,
+    international: directory.international || []
+  };
+}
+
+module.exports = {
+  RESOURCE_TYPES,
+  loadDirectory,
+  validateDirectory,
+  parseLocale,
+  parseAcceptLanguage,
+  resolveLocale,
+  findResources
+};
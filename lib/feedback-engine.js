@@ -0,0 +1,328 @@
+// Rubric-based feedback for free-text conversations
+//
+// A skill reads the learner's messages sentence by sentence and returns evidence: the exact
+// sentence, the points it earned or lost and why. A rubric picks the skills for a scenario
+// category and weights them; the overall score is the weighted average of the skill scores.
+// A message earns each kind of credit at most once, and repeated messages count once, so
+// pasting "I understand how you feel" ten times doesn't add up.
+
+const SCORE_MIN = 0;
+const SCORE_MAX = 10;
+
+// Positive evidence counted per skill; later examples don't add more
+const MAX_EARNED = 4;
+
+// Open questions, reflections or validation needed before advice stops being premature
+const EXPLORATION_BEFORE_ADVICE = 2;
+
+const OPEN_QUESTION = /^(what|how|why|where|when|who|which|in what way)\b/;
+const OPEN_REQUEST = /^((can|could|would|will) you (tell|share|say more|walk me|help me understand|describe)|tell me|describe|walk me through|help me understand)\b/;
+const CLOSED_QUESTION = /^(is|are|am|was|were|do|does|did|can|could|would|will|have|has|had|should|shall|may|might|must|isn't|aren't|don't|doesn't|didn't|won't|wouldn't|can't|couldn't|haven't)\b/;
+const REFLECTION = /\b(it sounds like|sounds like|it seems like|what i'm hearing|i'm hearing that|so you're saying|if i understand|(?<!how )you feel|you're feeling|you've been feeling|you've been|you must feel|that must be|it must be)\b/;
+const VALIDATION = /\b(that makes sense|it makes sense|makes sense that|that sounds (really |so )?(hard|difficult|painful|exhausting|scary|overwhelming|frustrating|lonely|awful)|that's (really |so )?(hard|difficult|understandable|valid|a lot)|it's understandable|of course you|anyone would|you're not alone|thank you for (telling|sharing|trusting)|thanks for (telling|sharing|trusting)|i'm (so |really )?sorry (you|that|to hear))\b/;
+const INVALIDATION = /\b(at least|could be worse|don't worry|calm down|just relax|look on the bright side|everything happens for a reason|you shouldn't feel|it's not that bad|not a big deal|get over it|cheer up|snap out of it|others have it worse|just think positive|stay positive)\b/;
+const ADVICE_STATEMENT = /\b(you should|you need to|you have to|you've got to|just try|you could try|if i were you|my advice|you must)\b/;
+const ADVICE_QUESTION = /^(have you tried|why don't you|why not just|what if you just)\b/;
+const SAFETY_QUESTION = /\b(suicide|suicidal|kill(ing)? yourself|end(ing)? your life|hurt(ing)? yourself|harm(ing)? yourself|take your (own )?life|thoughts of (dying|death|ending))\b/;
+const SAFETY_CHECK = /\b(do you have a plan|have a plan|do you have (access to|the means)|are you safe|safe right now|how would you do it)\b/;
+const SAFETY_CONNECT = /\b(988|crisis line|crisis text line|hotline|lifeline|therapist|counselor|get (you )?help|stay with you|i'll stay|go with you|emergency)\b/;
+const SAFETY_EUPHEMISM = /\b((anything|something) (stupid|silly|dumb|drastic)|promise (me )?you won't|you wouldn't do that|you're not going to do anything)\b/;
+const CLEAR_REQUEST = /\b(i need|i'd like|i would like|i want|i'm asking|i am asking|i'm requesting|can we|could we|i'd prefer|i would prefer)\b/;
+const I_STATEMENT = /\b(i feel|i felt|i've been feeling|it's important to me|it matters to me)\b/;
+const UNDERCUTTING = /\b(sorry to bother|sorry for asking|it's probably nothing|this is probably stupid|i know you're busy|if it's not too much trouble)\b/;
+
+// Skills: assess(sentence, context) returns [points, reason] pairs for one sentence.
+// context.explored counts the exploring messages (open questions, reflections, validation)
+// sent before this one.
+const SKILLS = {
+  'open-questions': {
+    label: 'Open questions',
+    base: 4,
+    strength: 'You asked open questions that invited them to share',
+    tip: 'Ask open questions ("What has that been like for you?") rather than yes/no ones',
+    assess(sentence) {
+      if (isOpenQuestion(sentence)) return [[1.5, 'Open question that invites them to share']];
+      // Safety questions are meant to be yes/no
+      const isSafetyQuestion = SAFETY_QUESTION.test(sentence.normalized) || SAFETY_CHECK.test(sentence.normalized);
+      if (sentence.isQuestion && CLOSED_QUESTION.test(sentence.lead) && !isSafetyQuestion) {
+        return [[-0.5, 'Yes/no question - an open question would invite more']];
+      }
+      return [];
+    }
+  },
+
+  'reflective-listening': {
+    label: 'Reflective listening',
+    base: 3,
+    strength: 'You reflected back what they told you, so they felt heard',
+    tip: 'Reflect what you hear before responding ("It sounds like work has been overwhelming")',
+    assess(sentence) {
+      if (isReflection(sentence)) return [[1.5, 'Reflects back what they said']];
+      return [];
+    }
+  },
+
+  validation: {
+    label: 'Validation',
+    base: 4,
+    strength: 'You validated their feelings without judging them',
+    tip: 'Validate before anything else ("That makes sense, given everything going on")',
+    assess(sentence) {
+      const points = [];
+      if (VALIDATION.test(sentence.normalized)) points.push([1.5, 'Validates their feelings']);
+      if (INVALIDATION.test(sentence.normalized)) points.push([-1.5, 'Minimizes or dismisses their feelings']);
+      return points;
+    }
+  },
+
+  'premature-advice': {
+    label: 'Listening before advising',
+    base: 9,
+    strength: 'You listened first and held your suggestions until you understood',
+    tip: 'Hold back advice until you understand what they need - ask and reflect first',
+    assess(sentence, context) {
+      const isAdvice = sentence.isQuestion
+        ? ADVICE_QUESTION.test(sentence.lead)
+        : ADVICE_STATEMENT.test(sentence.normalized);
+      if (!isAdvice) return [];
+      if (context.explored < EXPLORATION_BEFORE_ADVICE) {
+        return [[-2.5, 'Advice before understanding what they need']];
+      }
+      return [[1, 'Suggestion offered after listening']];
+    }
+  },
+
+  'safety-directness': {
+    label: 'Directness about safety',
+    base: 0,
+    strength: 'You asked directly about suicide and connected them with help',
+    tip: 'Ask directly ("Are you thinking about suicide?") - asking does not plant the idea - then connect them with help such as 988',
+    assess(sentence) {
+      const points = [];
+      if (sentence.isQuestion && /\byou\b/.test(sentence.normalized) && SAFETY_QUESTION.test(sentence.normalized)) {
+        points.push([6, 'Asked directly about suicide or self-harm']);
+      }
+      if (SAFETY_CHECK.test(sentence.normalized)) points.push([2, 'Checked on their immediate safety']);
+      if (SAFETY_CONNECT.test(sentence.normalized)) points.push([2, 'Connected them with help']);
+      if (SAFETY_EUPHEMISM.test(sentence.normalized)) points.push([-3, 'Vague or leading instead of asking directly']);
+      return points;
+    }
+  },
+
+  'clear-requests': {
+    label: 'Clear requests',
+    base: 3,
+    strength: 'You stated what you need clearly and owned your feelings',
+    tip: 'Say plainly what you need ("I need a follow-up appointment this week")',
+    assess(sentence) {
+      const points = [];
+      if (CLEAR_REQUEST.test(sentence.normalized)) points.push([2, 'States a clear need or request']);
+      else if (I_STATEMENT.test(sentence.normalized)) points.push([1, 'Owns feelings with an I-statement']);
+      if (UNDERCUTTING.test(sentence.normalized)) points.push([-1.5, 'Undercuts the request']);
+      return points;
+    }
+  }
+};
+
+// What a message does, by the same patterns the skills score: label reads after "Both ...".
+// Used to match free-text replies to a scene's choices (see lib/choice-matcher.js).
+const TECHNIQUES = {
+  'open-question': { label: 'ask an open question', test: isOpenQuestion },
+  'closed-question': {
+    label: 'ask a yes/no question',
+    test: sentence => sentence.isQuestion && CLOSED_QUESTION.test(sentence.lead) && !isOpenQuestion(sentence)
+  },
+  reflection: { label: 'reflect back what they said', test: isReflection },
+  validation: { label: 'validate their feelings', test: sentence => VALIDATION.test(sentence.normalized) },
+  dismissal: { label: 'minimize their feelings', test: sentence => INVALIDATION.test(sentence.normalized) },
+  advice: {
+    label: 'jump to advice',
+    test: sentence => (sentence.isQuestion ? ADVICE_QUESTION.test(sentence.lead) : ADVICE_STATEMENT.test(sentence.normalized))
+  },
+  'safety-question': {
+    label: 'ask directly about suicide or self-harm',
+    test: sentence => sentence.isQuestion && SAFETY_QUESTION.test(sentence.normalized)
+  },
+  'safety-check': { label: 'check on their immediate safety', test: sentence => SAFETY_CHECK.test(sentence.normalized) },
+  'connects-help': { label: 'connect them with help', test: sentence => SAFETY_CONNECT.test(sentence.normalized) },
+  'vague-safety': { label: 'talk around safety instead of asking', test: sentence => SAFETY_EUPHEMISM.test(sentence.normalized) },
+  'clear-request': { label: 'state a clear need', test: sentence => CLEAR_REQUEST.test(sentence.normalized) },
+  'i-statement': { label: 'own feelings with an I-statement', test: sentence => I_STATEMENT.test(sentence.normalized) },
+  undercutting: { label: 'undercut the request', test: sentence => UNDERCUTTING.test(sentence.normalized) }
+};
+
+// Skill weights per rubric
+const RUBRICS = {
+  supportive: {
+    label: 'Supportive listening',
+    skills: { 'open-questions': 1, 'reflective-listening': 1, validation: 1, 'premature-advice': 1 }
+  },
+  crisis: {
+    label: 'Crisis response',
+    skills: { 'safety-directness': 2, validation: 1, 'reflective-listening': 1, 'premature-advice': 1, 'open-questions': 0.5 }
+  },
+  'self-advocacy': {
+    label: 'Self-advocacy',
+    skills: { 'clear-requests': 2, 'open-questions': 1, 'reflective-listening': 0.5 }
+  }
+};
+
+const DEFAULT_RUBRIC = 'supportive';
+
+// Scenario categories that don't use the default rubric; a scenario's "rubric" field wins
+const CATEGORY_RUBRICS = {
+  'crisis-response': 'crisis',
+  'lgbtq-crisis': 'crisis',
+  'self-advocacy': 'self-advocacy',
+  'healthcare-advocacy': 'self-advocacy',
+  'medical-advocacy': 'self-advocacy',
+  'workplace-rights': 'self-advocacy',
+  'boundary-setting': 'self-advocacy',
+  'protective-responses': 'self-advocacy',
+  'workplace-protection': 'self-advocacy',
+  'digital-protection': 'self-advocacy',
+  'family-cruelty': 'self-advocacy'
+};
+
+function getRubricId(scenario) {
+  if (scenario && RUBRICS[scenario.rubric]) return scenario.rubric;
+  return (scenario && CATEGORY_RUBRICS[scenario.category]) || DEFAULT_RUBRIC;
+}
+
+// Score every skill in the scenario's rubric from the learner's messages
+function assessConversation(conversation) {
+  const rubricId = getRubricId(conversation.scenario);
+  const rubric = RUBRICS[rubricId];
+  const messages = uniqueMessages(conversation.messages.filter(msg => msg.role === 'user'));
+
+  if (messages.length === 0) {
+    return {
+      rubric: rubricId,
+      overall: null,
+      skills: [],
+      strengths: [],
+      improvements: ['Try to engage more in the conversation'],
+      messageCount: 0
+    };
+  }
+
+  const skills = Object.entries(rubric.skills).map(([skillId, weight]) => ({
+    ...assessSkill(skillId, messages),
+    weight
+  }));
+
+  const totalWeight = skills.reduce((sum, skill) => sum + skill.weight, 0);
+  const overall = skills.reduce((sum, skill) => sum + skill.score * skill.weight, 0) / totalWeight;
+
+  return {
+    rubric: rubricId,
+    overall: Math.round(overall * 10) / 10,
+    skills,
+    strengths: skills.filter(skill => skill.score >= 7).map(skill => SKILLS[skill.id].strength),
+    improvements: skills.filter(skill => skill.score < 5).map(skill => SKILLS[skill.id].tip),
+    messageCount: messages.length
+  };
+}
+
+// One skill's score plus the sentences that earned and lost points
+function assessSkill(skillId, messages) {
+  const skill = SKILLS[skillId];
+  const earned = [];
+  const lost = [];
+  let explored = 0;
+
+  messages.forEach(message => {
+    const sentences = splitSentences(message.content);
+    const earnedHere = new Set();
+
+    sentences.forEach(sentence => {
+      skill.assess(sentence, { explored }).forEach(([points, reason]) => {
+        const evidence = { messageId: message.id, excerpt: sentence.text, points, reason };
+        if (points < 0) {
+          lost.push(evidence);
+        } else if (!earnedHere.has(reason) && earned.length < MAX_EARNED) {
+          earned.push(evidence);
+          earnedHere.add(reason);
+        }
+      });
+    });
+
+    if (sentences.some(sentence => isOpenQuestion(sentence) || isReflection(sentence) || VALIDATION.test(sentence.normalized))) {
+      explored += 1;
+    }
+  });
+
+  const total = [...earned, ...lost].reduce((sum, evidence) => sum + evidence.points, skill.base);
+
+  return {
+    id: skillId,
+    label: skill.label,
+    score: Math.round(Math.max(SCORE_MIN, Math.min(SCORE_MAX, total)) * 10) / 10,
+    earned,
+    lost
+  };
+}
+
+// IDs of the techniques anywhere in a message
+function detectTechniques(content) {
+  const sentences = splitSentences(content);
+  return Object.keys(TECHNIQUES).filter(id => sentences.some(sentence => TECHNIQUES[id].test(sentence)));
+}
+
+function isOpenQuestion(sentence) {
+  if (OPEN_REQUEST.test(sentence.lead)) return true;
+  return sentence.isQuestion && OPEN_QUESTION.test(sentence.lead);
+}
+
+function isReflection(sentence) {
+  // "How do you feel?" asks; "You feel like nobody listens" reflects
+  if (sentence.isQuestion && !/^(it )?sounds like\b/.test(sentence.lead)) return false;
+  return REFLECTION.test(sentence.normalized);
+}
+
+// Drop repeats of the same message so pasting a phrase doesn't stack points
+function uniqueMessages(messages) {
+  const seen = new Set();
+  return messages.filter(message => {
+    const key = normalize(message.content);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Sentences with their original text, a normalized copy and the opening words
+// without fillers or a leading name ("Jordan, are you..." -> "are you...")
+function splitSentences(content) {
+  return (String(content).match(/[^.!?\n]+[.!?]*/g) || [])
+    .map(text => text.trim())
+    .filter(Boolean)
+    .map(text => {
+      const normalized = normalize(text);
+      return {
+        text,
+        normalized,
+        isQuestion: normalized.endsWith('?'),
+        lead: normalized
+          .replace(/^((so|and|but|ok|okay|well|hey|also|um|look|honestly)\b,?\s*)+/, '')
+          .replace(/^[a-z]+,\s*/, '')
+      };
+    });
+}
+
+function normalize(text) {
+  return String(text).toLowerCase().replace(/[‘’`]/g, '\'').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+  SKILLS,
+  TECHNIQUES,
+  RUBRICS,
+  CATEGORY_RUBRICS,
+  DEFAULT_RUBRIC,
+  getRubricId,
+  assessConversation,
+  assessSkill,
+  detectTechniques,
+  splitSentences
+};
@@ -0,0 +1,168 @@
+// Response engines for free-text conversations
+//
+// An engine is { name, respond({ scenario, messages, userMessage }) } where respond
+// resolves to the character's reply. The pattern engine is the default; the LLM engine
+// talks to any OpenAI-compatible chat completions endpoint (e.g. a local model server).
+
+const DEFAULT_TIMEOUT_MS = 8000;
+
+const FALLBACK_RESPONSES = [
+  "I appreciate you saying that.",
+  "That's helpful to hear.",
+  "Can you tell me more about that?",
+  "I'm glad we're talking about this."
+];
+
+// Keyword matcher over the scenario's canned response patterns
+function createPatternEngine() {
+  return {
+    name: 'pattern',
+
+    async respond({ scenario, userMessage }) {
+      // Get appropriate responses based on scenario and message pattern
+      const responses = scenario.responses.patterns;
+      const possibleResponses = responses[classifyMessage(userMessage)] || FALLBACK_RESPONSES;
+
+      // Select a random response
+      return possibleResponses[Math.floor(Math.random() * possibleResponses.length)];
+    }
+  };
+}
+
+// The scenario's response pattern a message calls for: empathy, questions, solutions or general
+function classifyMessage(userMessage) {
+  const lowerMessage = userMessage.toLowerCase();
+
+  if (lowerMessage.includes('sorry') || lowerMessage.includes('understand') || lowerMessage.includes('feel')) {
+    return 'empathy';
+  }
+  if (lowerMessage.includes('?')) {
+    return 'questions';
+  }
+  if (lowerMessage.includes('should') || lowerMessage.includes('try') || lowerMessage.includes('maybe')) {
+    return 'solutions';
+  }
+  return 'general';
+}
+
+// Adapter for an OpenAI-compatible /chat/completions endpoint
+function createLLMEngine({ baseUrl, model, apiKey } = {}) {
+  return {
+    name: 'llm',
+
+    async respond({ scenario, messages, signal }) {
+      if (!baseUrl || !model) {
+        throw new Error('LLM_BASE_URL and LLM_MODEL must be set to use the LLM response engine');
+      }
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        signal,
+        body: JSON.stringify({
+          model,
+          messages: buildChatMessages(scenario, messages),
+          temperature: 0.7,
+          max_tokens: 200
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`LLM endpoint returned ${response.status}`);
+      }
+
+      const data = await response.json();
+      const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+      if (!content || !content.trim()) {
+        throw new Error('LLM endpoint returned an empty reply');
+      }
+
+      return content.trim();
+    }
+  };
+}
+
+// Persona as the system prompt, then the conversation so far
+function buildChatMessages(scenario, messages) {
+  const systemPrompt = [
+    scenario.aiPersona,
+    `Scenario: ${scenario.title}. ${scenario.description}`,
+    'Stay in character. Reply with one or two short, natural sentences, as in a text conversation.',
+    'React to how the other person treats you: open up when they listen and validate, pull back when they lecture or dismiss.'
+  ].join('\n');
+
+  const history = messages
+    .filter(message => message.role === 'user' || message.role === 'ai')
+    .map(message => ({
+      role: message.role === 'ai' ? 'assistant' : 'user',
+      content: message.content
+    }));
+
+  // The character opened the conversation
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'assistant', content: scenario.responses.initial },
+    ...history
+  ];
+}
+
+// Pick engines and run them with a timeout, falling back to the pattern engine
+function createResponseEngine({ env = process.env, engines } = {}) {
+  const registry = engines || {
+    pattern: createPatternEngine(),
+    llm: createLLMEngine({
+      baseUrl: env.LLM_BASE_URL,
+      model: env.LLM_MODEL,
+      apiKey: env.LLM_API_KEY
+    })
+  };
+  const defaultEngine = env.RESPONSE_ENGINE || 'pattern';
+  const timeoutMs = parseInt(env.RESPONSE_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+
+  return {
+    // Scenario setting wins over the environment default
+    selectEngine(scenario) {
+      return registry[scenario.responseEngine] || registry[defaultEngine] || registry.pattern;
+    },
+
+    async generateResponse(conversation, userMessage) {
+      const engine = this.selectEngine(conversation.scenario);
+      const request = {
+        scenario: conversation.scenario,
+        messages: conversation.messages,
+        userMessage
+      };
+
+      if (engine === registry.pattern) {
+        return { content: await engine.respond(request), engine: engine.name };
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const content = await engine.respond({ ...request, signal: controller.signal });
+        return { content, engine: engine.name };
+      } catch (error) {
+        const reason = controller.signal.aborted ? `timed out after ${timeoutMs}ms` : error.message;
+        console.warn(`⚠️ ${engine.name} response engine failed (${reason}), using pattern engine`);
+        return { content: await registry.pattern.respond(request), engine: registry.pattern.name, fallback: true };
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createPatternEngine,
+  createLLMEngine,
+  createResponseEngine,
+  classifyMessage,
+  buildChatMessages
+};
@@ -0,0 +1,4 @@
+// The engine is plain JavaScript so pages can load it as it is. TypeScript callers describe
+// the parts they use (see the backend's src/utils/rehearsal-engine.ts).
+declare const RehearsalEngine: unknown;
+export = RehearsalEngine;
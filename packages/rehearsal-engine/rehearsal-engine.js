@@ -0,0 +1,580 @@
+// Branching rehearsal engine - scene walk, impact and outcome rules
+// Shared by the browser player (served as js/rehearsal-engine.js), the server-authoritative
+// sessions and the backend, which depends on this package as @the-rehearsal/engine
+const RehearsalEngine = {
+
+    STATS: ['empathy', 'trust', 'effectiveness'],
+    STAT_MIN: 0,
+    STAT_MAX: 10,
+    START_SCENE: 'intro',
+
+    // The character's side of the conversation, each 0-10 like the learner's stats. Scenarios
+    // can set starting values in character.state; the rest start at the midpoint.
+    CHARACTER_STATE: ['trust', 'openness', 'distress'],
+    CHARACTER_DEFAULTS: { trust: 5, openness: 5, distress: 5 },
+
+    // How a choice's impact moves the character when the choice has no characterImpact of its
+    // own: trust follows the learner's trust, openness their empathy, and distress eases with
+    // empathy and effectiveness
+    CHARACTER_EFFECTS: {
+        trust: { trust: 1 },
+        openness: { empathy: 1 },
+        distress: { empathy: -0.5, effectiveness: -0.5 }
+    },
+
+    // Words for the character's state, shown next to their mood (see describeCharacter)
+    CHARACTER_WORDS: {
+        trust: { low: 'guarded', high: 'trusting' },
+        openness: { low: 'closed off', high: 'opening up' },
+        distress: { low: 'calm', high: 'distressed' }
+    },
+    CHARACTER_LOW: 3,
+    CHARACTER_HIGH: 7,
+
+    // A choice this far below the best alternative in its scene counts as a misstep in the debrief
+    DEBRIEF_GAP: 3,
+
+    // Hint levels, from the gentlest to the most telling; every hint shown costs HINT_COST
+    // points off the run's score (see getScore)
+    HINT_LEVELS: ['nudge', 'principle', 'nearAnswer'],
+    HINT_COST: 1,
+
+    // Generic nudges for scenes without their own, by the stat the scene turns on
+    HINT_NUDGES: {
+        empathy: 'Before you answer, think about how they are feeling right now.',
+        trust: 'Think about what would make it feel safe for them to keep talking to you.',
+        effectiveness: 'Think about what would actually move things forward, not just what sounds nice.'
+    },
+
+    NATHAN_FEEDBACK: {
+        success: "Rehearsal successful. I'd still recommend running it another 46 times, just to be sure.",
+        partial: "Partial success. In my experience, the second attempt is where the real preparation begins.",
+        failure: "That didn't go as planned. Fortunately, this was only a rehearsal."
+    },
+
+    // Fresh stats for a new run
+    initialStats() {
+        return { empathy: 0, trust: 0, effectiveness: 0 };
+    },
+
+    // Apply a choice impact, clamping every stat to the 0-10 range
+    applyImpact(stats, impact) {
+        const updated = { ...stats };
+
+        Object.entries(impact || {}).forEach(([stat, value]) => {
+            if (!this.STATS.includes(stat) || typeof value !== 'number') return;
+            updated[stat] = Math.max(this.STAT_MIN, Math.min(this.STAT_MAX, (updated[stat] || 0) + value));
+        });
+
+        return updated;
+    },
+
+    // The character's starting state
+    initialCharacterState(scenario) {
+        const state = { ...this.CHARACTER_DEFAULTS };
+        const initial = (scenario.character && scenario.character.state) || {};
+
+        this.CHARACTER_STATE.forEach(key => {
+            if (typeof initial[key] === 'number') {
+                state[key] = Math.max(this.STAT_MIN, Math.min(this.STAT_MAX, initial[key]));
+            }
+        });
+        return state;
+    },
+
+    // Move the character's state by a choice: its characterImpact where it has one, else the
+    // share of its impact given by CHARACTER_EFFECTS (rounded toward zero), clamped to 0-10
+    applyCharacterImpact(state, choice) {
+        const impact = choice.impact || {};
+        const own = choice.characterImpact || {};
+        const updated = { ...state };
+
+        this.CHARACTER_STATE.forEach(key => {
+            const delta = typeof own[key] === 'number'
+                ? own[key]
+                : Math.trunc(Object.entries(this.CHARACTER_EFFECTS[key])
+                    .reduce((sum, [stat, weight]) => sum + weight * (typeof impact[stat] === 'number' ? impact[stat] : 0), 0));
+            updated[key] = Math.max(this.STAT_MIN, Math.min(this.STAT_MAX, (updated[key] || 0) + delta));
+        });
+
+        return updated;
+    },
+
+    // Whether the character's state meets a condition such as { trust: { min: 6 }, distress: { max: 3 } };
+    // bounds are inclusive and every key listed must hold
+    matchesState(when, state) {
+        return Object.entries(when || {}).every(([key, range]) =>
+            (range.min === undefined || state[key] >= range.min) &&
+            (range.max === undefined || state[key] <= range.max));
+    },
+
+    // Where a choice leads for the character's state: the first matching rule in the choice's
+    // "nextIf", then in the scene's, else the choice's own "next"
+    resolveNext(scene, choice, state) {
+        const rules = [...(choice.nextIf || []), ...((scene && scene.nextIf) || [])];
+        const rule = rules.find(candidate => this.matchesState(candidate.when, state));
+        return rule ? rule.next : choice.next;
+    },
+
+    // Every way a choice can go, whatever the state: { next } for its own "next", then
+    // { when, next } for each rule leading somewhere else, one per scene
+    getNextRoutes(scene, choice) {
+        const routes = choice.next ? [{ next: choice.next }] : [];
+        [...(choice.nextIf || []), ...((scene && scene.nextIf) || [])].forEach(rule => {
+            if (rule.next && !routes.some(route => route.next === rule.next)) routes.push(rule);
+        });
+        return routes;
+    },
+
+    // Every scene a choice can lead to, for walking the scene graph
+    getNextTargets(scene, choice) {
+        return this.getNextRoutes(scene, choice).map(route => route.next);
+    },
+
+    // The scene as the character plays it: the first of its "variants" whose "when" matches
+    // replaces the mood and dialogue
+    getSceneVariant(scene, state) {
+        const variant = (scene.variants || []).find(candidate => this.matchesState(candidate.when, state));
+        if (!variant) return scene;
+
+        return {
+            ...scene,
+            ...(variant.mood && { mood: variant.mood }),
+            ...(variant.dialogue && { dialogue: variant.dialogue })
+        };
+    },
+
+    // "trust ≥ 6 and distress ≤ 3"
+    describeCondition(when) {
+        return Object.entries(when || {})
+            .flatMap(([key, range]) => [
+                range.min !== undefined && `${key} ≥ ${range.min}`,
+                range.max !== undefined && `${key} ≤ ${range.max}`
+            ])
+            .filter(Boolean)
+            .join(' and ');
+    },
+
+    // "guarded, distressed": the parts of the character's state that stand out
+    describeCharacter(state) {
+        return this.CHARACTER_STATE
+            .map(key => {
+                if (state[key] <= this.CHARACTER_LOW) return this.CHARACTER_WORDS[key].low;
+                if (state[key] >= this.CHARACTER_HIGH) return this.CHARACTER_WORDS[key].high;
+                return null;
+            })
+            .filter(Boolean)
+            .join(', ');
+    },
+
+    // First scene of a scenario
+    findStartScene(scenario) {
+        return scenario.scenes.find(scene => scene.id === this.START_SCENE) || scenario.scenes[0] || null;
+    },
+
+    findScene(scenario, sceneId) {
+        return scenario.scenes.find(scene => scene.id === sceneId) || null;
+    },
+
+    findChoice(scene, choiceId) {
+        return (scene && scene.choices || []).find(choice => choice.id === choiceId) || null;
+    },
+
+    // Seconds the learner has to answer in a scene, or null when it isn't timed. The scene's own
+    // "timer" wins over the scenario's, and "timer": false switches it off for that scene.
+    getTimer(scenario, scene) {
+        if (!scene || !Array.isArray(scene.choices) || scene.choices.length === 0) return null;
+
+        const timer = scene.timer !== undefined ? scene.timer : scenario.timer;
+        return timer && timer.seconds > 0 ? timer.seconds : null;
+    },
+
+    // The branch taken when time runs out: the choice marked "onTimeout", else the lowest-value one
+    findTimeoutChoice(scene) {
+        const choices = (scene && scene.choices) || [];
+        return choices.find(choice => choice.onTimeout) ||
+            choices.reduce((lowest, choice) => (!lowest || this.getChoiceValue(choice) < this.getChoiceValue(lowest) ? choice : lowest), null);
+    },
+
+    // A scene's hint at a level: the author's from scene.hints, else one worked out from the
+    // choices. Null for scenes without choices.
+    getHint(scenario, scene, level) {
+        if (!this.HINT_LEVELS.includes(level) || !scene || !Array.isArray(scene.choices) || scene.choices.length === 0) {
+            return null;
+        }
+
+        const authored = scene.hints && scene.hints[level];
+        return {
+            level,
+            text: authored || this.generateHint(scenario, scene, level),
+            generated: !authored
+        };
+    },
+
+    // Hints from the choice impacts: the nudge points at the stat that separates the best choice
+    // from the worst, the principle names the objective the best choice shows (or that stat), and
+    // the near answer narrows the choices down to two, or names the one to avoid when there are two
+    generateHint(scenario, scene, level) {
+        const ranked = [...scene.choices].sort((a, b) => this.getChoiceValue(b) - this.getChoiceValue(a));
+        const best = ranked[0];
+        const worst = ranked[ranked.length - 1];
+        const stat = this.findDecidingStat(best, worst);
+
+        if (level === 'nudge') {
+            return this.HINT_NUDGES[stat];
+        }
+
+        if (level === 'principle') {
+            const objectiveId = this.getChoiceObjectives(best).demonstrates[0];
+            const objective = (scenario.learningObjectives || []).find(candidate => candidate.id === objectiveId);
+            if (objective) return `What matters here: ${objective.text}.`;
+
+            return worst.impact && worst.impact[stat] < 0
+                ? `The strongest answers here build ${stat}; the weakest cost it.`
+                : `The strongest answers here build the most ${stat}.`;
+        }
+
+        if (ranked.length === 1) return `There is one way forward: “${best.text}”`;
+        return ranked.length > 2
+            ? `It comes down to “${ranked[0].text}” or “${ranked[1].text}”`
+            : `Steer clear of “${worst.text}”`;
+    },
+
+    // The stat the best choice gains most on over the worst one (the first in STATS on a tie)
+    findDecidingStat(best, worst) {
+        const gain = stat => ((best.impact && best.impact[stat]) || 0) - ((worst.impact && worst.impact[stat]) || 0);
+        return this.STATS.reduce((deciding, stat) => (gain(stat) > gain(deciding) ? stat : deciding));
+    },
+
+    // Hints shown in the session's current scene: the run's total less those taken before earlier choices
+    getSceneHintsUsed(session) {
+        return session.stats.hintsUsed - session.choices.reduce((sum, entry) => sum + (entry.hintsUsed || 0), 0);
+    },
+
+    // The hints shown so far in the current scene, e.g. to show them again on resume
+    getSceneHints(session, scenario) {
+        const scene = this.findScene(scenario, session.currentSceneId);
+        return this.HINT_LEVELS
+            .slice(0, this.getSceneHintsUsed(session))
+            .map(level => this.getHint(scenario, scene, level))
+            .filter(Boolean);
+    },
+
+    // Show the current scene's next hint and count it in session.stats.hintsUsed
+    revealHint(session, scenario, now = new Date()) {
+        if (session.isCompleted) {
+            throw this.createError('SESSION_COMPLETE', 'This rehearsal has already ended');
+        }
+
+        const scene = this.findScene(scenario, session.currentSceneId);
+        const level = this.HINT_LEVELS[this.getSceneHintsUsed(session)];
+        const hint = level ? this.getHint(scenario, scene, level) : null;
+        if (!hint) {
+            throw this.createError('NO_MORE_HINTS', `There are no more hints for scene "${session.currentSceneId}"`);
+        }
+
+        session.stats.hintsUsed += 1;
+        session.updatedAt = now;
+        return hint;
+    },
+
+    // A run's score out of 30: the stats' total less HINT_COST per hint, never below 0
+    getScore(playerStats, hintsUsed = 0) {
+        const total = this.STATS.reduce((sum, stat) => sum + (playerStats[stat] || 0), 0);
+        return Math.max(0, total - this.HINT_COST * hintsUsed);
+    },
+
+    // Shortest { sceneId, choiceId } route from the start scene to a scene, or null if it can't be reached
+    findRoute(scenario, sceneId) {
+        const start = this.findStartScene(scenario);
+        if (!start) return null;
+
+        const routes = new Map([[start.id, []]]);
+        const queue = [start.id];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (current === sceneId) return routes.get(current);
+
+            const scene = this.findScene(scenario, current);
+            (scene.choices || []).forEach(choice => {
+                this.getNextTargets(scene, choice).forEach(next => {
+                    if (routes.has(next) || !this.findScene(scenario, next)) return;
+                    routes.set(next, [...routes.get(current), { sceneId: current, choiceId: choice.id }]);
+                    queue.push(next);
+                });
+            });
+        }
+
+        return null;
+    },
+
+    // Start a session in the Conversation shape (see the-rehearsal-ai-backend/src/types)
+    createSession(scenario, { id, userId = null, now = new Date() } = {}) {
+        const startScene = this.findStartScene(scenario);
+
+        const session = {
+            id,
+            userId,
+            scenarioId: scenario.id,
+            currentScene: scenario.scenes.indexOf(startScene),
+            currentSceneId: startScene ? startScene.id : null,
+            playerStats: this.initialStats(),
+            characterState: this.initialCharacterState(scenario),
+            choices: [],
+            breakthroughs: [],
+            branches: [],
+            outcome: null,
+            stats: { totalTime: 0, averageResponseTime: 0, retries: 0, hintsUsed: 0 },
+            isCompleted: false,
+            sceneEnteredAt: now,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.enterScene(session, scenario, startScene, now);
+        return session;
+    },
+
+    // Apply a choice to a session and move it to the next scene
+    // The browser can report the responseTime it measured from when the choices appeared; it
+    // can't be longer than the time since the scene was entered. timedOut is only recorded for
+    // the scene's timeout choice.
+    applyChoice(session, scenario, choiceId, now = new Date(), { responseTime, timedOut = false } = {}) {
+        if (session.isCompleted) {
+            throw this.createError('SESSION_COMPLETE', 'This rehearsal has already ended');
+        }
+
+        const scene = this.findScene(scenario, session.currentSceneId);
+        const choice = this.findChoice(scene, choiceId);
+        if (!choice) {
+            throw this.createError('INVALID_CHOICE', `Choice "${choiceId}" is not available in scene "${session.currentSceneId}"`);
+        }
+
+        // Work out where the choice leads before touching the session, so a rejected choice
+        // leaves it as it was
+        const characterState = this.applyCharacterImpact(session.characterState || this.initialCharacterState(scenario), choice);
+        const nextId = this.resolveNext(scene, choice, characterState);
+        const nextScene = this.findScene(scenario, nextId);
+        if (!nextScene && !choice.isEnd) {
+            throw this.createError('INVALID_SCENARIO', `Scene "${nextId}" does not exist`);
+        }
+
+        const elapsed = now - new Date(session.sceneEnteredAt);
+        const hintsUsed = this.getSceneHintsUsed(session);
+        const isTimeout = timedOut && this.getTimer(scenario, scene) !== null && this.findTimeoutChoice(scene) === choice;
+
+        session.playerStats = this.applyImpact(session.playerStats, choice.impact);
+        session.characterState = characterState;
+        session.choices.push({
+            sceneId: scene.id,
+            choiceId: choice.id,
+            choiceText: choice.text,
+            impact: { empathy: 0, trust: 0, effectiveness: 0, ...choice.impact },
+            timestamp: now,
+            responseTime: Number.isFinite(responseTime) && responseTime >= 0 ? Math.min(Math.round(responseTime), elapsed) : elapsed,
+            ...(isTimeout && { timedOut: true }),
+            ...(hintsUsed > 0 && { hintsUsed })
+        });
+
+        session.stats.averageResponseTime = this.getAverageResponseTime(session.choices);
+
+        if (nextScene) {
+            this.enterScene(session, scenario, nextScene, now);
+        } else {
+            // Choice-level endings count as a success, as in ConversationModule.makeChoice
+            this.completeSession(session, 'success', now);
+        }
+
+        session.updatedAt = now;
+        return nextScene;
+    },
+
+    // Move the session onto a scene, recording breakthroughs and endings
+    enterScene(session, scenario, scene, now) {
+        session.currentScene = scenario.scenes.indexOf(scene);
+        session.currentSceneId = scene.id;
+        session.sceneEnteredAt = now;
+
+        if (scene.isBreakthrough && !session.breakthroughs.includes(scene.id)) {
+            session.breakthroughs.push(scene.id);
+        }
+
+        if (scene.isEnd) {
+            this.completeSession(session, scene.outcome, now);
+        }
+    },
+
+    // Step a session back to the scene where choices[step] was made, so another choice can be
+    // tried there. The abandoned line is kept in session.branches; the choices before it are
+    // replayed so stats, the character's state, hints and breakthroughs are exactly what they
+    // were at that point.
+    rewindSession(session, scenario, step, now = new Date()) {
+        if (!Number.isInteger(step) || step < 0 || step >= session.choices.length) {
+            throw this.createError('INVALID_STEP', `Step ${step} is not in this rehearsal (it has ${session.choices.length} choices)`);
+        }
+
+        session.branches = session.branches || [];
+        session.branches.push({
+            choices: session.choices,
+            sceneId: session.currentSceneId,
+            playerStats: { ...session.playerStats },
+            characterState: { ...session.characterState },
+            outcome: session.outcome,
+            rewoundTo: step,
+            rewoundAt: now
+        });
+
+        const kept = session.choices.slice(0, step);
+        session.playerStats = this.initialStats();
+        session.characterState = this.initialCharacterState(scenario);
+        session.choices = [];
+        session.breakthroughs = [];
+        session.outcome = null;
+        session.isCompleted = false;
+        session.stats.retries += 1;
+        this.enterScene(session, scenario, this.findStartScene(scenario), now);
+
+        kept.forEach(entry => {
+            const scene = this.findScene(scenario, session.currentSceneId);
+            const choice = this.findChoice(scene, entry.choiceId);
+            session.playerStats = this.applyImpact(session.playerStats, choice.impact);
+            session.characterState = this.applyCharacterImpact(session.characterState, choice);
+            session.choices.push(entry);
+            this.enterScene(session, scenario, this.findScene(scenario, this.resolveNext(scene, choice, session.characterState)), now);
+        });
+
+        session.stats.averageResponseTime = this.getAverageResponseTime(session.choices);
+        session.stats.hintsUsed = session.choices.reduce((sum, entry) => sum + (entry.hintsUsed || 0), 0);
+        session.updatedAt = now;
+        return this.findScene(scenario, session.currentSceneId);
+    },
+
+    // Mean responseTime in milliseconds over the entries that have one; 0 when none do
+    getAverageResponseTime(entries) {
+        const responseTimes = entries.map(entry => entry.responseTime).filter(Number.isFinite);
+        return responseTimes.length > 0
+            ? Math.round(responseTimes.reduce((sum, time) => sum + time, 0) / responseTimes.length)
+            : 0;
+    },
+
+    completeSession(session, result, now) {
+        session.isCompleted = true;
+        session.stats.totalTime = now - new Date(session.createdAt);
+        session.outcome = {
+            result,
+            finalStats: { ...session.playerStats },
+            achievements: [],
+            nathanFeedback: this.NATHAN_FEEDBACK[result] || this.NATHAN_FEEDBACK.partial
+        };
+    },
+
+    // Structured debrief for a run: which learning objectives were met, the key choices (with
+    // the better alternative at that node for missteps) and the criticalInfo takeaways along
+    // the path. steps are { sceneId, choiceId } in order, as in session.choices.
+    buildDebrief(scenario, steps, endSceneId = null) {
+        const objectives = (scenario.learningObjectives || []).map(objective => ({
+            id: objective.id,
+            text: objective.text,
+            demonstrated: 0,
+            missed: 0
+        }));
+        const objectivesById = new Map(objectives.map(objective => [objective.id, objective]));
+        const keyChoices = [];
+
+        steps.forEach(step => {
+            const scene = this.findScene(scenario, step.sceneId);
+            const choice = this.findChoice(scene, step.choiceId);
+            if (!choice) return;
+
+            const tags = this.getChoiceObjectives(choice);
+            tags.demonstrates.forEach(id => { if (objectivesById.has(id)) objectivesById.get(id).demonstrated += 1; });
+            tags.misses.forEach(id => { if (objectivesById.has(id)) objectivesById.get(id).missed += 1; });
+
+            const alternatives = scene.choices.filter(candidate => candidate !== choice);
+            const bestValue = Math.max(this.getChoiceValue(choice), ...alternatives.map(candidate => this.getChoiceValue(candidate)));
+            const entry = { sceneId: scene.id, choiceId: choice.id, choiceText: choice.text };
+
+            if (tags.misses.length > 0 || bestValue - this.getChoiceValue(choice) >= this.DEBRIEF_GAP) {
+                const better = this.findBetterChoice(alternatives, tags.misses);
+                keyChoices.push({
+                    ...entry,
+                    verdict: 'missed',
+                    objectives: tags.misses,
+                    better: better ? { id: better.id, text: better.text, description: better.description || null } : null
+                });
+            } else if (tags.demonstrates.length > 0 || this.getChoiceValue(choice) === bestValue) {
+                keyChoices.push({ ...entry, verdict: 'strong', objectives: tags.demonstrates, better: null });
+            }
+        });
+
+        // criticalInfo of every scene on the path, in order
+        const visited = [...steps.map(step => step.sceneId), endSceneId].filter(Boolean);
+        const takeaways = [];
+        visited.forEach(sceneId => {
+            const scene = this.findScene(scenario, sceneId);
+            if (scene && scene.criticalInfo && !takeaways.includes(scene.criticalInfo)) {
+                takeaways.push(scene.criticalInfo);
+            }
+        });
+
+        return {
+            objectives: objectives.map(({ id, text, demonstrated, missed }) => ({
+                id,
+                text,
+                status: this.getObjectiveStatus(demonstrated, missed)
+            })),
+            keyChoices,
+            takeaways
+        };
+    },
+
+    // met | partial | missed | not-practiced
+    getObjectiveStatus(demonstrated, missed) {
+        if (demonstrated > 0) return missed > 0 ? 'partial' : 'met';
+        return missed > 0 ? 'missed' : 'not-practiced';
+    },
+
+    getChoiceObjectives(choice) {
+        const objectives = choice.objectives || {};
+        return {
+            demonstrates: objectives.demonstrates || [],
+            misses: objectives.misses || []
+        };
+    },
+
+    // Total impact, plus credit for objectives shown and a penalty for objectives missed
+    getChoiceValue(choice) {
+        const tags = this.getChoiceObjectives(choice);
+        const impact = Object.values(choice.impact || {}).reduce((sum, value) => sum + (typeof value === 'number' ? value : 0), 0);
+        return impact + 2 * tags.demonstrates.length - 2 * tags.misses.length;
+    },
+
+    // The alternative to suggest: one that shows a missed objective if possible, else the highest value
+    findBetterChoice(alternatives, missedObjectives) {
+        const ranked = alternatives
+            .map(choice => ({
+                choice,
+                fixesMiss: this.getChoiceObjectives(choice).demonstrates.some(id => missedObjectives.includes(id)),
+                value: this.getChoiceValue(choice)
+            }))
+            .filter(candidate => candidate.fixesMiss || candidate.value > 0)
+            .sort((a, b) => (b.fixesMiss - a.fixesMiss) || (b.value - a.value));
+
+        return ranked.length > 0 ? ranked[0].choice : null;
+    },
+
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+};
+
+// Export for Node (server and backend) and the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RehearsalEngine;
+}
+if (typeof window !== 'undefined') {
+    window.RehearsalEngine = RehearsalEngine;
+}
@@ -0,0 +1,179 @@
+// Achievements panel - level, XP, practice streaks and achievements for signed-in users.
+// The backend works them out from synced rehearsals and Director's Studio scripts.
+const AchievementsModule = {
+
+    // Last report from the backend, kept for the session
+    report: null,
+
+    // IDs of the achievements already shown on this device; the others are marked new
+    SEEN_KEY: 'rehearsalAchievementsSeen',
+
+    async show() {
+        const modal = document.getElementById('achievementsModal');
+        const content = document.getElementById('achievementsContent');
+        if (!modal || !content) return;
+
+        toggleUserMenu();
+        modal.classList.add('show');
+
+        if (!authSystem.isLoggedIn()) {
+            content.replaceChildren(this.createMessage('Sign in to earn achievements. Your rehearsals on this device count once you do.'));
+            return;
+        }
+
+        content.replaceChildren(this.createMessage('Checking the records...'));
+
+        try {
+            // Upload any unsynced runs first so they count
+            await ProgressModule.sync();
+
+            // Streak days follow the user's own calendar
+            const timeZone = encodeURIComponent(Intl.DateTimeFormat().resolvedOptions().timeZone);
+            const response = await authSystem.authFetch(`${CONFIG.BACKEND_URL}${CONFIG.ANALYTICS_API}/me/achievements?timeZone=${timeZone}`);
+            if (!response.ok) {
+                throw new Error(`Achievements request failed: ${response.status}`);
+            }
+
+            const payload = await response.json();
+            this.report = payload.data;
+            content.replaceChildren(this.render({ ...this.report, newlyUnlocked: this.takeUnseen(this.report) }));
+        } catch (error) {
+            console.warn('Could not load achievements:', error.message);
+            content.replaceChildren(this.createMessage('Achievements are unavailable right now. Please try again later.'));
+        }
+    },
+
+    // Achievements unlocked since this device last showed the panel; the backend's
+    // newlyUnlocked only covers those not yet in a stored snapshot
+    takeUnseen({ achievements, newlyUnlocked }) {
+        let seen = [];
+        try {
+            seen = JSON.parse(localStorage.getItem(this.SEEN_KEY)) || [];
+        } catch (error) {
+            seen = [];
+        }
+
+        const ids = achievements.map(achievement => achievement.id);
+        localStorage.setItem(this.SEEN_KEY, JSON.stringify(ids));
+        return ids.filter(id => !seen.includes(id) || newlyUnlocked.includes(id));
+    },
+
+    hide() {
+        const modal = document.getElementById('achievementsModal');
+        if (modal) modal.classList.remove('show');
+    },
+
+    render({ learningProgress, streaks, achievements, inProgress, newlyUnlocked }) {
+        const fragment = document.createDocumentFragment();
+        fragment.appendChild(this.renderLevel(learningProgress));
+        fragment.appendChild(this.renderStreaks(streaks));
+
+        fragment.appendChild(this.createHeading(`Unlocked (${achievements.length})`));
+        fragment.appendChild(achievements.length > 0
+            ? this.renderList(achievements, newlyUnlocked)
+            : this.createMessage('Nothing yet. Finish a rehearsal to earn your first.'));
+
+        if (inProgress.length > 0) {
+            fragment.appendChild(this.createHeading('In progress'));
+            fragment.appendChild(this.renderList(inProgress, []));
+        }
+        return fragment;
+    },
+
+    renderLevel({ level, experience, nextLevelExperience }) {
+        // nextLevelExperience is the XP total for the next level; each level costs level × 100 XP
+        const levelStart = nextLevelExperience - level * 100;
+        const percent = Math.round((experience - levelStart) / (nextLevelExperience - levelStart) * 100);
+
+        const section = document.createElement('div');
+        section.className = 'achievements-level';
+        section.innerHTML = `
+            <div class="level-badge">Level ${level}</div>
+            <div class="level-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}">
+                <div class="level-fill" style="width: ${percent}%"></div>
+            </div>
+            <div class="level-xp">${experience} XP · ${nextLevelExperience - experience} to level ${level + 1}</div>
+        `;
+        return section;
+    },
+
+    renderStreaks(streaks) {
+        const section = document.createElement('div');
+        section.className = 'achievements-streaks';
+        [
+            ['🔥', streaks.current, 'day streak'],
+            ['🏅', streaks.longest, 'longest streak'],
+            ['🎭', streaks.conversationStreak, 'rehearsal days'],
+            ['🎥', streaks.scriptingStreak, 'scripting days']
+        ].forEach(([icon, value, label]) => {
+            const item = document.createElement('div');
+            item.className = 'streak-item';
+            item.innerHTML = `<span class="streak-value">${icon} ${value}</span><span class="streak-label">${label}</span>`;
+            section.appendChild(item);
+        });
+        return section;
+    },
+
+    renderList(achievements, newlyUnlocked) {
+        const list = document.createElement('ul');
+        list.className = 'achievement-list';
+
+        achievements.forEach(achievement => {
+            const item = document.createElement('li');
+            item.className = `achievement rarity-${achievement.rarity}${achievement.unlockedAt ? ' unlocked' : ''}`;
+            if (newlyUnlocked.includes(achievement.id)) item.classList.add('new');
+
+            const icon = document.createElement('span');
+            icon.className = 'achievement-icon';
+            icon.textContent = achievement.icon;
+
+            const details = document.createElement('div');
+            details.className = 'achievement-details';
+
+            const name = document.createElement('strong');
+            name.textContent = achievement.name;
+            const rarity = document.createElement('span');
+            rarity.className = 'achievement-rarity';
+            rarity.textContent = achievement.rarity;
+            const description = document.createElement('p');
+            description.textContent = achievement.description;
+            details.append(name, rarity, description);
+
+            if (achievement.unlockedAt) {
+                item.title = `Unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()}`;
+            } else {
+                const { current, target } = achievement.progress;
+                const progress = document.createElement('progress');
+                progress.max = target;
+                progress.value = current;
+                progress.textContent = `${current}/${target}`;
+                const label = document.createElement('span');
+                label.className = 'achievement-progress';
+                label.textContent = `${current}/${target}`;
+                details.append(progress, label);
+            }
+
+            item.append(icon, details);
+            list.appendChild(item);
+        });
+        return list;
+    },
+
+    createHeading(text) {
+        const heading = document.createElement('h3');
+        heading.textContent = text;
+        return heading;
+    },
+
+    createMessage(text) {
+        const message = document.createElement('p');
+        message.className = 'achievements-message';
+        message.textContent = text;
+        return message;
+    }
+};
+
+// Make globally accessible
+window.AchievementsModule = AchievementsModule;
+window.showAchievements = () => AchievementsModule.show();
+window.hideAchievements = () => AchievementsModule.hide();
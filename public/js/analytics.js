@@ -1,34 +1,32 @@
-// Analytics and tracking module - Clean version
+// Analytics and tracking module. Events are batched and sent to the backend
+// (POST /api/analytics/events) only when the user has agreed to share usage data.
 const AnalyticsModule = {
     
+    BATCH_SIZE: 20,
+    FLUSH_INTERVAL: 15000,
+    MAX_QUEUE: 200,
+    CONSENT_KEY: 'rehearsalAnalyticsConsent',
+    
+    // Events waiting to be sent, and the ID that groups this page visit's batches
+    queue: [],
+    sessionId: null,
+    flushing: false,
+    
     // Initialize analytics
     init() {
         console.log('✅ Analytics module initialized');
-        this.initializeNathanAnalysis();
+        this.sessionId = this.createId();
         this.startSessionTracking();
-    },
-    
-    // Initialize Nathan's analysis system
-    initializeNathanAnalysis() {
-        if (!appState.nathanAnalysis) {
-            appState.nathanAnalysis = {
-                observationCount: 0,
-                behaviorPatterns: [],
-                conversationFlow: [],
-                statisticalInsights: [],
-                rehearsalEffectiveness: 0,
-                currentObservations: []
-            };
-        }
+        this.renderConsent();
         
-        // Start periodic analysis updates (with error handling)
-        this.nathanAnalysisInterval = setInterval(() => {
-            try {
-                this.updateNathanAnalysis();
-            } catch (error) {
-                console.warn('Nathan analysis update failed:', error.message);
+        this.flushInterval = setInterval(() => this.flush(), this.FLUSH_INTERVAL);
+        
+        // Mobile browsers often skip beforeunload; hiding the page is the last reliable moment
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush({ beacon: true });
             }
-        }, 5000);
+        });
     },
     
     // Start session tracking
@@ -60,107 +58,139 @@ const AnalyticsModule = {
             appState.analytics.push(event);
             console.log('Event tracked:', eventType);
             
-            // Trigger analysis if we have enough data
-            if (appState.analytics.length > 3) {
-                this.analyzeUserBehavior(event);
+            // Draft previews would skew the published scenarios' numbers
+            if (this.hasConsent() && !appState.previewMode) {
+                this.enqueue(eventType, data);
             }
         } catch (error) {
             console.warn('Error tracking event:', error.message);
         }
     },
     
-    // Analyze user behavior (simplified)
-    analyzeUserBehavior(event) {
+    // Queue an event for the backend. scenarioId, runId and sceneId get their own fields so
+    // the server can aggregate them; the event's own time replaces any timestamp in data.
+    enqueue(type, data = {}) {
+        const { scenarioId, runId, sceneId, timestamp, ...rest } = data || {};
+        
+        this.queue.push({
+            type,
+            ...(scenarioId && { scenarioId }),
+            ...(runId && { runId }),
+            ...(sceneId && { sceneId }),
+            data: rest,
+            occurredAt: new Date().toISOString()
+        });
+        
+        // Drop the oldest events if the backend has been unreachable for a while
+        if (this.queue.length > this.MAX_QUEUE) {
+            this.queue.splice(0, this.queue.length - this.MAX_QUEUE);
+        }
+        if (this.queue.length >= this.BATCH_SIZE) {
+            this.flush();
+        }
+    },
+    
+    // Send queued events. While the page is unloading only sendBeacon is reliable; it can't
+    // set headers, so a signed-in user's access token goes in the body for the server to check
+    // their usage data setting. A batch whose token has expired is dropped.
+    async flush({ beacon = false } = {}) {
+        if (this.queue.length === 0 || (this.flushing && !beacon)) return;
+        if (!this.hasConsent()) {
+            this.queue = [];
+            return;
+        }
+        
+        const url = `${CONFIG.BACKEND_URL}${CONFIG.ANALYTICS_API}/events`;
+        
+        if (beacon && navigator.sendBeacon) {
+            const token = authSystem.isLoggedIn() ? authSystem.session.token : null;
+            while (this.queue.length > 0) {
+                const body = JSON.stringify({
+                    sessionId: this.sessionId,
+                    ...(token && { token }),
+                    events: this.queue.splice(0, this.BATCH_SIZE)
+                });
+                navigator.sendBeacon(url, new Blob([body], { type: 'text/plain' }));
+            }
+            return;
+        }
+        
+        const events = this.queue.splice(0, this.BATCH_SIZE);
+        const options = {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId: this.sessionId, events })
+        };
+        
+        this.flushing = true;
         try {
-            if (!appState.nathanAnalysis) return;
+            const response = authSystem.isLoggedIn()
+                ? await authSystem.authFetch(url, options)
+                : await fetch(url, options);
             
-            // Simple pattern tracking
-            const analysis = appState.nathanAnalysis;
-            analysis.observationCount++;
-            
-            // Generate some basic insights
-            if (analysis.observationCount % 5 === 0) {
-                this.generateNathanInsights();
+            // Events the server rejects would be rejected again; anything else is retried
+            if (!response.ok && response.status !== 400) {
+                throw new Error(`Event upload failed: ${response.status}`);
             }
         } catch (error) {
-            console.warn('Error analyzing behavior:', error.message);
+            console.warn('Analytics events will be sent later:', error.message);
+            this.queue.unshift(...events);
+        } finally {
+            this.flushing = false;
         }
     },
     
-    // Generate Nathan-style insights (simplified)
-    generateNathanInsights() {
-        try {
-            if (!appState.nathanAnalysis) return;
-            
-            const observations = [];
-            
-            // Add some default observations
-            observations.push("Interesting behavioral pattern detected.");
-            observations.push("Your conversation choices follow a predictable pattern.");
-            observations.push("Statistical analysis suggests room for improvement.");
-            observations.push("I've documented " + (appState.conversationHistory?.length || 0) + " conversation turns so far.");
-            
-            // Store observations
-            appState.nathanAnalysis.currentObservations = observations;
-            
-            // Update UI
-            this.updateNathanDisplay();
-        } catch (error) {
-            console.warn('Error generating insights:', error.message);
+    // Signed-in users' choice is stored on their account; guests' in this browser
+    hasConsent() {
+        const user = authSystem.getCurrentUser();
+        if (user) {
+            return Boolean(user.preferences && user.preferences.privacySettings && user.preferences.privacySettings.shareUsage);
         }
+        return localStorage.getItem(this.CONSENT_KEY) === 'granted';
     },
     
-    // Update Nathan display (with proper error handling)
-    updateNathanDisplay() {
-        try {
-            const analysisElement = document.getElementById('rehearsalAnalysis');
-            if (!analysisElement) return;
-            
-            // Ensure nathanAnalysis exists
-            if (!appState.nathanAnalysis) return;
-            
-            const observations = appState.nathanAnalysis.currentObservations;
-            if (observations && observations.length > 0) {
-                const randomObservation = observations[Math.floor(Math.random() * observations.length)];
-                analysisElement.textContent = randomObservation;
-            } else {
-                // Fallback to default Nathan quotes
-                const defaultQuotes = appState.nathanNotes || (typeof NATHAN_CONSTANTS !== 'undefined' ? NATHAN_CONSTANTS.QUOTES : null) || [
-                    "Preparing detailed analysis...",
-                    "Analyzing conversation patterns...", 
-                    "Statistical confidence building...",
-                    "I once practiced saying 'How are you?' 247 times until it sounded natural.",
-                    "The key to a good rehearsal is repetition. Try this scenario at least 3 times."
-                ];
-                
-                if (defaultQuotes.length > 0) {
-                    analysisElement.textContent = defaultQuotes[Math.floor(Math.random() * defaultQuotes.length)];
-                } else {
-                    analysisElement.textContent = "Preparing analysis...";
-                }
+    async setConsent(granted) {
+        localStorage.setItem(this.CONSENT_KEY, granted ? 'granted' : 'denied');
+        if (!granted) {
+            this.queue = [];
+        }
+        
+        const user = authSystem.getCurrentUser();
+        if (user) {
+            try {
+                await authSystem.updatePreferences({
+                    privacySettings: { ...user.preferences.privacySettings, shareUsage: granted }
+                });
+            } catch (error) {
+                console.warn('Could not save usage data setting:', error.message);
             }
-        } catch (error) {
-            console.warn('Error updating Nathan display:', error.message);
         }
+        
+        this.renderConsent();
     },
     
-    // Update Nathan analysis (periodic)
-    updateNathanAnalysis() {
-        try {
-            if (appState.currentScenario && appState.analytics && appState.analytics.length > 0) {
-                this.generateNathanInsights();
-            }
-        } catch (error) {
-            console.warn('Error in Nathan analysis update:', error.message);
+    renderConsent() {
+        const checkbox = document.getElementById('analyticsConsent');
+        if (checkbox) {
+            checkbox.checked = this.hasConsent();
+        }
+    },
+    
+    // Random ID for page visits and rehearsal runs
+    createId() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
         }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
     },
     
     // End session tracking
     endSessionTracking() {
         try {
-            if (this.nathanAnalysisInterval) {
-                clearInterval(this.nathanAnalysisInterval);
+            if (this.flushInterval) {
+                clearInterval(this.flushInterval);
             }
+            this.flush({ beacon: true });
             console.log('Session tracking ended');
         } catch (error) {
             console.warn('Error ending session tracking:', error.message);
@@ -1,50 +1,61 @@
 /**
- * The Rehearsal AI - No Authentication System
- * All features available to all users including Actors Guild
+ * The Rehearsal AI - Authentication client
+ * Optional accounts on the backend API (register, login, refresh, logout).
+ * Guests keep every feature, including Director's Studio and the Actors Guild.
  */
 
-// Simple system with no authentication - all features enabled
 const authSystem = {
+    STORAGE_KEY: 'rehearsal_auth',
+
+    // Refresh the access token this long before it expires
+    REFRESH_MARGIN_MS: 60 * 1000,
+
+    session: null, // { user, token, expiresAt, refreshToken }
+    mode: 'login', // login | register
+    refreshPromise: null,
+
     init() {
+        this.session = this.loadSession();
         this.updateUI();
     },
 
     updateUI() {
-        console.log('🔧 Updating UI - no authentication required');
-        
-        // Update user display to show guest mode
-        const guestUser = document.querySelector('.user-name');
+        const user = this.getCurrentUser();
+        appState.user = user;
+        appState.isLoggedIn = Boolean(user);
+
+        const userName = document.querySelector('.user-name');
         const userProgress = document.querySelector('.user-progress');
         const loginButton = document.getElementById('loginButton');
         const logoutButton = document.getElementById('logoutButton');
 
-        if (guestUser) {
-            guestUser.textContent = 'Guest User';
-            console.log('✅ Updated user name to Guest User');
+        if (userName) {
+            userName.textContent = user ? user.name : 'Guest User';
         }
-        
+
         if (userProgress) {
-            userProgress.textContent = 'All features available';
-            console.log('✅ Updated user progress message');
+            userProgress.textContent = user ? user.email : 'All features available';
         }
 
-        // Hide all auth buttons
         if (loginButton) {
-            loginButton.style.display = 'none';
-            console.log('✅ Hidden login button');
+            loginButton.style.display = user ? 'none' : '';
         }
         if (logoutButton) {
-            logoutButton.style.display = 'none';
-            console.log('✅ Hidden logout button');
+            logoutButton.style.display = user ? '' : 'none';
+        }
+
+        // Signed-in users' usage data setting comes from their account
+        if (window.AnalyticsModule) {
+            AnalyticsModule.renderConsent();
         }
 
-        // Enable all special features
+        // Guests and members alike get every feature
         this.enableAllFeatures();
     },
 
     enableAllFeatures() {
         const featureLinks = document.querySelectorAll('a[href*="director-studio"], a[href*="actors_guild"]');
-        
+
         featureLinks.forEach(link => {
             // Ensure full access - remove any restrictions
             link.style.opacity = '1';
@@ -53,13 +64,11 @@ const authSystem = {
             link.onclick = null;
             link.removeAttribute('title');
             link.removeAttribute('disabled');
-            
+
             // Remove any CSS classes that might disable the link
             link.classList.remove('disabled', 'auth-required', 'login-required');
-            
-            console.log('✅ Feature link enabled:', link.href);
         });
-        
+
         // Also enable any buttons related to special features
         const featureButtons = document.querySelectorAll('button[onclick*="director"], button[onclick*="actors"], .director-studio-btn, .actors-guild-btn');
         featureButtons.forEach(btn => {
@@ -69,42 +78,308 @@ const authSystem = {
         });
     },
 
-    // Placeholder methods for compatibility
-    isLoggedIn() { return false; },
-    getCurrentUser() { return null; },
-    completePractice() { /* No-op */ },
-    createScript() { /* No-op */ }
+    isLoggedIn() {
+        return Boolean(this.session && this.session.refreshToken);
+    },
+
+    getCurrentUser() {
+        return this.isLoggedIn() ? this.session.user : null;
+    },
+
+    // Download the signed-in user's profile and local practice history
+    exportUserData() {
+        const data = {
+            user: this.getCurrentUser(),
+            rehearsalAttempts: appState.rehearsalAttempts,
+            exportedAt: new Date().toISOString()
+        };
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+        link.download = 'rehearsal-data.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    },
+
+    // Account calls
+
+    async login(email, password) {
+        const data = await this.request('/login', { email, password });
+        this.saveSession(data);
+        this.updateUI();
+        return data.user;
+    },
+
+    async register(name, email, password) {
+        const data = await this.request('/register', { name, email, password });
+        this.saveSession(data);
+        this.updateUI();
+        return data.user;
+    },
+
+    // Save preference changes on the account (e.g. privacy settings) and keep the session's copy current
+    async updatePreferences(preferences) {
+        const response = await this.authFetch(`${CONFIG.BACKEND_URL}${CONFIG.AUTH_API}/me`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ preferences })
+        });
+
+        const payload = await response.json().catch(() => null);
+        if (!response.ok || !payload || !payload.success) {
+            throw this.createError((payload && payload.error && payload.error.message) || 'Could not save your settings', response.status);
+        }
+
+        this.saveSession({ ...this.session, user: payload.data.user });
+        return payload.data.user;
+    },
+
+    async logout() {
+        const refreshToken = this.session && this.session.refreshToken;
+        this.clearSession();
+        this.updateUI();
+
+        if (refreshToken) {
+            // Revoke on the server too; the device is signed out either way
+            await this.request('/logout', { refreshToken }).catch(error => {
+                console.warn('Failed to revoke session:', error.message);
+            });
+        }
+    },
+
+    // Swap the refresh token for a new pair; concurrent callers share one request
+    refresh() {
+        if (!this.isLoggedIn()) {
+            return Promise.reject(new Error('Not signed in'));
+        }
+
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.request('/refresh', { refreshToken: this.session.refreshToken })
+                .then(data => {
+                    this.saveSession(data);
+                    return data;
+                })
+                .catch(error => {
+                    // Only a rejected token ends the session; a network blip doesn't
+                    if (error.status === 401) {
+                        this.clearSession();
+                        this.updateUI();
+                    }
+                    throw error;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return this.refreshPromise;
+    },
+
+    // A valid access token, refreshed if it is about to expire; null for guests
+    async getAccessToken() {
+        if (!this.isLoggedIn()) return null;
+
+        const expiresAt = this.session.expiresAt ? new Date(this.session.expiresAt).getTime() : 0;
+        if (expiresAt - Date.now() < this.REFRESH_MARGIN_MS) {
+            try {
+                await this.refresh();
+            } catch (error) {
+                console.warn('Failed to refresh access token:', error.message);
+                return this.isLoggedIn() ? this.session.token : null;
+            }
+        }
+
+        return this.session.token;
+    },
+
+    // fetch() with the access token attached; retries once after a refresh if it is rejected
+    async authFetch(url, options = {}) {
+        const token = await this.getAccessToken();
+        const response = await fetch(url, this.withAuthHeader(options, token));
+
+        if (response.status !== 401 || !token) {
+            return response;
+        }
+
+        try {
+            await this.refresh();
+        } catch (error) {
+            return response;
+        }
+
+        return fetch(url, this.withAuthHeader(options, this.session.token));
+    },
+
+    withAuthHeader(options, token) {
+        if (!token) return options;
+
+        return {
+            ...options,
+            headers: {
+                ...options.headers,
+                'Authorization': `Bearer ${token}`
+            }
+        };
+    },
+
+    // POST to the auth API and unwrap its { success, data, error } envelope
+    async request(path, body) {
+        let response;
+        try {
+            response = await fetch(`${CONFIG.BACKEND_URL}${CONFIG.AUTH_API}${path}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            throw this.createError('Accounts are unavailable right now. You can keep practicing as a guest.', 0);
+        }
+
+        const payload = await response.json().catch(() => null);
+
+        if (!response.ok || !payload || !payload.success) {
+            if (response.status === 404 || !payload) {
+                throw this.createError('Accounts are unavailable right now. You can keep practicing as a guest.', response.status);
+            }
+
+            // Show the first field problem for validation errors
+            const details = payload.error && payload.error.details;
+            const fieldMessage = details && typeof details === 'object' ? Object.values(details).flat()[0] : null;
+            throw this.createError(fieldMessage || (payload.error && payload.error.message) || payload.message, response.status);
+        }
+
+        return payload.data;
+    },
+
+    createError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    },
+
+    // Token storage
+
+    loadSession() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    },
+
+    saveSession({ user, token, expiresAt, refreshToken }) {
+        this.session = { user, token, expiresAt, refreshToken };
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.session));
+    },
+
+    clearSession() {
+        this.session = null;
+        localStorage.removeItem(this.STORAGE_KEY);
+    },
+
+    // Sign-in modal
+
+    showLoginModal(mode = 'login') {
+        const modal = document.getElementById('loginModal');
+        if (!modal) return;
+
+        this.setMode(mode);
+        modal.classList.add('show');
+
+        const dropdown = document.getElementById('userDropdown');
+        if (dropdown) dropdown.classList.remove('show');
+    },
+
+    hideLoginModal() {
+        const modal = document.getElementById('loginModal');
+        if (modal) modal.classList.remove('show');
+    },
+
+    setMode(mode) {
+        this.mode = mode;
+        const isRegister = mode === 'register';
+
+        const title = document.getElementById('authTitle');
+        const nameGroup = document.getElementById('nameGroup');
+        const submit = document.getElementById('authSubmit');
+        const switchText = document.getElementById('authSwitchText');
+        const switchLink = document.getElementById('authSwitchLink');
+
+        if (title) title.textContent = isRegister ? 'Create Your Account' : 'Sign In to The Rehearsal AI';
+        if (nameGroup) nameGroup.style.display = isRegister ? '' : 'none';
+        if (submit) submit.textContent = isRegister ? 'Create Account' : 'Sign In';
+        if (switchText) switchText.textContent = isRegister ? 'Already have an account?' : 'New here?';
+        if (switchLink) switchLink.textContent = isRegister ? 'Sign in' : 'Create an account';
+
+        this.showError('');
+    },
+
+    showError(message) {
+        const error = document.getElementById('authError');
+        if (error) error.textContent = message;
+    },
+
+    async handleLogin(event) {
+        if (event) event.preventDefault();
+
+        const email = document.getElementById('email').value.trim();
+        const password = document.getElementById('password').value;
+        const nameInput = document.getElementById('name');
+        const submit = document.getElementById('authSubmit');
+
+        if (submit) submit.disabled = true;
+        this.showError('');
+
+        try {
+            if (this.mode === 'register') {
+                await this.register(nameInput ? nameInput.value.trim() : '', email, password);
+            } else {
+                await this.login(email, password);
+            }
+
+            document.getElementById('loginForm').reset();
+            this.hideLoginModal();
+            
+            document.dispatchEvent(new CustomEvent('userSignedIn', { detail: { user: this.getCurrentUser() } }));
+        } catch (error) {
+            this.showError(error.message);
+        } finally {
+            if (submit) submit.disabled = false;
+        }
+    },
+
+    // Guest mode needs no account; just close the modal
+    continueAsGuest() {
+        this.hideLoginModal();
+    }
 };
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
-    console.log('🎭 Initializing no-auth system...');
     authSystem.init();
-    
-    // Force enable all features after a brief delay to ensure DOM is ready
-    setTimeout(() => {
-        authSystem.enableAllFeatures();
-        console.log('🎬 All features forcibly enabled');
-    }, 100);
 });
 
 // Also run immediately in case DOMContentLoaded already fired
-if (document.readyState === 'loading') {
-    // DOM is still loading, wait for DOMContentLoaded
-} else {
-    // DOM is already loaded
-    console.log('🎭 DOM already loaded, initializing immediately...');
+if (document.readyState !== 'loading') {
     authSystem.init();
-    authSystem.enableAllFeatures();
 }
 
-// Global functions for compatibility (no-op)
-function showLoginModal() { /* No login needed */ }
-function closeAuthModal() { /* No-op */ }
-function handleLogin() { /* No-op */ }
-function handleRegister() { /* No-op */ }
-function handleLogout() { /* No-op */ }
-function toggleUserMenu() { 
+// Global functions for the inline handlers
+function showLoginModal() { authSystem.showLoginModal('login'); }
+function hideLoginModal() { authSystem.hideLoginModal(); }
+function closeAuthModal() { authSystem.hideLoginModal(); }
+function handleLogin(event) { return authSystem.handleLogin(event); }
+function handleRegister(event) {
+    authSystem.setMode('register');
+    return authSystem.handleLogin(event);
+}
+function handleLogout() { return authSystem.logout(); }
+function loginAsDemo() { authSystem.continueAsGuest(); }
+function toggleAuthMode(event) {
+    if (event) event.preventDefault();
+    authSystem.setMode(authSystem.mode === 'login' ? 'register' : 'login');
+}
+function toggleUserMenu() {
     const dropdown = document.getElementById('userDropdown');
     if (dropdown) {
         dropdown.style.display = dropdown.style.display === 'block' ? 'none' : 'block';
@@ -123,4 +398,4 @@ document.addEventListener('click', (e) => {
 // Export for compatibility
 if (typeof window !== 'undefined') {
     window.authSystem = authSystem;
-}
\ No newline at end of file
+}
@@ -3,28 +3,31 @@ const CONFIG = {
     API_BASE_URL: window.location.origin,
     SCENARIOS_API: '/api/scenarios',
     CONVERSATION_API: '/api/conversations',
+    SESSIONS_API: '/api/sessions',
+    
+    // Accounts live on the TypeScript backend; set window.REHEARSAL_BACKEND_URL when it is on another origin
+    BACKEND_URL: window.REHEARSAL_BACKEND_URL || window.location.origin,
+    AUTH_API: '/api/auth',
+    
+    // Progress sync for signed-in users, also on the backend (see js/progress.js)
+    CONVERSATION_IMPORT_API: '/api/conversations/import',
+    ANALYTICS_API: '/api/analytics',
     SCENARIOS_DATA_URL: '/data/scenarios.json',
     
+    // Draft handed from the scenario editor to the player for "play from this scene" (see js/scenario-editor.js)
+    SCENARIO_PREVIEW_KEY: 'rehearsalScenarioPreview',
+    
     // Animation timings
     TYPE_SPEED: 30,
     CHOICE_DELAY: 3000,
     SCENE_TRANSITION: 1000,
     
-    // Crisis keywords for detection
-    CRISIS_KEYWORDS: [
-        'suicide', 'kill myself', 'end it all', 'not worth living',
-        'better off dead', 'hurt myself', 'self harm', 'cutting',
-        'overdose', 'end my life', 'no point in living', 'worthless',
-        'hopeless', 'give up', 'can\'t go on', 'want to die'
-    ],
+    // Crisis detection rules (see js/crisis-detector.js)
+    CRISIS_RULES_URL: '/data/crisis-rules.json',
     
-    // Crisis resources
-    CRISIS_RESOURCES: {
-        national: '988',
-        crisis: '741741',
-        trevor: '1-866-488-7386',
-        international: 'https://findahelpline.com'
-    }
+    // Crisis lines for the visitor's locale (see lib/crisis-resources.js)
+    CRISIS_RESOURCES_API: '/api/crisis-resources',
+    CRISIS_RESOURCES_SHOWN: 4
 };
 
 // Nathan Fielder style constants and quotes
@@ -49,7 +52,9 @@ const NATHAN_CONSTANTS = {
 const appState = {
     currentScenario: null,
     currentScene: 0,
+    rehearsalSessionId: null,
     playerStats: { empathy: 0, trust: 0, effectiveness: 0 },
+    characterState: { trust: 5, openness: 5, distress: 5 },
     conversationHistory: [],
     memoryPercentage: 87.3,
     breakthroughs: [],
@@ -58,6 +63,7 @@ const appState = {
     scenarios: {},
     user: null,
     isLoggedIn: false,
+    previewMode: false,
     nathanNotes: [...NATHAN_CONSTANTS.QUOTES]
 };
 
@@ -1,5 +1,19 @@
 // Conversation engine module
 const ConversationModule = {
+    // Whether the learner last chose to answer in their own words (see createReplyComposer)
+    REPLY_MODE_KEY: 'rehearsalReplyMode',
+    
+    // The countdown in timed scenes turns urgent for its last seconds
+    COUNTDOWN_URGENT_MS: 5000,
+    
+    // When the current scene's choices appeared; response times are measured from here
+    choicesShownAt: null,
+    countdownInterval: null,
+    
+    HINT_LABELS: { nudge: 'Nudge', principle: 'Principle', nearAnswer: 'Near answer' },
+    
+    // Hints shown in the current scene ({ level, text, generated }), gentlest first
+    sceneHints: [],
     
     // Start a conversation with the selected scenario
     startConversation(scenario) {
@@ -7,12 +21,23 @@ const ConversationModule = {
         
         // Update UI with scenario info
         this.updateScenarioInfo(scenario);
+        this.restoreStoryContainer();
+        this.hideReplyMatch();
+        this.sceneHints = [];
+        appState.characterState = RehearsalEngine.initialCharacterState(scenario);
+        VoiceModule.reset();
+        
+        // Let the server keep score when it's available
+        this.startServerSession(scenario);
         
         // Find and display the first scene
         const firstScene = scenario.scenes.find(scene => scene.id === 'intro') || scenario.scenes[0];
         
         if (firstScene) {
+            FlowchartModule.startAttempt(scenario.id, firstScene.id);
+            this.startRun(scenario.id, firstScene.id);
             this.displayScene(firstScene);
+            InsightsModule.load(scenario.id);
         } else {
             console.error('No intro scene found for scenario');
             alert('Error: No starting scene found for this scenario.');
@@ -37,6 +62,9 @@ const ConversationModule = {
         
         const scenario = appState.scenarios[appState.currentScenario];
         
+        // The character plays the scene as they feel by now
+        const played = RehearsalEngine.getSceneVariant(scene, appState.characterState);
+        
         // Clear previous choices
         this.clearChoices();
         
@@ -44,9 +72,9 @@ const ConversationModule = {
         this.typeText(scene.text, 'storyText');
         
         // Update character dialogue if present
-        if (scene.dialogue) {
+        if (played.dialogue) {
             setTimeout(() => {
-                this.showCharacterDialogue(scenario.character, scene);
+                this.showCharacterDialogue(scenario.character, played);
             }, 1500);
         }
         
@@ -64,12 +92,13 @@ const ConversationModule = {
         
         // Check for end of conversation
         if (scene.isEnd) {
-            setTimeout(() => {
+            this.pendingTransition = setTimeout(() => {
                 this.endConversation(scene.outcome === 'success');
             }, 2000);
         }
         
         this.updateStats();
+        this.renderRunHistory();
     },
     
     // Type text with animation effect
@@ -119,8 +148,24 @@ const ConversationModule = {
         if (avatarElement) avatarElement.textContent = character.avatar || '🎭';
         if (nameElement) nameElement.textContent = character.name || 'Character';
         if (moodElement) moodElement.textContent = scene.mood || 'neutral';
+        this.renderCharacterState();
         
         this.typeText(scene.dialogue, 'dialogueText');
+        VoiceModule.speak(scene.dialogue, character);
+    },
+    
+    // The character's trust, openness and distress under their mood
+    renderCharacterState() {
+        const element = document.getElementById('characterState');
+        if (!element) return;
+        
+        const state = appState.characterState;
+        const values = RehearsalEngine.CHARACTER_STATE
+            .map(key => `${key.charAt(0).toUpperCase()}${key.slice(1)} ${state[key]}`)
+            .join(' · ');
+        const words = RehearsalEngine.describeCharacter(state);
+        
+        element.textContent = words ? `${values} (${words})` : values;
     },
     
     // Display choice buttons
@@ -133,6 +178,17 @@ const ConversationModule = {
         }
         
         container.innerHTML = '';
+        this.choicesShownAt = Date.now();
+        
+        const countdown = this.startCountdown();
+        if (countdown) {
+            container.appendChild(countdown);
+        }
+        container.appendChild(this.createHintBox());
+        
+        if (VoiceModule.canListen()) {
+            container.appendChild(this.createVoiceReply(choices));
+        }
         
         choices.forEach((choice, index) => {
             const button = document.createElement('button');
@@ -160,25 +216,422 @@ const ConversationModule = {
             
             container.appendChild(button);
         });
+        
+        // Own-words replies are matched by the server, so they need a session
+        if (appState.rehearsalSessionId) {
+            container.appendChild(this.createReplyComposer());
+        }
+    },
+    
+    // Timed scenes (see RehearsalEngine.getTimer): a countdown above the choices. When it runs
+    // out, the scene's timeout choice is taken for the learner.
+    startCountdown() {
+        this.stopCountdown();
+        
+        const scenario = appState.scenarios[appState.currentScenario];
+        const scene = RehearsalEngine.findScene(scenario, appState.currentScene);
+        const seconds = RehearsalEngine.getTimer(scenario, scene);
+        if (!seconds) return null;
+        
+        const fill = this.createTextElement('div', 'countdown-fill', '');
+        const bar = document.createElement('div');
+        bar.className = 'countdown-bar';
+        bar.append(fill);
+        const label = this.createTextElement('span', 'countdown-label', '');
+        
+        const countdown = document.createElement('div');
+        countdown.className = 'countdown';
+        countdown.setAttribute('role', 'timer');
+        countdown.setAttribute('aria-label', `You have ${seconds} seconds to answer`);
+        countdown.append(this.createTextElement('span', 'countdown-icon', '⏱️'), bar, label);
+        
+        const deadline = this.choicesShownAt + seconds * 1000;
+        const tick = () => {
+            // The scene moved on or the learner left the rehearsal
+            if (appState.currentScene !== scene.id || appState.currentScenario !== scenario.id) {
+                this.stopCountdown();
+                return;
+            }
+            
+            const remaining = Math.max(0, deadline - Date.now());
+            label.textContent = `${Math.ceil(remaining / 1000)}s`;
+            fill.style.width = `${(remaining / (seconds * 1000)) * 100}%`;
+            countdown.classList.toggle('urgent', remaining <= this.COUNTDOWN_URGENT_MS);
+            
+            if (remaining === 0) {
+                const choice = RehearsalEngine.findTimeoutChoice(scene);
+                this.stopCountdown();
+                this.showTimeout(choice);
+                this.makeChoice(choice, { timedOut: true });
+            }
+        };
+        
+        this.countdownInterval = setInterval(tick, 250);
+        tick();
+        return countdown;
+    },
+    
+    // Restart a stopped countdown with the time it had left; if that ran out meanwhile, the
+    // timeout choice is taken. Nothing happens once the learner has left the scene.
+    resumeCountdown(sessionId, sceneId) {
+        if (appState.rehearsalSessionId !== sessionId || appState.currentScene !== sceneId || this.choicesShownAt === null) return;
+        
+        const stopped = document.querySelector('#choices .countdown');
+        const countdown = this.startCountdown();
+        if (stopped && countdown) {
+            stopped.replaceWith(countdown);
+        }
+    },
+    
+    stopCountdown() {
+        clearInterval(this.countdownInterval);
+        this.countdownInterval = null;
+    },
+    
+    // Milliseconds since the choices appeared, or null before they have
+    getResponseTime() {
+        return this.choicesShownAt === null ? null : Date.now() - this.choicesShownAt;
+    },
+    
+    // "Answer out loud" in voice mode
+    createVoiceReply(choices) {
+        const button = this.createTextElement('button', 'voice-reply-btn', '🎙️ Answer out loud');
+        button.type = 'button';
+        const status = this.createTextElement('p', 'reply-status', '');
+        status.setAttribute('role', 'status');
+        button.addEventListener('click', () => this.listenForReply(choices, button, status));
+        
+        const container = document.createElement('div');
+        container.className = 'voice-reply';
+        container.append(button, status);
+        return container;
+    },
+    
+    // Hear the learner's reply. With a server session it goes through the own-words matching;
+    // without one it has to name a choice ("the second one") or say it close enough.
+    async listenForReply(choices, button, status) {
+        const scenario = appState.scenarios[appState.currentScenario];
+        const sceneId = appState.currentScene;
+        
+        button.disabled = true;
+        button.textContent = '🎙️ Listening...';
+        status.textContent = '';
+        
+        let heard;
+        try {
+            heard = await VoiceModule.listen(VoiceModule.getSettings(scenario.character).lang);
+        } catch (error) {
+            status.textContent = VoiceModule.describeError(error);
+            return;
+        } finally {
+            button.disabled = false;
+            button.textContent = '🎙️ Answer out loud';
+        }
+        
+        // The scene moved on while listening
+        if (appState.currentScene !== sceneId) return;
+        
+        VoiceModule.recordReply(heard.text, heard.durationMs);
+        
+        const composer = document.querySelector('#choices .reply-composer');
+        if (composer && appState.rehearsalSessionId) {
+            const form = composer.querySelector('form');
+            composer.open = true;
+            form.querySelector('.reply-input').value = heard.text;
+            this.submitReply(heard.text, form);
+            return;
+        }
+        
+        const choice = this.findSpokenChoice(choices, heard.text);
+        if (choice) {
+            this.makeChoice(choice);
+        } else {
+            status.textContent = `I heard “${heard.text}”, but not which choice you meant. Say its number or read it out.`;
+        }
+    },
+    
+    // A choice named by its position ("two", "the second one", "option 2") or said nearly word for word
+    findSpokenChoice(choices, text) {
+        const spoken = text.toLowerCase().replace(/[^a-z0-9' ]/g, ' ');
+        const ordinals = [
+            ['1', 'one', 'first'], ['2', 'two', 'second'], ['3', 'three', 'third'],
+            ['4', 'four', 'fourth'], ['5', 'five', 'fifth'], ['6', 'six', 'sixth']
+        ];
+        
+        const words = spoken.split(/\s+/).filter(Boolean);
+        if (words.length <= 3) {
+            const index = ordinals.findIndex(names => names.some(name => words.includes(name)));
+            if (index !== -1 && choices[index]) return choices[index];
+        }
+        
+        // Share of the choice's words that were said
+        const heard = new Set(words);
+        const scored = choices.map(choice => {
+            const choiceWords = choice.text.toLowerCase().replace(/[^a-z0-9' ]/g, ' ').split(/\s+/).filter(Boolean);
+            const said = choiceWords.filter(word => heard.has(word)).length;
+            return { choice, coverage: choiceWords.length > 0 ? said / choiceWords.length : 0 };
+        }).sort((a, b) => b.coverage - a.coverage);
+        
+        return scored[0] && scored[0].coverage >= 0.6 ? scored[0].choice : null;
+    },
+    
+    // "Need a hint?": each press shows the scene's next hint, from a nudge to a near answer
+    createHintBox() {
+        const box = document.createElement('div');
+        box.className = 'hint-box';
+        
+        const button = this.createTextElement('button', 'hint-btn', '');
+        button.type = 'button';
+        const list = document.createElement('ol');
+        list.className = 'hint-list';
+        list.setAttribute('aria-live', 'polite');
+        const cost = this.createTextElement('p', 'hint-cost',
+            `Each hint costs ${RehearsalEngine.HINT_COST} point${RehearsalEngine.HINT_COST === 1 ? '' : 's'} off your final score.`);
+        
+        const render = () => {
+            const remaining = RehearsalEngine.HINT_LEVELS.length - this.sceneHints.length;
+            button.textContent = this.sceneHints.length === 0 ? '💡 Need a hint?' : (remaining > 0 ? '💡 Another hint' : 'No more hints');
+            button.disabled = remaining === 0;
+            list.replaceChildren(...this.sceneHints.map(hint => {
+                const item = this.createTextElement('li', `hint ${hint.level}`, '');
+                item.append(this.createTextElement('strong', null, `${this.HINT_LABELS[hint.level]}: `), hint.text);
+                return item;
+            }));
+            list.hidden = this.sceneHints.length === 0;
+        };
+        
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            await this.requestHint();
+            render();
+        });
+        
+        render();
+        box.append(button, list, cost);
+        return box;
+    },
+    
+    // Show the current scene's next hint. With a session the server counts it; without one the
+    // hint comes straight from RehearsalEngine.
+    async requestHint() {
+        const level = RehearsalEngine.HINT_LEVELS[this.sceneHints.length];
+        if (!level) return;
+        
+        const sceneId = appState.currentScene;
+        const sessionId = appState.rehearsalSessionId;
+        let hint = null;
+        
+        if (sessionId) {
+            try {
+                const response = await fetch(`${CONFIG.SESSIONS_API}/${sessionId}/hints`, { method: 'POST' });
+                if (!response.ok) {
+                    throw new Error(`Hint refused: ${response.status}`);
+                }
+                hint = (await response.json()).hint;
+            } catch (error) {
+                console.warn('Server session lost, scoring locally:', error.message);
+                appState.rehearsalSessionId = null;
+            }
+        }
+        
+        // The scene moved on while the server answered
+        if (appState.currentScene !== sceneId) return;
+        
+        if (!hint) {
+            const scenario = appState.scenarios[appState.currentScenario];
+            hint = RehearsalEngine.getHint(scenario, RehearsalEngine.findScene(scenario, sceneId), level);
+        }
+        if (hint) {
+            this.sceneHints.push(hint);
+        }
+    },
+    
+    // Hints shown this run: those taken before each choice, plus the current scene's
+    getHintsUsed() {
+        return appState.conversationHistory.reduce((sum, entry) => sum + (entry.hintsUsed || 0), this.sceneHints.length);
+    },
+    
+    // "Say it in your own words": a reply box under the choices, open if the learner used it last time
+    createReplyComposer() {
+        const composer = document.createElement('details');
+        composer.className = 'reply-composer';
+        composer.open = localStorage.getItem(this.REPLY_MODE_KEY) === 'own-words';
+        
+        const summary = this.createTextElement('summary', null, '✍️ Or say it in your own words');
+        const input = document.createElement('textarea');
+        input.className = 'reply-input';
+        input.rows = 3;
+        input.maxLength = 500;
+        input.placeholder = 'Type what you would say...';
+        input.setAttribute('aria-label', 'Your reply in your own words');
+        
+        const submit = this.createTextElement('button', 'reply-submit', 'Say it');
+        submit.type = 'submit';
+        const status = this.createTextElement('p', 'reply-status', '');
+        status.setAttribute('role', 'status');
+        
+        const form = document.createElement('form');
+        form.append(input, submit, status);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitReply(input.value, form);
+        });
+        
+        composer.addEventListener('toggle', () => {
+            localStorage.setItem(this.REPLY_MODE_KEY, composer.open ? 'own-words' : 'choices');
+            if (composer.open) input.focus();
+        });
+        
+        composer.append(summary, form);
+        return composer;
     },
     
-    // Make a choice and progress conversation
-    makeChoice(choice) {
+    // Send the learner's own words to the session; the server picks the closest choice and applies it
+    async submitReply(text, form) {
+        const sessionId = appState.rehearsalSessionId;
+        const reply = text.trim();
+        if (!sessionId || !reply) return;
+        
+        const submit = form.querySelector('button');
+        const status = form.querySelector('.reply-status');
+        const responseTime = this.getResponseTime();
+        const sceneId = appState.currentScene;
+        submit.disabled = true;
+        status.textContent = 'Reading your reply...';
+        
+        // The clock stops once the learner has answered, and goes on if the reply isn't taken
+        this.stopCountdown();
+        
+        try {
+            const response = await fetch(`${CONFIG.SESSIONS_API}/${sessionId}/responses`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text: reply, responseTime })
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Reply rejected: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            if (appState.rehearsalSessionId !== sessionId) return;
+            
+            // The scene stays put; the learner can answer again or pick a choice
+            if (data.isCrisis) {
+                showCrisisResources({ source: 'automated_detection', tier: data.crisisTier, ruleId: data.crisisRule });
+                status.textContent = data.message;
+                submit.disabled = false;
+                this.resumeCountdown(sessionId, sceneId);
+                return;
+            }
+            
+            const scenario = appState.scenarios[appState.currentScenario];
+            const scene = RehearsalEngine.findScene(scenario, appState.currentScene);
+            const choice = RehearsalEngine.findChoice(scene, data.match.choiceId);
+            this.showReplyMatch(reply, data.match, choice);
+            this.makeChoice(choice, { freeText: reply, session: data.session, responseTime });
+        } catch (error) {
+            console.warn('Own-words reply failed:', error.message);
+            status.textContent = 'Your reply couldn\'t be read right now. Pick one of the choices instead.';
+            submit.disabled = false;
+            this.resumeCountdown(sessionId, sceneId);
+        }
+    },
+    
+    // How the learner's words were read: the matched choice, why, and what it did to the scores
+    showReplyMatch(reply, match, choice) {
+        const container = document.getElementById('replyMatch');
+        if (!container) return;
+        
+        const confidenceLabels = { high: 'Clear match', medium: 'Likely match', low: 'Loose match' };
+        const impact = this.getImpactDescription(choice.impact || {});
+        
+        container.replaceChildren(
+            this.createTextElement('h4', null, `✍️ You said: “${reply}”`),
+            this.createTextElement('p', 'reply-match-explanation', match.explanation),
+            this.createTextElement('p', `reply-match-meta ${match.confidence}`,
+                [confidenceLabels[match.confidence], impact].filter(Boolean).join(' · '))
+        );
+        container.hidden = false;
+    },
+    
+    // The countdown ran out: say which branch the silence took
+    showTimeout(choice) {
+        const container = document.getElementById('replyMatch');
+        if (!container) return;
+        
+        const impact = this.getImpactDescription(choice.impact || {});
+        container.replaceChildren(
+            this.createTextElement('h4', null, '⏱️ Time ran out'),
+            this.createTextElement('p', 'reply-match-explanation', `Hesitating is an answer too. The conversation went on as: “${choice.text}”`),
+            ...(impact ? [this.createTextElement('p', 'reply-match-meta low', impact)] : [])
+        );
+        container.hidden = false;
+    },
+    
+    hideReplyMatch() {
+        const container = document.getElementById('replyMatch');
+        if (container) {
+            container.hidden = true;
+            container.replaceChildren();
+        }
+    },
+    
+    // Make a choice and progress conversation. A reply in the learner's own words passes the
+    // text and the server session that already applied its matched choice; a timed scene whose
+    // countdown ran out passes timedOut.
+    makeChoice(choice, { freeText = null, session = null, timedOut = false, responseTime = this.getResponseTime() } = {}) {
         console.log('Choice made:', choice.text);
         
+        this.stopCountdown();
+        this.choicesShownAt = null;
+        const hintsUsed = this.sceneHints.length;
+        this.sceneHints = [];
+        
         // Record the choice
         appState.conversationHistory.push({
             scene: appState.currentScene,
+            choiceId: choice.id,
             choice: choice.text,
+            ...(freeText && { freeText }),
             impact: choice.impact,
+            ...(responseTime !== null && { responseTime }),
+            ...(timedOut && { timedOut }),
+            ...(hintsUsed > 0 && { hintsUsed }),
             timestamp: new Date()
         });
         
-        // Apply stat changes
-        if (choice.impact) {
-            Object.entries(choice.impact).forEach(([stat, value]) => {
-                appState.playerStats[stat] = Math.max(0, Math.min(10, appState.playerStats[stat] + value));
-            });
+        if (!freeText && !timedOut) {
+            this.hideReplyMatch();
+        }
+        
+        // The character reacts to the choice, and how they feel now can decide where it leads
+        const scenario = appState.scenarios[appState.currentScenario];
+        const scene = RehearsalEngine.findScene(scenario, appState.currentScene);
+        appState.characterState = session && session.characterState
+            ? session.characterState
+            : RehearsalEngine.applyCharacterImpact(appState.characterState, choice);
+        const nextSceneId = RehearsalEngine.resolveNext(scene, choice, appState.characterState);
+        
+        FlowchartModule.recordStep(appState.currentScenario, { sceneId: appState.currentScene, choiceId: choice.id, hintsUsed }, nextSceneId);
+        AnalyticsModule.trackEvent('choice_made', {
+            scenarioId: appState.currentScenario,
+            runId: this.runId,
+            sceneId: appState.currentScene,
+            choiceId: choice.id,
+            nextSceneId,
+            responseTime,
+            ...(freeText && { ownWords: true }),
+            ...(timedOut && { timedOut }),
+            ...(hintsUsed > 0 && { hintsUsed })
+        });
+        
+        // Apply stat changes (the server's numbers replace these when a session is active)
+        if (session) {
+            appState.playerStats = session.playerStats;
+        } else {
+            appState.playerStats = RehearsalEngine.applyImpact(appState.playerStats, choice.impact);
+            this.submitServerChoice(choice, { responseTime, timedOut });
         }
         
         // Clear current display
@@ -186,19 +639,18 @@ const ConversationModule = {
         this.hideCharacterDialogue();
         
         // Move to next scene
-        const scenario = appState.scenarios[appState.currentScenario];
-        const nextScene = scenario.scenes.find(s => s.id === choice.next);
+        const nextScene = scenario.scenes.find(s => s.id === nextSceneId);
         
         if (nextScene) {
             appState.currentScene = nextScene.id;
-            setTimeout(() => this.displayScene(nextScene), CONFIG.SCENE_TRANSITION);
-        } else if (choice.next === 'success' || choice.isEnd) {
-            setTimeout(() => {
+            this.pendingTransition = setTimeout(() => this.displayScene(nextScene), CONFIG.SCENE_TRANSITION);
+        } else if (nextSceneId === 'success' || choice.isEnd) {
+            this.pendingTransition = setTimeout(() => {
                 this.endConversation(true);
             }, CONFIG.SCENE_TRANSITION);
         } else {
-            console.error(`Scene not found: ${choice.next}`);
-            setTimeout(() => {
+            console.error(`Scene not found: ${nextSceneId}`);
+            this.pendingTransition = setTimeout(() => {
                 this.endConversation(false);
             }, CONFIG.SCENE_TRANSITION);
         }
@@ -207,8 +659,239 @@ const ConversationModule = {
         this.updateNathanAnalysis();
     },
     
+    // Start a server-authoritative session; the player keeps working locally if it fails
+    async startServerSession(scenario) {
+        appState.rehearsalSessionId = null;
+        
+        // The server only knows the scenarios file, not drafts from the editor
+        if (appState.previewMode) return;
+        
+        try {
+            const response = await fetch(CONFIG.SESSIONS_API + '/start', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ scenarioId: scenario.id })
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Failed to start session: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            appState.rehearsalSessionId = data.session.id;
+            
+            // Put the session in the URL so the run can be resumed elsewhere
+            const url = new URL(window.location.href);
+            url.searchParams.set('session', data.session.id);
+            window.history.replaceState(null, '', url);
+        } catch (error) {
+            console.warn('Server session unavailable, scoring locally:', error.message);
+        }
+    },
+    
+    // Send a choice to the server session and adopt its scores
+    async submitServerChoice(choice, { responseTime = null, timedOut = false } = {}) {
+        const sessionId = appState.rehearsalSessionId;
+        if (!sessionId) return;
+        
+        try {
+            const response = await fetch(`${CONFIG.SESSIONS_API}/${sessionId}/choices`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ choiceId: choice.id, responseTime, timedOut })
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Choice rejected: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            if (appState.rehearsalSessionId === sessionId) {
+                appState.playerStats = data.session.playerStats;
+                appState.characterState = data.session.characterState || appState.characterState;
+                this.updateStats();
+            }
+        } catch (error) {
+            console.warn('Server session lost, scoring locally:', error.message);
+            appState.rehearsalSessionId = null;
+        }
+    },
+    
+    // Step the server session back to before choice number step, so it scores the new branch
+    async rewindServerSession(step) {
+        const sessionId = appState.rehearsalSessionId;
+        if (!sessionId) return;
+        
+        try {
+            const response = await fetch(`${CONFIG.SESSIONS_API}/${sessionId}/rewind`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ step })
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Rewind rejected: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            if (appState.rehearsalSessionId === sessionId) {
+                appState.playerStats = data.session.playerStats;
+                appState.characterState = data.session.characterState || appState.characterState;
+                this.updateStats();
+            }
+        } catch (error) {
+            console.warn('Server session lost, scoring locally:', error.message);
+            appState.rehearsalSessionId = null;
+        }
+    },
+    
+    // Resume a server session, e.g. from a link opened on another device
+    async resumeSession(sessionId) {
+        const response = await fetch(`${CONFIG.SESSIONS_API}/${sessionId}`);
+        if (!response.ok) {
+            throw new Error(`Failed to load session: ${response.status}`);
+        }
+        
+        const { session, scene, hints } = await response.json();
+        const scenario = appState.scenarios[session.scenarioId];
+        if (!scenario || !scene) {
+            throw new Error(`Scenario not available: ${session.scenarioId}`);
+        }
+        
+        appState.currentScenario = session.scenarioId;
+        appState.currentScene = scene.id;
+        appState.rehearsalSessionId = session.id;
+        appState.playerStats = session.playerStats;
+        appState.characterState = session.characterState || RehearsalEngine.initialCharacterState(scenario);
+        appState.breakthroughs = [];
+        appState.conversationHistory = session.choices.map(entry => ({
+            scene: entry.sceneId,
+            choiceId: entry.choiceId,
+            choice: entry.choiceText,
+            ...(entry.freeText && { freeText: entry.freeText }),
+            impact: entry.impact,
+            responseTime: entry.responseTime,
+            ...(entry.timedOut && { timedOut: true }),
+            ...(entry.hintsUsed && { hintsUsed: entry.hintsUsed }),
+            timestamp: new Date(entry.timestamp)
+        }));
+        this.sceneHints = hints || [];
+        
+        FlowchartModule.startAttempt(session.scenarioId, scene.id, session.choices);
+        this.startRun(session.scenarioId, scene.id, { resumedAt: session.choices.length });
+        
+        ScenariosModule.showConversationInterface();
+        this.updateScenarioInfo(scenario);
+        this.restoreStoryContainer();
+        this.hideReplyMatch();
+        VoiceModule.reset();
+        this.displayScene(scene);
+        InsightsModule.load(session.scenarioId);
+    },
+    
+    // Go back to the scene where the run's choice at index step was made, to try another one
+    rewindTo(step) {
+        const entry = appState.conversationHistory[step];
+        if (!entry) return;
+        
+        const steps = appState.conversationHistory.slice(0, step).map(({ scene, choiceId }) => ({ sceneId: scene, choiceId }));
+        this.replayFrom(entry.scene, steps);
+    },
+    
+    // Branch the current attempt at a scene, from a rewind or the flowchart. steps are the
+    // { sceneId, choiceId } that led there; history, stats and breakthroughs are rebuilt along them.
+    replayFrom(sceneId, steps) {
+        const scenario = appState.scenarios[appState.currentScenario];
+        const scene = scenario && RehearsalEngine.findScene(scenario, sceneId);
+        if (!scene) return;
+        
+        clearTimeout(this.pendingTransition);
+        
+        // The server session can rewind along its own choices; a route from another run is scored locally
+        const history = appState.conversationHistory;
+        const isRewind = steps.length < history.length &&
+            steps.every((step, index) => history[index].scene === step.sceneId && history[index].choiceId === step.choiceId);
+        if (isRewind) {
+            this.rewindServerSession(steps.length);
+        } else {
+            this.clearServerSession();
+        }
+        
+        appState.playerStats = RehearsalEngine.initialStats();
+        appState.characterState = RehearsalEngine.initialCharacterState(scenario);
+        appState.conversationHistory = [];
+        appState.breakthroughs = [];
+        
+        steps.forEach((step, index) => {
+            const stepScene = RehearsalEngine.findScene(scenario, step.sceneId);
+            const choice = RehearsalEngine.findChoice(stepScene, step.choiceId);
+            if (!choice) return;
+            
+            // A rewind keeps what the learner said and how long they took for the steps it keeps
+            const kept = isRewind ? history[index] : {};
+            
+            if (stepScene.isBreakthrough) {
+                appState.breakthroughs.push(this.createBreakthrough(stepScene));
+            }
+            appState.conversationHistory.push({
+                scene: stepScene.id,
+                choiceId: choice.id,
+                choice: choice.text,
+                ...(kept.freeText && { freeText: kept.freeText }),
+                impact: choice.impact,
+                ...(Number.isFinite(kept.responseTime) && { responseTime: kept.responseTime }),
+                ...(kept.timedOut && { timedOut: true }),
+                ...(kept.hintsUsed && { hintsUsed: kept.hintsUsed }),
+                timestamp: new Date()
+            });
+            appState.playerStats = RehearsalEngine.applyImpact(appState.playerStats, choice.impact);
+            appState.characterState = RehearsalEngine.applyCharacterImpact(appState.characterState, choice);
+        });
+        
+        appState.currentScene = scene.id;
+        this.sceneHints = [];
+        FlowchartModule.startBranch(scenario.id, scene.id, steps.map((step, index) => ({
+            ...step,
+            ...(isRewind && history[index].hintsUsed && { hintsUsed: history[index].hintsUsed })
+        })));
+        this.startRun(scenario.id, scene.id, { branchedAt: steps.length });
+        
+        ScenariosModule.showConversationInterface();
+        this.restoreStoryContainer();
+        this.hideCharacterDialogue();
+        this.hideReplyMatch();
+        this.displayScene(scene);
+        this.updateNathanAnalysis();
+    },
+    
+    // Usage analytics count each start, resume and branch as its own run
+    startRun(scenarioId, sceneId, details = {}) {
+        this.runId = AnalyticsModule.createId();
+        AnalyticsModule.trackEvent('scenario_started', { scenarioId, runId: this.runId, sceneId, ...details });
+    },
+    
+    // Forget the server session and drop it from the URL
+    clearServerSession() {
+        appState.rehearsalSessionId = null;
+        
+        const url = new URL(window.location.href);
+        if (url.searchParams.has('session')) {
+            url.searchParams.delete('session');
+            window.history.replaceState(null, '', url);
+        }
+    },
+    
+    // The completion screen replaces the story text; put it back for a new run
+    restoreStoryContainer() {
+        const container = document.querySelector('.story-container');
+        if (container && !document.getElementById('storyText')) {
+            container.innerHTML = '<div class="story-text" id="storyText"></div>';
+        }
+    },
+    
     // Clear choice buttons
     clearChoices() {
+        this.stopCountdown();
         const container = document.getElementById('choices');
         if (container) {
             container.innerHTML = '';
@@ -223,6 +906,35 @@ const ConversationModule = {
         }
     },
     
+    // List the choices made so far, each with a way back to the scene it was made in
+    renderRunHistory() {
+        const container = document.getElementById('runHistory');
+        if (!container) return;
+        
+        const items = appState.conversationHistory.map((entry, index) => {
+            const button = document.createElement('button');
+            button.className = 'rewind-btn';
+            button.textContent = '↶ Try another choice';
+            button.setAttribute('aria-label', `Go back to choice ${index + 1} and try another one`);
+            button.addEventListener('click', () => this.rewindTo(index));
+            
+            let said = entry.freeText ? `“${entry.freeText}” (read as “${entry.choice}”)` : entry.choice;
+            if (entry.timedOut) said = `⏱️ ${said} (time ran out)`;
+            if (entry.hintsUsed) said += ` (after ${entry.hintsUsed} hint${entry.hintsUsed === 1 ? '' : 's'})`;
+            const item = document.createElement('li');
+            item.append(this.createTextElement('span', 'run-history-choice', said), button);
+            return item;
+        });
+        
+        container.replaceChildren();
+        container.hidden = items.length === 0;
+        if (items.length > 0) {
+            const list = document.createElement('ol');
+            list.append(...items);
+            container.append(this.createTextElement('h4', null, '↶ Your choices so far'), list);
+        }
+    },
+    
     // Update stats display
     updateStats() {
         ['empathy', 'trust', 'effectiveness'].forEach(stat => {
@@ -235,34 +947,14 @@ const ConversationModule = {
         });
     },
     
-    // Update Nathan's analysis
+    // Update Nathan's analysis with real numbers for the current scene (see js/insights.js)
     updateNathanAnalysis() {
-        const analysisElement = document.getElementById('rehearsalAnalysis');
-        if (!analysisElement) return;
-        
-        const choiceCount = appState.conversationHistory.length;
-        const attempts = appState.rehearsalAttempts[appState.currentScenario] || 1;
-        
-        const observations = [
-            `Choice ${choiceCount} of attempt ${attempts}. Each decision creates a new timeline.`,
-            `You've discovered ${choiceCount} of approximately 1,024 possible conversation nodes.`,
-            `Interesting choice. In my experience, that works ${Math.floor(Math.random() * 30) + 70}% of the time.`,
-            `Notice how their body language changed? (If this were real, I mean.)`,
-            `This path reminds me of rehearsal attempt #${Math.floor(Math.random() * 100) + 1} from the show.`,
-            `Statistical analysis shows this approach has a ${Math.floor(Math.random() * 30) + 70}% success rate.`
-        ];
-        
-        analysisElement.textContent = observations[Math.floor(Math.random() * observations.length)];
+        InsightsModule.render();
     },
     
     // Record a breakthrough moment
     recordBreakthrough(scene) {
-        const breakthrough = {
-            scenario: appState.currentScenario,
-            scene: scene.id,
-            timestamp: new Date(),
-            description: `Breakthrough moment in ${appState.scenarios[appState.currentScenario].title}`
-        };
+        const breakthrough = this.createBreakthrough(scene);
         
         appState.breakthroughs.push(breakthrough);
         console.log('🎉 Breakthrough recorded:', breakthrough);
@@ -274,9 +966,19 @@ const ConversationModule = {
         }, 10);
     },
     
+    createBreakthrough(scene) {
+        return {
+            scenario: appState.currentScenario,
+            scene: scene.id,
+            timestamp: new Date(),
+            description: `Breakthrough moment in ${appState.scenarios[appState.currentScenario].title}`
+        };
+    },
+    
     // End conversation with analysis
     endConversation(isSuccess = false) {
-        const totalScore = appState.playerStats.empathy + appState.playerStats.trust + appState.playerStats.effectiveness;
+        const hintsUsed = this.getHintsUsed();
+        const totalScore = RehearsalEngine.getScore(appState.playerStats, hintsUsed);
         const attempts = appState.rehearsalAttempts[appState.currentScenario] || 1;
         const scenario = appState.scenarios[appState.currentScenario];
         
@@ -289,20 +991,84 @@ const ConversationModule = {
         analysis += `Trust: ${appState.playerStats.trust}/10\n`;
         analysis += `Effectiveness: ${appState.playerStats.effectiveness}/10\n`;
         analysis += `Conversations Completed: ${appState.conversationHistory.length}\n`;
-        analysis += `Breakthroughs Achieved: ${appState.breakthroughs.length}\n\n`;
+        analysis += `Breakthroughs Achieved: ${appState.breakthroughs.length}\n`;
+        analysis += `Hints Used: ${hintsUsed}${hintsUsed > 0 ? ` (-${hintsUsed * RehearsalEngine.HINT_COST} points)` : ''}\n\n`;
         
         analysis += "STATISTICAL ANALYSIS:\n";
         analysis += `Memory Accuracy: ${appState.memoryPercentage}%\n`;
         analysis += `Rehearsal Confidence Level: ${Math.min(attempts * 15, 95)}%\n\n`;
         
+        const timing = this.describeResponseTimes(scenario, appState.conversationHistory);
+        if (timing.length > 0) {
+            analysis += `RESPONSE TIMING:\n${timing.join('\n')}\n\n`;
+        }
+        
+        const delivery = VoiceModule.describeDelivery();
+        if (delivery.length > 0) {
+            analysis += `VOICE DELIVERY:\n${delivery.join('\n')}\n\n`;
+        }
+        
         analysis += "NATHAN'S NOTES:\n";
         analysis += appState.nathanNotes[Math.floor(Math.random() * appState.nathanNotes.length)];
         
-        this.showCompletionAnalysis(analysis, isSuccess);
+        const endScene = RehearsalEngine.findScene(scenario, appState.currentScene);
+        const outcome = endScene && endScene.isEnd ? endScene.outcome : (isSuccess ? 'success' : 'failure');
+        FlowchartModule.finishBranch(scenario.id, outcome, appState.playerStats, hintsUsed);
+        AnalyticsModule.trackEvent('scenario_completed', {
+            scenarioId: scenario.id,
+            runId: this.runId,
+            sceneId: endScene && endScene.isEnd ? endScene.id : null,
+            outcome,
+            score: totalScore
+        });
+        this.renderRunHistory();
+        
+        const history = appState.conversationHistory;
+        ProgressModule.recordCompletion(scenario.id, {
+            steps: history.map(entry => ({
+                sceneId: entry.scene,
+                choiceId: entry.choiceId,
+                responseTime: entry.responseTime,
+                timedOut: Boolean(entry.timedOut),
+                hintsUsed: entry.hintsUsed || 0
+            })),
+            endSceneId: endScene && endScene.isEnd ? endScene.id : null,
+            outcome,
+            stats: appState.playerStats,
+            breakthroughs: appState.breakthroughs.map(breakthrough => breakthrough.scene),
+            startedAt: history.length > 0 ? history[0].timestamp : new Date()
+        });
+        
+        const debrief = RehearsalEngine.buildDebrief(
+            scenario,
+            appState.conversationHistory.map(entry => ({ sceneId: entry.scene, choiceId: entry.choiceId })),
+            appState.currentScene
+        );
+        
+        this.showCompletionAnalysis(analysis, isSuccess, debrief);
+    },
+    
+    // Lines for the analysis: average, fastest and slowest answer, and timeouts in timed scenes
+    describeResponseTimes(scenario, history) {
+        const times = history.map(entry => entry.responseTime).filter(Number.isFinite);
+        if (times.length === 0) return [];
+        
+        const seconds = time => `${(time / 1000).toFixed(1)}s`;
+        const lines = [
+            `Average Response Time: ${seconds(RehearsalEngine.getAverageResponseTime(history))}`,
+            `Fastest: ${seconds(Math.min(...times))} · Slowest: ${seconds(Math.max(...times))}`
+        ];
+        
+        const timed = history.filter(entry => RehearsalEngine.getTimer(scenario, RehearsalEngine.findScene(scenario, entry.scene)));
+        if (timed.length > 0) {
+            const timeouts = timed.filter(entry => entry.timedOut).length;
+            lines.push(`Timed Out: ${timeouts} of ${timed.length} timed scene${timed.length === 1 ? '' : 's'}`);
+        }
+        return lines;
     },
     
     // Show completion analysis modal
-    showCompletionAnalysis(analysis, isSuccess) {
+    showCompletionAnalysis(analysis, isSuccess, debrief = null) {
         const conversationContainer = document.querySelector('.story-container');
         
         if (conversationContainer) {
@@ -323,12 +1089,129 @@ const ConversationModule = {
                 </div>
             `;
             
+            const extras = [debrief && this.renderDebrief(debrief), this.renderBranchComparison()].filter(Boolean);
+            if (extras.length > 0) {
+                conversationContainer.querySelector('.analysis-content').after(...extras);
+            }
+            
             // Add event listeners
             document.getElementById('tryAgainBtn').addEventListener('click', this.tryAgain.bind(this));
             document.getElementById('returnToScenariosBtn').addEventListener('click', this.returnToScenarios.bind(this));
         }
     },
     
+    // Debrief section: objectives met, key choices with better alternatives, takeaways
+    renderDebrief(debrief) {
+        const sections = [];
+        const statusLabels = {
+            met: '✅ Met',
+            partial: '◐ Partly met',
+            missed: '❌ Missed',
+            'not-practiced': '○ Not practiced this time'
+        };
+        
+        if (debrief.objectives.length > 0) {
+            sections.push(this.createDebriefSection('Learning Objectives', debrief.objectives.map(objective => {
+                const item = document.createElement('li');
+                item.className = `debrief-objective ${objective.status}`;
+                item.append(this.createTextElement('span', 'debrief-status', statusLabels[objective.status]), ` ${objective.text}`);
+                return item;
+            })));
+        }
+        
+        if (debrief.keyChoices.length > 0) {
+            sections.push(this.createDebriefSection('Key Choices', debrief.keyChoices.map(keyChoice => {
+                const item = document.createElement('li');
+                item.className = `debrief-choice ${keyChoice.verdict}`;
+                item.append(this.createTextElement('div', 'debrief-said',
+                    `${keyChoice.verdict === 'strong' ? '✓' : '✗'} You said: "${keyChoice.choiceText}"`));
+                
+                if (keyChoice.better) {
+                    const description = keyChoice.better.description ? ` (${keyChoice.better.description})` : '';
+                    item.append(this.createTextElement('div', 'debrief-better', `Better here: "${keyChoice.better.text}"${description}`));
+                }
+                return item;
+            })));
+        }
+        
+        if (debrief.takeaways.length > 0) {
+            sections.push(this.createDebriefSection('Takeaways', debrief.takeaways.map(takeaway =>
+                this.createTextElement('li', 'debrief-takeaway', takeaway)
+            )));
+        }
+        
+        if (sections.length === 0) return null;
+        
+        const container = document.createElement('div');
+        container.className = 'debrief';
+        container.append(...sections);
+        return container;
+    },
+    
+    // The finished branches of this attempt side by side, once a rewind has produced more than one
+    renderBranchComparison() {
+        const scenario = appState.scenarios[appState.currentScenario];
+        const attempt = FlowchartModule.getCurrentAttempt(scenario.id);
+        const current = FlowchartModule.getCurrentBranch(scenario.id);
+        const branches = attempt ? attempt.branches.filter(branch => branch.outcome) : [];
+        if (branches.length < 2) return null;
+        
+        const cards = branches.map((branch, index) => {
+            const card = document.createElement('div');
+            card.className = `branch-card outcome-${branch.outcome}${branch === current ? ' current' : ''}`;
+            
+            const title = index === 0 ? 'First run' : `Branch ${index}`;
+            const hintsUsed = branch.hintsUsed || 0;
+            const score = RehearsalEngine.getScore(branch.stats, hintsUsed);
+            const hints = hintsUsed > 0 ? ` (${hintsUsed} hint${hintsUsed === 1 ? '' : 's'})` : '';
+            card.append(
+                this.createTextElement('h4', null, branch === current ? `${title} (this run)` : title),
+                this.createTextElement('p', 'branch-fork', this.describeFork(scenario, branch)),
+                this.createTextElement('p', 'branch-outcome', branch.outcome.charAt(0).toUpperCase() + branch.outcome.slice(1)),
+                this.createTextElement('p', 'branch-stats', `Empathy ${branch.stats.empathy} · Trust ${branch.stats.trust} · Effectiveness ${branch.stats.effectiveness} · Score ${score}/30${hints}`)
+            );
+            return card;
+        });
+        
+        const grid = document.createElement('div');
+        grid.className = 'branch-comparison-grid';
+        grid.append(...cards);
+        
+        const section = document.createElement('section');
+        section.className = 'branch-comparison';
+        section.append(this.createTextElement('h3', null, 'Compare your branches'), grid);
+        return section;
+    },
+    
+    // Where a branch left the run it came from: the first choice it made differently
+    describeFork(scenario, branch) {
+        if (branch.forkedAt === null) return 'Played straight through';
+        
+        const step = branch.steps[branch.forkedAt];
+        const scene = RehearsalEngine.findScene(scenario, step ? step.sceneId : branch.sceneId);
+        const choice = step && RehearsalEngine.findChoice(scene, step.choiceId);
+        if (!choice) return `Picked up at ${scene ? FlowchartModule.getSceneName(scene) : 'the ending'}`;
+        
+        return `At ${FlowchartModule.getSceneName(scene)}: “${choice.text}”`;
+    },
+    
+    createDebriefSection(title, items) {
+        const section = document.createElement('section');
+        section.className = 'debrief-section';
+        
+        const list = document.createElement('ul');
+        list.append(...items);
+        section.append(this.createTextElement('h3', null, title), list);
+        return section;
+    },
+    
+    createTextElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        element.textContent = text;
+        return element;
+    },
+    
     // Try the same scenario again
     tryAgain() {
         if (appState.currentScenario) {
@@ -360,8 +1243,3 @@ const ConversationModule = {
 // Make globally accessible
 window.ConversationModule = ConversationModule;
 window.tryAgain = () => ConversationModule.tryAgain();
-window.showFlowchart = () => {
-    const history = appState.conversationHistory;
-    const flowchartData = `Conversation Flowchart Analysis:\n\nTotal Paths Explored: ${history.length}\nCurrent Branch Depth: ${appState.currentScene}\nUnique Decisions Made: ${new Set(history.map(h => h.choice)).size}\n\nNathan's Note: "I once mapped 247 possible conversation branches for a single 'Hello'. You're doing great."`;
-    alert(flowchartData);
-};
@@ -0,0 +1,165 @@
+// Crisis language detector - shared by the server and the browser
+// Rules live in public/data/crisis-rules.json; see README "Crisis Detection" for the format.
+const CrisisDetector = {
+
+    // Severity tiers, lowest first
+    TIERS: ['concern', 'elevated', 'imminent'],
+
+    // Tiers a negation can cancel ("I'm not hopeless"). Anything more serious always counts:
+    // "I'm not sure I want to die" must not read as negated.
+    NEGATABLE_TIERS: ['concern'],
+
+    // Compiled rules set by configure(); detect() matches nothing until then
+    rules: null,
+
+    // Pronouns that tell who a clause is about (see isInCharacter)
+    FIRST_PERSON: ['i', 'i\'m', 'im', 'i\'ve', 'ive', 'i\'d', 'i\'ll', 'me', 'my', 'myself', 'mine'],
+    SECOND_PERSON: ['you', 'you\'re', 'youre', 'you\'ve', 'you\'d', 'you\'ll', 'your', 'yourself', 'u', 'ur'],
+
+    // Compile a rules config and make it the default for detect()
+    configure(config) {
+        this.rules = this.compile(config);
+        return this.rules;
+    },
+
+    // Turn a rules config into regular expressions; throws on an invalid config
+    compile(config) {
+        if (!config || !Array.isArray(config.rules)) {
+            throw new Error('Crisis rules config needs a "rules" array');
+        }
+
+        const seen = new Set();
+        const rules = config.rules.map((rule, index) => {
+            const label = rule && rule.id ? `Crisis rule "${rule.id}"` : `Crisis rule #${index + 1}`;
+
+            if (!rule || typeof rule.id !== 'string' || !rule.id) {
+                throw new Error(`${label} needs an id`);
+            }
+            if (seen.has(rule.id)) {
+                throw new Error(`${label} is defined twice`);
+            }
+            if (!this.TIERS.includes(rule.tier)) {
+                throw new Error(`${label} has unknown tier "${rule.tier}" (expected ${this.TIERS.join(', ')})`);
+            }
+            if (!Array.isArray(rule.phrases) || rule.phrases.length === 0) {
+                throw new Error(`${label} needs at least one phrase`);
+            }
+            seen.add(rule.id);
+
+            return {
+                id: rule.id,
+                tier: rule.tier,
+                severity: this.TIERS.indexOf(rule.tier),
+                negatable: rule.negatable !== false && this.NEGATABLE_TIERS.includes(rule.tier),
+                patterns: rule.phrases.map(phrase => ({
+                    phrase,
+                    regex: this.phraseToRegex(phrase)
+                }))
+            };
+        });
+
+        return {
+            rules,
+            tiers: config.tiers || {},
+            negations: new Set((config.negations || []).map(word => this.normalize(word)))
+        };
+    },
+
+    // Check text against the rules; the highest tier that matched wins.
+    // practiceRules are rule IDs the scenario rehearses (e.g. asking "are you thinking about
+    // suicide?"): their matches only count when the learner is talking about themselves.
+    detect(text, { rules = this.rules, practiceRules = [] } = {}) {
+        const result = { isCrisis: false, tier: null, ruleId: null, matches: [], negated: [], practice: [] };
+        if (!rules || typeof text !== 'string' || !text.trim()) return result;
+
+        const normalized = this.normalize(text);
+
+        rules.rules.forEach(rule => {
+            const practiced = practiceRules.includes(rule.id) && rule.tier !== 'imminent';
+
+            rule.patterns.forEach(({ phrase, regex }) => {
+                regex.lastIndex = 0;
+                let match;
+                while ((match = regex.exec(normalized)) !== null) {
+                    const hit = { ruleId: rule.id, tier: rule.tier, phrase };
+                    if (rule.negatable && this.isNegated(normalized, match.index, rules)) {
+                        result.negated.push(hit);
+                    } else if (practiced && this.isInCharacter(normalized, match.index, match[0].length)) {
+                        result.practice.push(hit);
+                    } else {
+                        result.matches.push({ ...hit, severity: rule.severity });
+                    }
+                }
+            });
+        });
+
+        if (result.matches.length > 0) {
+            const top = result.matches.reduce((best, match) => (match.severity > best.severity ? match : best));
+            result.isCrisis = true;
+            result.tier = top.tier;
+            result.ruleId = top.ruleId;
+        }
+
+        result.matches = result.matches.map(({ severity, ...match }) => match);
+        return result;
+    },
+
+    // Rule IDs a scenario may not practice: unknown ones, and imminent rules, which always count
+    checkPracticeRules(practiceRules, rules = this.rules) {
+        const known = new Map(((rules && rules.rules) || []).map(rule => [rule.id, rule]));
+
+        return (practiceRules || []).flatMap(id => {
+            if (!known.has(id)) return [`unknown crisis rule "${id}"`];
+            if (known.get(id).tier === 'imminent') return [`imminent crisis rule "${id}" can't be practiced`];
+            return [];
+        });
+    },
+
+    // Per-tier settings from the config (e.g. the reply message)
+    getTier(tier, rules = this.rules) {
+        return (rules && rules.tiers[tier]) || {};
+    },
+
+    // A negation word directly before the match, in the same clause
+    isNegated(text, index, rules) {
+        const clause = text.slice(0, index).split(/[.!?;,:\n]/).pop();
+        const words = clause.match(/[a-z']+/g) || [];
+        return words.length > 0 && rules.negations.has(words[words.length - 1]);
+    },
+
+    // Whether a match is about the character: the pronoun nearest to it in its clause is "you",
+    // or the clause has no pronoun. "Are you thinking about suicide?" is practice; "I've been
+    // thinking about suicide" and "you know, I want to die" are not.
+    isInCharacter(text, index, length) {
+        const before = (text.slice(0, index).split(/[.!?;,:\n]/).pop().match(/[a-z']+/g) || []).reverse();
+        const after = text.slice(index + length).split(/[.!?;,:\n]/)[0].match(/[a-z']+/g) || [];
+        const nearest = [...before, ...after].find(word => this.FIRST_PERSON.includes(word) || this.SECOND_PERSON.includes(word));
+
+        return !nearest || this.SECOND_PERSON.includes(nearest);
+    },
+
+    // Lower case, straight apostrophes, single spaces
+    normalize(text) {
+        return text.toLowerCase().replace(/[‘’`]/g, '\'').replace(/\s+/g, ' ');
+    },
+
+    // Whole-word match for the phrase, allowing any run of whitespace between its words
+    phraseToRegex(phrase) {
+        const normalized = this.normalize(phrase).trim();
+        const body = normalized
+            .split(' ')
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('\\s+');
+        const start = /^\w/.test(normalized) ? '\\b' : '';
+        const end = /\w$/.test(normalized) ? '\\b' : '';
+        return new RegExp(`${start}${body}${end}`, 'g');
+    }
+};
+
+// Export for Node (server) and the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CrisisDetector;
+}
+if (typeof window !== 'undefined') {
+    window.CrisisDetector = CrisisDetector;
+}
@@ -0,0 +1,371 @@
+// Scene graph flowchart - draws a scenario's scenes and choices as SVG, with the current
+// run highlighted, earlier runs drawn faintly and endings/breakthroughs not yet found
+// marked as undiscovered. Attempts are kept per scenario in appState.flowchartData; each
+// attempt holds the branches tried by rewinding within it, the last one being played.
+const FlowchartModule = {
+
+    STORAGE_KEY: 'rehearsalFlowcharts',
+    MAX_ATTEMPTS: 20,
+
+    NODE_WIDTH: 150,
+    NODE_HEIGHT: 44,
+    COLUMN_GAP: 30,
+    ROW_GAP: 60,
+    PADDING: 20,
+
+    SVG_NS: 'http://www.w3.org/2000/svg',
+
+    // Restore saved attempts into appState.flowchartData
+    init() {
+        try {
+            appState.flowchartData = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || {};
+            
+            // Attempts saved before rewinding existed are a single branch
+            Object.values(appState.flowchartData).forEach(data => {
+                data.attempts = data.attempts.map(attempt => (attempt.branches ? attempt : { startedAt: attempt.startedAt, branches: [attempt] }));
+            });
+        } catch (error) {
+            console.warn('Could not load saved flowcharts:', error.message);
+            appState.flowchartData = {};
+        }
+    },
+
+    save() {
+        if (appState.previewMode) return;
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(appState.flowchartData));
+        } catch (error) {
+            console.warn('Could not save flowcharts:', error.message);
+        }
+    },
+
+    getAttempts(scenarioId) {
+        return (appState.flowchartData[scenarioId] && appState.flowchartData[scenarioId].attempts) || [];
+    },
+
+    // Every branch of every attempt, oldest first
+    getBranches(scenarioId) {
+        return this.getAttempts(scenarioId).flatMap(attempt => attempt.branches);
+    },
+
+    getCurrentAttempt(scenarioId) {
+        return this.getAttempts(scenarioId).slice(-1)[0] || null;
+    },
+
+    // The branch being played: the last one of the latest attempt
+    getCurrentBranch(scenarioId) {
+        const attempt = this.getCurrentAttempt(scenarioId);
+        return attempt ? attempt.branches[attempt.branches.length - 1] : null;
+    },
+
+    // forkedAt is the number of steps kept from the run it branched off (null for the first run)
+    createBranch(sceneId, steps, forkedAt = null) {
+        return {
+            steps: steps.map(step => this.createStep(step)),
+            sceneId,
+            forkedAt,
+            outcome: null,
+            stats: null,
+            startedAt: new Date().toISOString()
+        };
+    },
+
+    // A step as stored: the scene, the choice and the hints shown before it, if any
+    createStep({ sceneId, choiceId, hintsUsed }) {
+        return { sceneId, choiceId, ...(hintsUsed > 0 && { hintsUsed }) };
+    },
+
+    // Begin recording a new attempt; steps are { sceneId, choiceId, hintsUsed } already taken (e.g. on a resume)
+    startAttempt(scenarioId, sceneId, steps = []) {
+        const data = appState.flowchartData[scenarioId] || (appState.flowchartData[scenarioId] = { attempts: [] });
+
+        data.attempts.push({
+            startedAt: new Date().toISOString(),
+            branches: [this.createBranch(sceneId, steps)]
+        });
+        data.attempts = data.attempts.slice(-this.MAX_ATTEMPTS);
+        this.save();
+    },
+
+    // Branch the current attempt at a scene reached by steps (rewinding or replaying)
+    startBranch(scenarioId, sceneId, steps) {
+        const attempt = this.getCurrentAttempt(scenarioId);
+        if (!attempt) {
+            this.startAttempt(scenarioId, sceneId, steps);
+            return;
+        }
+
+        attempt.branches.push(this.createBranch(sceneId, steps, steps.length));
+        this.save();
+    },
+
+    // Record a choice in the current branch and the scene it led to
+    recordStep(scenarioId, step, nextSceneId) {
+        const branch = this.getCurrentBranch(scenarioId);
+        if (!branch) return;
+
+        branch.steps.push(this.createStep(step));
+        branch.sceneId = nextSceneId;
+        this.save();
+    },
+
+    finishBranch(scenarioId, outcome, stats, hintsUsed = 0) {
+        const branch = this.getCurrentBranch(scenarioId);
+        if (!branch) return;
+
+        branch.outcome = outcome;
+        branch.stats = { ...stats };
+        branch.hintsUsed = hintsUsed;
+        this.save();
+    },
+
+    // Scene IDs a branch passed through, in order
+    getBranchScenes(branch) {
+        return [...branch.steps.map(step => step.sceneId), branch.sceneId].filter(Boolean);
+    },
+
+    // The steps that led to a scene: the current branch's if it got there, else the latest
+    // earlier branch that did. Returns null for scenes no branch has reached.
+    findRouteTo(scenarioId, sceneId) {
+        const branches = this.getBranches(scenarioId);
+
+        for (let i = branches.length - 1; i >= 0; i--) {
+            const index = this.getBranchScenes(branches[i]).indexOf(sceneId);
+            if (index !== -1) {
+                return branches[i].steps.slice(0, index);
+            }
+        }
+        return null;
+    },
+
+    // Place scenes in rows by their distance from the start scene. Scenes the start can't
+    // reach go in a final row so they still show up.
+    layout(scenario) {
+        const start = RehearsalEngine.findStartScene(scenario);
+        const depth = new Map();
+        const rows = [];
+        const queue = start ? [start.id] : [];
+        if (start) depth.set(start.id, 0);
+
+        while (queue.length > 0) {
+            const sceneId = queue.shift();
+            const scene = RehearsalEngine.findScene(scenario, sceneId);
+            (rows[depth.get(sceneId)] || (rows[depth.get(sceneId)] = [])).push(sceneId);
+
+            (scene.choices || []).forEach(choice => {
+                RehearsalEngine.getNextTargets(scene, choice).forEach(next => {
+                    if (!depth.has(next) && RehearsalEngine.findScene(scenario, next)) {
+                        depth.set(next, depth.get(sceneId) + 1);
+                        queue.push(next);
+                    }
+                });
+            });
+        }
+
+        const unreachable = scenario.scenes.filter(scene => !depth.has(scene.id)).map(scene => scene.id);
+        if (unreachable.length > 0) rows.push(unreachable);
+
+        const widest = Math.max(1, ...rows.map(row => row.length));
+        const width = this.PADDING * 2 + widest * this.NODE_WIDTH + (widest - 1) * this.COLUMN_GAP;
+        const positions = new Map();
+
+        rows.forEach((row, rowIndex) => {
+            const rowWidth = row.length * this.NODE_WIDTH + (row.length - 1) * this.COLUMN_GAP;
+            const left = (width - rowWidth) / 2;
+            row.forEach((sceneId, column) => {
+                positions.set(sceneId, {
+                    x: left + column * (this.NODE_WIDTH + this.COLUMN_GAP),
+                    y: this.PADDING + rowIndex * (this.NODE_HEIGHT + this.ROW_GAP)
+                });
+            });
+        });
+
+        return {
+            positions,
+            width,
+            height: this.PADDING * 2 + rows.length * this.NODE_HEIGHT + Math.max(0, rows.length - 1) * this.ROW_GAP
+        };
+    },
+
+    // Build the SVG for a scenario. onSelect(sceneId, steps) is called when a reached scene is clicked.
+    render(scenarioId, { onSelect } = {}) {
+        const scenario = appState.scenarios[scenarioId];
+        const branches = this.getBranches(scenarioId);
+        const current = this.getCurrentBranch(scenarioId);
+        const { positions, width, height } = this.layout(scenario);
+
+        // A choice with conditional routes has an edge per scene it can lead to
+        const edgeKey = (sceneId, choiceId, next) => `${sceneId}/${choiceId}>${next}`;
+        const branchEdges = branch => {
+            const scenes = this.getBranchScenes(branch);
+            return branch.steps.map((step, index) => edgeKey(step.sceneId, step.choiceId, scenes[index + 1]));
+        };
+        const pathScenes = new Set(current ? this.getBranchScenes(current) : []);
+        const pathEdges = new Set(current ? branchEdges(current) : []);
+        const reached = new Set();
+        const takenEdges = new Set();
+        branches.forEach(branch => {
+            this.getBranchScenes(branch).forEach(sceneId => reached.add(sceneId));
+            branchEdges(branch).forEach(key => takenEdges.add(key));
+        });
+
+        const svg = this.createSvgElement('svg', {
+            class: 'flowchart-svg',
+            viewBox: `0 0 ${width} ${height}`,
+            width,
+            height,
+            role: 'img',
+            'aria-label': `Scene map for ${scenario.title}`
+        });
+        const edges = this.createSvgElement('g', { class: 'flowchart-edges' });
+        const nodes = this.createSvgElement('g', { class: 'flowchart-nodes' });
+
+        scenario.scenes.forEach(scene => {
+            (scene.choices || []).forEach(choice => {
+                RehearsalEngine.getNextRoutes(scene, choice).forEach(route => {
+                    if (!positions.has(route.next)) return;
+
+                    const key = edgeKey(scene.id, choice.id, route.next);
+                    const classes = ['flowchart-edge', route.when && 'conditional', pathEdges.has(key) && 'on-path', takenEdges.has(key) && 'taken'];
+                    const edge = this.createSvgElement('path', {
+                        class: classes.filter(Boolean).join(' '),
+                        d: this.getEdgePath(positions.get(scene.id), positions.get(route.next))
+                    });
+                    const title = route.when ? `${choice.text} (if ${RehearsalEngine.describeCondition(route.when)})` : choice.text;
+                    edge.appendChild(this.createSvgElement('title', {}, title));
+                    edges.appendChild(edge);
+                });
+            });
+        });
+
+        scenario.scenes.forEach(scene => {
+            nodes.appendChild(this.renderNode(scenarioId, scene, positions.get(scene.id), {
+                onPath: pathScenes.has(scene.id),
+                reached: reached.has(scene.id),
+                isCurrent: Boolean(current) && current.sceneId === scene.id,
+                onSelect
+            }));
+        });
+
+        svg.append(edges, nodes);
+        return svg;
+    },
+
+    renderNode(scenarioId, scene, position, { onPath, reached, isCurrent, onSelect }) {
+        const hidden = !reached && (scene.isEnd || scene.isBreakthrough);
+        const classes = ['flowchart-node'];
+        if (onPath) classes.push('on-path');
+        if (reached) classes.push('reached');
+        if (isCurrent) classes.push('current');
+        if (scene.isEnd) classes.push('ending', `outcome-${scene.outcome || 'partial'}`);
+        if (scene.isBreakthrough) classes.push('breakthrough');
+        if (hidden) classes.push('undiscovered');
+
+        const group = this.createSvgElement('g', {
+            class: classes.join(' '),
+            transform: `translate(${position.x}, ${position.y})`
+        });
+        group.append(
+            this.createSvgElement('rect', { width: this.NODE_WIDTH, height: this.NODE_HEIGHT, rx: 8 }),
+            this.createSvgElement('text', { x: this.NODE_WIDTH / 2, y: this.NODE_HEIGHT / 2 }, this.getNodeLabel(scene, hidden)),
+            this.createSvgElement('title', {}, hidden ? 'Not found yet' : scene.text)
+        );
+
+        // Only scenes some attempt has reached can be replayed - we need a route there
+        if (reached && onSelect) {
+            group.setAttribute('tabindex', '0');
+            group.setAttribute('role', 'button');
+            group.setAttribute('aria-label', `Replay from ${this.getNodeLabel(scene, false)}`);
+
+            const select = () => onSelect(scene.id, this.findRouteTo(scenarioId, scene.id));
+            group.addEventListener('click', select);
+            group.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    select();
+                }
+            });
+        }
+
+        return group;
+    },
+
+    getNodeLabel(scene, hidden) {
+        if (hidden) {
+            return scene.isEnd ? '🔒 Ending' : '🔒 Breakthrough';
+        }
+
+        const marker = scene.isEnd ? '🏁 ' : scene.isBreakthrough ? '✨ ' : '';
+        const label = marker + this.getSceneName(scene);
+        return label.length > 20 ? label.slice(0, 19) + '…' : label;
+    },
+
+    // "accept_invitation" -> "Accept invitation"
+    getSceneName(scene) {
+        const name = scene.id.replace(/[_-]+/g, ' ');
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    },
+
+    // Curve from the bottom of one node to the top of another; edges that go back up or
+    // stay on the same row loop around the side instead of crossing the nodes
+    getEdgePath(from, to) {
+        const startX = from.x + this.NODE_WIDTH / 2;
+        const endX = to.x + this.NODE_WIDTH / 2;
+
+        if (to.y > from.y) {
+            const startY = from.y + this.NODE_HEIGHT;
+            const middle = (startY + to.y) / 2;
+            return `M ${startX} ${startY} C ${startX} ${middle}, ${endX} ${middle}, ${endX} ${to.y}`;
+        }
+
+        const side = Math.max(from.x, to.x) + this.NODE_WIDTH + this.COLUMN_GAP / 2;
+        const startY = from.y + this.NODE_HEIGHT / 2;
+        const endY = to.y + this.NODE_HEIGHT / 2;
+        return `M ${from.x + this.NODE_WIDTH} ${startY} C ${side} ${startY}, ${side} ${endY}, ${to.x + this.NODE_WIDTH} ${endY}`;
+    },
+
+    createSvgElement(tag, attributes = {}, text = null) {
+        const element = document.createElementNS(this.SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        if (text !== null) element.textContent = text;
+        return element;
+    },
+
+    // Open the flowchart modal for the scenario being played
+    show() {
+        const modal = document.getElementById('flowchartModal');
+        const canvas = document.getElementById('flowchartCanvas');
+        const scenarioId = appState.currentScenario;
+        if (!modal || !canvas || !scenarioId || !appState.scenarios[scenarioId]) return;
+
+        const attempts = this.getAttempts(scenarioId);
+        const summary = document.getElementById('flowchartSummary');
+        if (summary) {
+            const scenario = appState.scenarios[scenarioId];
+            const reached = new Set(this.getBranches(scenarioId).flatMap(branch => this.getBranchScenes(branch)));
+            const endings = scenario.scenes.filter(scene => scene.isEnd);
+            summary.textContent = `${scenario.title}: ${attempts.length} attempt${attempts.length === 1 ? '' : 's'}, ` +
+                `${endings.filter(scene => reached.has(scene.id)).length} of ${endings.length} endings found. ` +
+                'Select a scene you have reached to replay from there.';
+        }
+
+        canvas.replaceChildren(this.render(scenarioId, {
+            onSelect: (sceneId, steps) => {
+                this.hide();
+                ConversationModule.replayFrom(sceneId, steps || []);
+            }
+        }));
+        modal.classList.add('show');
+    },
+
+    hide() {
+        const modal = document.getElementById('flowchartModal');
+        if (modal) modal.classList.remove('show');
+    }
+};
+
+// Make globally accessible
+window.FlowchartModule = FlowchartModule;
+window.showFlowchart = () => FlowchartModule.show();
+window.hideFlowchart = () => FlowchartModule.hide();
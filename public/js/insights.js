@@ -0,0 +1,162 @@
+// Rehearsal analysis panel - how others chose at this scene (opted-in usage data only),
+// how this run compares with the player's earlier ones, and how they sounded in voice mode
+const InsightsModule = {
+
+    // Below this many rehearsals a percentage says more about luck than about the choice
+    MIN_SAMPLE: 5,
+
+    // Scenario insights from the backend by scenario ID; null when they couldn't be loaded
+    insights: {},
+
+    // Fetch the community numbers for a scenario once per page visit, then redraw the panel.
+    // Editor previews have none.
+    async load(scenarioId) {
+        if (scenarioId in this.insights || appState.previewMode) {
+            this.render();
+            return;
+        }
+
+        try {
+            const response = await fetch(`${CONFIG.BACKEND_URL}${CONFIG.ANALYTICS_API}/scenarios/${encodeURIComponent(scenarioId)}`);
+            if (!response.ok) {
+                throw new Error(`Insights request failed: ${response.status}`);
+            }
+
+            const payload = await response.json();
+            this.insights[scenarioId] = payload.data.insights;
+        } catch (error) {
+            console.warn('Community statistics unavailable:', error.message);
+            this.insights[scenarioId] = null;
+        }
+
+        this.render();
+    },
+
+    render() {
+        const panel = document.getElementById('rehearsalAnalysis');
+        const scenario = appState.scenarios[appState.currentScenario];
+        if (!panel || !scenario) return;
+
+        const observations = this.getObservations(scenario, appState.currentScene);
+        panel.replaceChildren(...observations.map(text => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text;
+            return paragraph;
+        }));
+    },
+
+    getObservations(scenario, sceneId) {
+        const observations = [];
+        const insights = this.insights[scenario.id];
+        const lastEntry = appState.conversationHistory[appState.conversationHistory.length - 1];
+
+        if (insights === null) {
+            observations.push('Community statistics are unavailable right now. I\'m working from your own records.');
+        } else if (insights) {
+            if (lastEntry) {
+                observations.push(...this.describeChoice(scenario, insights, lastEntry));
+            }
+            observations.push(this.describeScene(insights, sceneId));
+        }
+
+        observations.push(...this.compareWithOwnRuns(scenario, sceneId));
+        observations.push(...VoiceModule.describeDelivery());
+        return observations.filter(Boolean);
+    },
+
+    // How the choice just made compares with everyone else's at that scene
+    describeChoice(scenario, insights, entry) {
+        const sceneStats = this.getSceneStats(insights, entry.scene);
+        const total = sceneStats ? sceneStats.choices.reduce((sum, choice) => sum + choice.count, 0) : 0;
+        if (total < this.MIN_SAMPLE) return [];
+
+        const choice = sceneStats.choices.find(candidate => candidate.choiceId === entry.choiceId);
+        const share = choice ? choice.share : 0;
+        const scene = RehearsalEngine.findScene(scenario, entry.scene);
+        const sceneName = scene ? FlowchartModule.getSceneName(scene) : 'that moment';
+
+        let comment = 'Right down the middle.';
+        if (share < 0.2) comment = 'A bold choice. I respect that.';
+        else if (share > 0.6) comment = 'The popular choice. There is safety in numbers.';
+
+        const observations = [`${this.percent(share)} of ${total} rehearsals at “${sceneName}” chose the same line. ${comment}`];
+
+        if (choice && choice.successRate !== null && choice.finishedRuns >= this.MIN_SAMPLE) {
+            observations.push(`Rehearsals that said it went on to succeed ${this.percent(choice.successRate)} of the time.`);
+        }
+        return observations;
+    },
+
+    // The success rate of finished rehearsals that passed through this scene
+    describeScene(insights, sceneId) {
+        const sceneStats = this.getSceneStats(insights, sceneId);
+        const finished = sceneStats ? sceneStats.finishedRuns : 0;
+
+        if (finished < this.MIN_SAMPLE || sceneStats.successRate === null) {
+            return `Only ${finished} finished rehearsal${finished === 1 ? ' has' : 's have'} been through this scene. ` +
+                `I need at least ${this.MIN_SAMPLE} before I quote a success rate. Only rehearsals shared as usage data count.`;
+        }
+        return `Rehearsals that reach this scene end in success ${this.percent(sceneStats.successRate)} of the time (${finished} finished runs).`;
+    },
+
+    // This run's score against the last earlier run that reached the same scene, and the best finished run
+    compareWithOwnRuns(scenario, sceneId) {
+        const current = FlowchartModule.getCurrentBranch(scenario.id);
+        const earlier = FlowchartModule.getBranches(scenario.id).filter(branch => branch !== current);
+        const score = RehearsalEngine.getScore(appState.playerStats, ConversationModule.getHintsUsed());
+        const maxScore = RehearsalEngine.STATS.length * RehearsalEngine.STAT_MAX;
+
+        if (earlier.length === 0) {
+            return [`First run of this scenario: ${score}/${maxScore} so far. Everything from here is the baseline.`];
+        }
+
+        const observations = [];
+        const previous = earlier.slice().reverse().find(branch => FlowchartModule.getBranchScenes(branch).includes(sceneId));
+
+        if (previous) {
+            const index = FlowchartModule.getBranchScenes(previous).indexOf(sceneId);
+            const steps = previous.steps.slice(0, index);
+            const previousScore = RehearsalEngine.getScore(this.replayStats(scenario, steps), this.countHints(steps));
+            const difference = score - previousScore;
+
+            let comment = 'Exactly the same. Consistency is its own kind of progress.';
+            if (difference > 0) comment = `Up ${difference}. The rehearsals are working.`;
+            else if (difference < 0) comment = `Down ${-difference}. Interesting. I've made a note.`;
+
+            observations.push(`Last time you reached this scene you had ${previousScore}/${maxScore}; now you have ${score}/${maxScore}. ${comment}`);
+        } else {
+            observations.push('None of your earlier runs reached this scene. New territory.');
+        }
+
+        const finished = earlier.filter(branch => branch.stats);
+        if (finished.length > 0) {
+            const best = Math.max(...finished.map(branch => RehearsalEngine.getScore(branch.stats, branch.hintsUsed || 0)));
+            observations.push(`Your best finished run scored ${best}/${maxScore} across ${finished.length} finished run${finished.length === 1 ? '' : 's'}.`);
+        }
+        return observations;
+    },
+
+    getSceneStats(insights, sceneId) {
+        return insights.scenes.find(scene => scene.sceneId === sceneId) || null;
+    },
+
+    // Stats after a list of { sceneId, choiceId } steps
+    replayStats(scenario, steps) {
+        return steps.reduce((stats, step) => {
+            const choice = RehearsalEngine.findChoice(RehearsalEngine.findScene(scenario, step.sceneId), step.choiceId);
+            return choice ? RehearsalEngine.applyImpact(stats, choice.impact) : stats;
+        }, RehearsalEngine.initialStats());
+    },
+
+    // Hints shown before a list of steps (branches saved before hints were recorded have none)
+    countHints(steps) {
+        return steps.reduce((sum, step) => sum + (step.hintsUsed || 0), 0);
+    },
+
+    percent(value) {
+        return `${Math.round(value * 100)}%`;
+    }
+};
+
+// Make globally accessible
+window.InsightsModule = InsightsModule;
@@ -96,6 +96,30 @@ function initializeModules() {
             console.warn('⚠️ ScenariosModule not available');
         }
         
+        // Restore saved progress; signed-in users' progress syncs with the backend
+        if (typeof ProgressModule !== 'undefined' && ProgressModule.init) {
+            ProgressModule.init();
+            console.log('✅ ProgressModule initialized');
+        } else {
+            console.warn('⚠️ ProgressModule not available');
+        }
+        
+        // Voice mode, if the learner turned it on last time
+        if (typeof VoiceModule !== 'undefined' && VoiceModule.init) {
+            VoiceModule.init();
+            console.log('✅ VoiceModule initialized');
+        } else {
+            console.warn('⚠️ VoiceModule not available');
+        }
+        
+        // Restore the flowcharts of earlier attempts
+        if (typeof FlowchartModule !== 'undefined' && FlowchartModule.init) {
+            FlowchartModule.init();
+            console.log('✅ FlowchartModule initialized');
+        } else {
+            console.warn('⚠️ FlowchartModule not available');
+        }
+        
         console.log('✅ Core modules initialization completed');
         
     } catch (error) {
@@ -162,57 +186,142 @@ function setupGlobalEventListeners() {
 }
 
 // Initialize crisis detection system
-function initializeCrisisDetection() {
-    // Crisis keywords for detection
-    const crisisKeywords = [
-        'suicide', 'kill myself', 'end it all', 'not worth living',
-        'hurt myself', 'self harm', 'cutting', 'overdose',
-        'can\'t go on', 'hopeless', 'worthless', 'burden'
-    ];
+async function initializeCrisisDetection() {
+    // Rules are shared with the server; nothing is flagged until they load
+    try {
+        const response = await fetch(CONFIG.CRISIS_RULES_URL);
+        CrisisDetector.configure(await response.json());
+    } catch (error) {
+        console.error('Failed to load crisis detection rules:', error);
+        return;
+    }
     
     // Setup crisis detection on text inputs
     document.addEventListener('input', (e) => {
         if (e.target.type === 'text' || e.target.tagName === 'TEXTAREA') {
-            const text = e.target.value.toLowerCase();
-            
-            const hasCrisisLanguage = crisisKeywords.some(keyword => 
-                text.includes(keyword.toLowerCase())
-            );
+            const detection = CrisisDetector.detect(e.target.value, { practiceRules: getCrisisPracticeRules() });
             
-            if (hasCrisisLanguage) {
-                showCrisisResources();
+            if (detection.isCrisis) {
+                showCrisisResources(detection);
             }
         }
     });
     
     // Monitor conversation choices for crisis indicators
     document.addEventListener('choiceMade', (e) => {
-        const choice = e.detail.choice.toLowerCase();
-        const hasCrisisLanguage = crisisKeywords.some(keyword => 
-            choice.includes(keyword)
-        );
+        const detection = CrisisDetector.detect(e.detail.choice, { practiceRules: getCrisisPracticeRules() });
         
-        if (hasCrisisLanguage) {
-            showCrisisResources();
+        if (detection.isCrisis) {
+            showCrisisResources(detection);
         }
     });
 }
 
-// Show crisis resources
-function showCrisisResources() {
+// Crisis rules the current scenario rehearses (e.g. asking the character about suicide)
+function getCrisisPracticeRules() {
+    const scenario = appState.scenarios[appState.currentScenario];
+    return (scenario && scenario.crisis && scenario.crisis.practiceRules) || [];
+}
+
+// Out of character: the learner needs help themselves, whatever the scenario is rehearsing
+function requestPersonalHelp() {
+    showCrisisResources({ source: 'self_report', tier: null, ruleId: null });
+}
+
+// Show crisis resources; detection is the CrisisDetector result, if any
+function showCrisisResources(detection) {
     const banner = document.getElementById('crisisBanner');
     if (banner) {
-        banner.style.display = 'block';
+        const source = detection ? (detection.source || 'automated_detection') : 'manual';
+        const alreadyShown = source === 'automated_detection' &&
+            banner.classList.contains('show') && banner.dataset.crisisRule === detection.ruleId;
+        banner.classList.add('show');
         banner.setAttribute('aria-live', 'assertive');
+        loadCrisisResources().then(renderCrisisResources);
+        
+        // Typing more of the same message doesn't log the same rule again
+        if (alreadyShown) return;
+        banner.dataset.crisisRule = detection && detection.ruleId ? detection.ruleId : '';
         
         // Log crisis detection for analytics
         AnalyticsModule.trackEvent('crisis_detected', {
             timestamp: new Date().toISOString(),
-            source: 'automated_detection'
+            source,
+            tier: detection ? detection.tier : null,
+            ruleId: detection ? detection.ruleId : null
         });
     }
 }
 
+// Crisis lines for this visitor's locale, fetched once; null keeps the banner's built-in US lines
+let crisisResourcesRequest = null;
+function loadCrisisResources() {
+    if (!crisisResourcesRequest) {
+        crisisResourcesRequest = fetch(`${CONFIG.API_BASE_URL}${CONFIG.CRISIS_RESOURCES_API}`)
+            .then(response => (response.ok ? response.json() : null))
+            .catch(error => {
+                console.error('Failed to load crisis resources:', error);
+                return null;
+            });
+    }
+    return crisisResourcesRequest;
+}
+
+// Replace the banner's resource line with the directory's entries for this locale
+function renderCrisisResources(directory) {
+    const line = document.querySelector('#crisisBanner .crisis-content p');
+    if (!line || !directory) return;
+    
+    const title = document.createElement('strong');
+    title.textContent = directory.countryName
+        ? `Crisis Resources (${directory.countryName}):`
+        : 'Crisis Resources:';
+    
+    const links = directory.resources
+        .slice(0, CONFIG.CRISIS_RESOURCES_SHOWN)
+        .concat(directory.international)
+        .map(createCrisisResourceLink);
+    
+    if (directory.emergency) {
+        const emergency = document.createElement('a');
+        emergency.href = `tel:${directory.emergency}`;
+        emergency.textContent = `Emergency: ${directory.emergency}`;
+        links.unshift(emergency);
+    }
+    
+    line.replaceChildren(title, ' ');
+    links.forEach((link, index) => {
+        if (index > 0) line.append(' | ');
+        line.append(link);
+    });
+}
+
+// A tel:, sms: or web link for one directory entry
+function createCrisisResourceLink(resource) {
+    const link = document.createElement('a');
+    const number = resource.contact.replace(/[^\d+]/g, '');
+    
+    switch (resource.type) {
+        case 'call':
+            link.href = `tel:${number}`;
+            link.textContent = `${resource.name}: call ${resource.contact}`;
+            break;
+        case 'text':
+            link.href = resource.keyword ? `sms:${number}?body=${encodeURIComponent(resource.keyword)}` : `sms:${number}`;
+            link.textContent = resource.keyword
+                ? `${resource.name}: text ${resource.keyword} to ${resource.contact}`
+                : `${resource.name}: text ${resource.contact}`;
+            break;
+        default:
+            link.href = resource.contact;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = resource.type === 'chat' ? `${resource.name} (online chat)` : resource.name;
+    }
+    
+    return link;
+}
+
 // Handle keyboard shortcuts
 function handleKeyboardShortcuts(e) {
     // Ctrl/Cmd + shortcuts
@@ -234,8 +343,8 @@ function handleKeyboardShortcuts(e) {
                 break;
             case 'e':
                 e.preventDefault();
-                if (AuthModule.isLoggedIn()) {
-                    AuthModule.exportUserData();
+                if (authSystem.isLoggedIn()) {
+                    authSystem.exportUserData();
                 }
                 break;
         }
@@ -276,6 +385,11 @@ function handleEscapeKey() {
         openModal.style.display = 'none';
         return;
     }
+    const shownModal = document.querySelector('.modal.show');
+    if (shownModal) {
+        shownModal.classList.remove('show');
+        return;
+    }
     
     // Return to scenarios if in conversation
     if (appState.currentScenario) {
@@ -291,10 +405,22 @@ function showInitialView() {
     const hash = window.location.hash;
     const urlParams = new URLSearchParams(window.location.search);
     const scenarioParam = urlParams.get('scenario');
+    const sessionParam = urlParams.get('session');
+    const previewParam = urlParams.get('preview');
     
     // If we're navigating to practice section or have a scenario parameter, show scenarios
-    if (hash === '#practice' || scenarioParam) {
-        if (scenarioParam) {
+    if (hash === '#practice' || scenarioParam || sessionParam || previewParam) {
+        if (previewParam) {
+            // "Play from this scene" in the scenario editor
+            beginRehearsal().then(() => startScenarioPreview(previewParam));
+        } else if (sessionParam) {
+            // Resume a server session started elsewhere
+            beginRehearsal().then(() => ConversationModule.resumeSession(sessionParam)).catch(error => {
+                console.error('❌ Could not resume session:', error);
+                ConversationModule.clearServerSession();
+                showErrorMessage('That rehearsal could not be resumed. Please pick a scenario.');
+            });
+        } else if (scenarioParam) {
             // Load scenarios first, then select specific scenario
             beginRehearsal().then(() => {
                 if (appState.scenarios && appState.scenarios[scenarioParam]) {
@@ -332,6 +458,36 @@ function showInitialView() {
     }
 }
 
+// Play the draft the scenario editor left in localStorage from one of its scenes. The draft
+// replaces the scenario list for this page, and nothing about the run is saved or sent anywhere.
+function startScenarioPreview(sceneId) {
+    let draft = null;
+    try {
+        draft = JSON.parse(localStorage.getItem(CONFIG.SCENARIO_PREVIEW_KEY));
+    } catch (error) {
+        console.warn('Could not read the scenario preview:', error.message);
+    }
+    
+    if (!draft || !Array.isArray(draft.scenes) || draft.scenes.length === 0) {
+        showErrorMessage('There is no draft to preview. Use "Play from this scene" in the scenario editor.');
+        return;
+    }
+    
+    const id = `preview-${draft.id || 'draft'}`;
+    appState.previewMode = true;
+    appState.scenarios = ScenarioSchema.normalizeScenarios({
+        [id]: { ...draft, title: `${draft.title || 'Untitled scenario'} (preview)` }
+    });
+    ScenariosModule.renderScenarios(appState.scenarios);
+    ScenariosModule.selectScenario(id);
+    
+    // Scenes off the start scene's paths are played from a clean slate
+    const scenario = appState.scenarios[id];
+    if (sceneId !== RehearsalEngine.findStartScene(scenario).id && RehearsalEngine.findScene(scenario, sceneId)) {
+        ConversationModule.replayFrom(sceneId, RehearsalEngine.findRoute(scenario, sceneId) || []);
+    }
+}
+
 // Show welcome message
 function showWelcomeMessage() {
     const welcome = document.createElement('div');
@@ -572,12 +728,13 @@ function showHeroSection() {
 // Global utility functions
 window.showHelp = showHelp;
 window.showCrisisResources = showCrisisResources;
+window.requestPersonalHelp = requestPersonalHelp;
 window.beginRehearsal = beginRehearsal;
 window.toggleUserMenu = toggleUserMenu;
-window.showLoginModal = () => AuthModule.showLoginModal();
-window.hideLoginModal = () => AuthModule.hideLoginModal();
-window.handleLogin = (event) => AuthModule.handleLogin(event);
-window.loginAsDemo = () => AuthModule.loginAsDemo();
+window.showLoginModal = () => authSystem.showLoginModal();
+window.hideLoginModal = () => authSystem.hideLoginModal();
+window.handleLogin = (event) => authSystem.handleLogin(event);
+window.loginAsDemo = () => authSystem.continueAsGuest();
 window.closeCrisisBanner = closeCrisisBanner;
 
 // Toggle user menu dropdown
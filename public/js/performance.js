@@ -11,14 +11,16 @@ const performanceMonitor = {
     this.trackScenarioPerformance();
   },
 
+  // Sent with the other usage events (see js/analytics.js)
   trackMetric(name, value) {
-    // In production, send to analytics service
     console.log(`Metric: ${name} = ${value}ms`);
+    AnalyticsModule.trackEvent('performance_metric', { name, value: Math.round(value) });
   },
 
+  // Scenario cards call ScenariosModule.selectScenario directly, so time that
   trackScenarioPerformance() {
-    const originalSelectScenario = window.selectScenario;
-    window.selectScenario = (scenarioId) => {
+    const originalSelectScenario = ScenariosModule.selectScenario.bind(ScenariosModule);
+    ScenariosModule.selectScenario = (scenarioId) => {
       const startTime = performance.now();
       originalSelectScenario(scenarioId);
       const endTime = performance.now();
@@ -0,0 +1,332 @@
+// Rehearsal progress that survives a reload - attempts, best score, endings and breakthroughs
+// found per scenario, kept in IndexedDB. Finished runs are queued there too; for signed-in
+// users they are sent to the backend, which replays the choices to score them, and the
+// backend's progress is merged back in so it follows the user across devices.
+const ProgressModule = {
+
+    DB_NAME: 'rehearsal-progress',
+    DB_VERSION: 1,
+
+    // Open database; null when IndexedDB is unavailable (progress then lasts until reload)
+    db: null,
+    syncing: false,
+
+    async init() {
+        try {
+            this.db = await this.openDatabase();
+            const records = await this.getAll('scenarios');
+            records.forEach(record => {
+                appState.rehearsalAttempts[record.scenarioId] = record.attempts;
+            });
+        } catch (error) {
+            console.warn('Progress will not be kept after a reload:', error.message);
+            this.db = null;
+        }
+
+        // Bring progress made as a guest into the account
+        document.addEventListener('userSignedIn', () => this.sync());
+
+        await this.sync();
+    },
+
+    // A scenario was started
+    async recordAttempt(scenarioId) {
+        await this.updateScenario(scenarioId, record => {
+            record.attempts += 1;
+            record.lastPlayedAt = new Date().toISOString();
+        });
+    },
+
+    // A run reached an ending: update the scenario's bests and queue the run for the backend
+    async recordCompletion(scenarioId, { steps, endSceneId, outcome, stats, breakthroughs, startedAt }) {
+        const now = new Date().toISOString();
+        const hintsUsed = steps.reduce((sum, step) => sum + (step.hintsUsed || 0), 0);
+        const score = RehearsalEngine.getScore(stats, hintsUsed);
+
+        const record = await this.updateScenario(scenarioId, entry => {
+            entry.completions += 1;
+            entry.bestScore = Math.max(entry.bestScore, score);
+            entry.lastPlayedAt = now;
+            entry.lastCompletedAt = now;
+            if (endSceneId && !entry.endingsFound.includes(endSceneId)) {
+                entry.endingsFound.push(endSceneId);
+            }
+            breakthroughs.forEach(sceneId => {
+                if (!entry.breakthroughsFound.includes(sceneId)) entry.breakthroughsFound.push(sceneId);
+            });
+        });
+        if (!record) return;
+
+        await this.put('runs', {
+            id: this.createRunId(),
+            scenarioId,
+            steps: steps.map(({ sceneId, choiceId, responseTime, timedOut, hintsUsed: stepHints }) => ({
+                sceneId,
+                choiceId,
+                ...(Number.isFinite(responseTime) && { responseTime }),
+                ...(timedOut && { timedOut }),
+                ...(stepHints > 0 && { hintsUsed: stepHints })
+            })),
+            endSceneId,
+            outcome,
+            score,
+            hintsUsed,
+            averageResponseTime: RehearsalEngine.getAverageResponseTime(steps),
+            startedAt: new Date(startedAt).toISOString(),
+            completedAt: now,
+            synced: false
+        });
+
+        await this.sync();
+    },
+
+    // Send unsynced runs to the backend, then merge its progress into ours. Guests keep
+    // everything on this device until they sign in. Runs the backend refuses are kept here,
+    // marked rejected, and not sent again.
+    async sync() {
+        if (!this.db || !authSystem.isLoggedIn() || this.syncing) return;
+        this.syncing = true;
+
+        try {
+            const runs = (await this.getAll('runs')).filter(run => !run.synced && !run.rejected);
+
+            for (const run of runs) {
+                const response = await authSystem.authFetch(`${CONFIG.BACKEND_URL}${CONFIG.CONVERSATION_IMPORT_API}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        id: run.id,
+                        scenarioId: run.scenarioId,
+                        choiceIds: run.steps.map(step => step.choiceId),
+                        timings: run.steps.map(step => ({
+                            ...(Number.isFinite(step.responseTime) && { responseTime: Math.round(step.responseTime) }),
+                            ...(step.timedOut && { timedOut: true }),
+                            ...(step.hintsUsed > 0 && { hintsUsed: step.hintsUsed })
+                        })),
+                        startedAt: run.startedAt
+                    })
+                });
+
+                // A run the backend can't replay (e.g. the scenario changed) would fail forever
+                if (response.status === 400 || response.status === 422) {
+                    const payload = await response.json().catch(() => ({}));
+                    await this.put('runs', { ...run, rejected: true, rejection: (payload.error && payload.error.message) || `HTTP ${response.status}` });
+                    continue;
+                }
+                if (!response.ok) {
+                    throw new Error(`Run upload failed: ${response.status}`);
+                }
+                await this.put('runs', { ...run, synced: true });
+            }
+
+            // Store an analytics snapshot now that there are new rehearsals
+            if (runs.length > 0) {
+                const timeZone = encodeURIComponent(Intl.DateTimeFormat().resolvedOptions().timeZone);
+                await authSystem.authFetch(`${CONFIG.BACKEND_URL}${CONFIG.ANALYTICS_API}/me/snapshots?timeZone=${timeZone}`, { method: 'POST' });
+            }
+
+            const response = await authSystem.authFetch(`${CONFIG.BACKEND_URL}${CONFIG.ANALYTICS_API}/me/progress`);
+            if (!response.ok) {
+                throw new Error(`Progress download failed: ${response.status}`);
+            }
+
+            const payload = await response.json();
+            await this.mergeRemote(payload.data.progress);
+        } catch (error) {
+            console.warn('Progress sync failed, will try again later:', error.message);
+        } finally {
+            this.syncing = false;
+        }
+
+        this.renderProgress();
+    },
+
+    // The backend's numbers include runs from other devices, so keep the larger of each
+    async mergeRemote(progress) {
+        for (const remote of progress) {
+            await this.updateScenario(remote.scenarioId, record => {
+                record.attempts = Math.max(record.attempts, remote.attempts);
+                record.completions = Math.max(record.completions, remote.completions);
+                record.bestScore = Math.max(record.bestScore, remote.bestScore);
+                remote.endingsFound.forEach(sceneId => {
+                    if (!record.endingsFound.includes(sceneId)) record.endingsFound.push(sceneId);
+                });
+                if (!record.firstPlayedAt || remote.firstPlayedAt < record.firstPlayedAt) record.firstPlayedAt = remote.firstPlayedAt;
+                if (!record.lastPlayedAt || remote.lastPlayedAt > record.lastPlayedAt) record.lastPlayedAt = remote.lastPlayedAt;
+            });
+        }
+    },
+
+    // "Your progress" summary and a badge row on every scenario card
+    async renderProgress() {
+        const records = this.db ? await this.getAll('scenarios').catch(() => []) : [];
+        const byScenario = new Map(records.map(record => [record.scenarioId, record]));
+
+        document.querySelectorAll('.scenario-card[data-scenario]').forEach(card => {
+            const existing = card.querySelector('.scenario-progress');
+            if (existing) existing.remove();
+
+            const record = byScenario.get(card.dataset.scenario);
+            const scenario = appState.scenarios[card.dataset.scenario];
+            if (record && scenario && record.attempts > 0) {
+                card.appendChild(this.createBadges(record, scenario));
+            }
+        });
+
+        const summary = document.getElementById('progressSummary');
+        if (summary) {
+            const played = records.filter(record => appState.scenarios[record.scenarioId] && record.attempts > 0);
+            const completed = played.filter(record => record.completions > 0);
+            const endings = played.reduce((sum, record) => sum + this.getEndingsFound(record, appState.scenarios[record.scenarioId]).length, 0);
+
+            summary.hidden = played.length === 0;
+            summary.textContent = `Your progress: ${completed.length} of ${Object.keys(appState.scenarios).length} scenarios completed, ` +
+                `${endings} ending${endings === 1 ? '' : 's'} found across ${played.length} scenario${played.length === 1 ? '' : 's'} played.`;
+        }
+
+        const syncError = document.getElementById('progressSyncError');
+        if (syncError) {
+            const runs = this.db ? await this.getAll('runs').catch(() => []) : [];
+            const rejected = runs.filter(run => run.rejected).length;
+
+            syncError.hidden = rejected === 0;
+            syncError.textContent = `${rejected} rehearsal${rejected === 1 ? '' : 's'} couldn't be saved to your account, ` +
+                'usually because the scenario has changed since. They still count on this device.';
+        }
+    },
+
+    createBadges(record, scenario) {
+        const endingsTotal = scenario.scenes.filter(scene => scene.isEnd).length;
+        const badges = [
+            record.completions > 0
+                ? ['completed', '✅ Completed']
+                : ['started', '▶️ Started'],
+            record.completions > 0 && ['best-score', `🏆 Best ${record.bestScore}/30`],
+            endingsTotal > 0 && ['endings', `🏁 ${this.getEndingsFound(record, scenario).length}/${endingsTotal} endings`],
+            ['attempts', `🔁 ${record.attempts} attempt${record.attempts === 1 ? '' : 's'}`]
+        ].filter(Boolean);
+
+        const container = document.createElement('div');
+        container.className = 'scenario-progress';
+        container.setAttribute('aria-label', 'Your progress on this scenario');
+        badges.forEach(([type, text]) => {
+            const badge = document.createElement('span');
+            badge.className = `progress-badge ${type}`;
+            badge.textContent = text;
+            container.appendChild(badge);
+        });
+
+        if (record.lastPlayedAt) {
+            container.title = `Last played ${new Date(record.lastPlayedAt).toLocaleDateString()}`;
+        }
+        return container;
+    },
+
+    // Endings that are still in the scenario (scenes may have been renamed since)
+    getEndingsFound(record, scenario) {
+        return record.endingsFound.filter(sceneId => {
+            const scene = RehearsalEngine.findScene(scenario, sceneId);
+            return scene && scene.isEnd;
+        });
+    },
+
+    // Editor previews leave no progress behind
+    async updateScenario(scenarioId, change) {
+        if (!this.db || appState.previewMode) return null;
+
+        try {
+            return await this.update('scenarios', scenarioId, stored => {
+                const record = stored || this.createScenarioRecord(scenarioId);
+                change(record);
+                return record;
+            });
+        } catch (error) {
+            console.warn('Could not save progress:', error.message);
+            return null;
+        }
+    },
+
+    createScenarioRecord(scenarioId) {
+        return {
+            scenarioId,
+            attempts: 0,
+            completions: 0,
+            bestScore: 0,
+            endingsFound: [],
+            breakthroughsFound: [],
+            firstPlayedAt: new Date().toISOString(),
+            lastPlayedAt: null,
+            lastCompletedAt: null
+        };
+    },
+
+    // Also the Conversation ID on the backend, which makes uploads safe to retry
+    createRunId() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `run-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    },
+
+    // IndexedDB helpers
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('scenarios', { keyPath: 'scenarioId' });
+                db.createObjectStore('runs', { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Run one request against a store and resolve with its result
+    request(storeName, mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(this.db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    get(storeName, key) {
+        return this.request(storeName, 'readonly', store => store.get(key));
+    },
+
+    getAll(storeName) {
+        return this.request(storeName, 'readonly', store => store.getAll());
+    },
+
+    put(storeName, value) {
+        return this.request(storeName, 'readwrite', store => store.put(value));
+    },
+
+    // Read, change and write a record in one transaction, so two updates can't both start
+    // from the same old record. Resolves with the record written once it is committed.
+    update(storeName, key, change) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            let record = null;
+
+            const request = store.get(key);
+            request.onsuccess = () => {
+                record = change(request.result);
+                store.put(record);
+            };
+            transaction.oncomplete = () => resolve(record);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+};
+
+// Make globally accessible
+window.ProgressModule = ProgressModule;
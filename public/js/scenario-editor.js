@@ -0,0 +1,906 @@
+// Scenario editor - write branching scenarios (character, scenes, choices, impacts,
+// breakthroughs and endings) and save them through the backend's scenario endpoints.
+// Problems are found by the same validator that checks the scenarios file on startup,
+// and "Play from this scene" hands the draft to the player (see startScenarioPreview in js/main.js).
+const ScenarioEditor = {
+
+    // The scenario being edited, in the scenarios.json shape
+    scenario: null,
+    // Its ID on the backend once saved; null for a new scenario
+    savedId: null,
+    status: 'draft',
+    selectedSceneId: null,
+    dirty: false,
+    issues: [],
+
+    // The signed-in author's scenarios (GET /api/scenarios/mine)
+    mine: [],
+
+    IMPACT_RANGE: { min: -5, max: 5 },
+
+    // Detail fields grouped in an optional object (see updateOptionalGroup)
+    OPTIONAL_GROUPS: ['character.voice', 'character.state', 'timer'],
+
+    init() {
+        this.form = document.getElementById('scenarioForm');
+        this.form.addEventListener('input', (e) => this.updateDetail(e.target));
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+
+        document.getElementById('editorScenarioList').addEventListener('change', (e) => this.open(e.target.value));
+        document.getElementById('editorNew').addEventListener('click', () => this.startNew());
+        document.getElementById('editorSave').addEventListener('click', () => this.save());
+        document.getElementById('editorPublish').addEventListener('click', () => this.save(this.status === 'published' ? 'draft' : 'published'));
+        document.getElementById('editorDelete').addEventListener('click', () => this.remove());
+        document.getElementById('editorExportTwee').addEventListener('click', () => this.exportTwee());
+        document.getElementById('editorImportTwee').addEventListener('click', () => document.getElementById('editorTweeFile').click());
+        document.getElementById('editorTweeFile').addEventListener('change', (e) => {
+            this.importTwee(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('editorAddScene').addEventListener('click', () => this.selectScene(this.addScene()));
+
+        window.addEventListener('beforeunload', (e) => {
+            if (this.dirty) e.preventDefault();
+        });
+
+        this.startNew();
+        this.loadMine();
+    },
+
+    // Blank scenario with an empty start scene
+    startNew() {
+        if (!this.confirmDiscard()) return;
+
+        this.scenario = {
+            title: '',
+            description: '',
+            category: '',
+            difficulty: 'intermediate',
+            character: { name: '', avatar: '', mood: '' },
+            scenes: [this.createScene(RehearsalEngine.START_SCENE)]
+        };
+        this.savedId = null;
+        this.status = 'draft';
+        this.dirty = false;
+        this.selectedSceneId = RehearsalEngine.START_SCENE;
+        this.render();
+    },
+
+    async loadMine() {
+        if (!authSystem.isLoggedIn()) {
+            this.mine = [];
+            this.renderScenarioList();
+            this.showMessage('You can write and preview scenarios as a guest. Sign in on the main page to save and publish them.');
+            return;
+        }
+
+        try {
+            const payload = await this.request('GET', '/mine');
+            this.mine = payload.data.scenarios;
+        } catch (error) {
+            console.warn('Could not load your scenarios:', error.message);
+            this.showMessage('Your saved scenarios are unavailable right now.', 'error');
+        }
+        this.renderScenarioList();
+    },
+
+    async open(id) {
+        if (!id || id === this.savedId) return;
+        if (!this.confirmDiscard()) {
+            this.renderScenarioList();
+            return;
+        }
+
+        try {
+            const payload = await this.request('GET', `/${encodeURIComponent(id)}`);
+            const { scenes, metadata, status, ...detail } = payload.data.scenario;
+
+            this.scenario = {
+                ...metadata,
+                id: detail.id,
+                title: detail.title,
+                description: detail.description,
+                category: detail.category,
+                difficulty: detail.difficulty,
+                character: { ...detail.character },
+                scenes
+            };
+            this.savedId = detail.id;
+            this.status = status;
+            this.dirty = false;
+            this.selectedSceneId = (RehearsalEngine.findStartScene(this.scenario) || {}).id || null;
+            this.render();
+            this.showMessage('');
+        } catch (error) {
+            this.showMessage(`Could not open that scenario. ${error.message}`, 'error');
+            this.renderScenarioList();
+        }
+    },
+
+    // Save the scenario; status publishes it or moves it back to draft. New scenarios are
+    // created as drafts first.
+    async save(status) {
+        if (!authSystem.isLoggedIn()) {
+            this.showMessage('Sign in on the main page to save scenarios. Your draft stays here until you leave.', 'error');
+            return;
+        }
+
+        try {
+            let payload = null;
+            if (!this.savedId) {
+                payload = await this.request('POST', '', this.scenario);
+                this.savedId = payload.data.scenario.id;
+                this.scenario.id = this.savedId;
+                this.renderDetails();
+            }
+            if (!payload || status) {
+                payload = await this.request('PUT', `/${encodeURIComponent(this.savedId)}`, { ...this.scenario, ...(status && { status }) });
+            }
+
+            this.scenario.id = payload.data.scenario.id;
+            this.status = payload.data.scenario.status;
+            this.dirty = false;
+            this.render();
+            this.showMessage(payload.message, 'success');
+            this.loadMine();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+            this.renderScenarioList();
+            this.renderToolbar();
+        }
+    },
+
+    async remove() {
+        if (!this.savedId || !confirm(`Delete "${this.scenario.title || this.savedId}"? Players will no longer see it.`)) return;
+
+        try {
+            await this.request('DELETE', `/${encodeURIComponent(this.savedId)}`);
+            this.dirty = false;
+            this.startNew();
+            this.showMessage('Scenario deleted.', 'success');
+            this.loadMine();
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    },
+
+    // Load a Twine story as a new, unsaved scenario. The server converts and checks it (see
+    // public/js/twee-converter.js); a story with problems still opens so they can be fixed here.
+    async importTwee(file) {
+        if (!file || !this.confirmDiscard()) return;
+
+        try {
+            const response = await fetch(`${CONFIG.SCENARIOS_API}/twee`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain' },
+                body: await file.text()
+            });
+            const payload = await response.json().catch(() => ({}));
+            if (!payload.scenario) {
+                throw new Error(payload.error || `Import failed: ${response.status}`);
+            }
+
+            this.scenario = { ...payload.scenario, id: payload.id };
+            this.savedId = null;
+            this.status = 'draft';
+            this.selectedSceneId = (RehearsalEngine.findStartScene(this.scenario) || {}).id || null;
+            this.render();
+            this.dirty = true;
+            this.renderToolbar();
+
+            const summary = `Imported "${this.scenario.title}" from ${file.name}. Save it to keep it.`;
+            this.showMessage([summary, ...payload.warnings].join('\n'), payload.warnings.length > 0 ? 'error' : 'success');
+        } catch (error) {
+            this.showMessage(`Could not import ${file.name}. ${error.message}`, 'error');
+        }
+    },
+
+    // Download the scenario as it stands, saved or not
+    exportTwee() {
+        const id = this.scenario.id || TweeConverter.slugify(this.scenario.title) || 'scenario';
+
+        try {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([TweeConverter.toTwee(id, this.scenario)], { type: 'text/plain' }));
+            link.download = `${id}.twee`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    },
+
+    // Call the backend's scenario endpoints and unwrap errors into a readable message
+    async request(method, path, body = null) {
+        const response = await authSystem.authFetch(`${CONFIG.BACKEND_URL}${CONFIG.SCENARIOS_API}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            ...(body && { body: JSON.stringify(body) })
+        });
+        const payload = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = payload.error || {};
+            throw new Error([error.message || `Request failed: ${response.status}`, ...this.describeErrorDetails(error.details)].join('\n'));
+        }
+        return payload;
+    },
+
+    // Publishing problems ({ problems }) or zod field errors ({ field: [messages] })
+    describeErrorDetails(details) {
+        if (!details || typeof details !== 'object') return [];
+        if (Array.isArray(details.problems)) return details.problems.map(problem => `• ${problem}`);
+        return Object.entries(details).map(([field, messages]) => `${field}: ${[].concat(messages).join(', ')}.`);
+    },
+
+    confirmDiscard() {
+        return !this.dirty || confirm('Discard your unsaved changes?');
+    },
+
+    // Something in the scenario changed: check it again and redraw the map
+    changed() {
+        this.dirty = true;
+        this.validate();
+        this.renderGraph();
+        this.renderIssues();
+        this.renderSceneIssues();
+        this.renderToolbar();
+    },
+
+    validate() {
+        const id = this.scenario.id || 'draft';
+        const required = [
+            ['title', 'The scenario needs a title'],
+            ['category', 'The scenario needs a category'],
+            ['character.name', 'The character needs a name']
+        ];
+
+        this.issues = [
+            ...required
+                .filter(([path]) => !String(this.getValue(this.scenario, path) || '').trim())
+                .map(([, message]) => ScenarioValidator.createIssue('error', 'missing-field', id, null, message)),
+            ...ScenarioValidator.validateScenario(id, this.scenario)
+        ];
+    },
+
+    // Scenario details form
+
+    updateDetail(input) {
+        if (!input.name) return;
+
+        if (input.name === 'id' && !input.value) {
+            delete this.scenario.id;
+        } else if (this.OPTIONAL_GROUPS.some(group => input.name.startsWith(`${group}.`))) {
+            this.updateOptionalGroup(input);
+        } else {
+            this.setValue(this.scenario, input.name, input.value);
+        }
+        this.changed();
+
+        // The scene form's countdown options depend on the scenario's timer
+        if (input.name.startsWith('timer.')) this.renderScene();
+    },
+
+    // Voice settings, the character's starting state and the countdown are optional; an emptied
+    // field goes back to the default, and a group with no fields left is removed
+    updateOptionalGroup(input) {
+        const path = input.name.split('.');
+        const key = path.pop();
+        const group = { ...this.getValue(this.scenario, path.join('.')) };
+
+        if (input.value === '') {
+            delete group[key];
+        } else {
+            group[key] = input.type === 'number' ? Number(input.value) : input.value;
+        }
+
+        const parent = path.length > 1 ? this.getValue(this.scenario, path.slice(0, -1).join('.')) : this.scenario;
+        if (Object.keys(group).length > 0) {
+            parent[path[path.length - 1]] = group;
+        } else {
+            delete parent[path[path.length - 1]];
+        }
+    },
+
+    renderDetails() {
+        Array.from(this.form.elements).forEach(input => {
+            if (!input.name) return;
+            const value = this.getValue(this.scenario, input.name);
+            input.value = value || value === 0 ? value : (input.tagName === 'SELECT' ? input.options[0].value : '');
+        });
+
+        // The ID is the scenario's address; it can't change once saved
+        this.form.elements.id.readOnly = Boolean(this.savedId);
+    },
+
+    // Scenes
+
+    createScene(id) {
+        return { id, text: '', dialogue: '', mood: '', choices: [] };
+    },
+
+    createChoice(next = '') {
+        return { text: '', impact: { empathy: 0, trust: 0, effectiveness: 0 }, next };
+    },
+
+    // Add an empty scene with an unused ID and return the ID
+    addScene() {
+        let number = this.scenario.scenes.length + 1;
+        while (RehearsalEngine.findScene(this.scenario, `scene-${number}`)) number++;
+
+        const id = `scene-${number}`;
+        this.scenario.scenes.push(this.createScene(id));
+        this.changed();
+        return id;
+    },
+
+    getSelectedScene() {
+        return RehearsalEngine.findScene(this.scenario, this.selectedSceneId);
+    },
+
+    selectScene(sceneId) {
+        this.selectedSceneId = sceneId;
+        this.renderGraph();
+        this.renderScene();
+    },
+
+    // Give a scene a new ID and point every choice and conditional rule that led to it at the new one
+    renameScene(scene, newId) {
+        const oldId = scene.id;
+        const retarget = (route) => {
+            if (route.next === oldId) route.next = newId;
+        };
+        this.scenario.scenes.forEach(other => {
+            (other.nextIf || []).forEach(retarget);
+            (other.choices || []).forEach(choice => {
+                retarget(choice);
+                (choice.nextIf || []).forEach(retarget);
+            });
+        });
+        scene.id = newId;
+        this.selectedSceneId = newId;
+        this.changed();
+        this.renderScene();
+    },
+
+    deleteScene(scene) {
+        if (!confirm(`Delete scene "${scene.id}"? Choices that lead to it will need a new destination.`)) return;
+
+        this.scenario.scenes = this.scenario.scenes.filter(other => other !== scene);
+        this.selectedSceneId = (RehearsalEngine.findStartScene(this.scenario) || {}).id || null;
+        this.changed();
+        this.renderScene();
+    },
+
+    // Open the draft in the player, starting at a scene
+    playFrom(sceneId) {
+        try {
+            localStorage.setItem(CONFIG.SCENARIO_PREVIEW_KEY, JSON.stringify(this.scenario));
+        } catch (error) {
+            this.showMessage(`Could not start the preview. ${error.message}`, 'error');
+            return;
+        }
+        window.open(`main.html?preview=${encodeURIComponent(sceneId)}`, '_blank');
+    },
+
+    // Rendering
+
+    render() {
+        this.validate();
+        this.renderDetails();
+        this.renderScenarioList();
+        this.renderToolbar();
+        this.renderGraph();
+        this.renderIssues();
+        this.renderScene();
+    },
+
+    renderScenarioList() {
+        const select = document.getElementById('editorScenarioList');
+        const options = this.mine.map(scenario => {
+            const option = new Option(`${scenario.title} (${scenario.status})`, scenario.id);
+            option.selected = scenario.id === this.savedId;
+            return option;
+        });
+        if (!this.savedId) {
+            options.unshift(new Option('Unsaved scenario', '', true, true));
+        }
+        select.replaceChildren(...options);
+    },
+
+    renderToolbar() {
+        const status = document.getElementById('editorStatus');
+        const publish = document.getElementById('editorPublish');
+        const errors = this.issues.filter(issue => issue.severity === 'error');
+        const published = this.status === 'published';
+
+        status.textContent = !this.savedId
+            ? 'Not saved yet'
+            : `${published ? 'Published' : 'Draft'}${this.dirty ? ' · unsaved changes' : ''}`;
+        status.className = `editor-status ${this.savedId ? this.status : 'new'}`;
+
+        publish.textContent = published ? 'Unpublish' : 'Publish';
+        publish.disabled = !published && errors.length > 0;
+        publish.title = publish.disabled ? 'Fix the problems listed under the scene map first' : '';
+        document.getElementById('editorDelete').disabled = !this.savedId;
+    },
+
+    // The scene map: every scene laid out like the player's flowchart, problems outlined
+    renderGraph() {
+        const container = document.getElementById('editorGraph');
+        const scenes = this.scenario.scenes.filter(scene => scene && scene.id);
+        if (scenes.length === 0) {
+            container.replaceChildren(this.createElement('p', 'editor-empty', 'No scenes yet. Add one to begin.'));
+            return;
+        }
+
+        const scenario = { ...this.scenario, scenes };
+        const { positions, width, height } = FlowchartModule.layout(scenario);
+        const sceneIssues = new Set(this.issues.filter(issue => issue.sceneId).map(issue => issue.sceneId));
+
+        const svg = FlowchartModule.createSvgElement('svg', {
+            class: 'flowchart-svg',
+            viewBox: `0 0 ${width} ${height}`,
+            width,
+            height,
+            role: 'img',
+            'aria-label': `Scene map for ${this.scenario.title || 'this scenario'}`
+        });
+        const edges = FlowchartModule.createSvgElement('g', { class: 'flowchart-edges' });
+        const nodes = FlowchartModule.createSvgElement('g', { class: 'flowchart-nodes' });
+
+        scenes.forEach(scene => {
+            (scene.choices || []).forEach(choice => {
+                RehearsalEngine.getNextRoutes(scene, choice).forEach(route => {
+                    if (!positions.has(route.next)) return;
+
+                    const classes = ['flowchart-edge', route.when && 'conditional', scene.id === this.selectedSceneId && 'on-path'];
+                    const edge = FlowchartModule.createSvgElement('path', {
+                        class: classes.filter(Boolean).join(' '),
+                        d: FlowchartModule.getEdgePath(positions.get(scene.id), positions.get(route.next))
+                    });
+                    const text = choice.text || '(no text yet)';
+                    const title = route.when ? `${text} (if ${RehearsalEngine.describeCondition(route.when)})` : text;
+                    edge.appendChild(FlowchartModule.createSvgElement('title', {}, title));
+                    edges.appendChild(edge);
+                });
+            });
+        });
+
+        scenes.forEach(scene => {
+            const classes = ['flowchart-node', 'reached'];
+            if (scene.id === this.selectedSceneId) classes.push('current');
+            if (scene.isEnd) classes.push('ending', `outcome-${scene.outcome || 'partial'}`);
+            if (scene.isBreakthrough) classes.push('breakthrough');
+            if (sceneIssues.has(scene.id)) classes.push('has-issues');
+
+            const position = positions.get(scene.id);
+            const label = FlowchartModule.getNodeLabel(scene, false);
+            const group = FlowchartModule.createSvgElement('g', {
+                class: classes.join(' '),
+                transform: `translate(${position.x}, ${position.y})`,
+                tabindex: '0',
+                role: 'button',
+                'aria-label': `Edit ${label}`
+            });
+            group.append(
+                FlowchartModule.createSvgElement('rect', { width: FlowchartModule.NODE_WIDTH, height: FlowchartModule.NODE_HEIGHT, rx: 8 }),
+                FlowchartModule.createSvgElement('text', { x: FlowchartModule.NODE_WIDTH / 2, y: FlowchartModule.NODE_HEIGHT / 2 }, label),
+                FlowchartModule.createSvgElement('title', {}, scene.text || scene.id)
+            );
+
+            group.addEventListener('click', () => this.selectScene(scene.id));
+            group.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.selectScene(scene.id);
+                }
+            });
+            nodes.appendChild(group);
+        });
+
+        svg.append(edges, nodes);
+        container.replaceChildren(svg);
+    },
+
+    renderIssues() {
+        const list = document.getElementById('editorIssues');
+        if (this.issues.length === 0) {
+            list.replaceChildren(this.createElement('li', 'editor-issue ok', 'No problems found. Ready to publish.'));
+            return;
+        }
+
+        list.replaceChildren(...this.issues.map(issue => {
+            const item = this.createElement('li', `editor-issue ${issue.severity}`, issue.message);
+            if (issue.sceneId && RehearsalEngine.findScene(this.scenario, issue.sceneId)) {
+                item.tabIndex = 0;
+                item.title = 'Edit this scene';
+                item.addEventListener('click', () => this.selectScene(issue.sceneId));
+                item.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') this.selectScene(issue.sceneId);
+                });
+            }
+            return item;
+        }));
+    },
+
+    // The selected scene's form. Typing updates the scenario in place; only changes to the
+    // form's shape (choices added or removed, endings toggled, IDs renamed) rebuild it.
+    renderScene() {
+        const container = document.getElementById('sceneEditor');
+        const scene = this.getSelectedScene();
+        if (!scene) {
+            container.replaceChildren(this.createElement('p', 'editor-empty', 'Select a scene on the map to edit it.'));
+            return;
+        }
+
+        const update = (field) => (e) => {
+            scene[field] = e.target.value;
+            this.changed();
+        };
+        const toggle = (field) => (e) => {
+            if (e.target.checked) scene[field] = true;
+            else delete scene[field];
+            this.changed();
+            this.renderScene();
+        };
+
+        const idInput = this.createInput('text', scene.id);
+        idInput.maxLength = 60;
+        idInput.addEventListener('change', () => {
+            const newId = idInput.value.trim();
+            if (newId && newId !== scene.id) this.renameScene(scene, newId);
+            else idInput.value = scene.id;
+        });
+
+        const fields = [
+            this.createField('Scene ID', idInput),
+            this.createField('Narration', this.createTextarea(scene.text, update('text'))),
+            this.createField('Dialogue', this.createTextarea(scene.dialogue, update('dialogue'))),
+            this.createField('Mood', this.createInput('text', scene.mood, update('mood'))),
+            this.createCheckbox('Breakthrough moment', scene.isBreakthrough, toggle('isBreakthrough')),
+            this.createCheckbox('Ending', scene.isEnd, toggle('isEnd'))
+        ];
+
+        if (this.scenario.timer && !scene.isEnd) {
+            fields.push(this.createCheckbox('No countdown in this scene', scene.timer === false, (e) => {
+                if (e.target.checked) scene.timer = false;
+                else delete scene.timer;
+                this.changed();
+                this.renderScene();
+            }));
+        }
+
+        if (scene.isEnd) {
+            const outcome = document.createElement('select');
+            outcome.append(new Option('Choose an outcome', ''), ...ScenarioValidator.OUTCOMES.map(value => new Option(value, value)));
+            outcome.value = scene.outcome || '';
+            outcome.addEventListener('change', () => {
+                if (outcome.value) scene.outcome = outcome.value;
+                else delete scene.outcome;
+                this.changed();
+            });
+            fields.push(
+                this.createField('Outcome', outcome),
+                this.createField('Key takeaway', this.createTextarea(scene.criticalInfo, update('criticalInfo')))
+            );
+        } else {
+            fields.push(this.renderChoices(scene), this.renderHints(scene));
+        }
+        fields.push(this.renderVariants(scene));
+
+        const actions = this.createElement('div', 'editor-scene-actions');
+        const play = this.createButton('▶ Play from this scene', () => this.playFrom(scene.id), 'primary');
+        const remove = this.createButton('Delete scene', () => this.deleteScene(scene), 'danger');
+        actions.append(play, remove);
+
+        this.sceneIssueList = this.createElement('ul', 'editor-issues');
+        container.replaceChildren(this.sceneIssueList, ...fields, actions);
+        this.renderSceneIssues();
+    },
+
+    renderChoices(scene) {
+        const section = this.createElement('div', 'editor-choices');
+        section.appendChild(this.createElement('h3', null, 'Choices'));
+        scene.choices = scene.choices || [];
+
+        scene.choices.forEach((choice, index) => {
+            const fieldset = document.createElement('fieldset');
+            fieldset.className = 'editor-choice';
+            fieldset.dataset.choiceIndex = index;
+            fieldset.appendChild(this.createElement('legend', null, `Choice ${index + 1}`));
+
+            fieldset.appendChild(this.createField('Line', this.createTextarea(choice.text, (e) => {
+                choice.text = e.target.value;
+                this.changed();
+            })));
+            fieldset.appendChild(this.createField('Leads to', this.createNextSelect(scene, choice)));
+            fieldset.appendChild(this.renderNextRules(scene, choice));
+
+            // One choice per timed scene can be the one taken when the countdown runs out
+            if (RehearsalEngine.getTimer(this.scenario, scene) || choice.onTimeout) {
+                fieldset.appendChild(this.createCheckbox('Taken when time runs out', choice.onTimeout, (e) => {
+                    scene.choices.forEach(other => delete other.onTimeout);
+                    if (e.target.checked) choice.onTimeout = true;
+                    this.changed();
+                    this.renderScene();
+                }));
+            }
+
+            const impacts = this.createElement('div', 'editor-impacts');
+            ScenarioValidator.IMPACT_KEYS.forEach(stat => {
+                const input = this.createInput('number', choice.impact && choice.impact[stat] !== undefined ? choice.impact[stat] : '', (e) => {
+                    choice.impact = choice.impact || {};
+                    if (e.target.value === '') delete choice.impact[stat];
+                    else choice.impact[stat] = Number(e.target.value);
+                    this.changed();
+                });
+                input.min = this.IMPACT_RANGE.min;
+                input.max = this.IMPACT_RANGE.max;
+                impacts.appendChild(this.createField(stat.charAt(0).toUpperCase() + stat.slice(1), input));
+            });
+            fieldset.appendChild(impacts);
+
+            fieldset.appendChild(this.createElement('ul', 'editor-issues choice-issues'));
+            fieldset.appendChild(this.createButton('Remove choice', () => {
+                scene.choices.splice(index, 1);
+                this.changed();
+                this.renderScene();
+            }, 'danger'));
+            section.appendChild(fieldset);
+        });
+
+        section.appendChild(this.createButton('+ Add choice', () => {
+            scene.choices.push(this.createChoice());
+            this.changed();
+            this.renderScene();
+        }));
+        return section;
+    },
+
+    // The scene's hints; an empty level is generated from the choices, shown as its placeholder
+    renderHints(scene) {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'editor-hints';
+        fieldset.appendChild(this.createElement('legend', null, 'Hints'));
+
+        const labels = { nudge: 'Nudge', principle: 'Principle', nearAnswer: 'Near answer' };
+        RehearsalEngine.HINT_LEVELS.forEach(level => {
+            const textarea = this.createTextarea(scene.hints && scene.hints[level], (e) => {
+                const hints = { ...scene.hints };
+                if (e.target.value.trim()) hints[level] = e.target.value;
+                else delete hints[level];
+
+                if (Object.keys(hints).length > 0) scene.hints = hints;
+                else delete scene.hints;
+                this.changed();
+            });
+
+            const generated = scene.choices.length > 0 && RehearsalEngine.generateHint(this.scenario, scene, level);
+            textarea.placeholder = generated ? `Generated: ${generated}` : '';
+            fieldset.appendChild(this.createField(labels[level], textarea));
+        });
+        return fieldset;
+    },
+
+    // Where the choice leads instead when the character's state matches; the first matching
+    // rule wins (see RehearsalEngine.resolveNext)
+    renderNextRules(scene, choice) {
+        const container = this.createElement('div', 'editor-rules');
+
+        (choice.nextIf || []).forEach((rule, index) => {
+            const row = this.createElement('div', 'editor-rule');
+            row.append(
+                this.createCondition(rule.when, (when) => {
+                    rule.when = when;
+                    this.changed();
+                }),
+                ' lead to ',
+                this.createNextSelect(scene, rule),
+                this.createButton('Remove', () => {
+                    choice.nextIf.splice(index, 1);
+                    if (choice.nextIf.length === 0) delete choice.nextIf;
+                    this.changed();
+                    this.renderScene();
+                }, 'danger')
+            );
+            container.appendChild(row);
+        });
+
+        container.appendChild(this.createButton('+ Add condition', () => {
+            choice.nextIf = [...(choice.nextIf || []), { when: { trust: { min: 6 } }, next: '' }];
+            this.changed();
+            this.renderScene();
+        }));
+        return container;
+    },
+
+    // The scene's mood and dialogue as the character plays it in a given state; the first
+    // matching variant wins (see RehearsalEngine.getSceneVariant)
+    renderVariants(scene) {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'editor-variants';
+        fieldset.appendChild(this.createElement('legend', null, 'Mood by character state'));
+
+        (scene.variants || []).forEach((variant, index) => {
+            const update = (field) => (e) => {
+                if (e.target.value) variant[field] = e.target.value;
+                else delete variant[field];
+                this.changed();
+            };
+
+            const row = this.createElement('div', 'editor-variant');
+            row.append(
+                this.createCondition(variant.when, (when) => {
+                    variant.when = when;
+                    this.changed();
+                }),
+                this.createField('Mood', this.createInput('text', variant.mood, update('mood'))),
+                this.createField('Dialogue', this.createTextarea(variant.dialogue, update('dialogue'))),
+                this.createButton('Remove', () => {
+                    scene.variants.splice(index, 1);
+                    if (scene.variants.length === 0) delete scene.variants;
+                    this.changed();
+                    this.renderScene();
+                }, 'danger')
+            );
+            fieldset.appendChild(row);
+        });
+
+        fieldset.appendChild(this.createButton('+ Add variant', () => {
+            scene.variants = [...(scene.variants || []), { when: { distress: { min: 7 } }, mood: '' }];
+            this.changed();
+            this.renderScene();
+        }));
+        return fieldset;
+    },
+
+    // "If trust ≥ 6": one bound on one part of the character's state. Conditions with more
+    // (written in the scenarios file or Twee) are shown as text and kept as they are.
+    createCondition(when, onChange) {
+        const entries = Object.entries(when || {});
+        const [key, range] = entries[0] || ['trust', { min: 5 }];
+        if (entries.length > 1 || (range.min !== undefined && range.max !== undefined)) {
+            return this.createElement('span', 'editor-condition', `If ${RehearsalEngine.describeCondition(when)}`);
+        }
+
+        const stat = document.createElement('select');
+        stat.append(...RehearsalEngine.CHARACTER_STATE.map(name => new Option(name, name)));
+        stat.value = key;
+
+        const bound = document.createElement('select');
+        bound.append(new Option('≥', 'min'), new Option('≤', 'max'));
+        bound.value = range.max !== undefined ? 'max' : 'min';
+
+        const value = this.createInput('number', range[bound.value]);
+        value.min = RehearsalEngine.STAT_MIN;
+        value.max = RehearsalEngine.STAT_MAX;
+
+        const emit = () => {
+            if (value.value === '') return;
+            onChange({ [stat.value]: { [bound.value]: Number(value.value) } });
+        };
+        stat.addEventListener('change', emit);
+        bound.addEventListener('change', emit);
+        value.addEventListener('input', emit);
+
+        const condition = this.createElement('span', 'editor-condition', 'If ');
+        condition.append(stat, bound, value);
+        return condition;
+    },
+
+    // Destination picker for a choice or rule: any scene, or a new one created on the spot
+    createNextSelect(scene, choice) {
+        const select = document.createElement('select');
+        const sceneIds = this.scenario.scenes.map(other => other.id).filter(Boolean);
+
+        select.append(
+            new Option('Choose a scene', ''),
+            ...sceneIds.map(id => new Option(id === scene.id ? `${id} (this scene)` : id, id)),
+            new Option('+ New scene', '__new__')
+        );
+        if (choice.next && !sceneIds.includes(choice.next)) {
+            select.appendChild(new Option(`${choice.next} (missing)`, choice.next));
+        }
+        select.value = choice.next || '';
+
+        select.addEventListener('change', () => {
+            if (select.value === '__new__') {
+                choice.next = this.addScene();
+                this.renderScene();
+                return;
+            }
+            choice.next = select.value;
+            this.changed();
+        });
+        return select;
+    },
+
+    // Problems with the selected scene, shown above its form and next to the choice they concern
+    renderSceneIssues() {
+        const scene = this.getSelectedScene();
+        if (!scene || !this.sceneIssueList) return;
+
+        const issues = this.issues.filter(issue => issue.sceneId === scene.id);
+        this.sceneIssueList.replaceChildren(...issues
+            .filter(issue => issue.choiceIndex === undefined)
+            .map(issue => this.createElement('li', `editor-issue ${issue.severity}`, issue.message)));
+
+        document.querySelectorAll('#sceneEditor .editor-choice').forEach(fieldset => {
+            const index = Number(fieldset.dataset.choiceIndex);
+            fieldset.querySelector('.choice-issues').replaceChildren(...issues
+                .filter(issue => issue.choiceIndex === index)
+                .map(issue => this.createElement('li', `editor-issue ${issue.severity}`, issue.message)));
+        });
+    },
+
+    showMessage(text, type = 'info') {
+        const message = document.getElementById('editorMessage');
+        message.textContent = text;
+        message.className = `editor-message ${type}`;
+    },
+
+    // DOM helpers
+
+    createElement(tag, className, text = null) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== null) element.textContent = text;
+        return element;
+    },
+
+    createField(labelText, control) {
+        const label = this.createElement('label', 'editor-field', labelText);
+        label.appendChild(control);
+        return label;
+    },
+
+    createInput(type, value, onInput = null) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.value = value === undefined || value === null ? '' : value;
+        if (onInput) input.addEventListener('input', onInput);
+        return input;
+    },
+
+    createTextarea(value, onInput) {
+        const textarea = document.createElement('textarea');
+        textarea.rows = 2;
+        textarea.value = value || '';
+        textarea.addEventListener('input', onInput);
+        return textarea;
+    },
+
+    createCheckbox(labelText, checked, onChange) {
+        const label = this.createElement('label', 'editor-checkbox');
+        const input = this.createInput('checkbox', '');
+        input.checked = Boolean(checked);
+        input.addEventListener('change', onChange);
+        label.append(input, ` ${labelText}`);
+        return label;
+    },
+
+    createButton(text, onClick, variant = '') {
+        const button = this.createElement('button', `editor-btn ${variant}`.trim(), text);
+        button.type = 'button';
+        button.addEventListener('click', onClick);
+        return button;
+    },
+
+    // "character.name" style paths into the scenario
+    getValue(object, path) {
+        return path.split('.').reduce((value, key) => (value ? value[key] : undefined), object);
+    },
+
+    setValue(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((current, key) => current[key] || (current[key] = {}), object);
+        target[last] = value;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => ScenarioEditor.init());
+
+// Make globally accessible
+window.ScenarioEditor = ScenarioEditor;
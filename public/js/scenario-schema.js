@@ -0,0 +1,94 @@
+// Canonical scenario schema - shared by the server and the browser
+//
+// One scenario, keyed by ID in public/data/scenarios.json and /api/scenarios:
+// {
+//   title, description, difficulty, category,
+//   character: {
+//     name, avatar, mood,
+//     voice?: { lang?, name?, rate?, pitch?, volume? },  // see js/voice.js
+//     state?: { trust?, openness?, distress? }         // starting state, 0-10 (RehearsalEngine.CHARACTER_STATE)
+//   },
+//   learningObjectives?: [{ id, text }],
+//   timer?: { seconds },                            // countdown on every scene with choices
+//   scenes: [{
+//     id, text, dialogue?, mood?, criticalInfo?,
+//     isBreakthrough?, isEnd?, outcome?,            // outcome: success | partial | failure
+//     timer?: { seconds } | false,                  // overrides the scenario's timer
+//     hints?: { nudge?, principle?, nearAnswer? },  // missing levels are generated (RehearsalEngine.getHint)
+//     nextIf?: [{ when, next }],                    // applies to every choice, after the choice's own rules
+//     variants?: [{ when, mood?, dialogue? }],      // the first matching one replaces mood and dialogue
+//     choices?: [{
+//       id, text, description?, impact: { empathy?, trust?, effectiveness? }, next,
+//       objectives?: { demonstrates?: [objectiveId], misses?: [objectiveId] },
+//       onTimeout?,                                 // taken when the countdown runs out
+//       nextIf?: [{ when, next }],                  // the first rule whose "when" matches replaces next
+//       characterImpact?: { trust?, openness?, distress? }  // else derived from impact
+//     }]
+//   }],
+//
+//   // Each "when" tests the character's state: { trust?: { min?, max? }, openness?, distress? },
+//   // bounds inclusive (RehearsalEngine.matchesState)
+//
+//   // Optional persona for the free-text conversation API
+//   initialMessage?, aiPersona?,
+//   responses?: { initial, patterns: { [category]: [reply, ...] } },
+//   responseEngine?                                 // pattern | llm (defaults to RESPONSE_ENGINE)
+//   rubric?                                         // supportive | crisis | self-advocacy (defaults by category)
+//
+//   // Crisis rules this scenario rehearses (public/data/crisis-rules.json); the learner asking
+//   // the character about them stays in the rehearsal
+//   crisis?: { practiceRules?: [ruleId, ...] }
+// }
+const ScenarioSchema = {
+
+    // Fill in derived fields so every consumer sees the same shape
+    normalizeScenario(id, scenario) {
+        return {
+            ...scenario,
+            id,
+            scenes: (scenario.scenes || []).map(scene => this.normalizeScene(scene))
+        };
+    },
+
+    // Give every choice a stable ID within its scene
+    normalizeScene(scene) {
+        if (!Array.isArray(scene.choices)) {
+            return { ...scene };
+        }
+
+        return {
+            ...scene,
+            choices: scene.choices.map((choice, index) => ({
+                ...choice,
+                id: choice.id || `choice-${index + 1}`
+            }))
+        };
+    },
+
+    // Normalize a whole scenarios file ({ [scenarioId]: scenario })
+    normalizeScenarios(data) {
+        const normalized = {};
+        Object.entries(data || {}).forEach(([id, scenario]) => {
+            normalized[id] = this.normalizeScenario(id, scenario);
+        });
+        return normalized;
+    },
+
+    // Whether a scenario carries the persona needed for free-text practice
+    supportsFreeText(scenario) {
+        return Boolean(scenario && scenario.responses && scenario.responses.patterns);
+    },
+
+    // Look up a scene by ID
+    findScene(scenario, sceneId) {
+        return (scenario.scenes || []).find(scene => scene.id === sceneId) || null;
+    }
+};
+
+// Export for Node (server) and the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioSchema;
+}
+if (typeof window !== 'undefined') {
+    window.ScenarioSchema = ScenarioSchema;
+}
@@ -0,0 +1,465 @@
+// Scenario graph validator - shared by the server, the CLI and the browser
+const ScenarioValidator = {
+
+    // Stats a choice is allowed to move
+    IMPACT_KEYS: ['empathy', 'trust', 'effectiveness'],
+
+    // Outcomes an ending may declare (matches ConversationOutcome.result)
+    OUTCOMES: ['success', 'partial', 'failure'],
+
+    // Free-text reply engines (see lib/response-engine.js)
+    RESPONSE_ENGINES: ['pattern', 'llm'],
+
+    // Feedback rubrics for the /end endpoint (see lib/feedback-engine.js)
+    RUBRICS: ['supportive', 'crisis', 'self-advocacy'],
+
+    // Speech synthesis settings a character's voice may set, with their ranges (see js/voice.js)
+    VOICE_RANGES: { rate: [0.5, 2], pitch: [0, 2], volume: [0, 1] },
+
+    // Seconds a timed scene may give (see RehearsalEngine.getTimer)
+    TIMER_SECONDS: [3, 300],
+
+    // Levels a scene's "hints" may set (see RehearsalEngine.getHint)
+    HINT_LEVELS: ['nudge', 'principle', 'nearAnswer'],
+
+    // The character's state that conditions and characterImpact may use (see RehearsalEngine.CHARACTER_STATE)
+    CHARACTER_STATE: ['trust', 'openness', 'distress'],
+    CHARACTER_RANGE: [0, 10],
+
+    // Every run starts here (see ConversationModule.startConversation)
+    START_SCENE: 'intro',
+
+    // Validate a whole scenarios file ({ [scenarioId]: scenario })
+    validateScenarios(data) {
+        const issues = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            issues.push(this.createIssue('error', 'invalid-file', null, null, 'Scenario data must be an object keyed by scenario ID'));
+        } else {
+            Object.entries(data).forEach(([id, scenario]) => {
+                issues.push(...this.validateScenario(id, scenario));
+            });
+        }
+
+        const errors = issues.filter(issue => issue.severity === 'error');
+        const warnings = issues.filter(issue => issue.severity === 'warning');
+
+        return {
+            valid: errors.length === 0,
+            scenarioCount: data && typeof data === 'object' ? Object.keys(data).length : 0,
+            errors,
+            warnings
+        };
+    },
+
+    // Validate a single scenario and return its issues
+    validateScenario(id, scenario) {
+        const issues = [];
+
+        if (!scenario || typeof scenario !== 'object' || !Array.isArray(scenario.scenes)) {
+            issues.push(this.createIssue('error', 'invalid-scenario', id, null, 'Scenario must have a "scenes" array'));
+            return issues;
+        }
+
+        // Index scenes by ID, flagging duplicates
+        const scenes = new Map();
+        scenario.scenes.forEach((scene, index) => {
+            if (!scene || typeof scene.id !== 'string' || !scene.id) {
+                issues.push(this.createIssue('error', 'missing-scene-id', id, null, `Scene at index ${index} has no "id"`));
+                return;
+            }
+            if (scenes.has(scene.id)) {
+                issues.push(this.createIssue('error', 'duplicate-scene', id, scene.id, `Scene "${scene.id}" is defined more than once`));
+                return;
+            }
+            scenes.set(scene.id, scene);
+        });
+
+        if (!scenes.has(this.START_SCENE)) {
+            issues.push(this.createIssue('error', 'missing-intro', id, null, `Scenario has no "${this.START_SCENE}" scene`));
+        }
+
+        scenes.forEach(scene => {
+            issues.push(...this.validateScene(id, scene, scenes));
+        });
+
+        issues.push(...this.validatePersona(id, scenario));
+        issues.push(...this.validateVoice(id, scenario));
+        issues.push(...this.validateTimers(id, scenario));
+        issues.push(...this.validateCharacterState(id, scenario));
+        issues.push(...this.validateCrisis(id, scenario));
+        issues.push(...this.validateObjectives(id, scenario));
+
+        // Anything the intro can't reach is dead content
+        if (scenes.has(this.START_SCENE)) {
+            const reachable = this.findReachableScenes(this.START_SCENE, scenes);
+            scenes.forEach((scene, sceneId) => {
+                if (!reachable.has(sceneId)) {
+                    issues.push(this.createIssue('warning', 'unreachable-scene', id, sceneId, `Scene "${sceneId}" cannot be reached from "${this.START_SCENE}"`));
+                }
+            });
+        }
+
+        return issues;
+    },
+
+    // Validate a scene's ending and choices
+    validateScene(scenarioId, scene, scenes) {
+        const issues = [];
+        const choices = Array.isArray(scene.choices) ? scene.choices : [];
+
+        if (scene.isEnd) {
+            if (!scene.outcome) {
+                issues.push(this.createIssue('error', 'missing-outcome', scenarioId, scene.id, `Ending "${scene.id}" has no "outcome"`));
+            } else if (!this.OUTCOMES.includes(scene.outcome)) {
+                issues.push(this.createIssue('error', 'invalid-outcome', scenarioId, scene.id, `Ending "${scene.id}" has unknown outcome "${scene.outcome}" (expected ${this.OUTCOMES.join(', ')})`));
+            }
+        } else if (choices.length === 0) {
+            issues.push(this.createIssue('error', 'dead-end', scenarioId, scene.id, `Scene "${scene.id}" has no choices and is not an ending`));
+        }
+
+        const choiceIds = new Set();
+
+        choices.forEach((choice, index) => {
+            const label = `Choice ${index + 1} in "${scene.id}"`;
+
+            if (choice.id) {
+                if (choiceIds.has(choice.id)) {
+                    issues.push(this.createIssue('error', 'duplicate-choice', scenarioId, scene.id, `${label} reuses choice ID "${choice.id}"`, { choiceIndex: index }));
+                }
+                choiceIds.add(choice.id);
+            }
+
+            if (!choice.isEnd && !scenes.has(choice.next)) {
+                const message = choice.next
+                    ? `${label} leads to missing scene "${choice.next}"`
+                    : `${label} has no "next" scene`;
+                issues.push(this.createIssue('error', 'dangling-next', scenarioId, scene.id, message, { choiceIndex: index, next: choice.next }));
+            }
+
+            if (Array.isArray(choice.nextIf)) {
+                choice.nextIf.forEach((rule, ruleIndex) => {
+                    issues.push(...this.validateRule(scenarioId, scene.id, `${label} rule ${ruleIndex + 1}`, rule, scenes, { choiceIndex: index }));
+                });
+            } else if (choice.nextIf !== undefined) {
+                issues.push(this.createIssue('error', 'invalid-condition', scenarioId, scene.id, `${label} "nextIf" must be a list of rules`, { choiceIndex: index }));
+            }
+
+            Object.entries(choice.characterImpact || {}).forEach(([key, value]) => {
+                if (!this.CHARACTER_STATE.includes(key)) {
+                    issues.push(this.createIssue('error', 'unknown-character-key', scenarioId, scene.id, `${label} has unknown character impact "${key}" (expected ${this.CHARACTER_STATE.join(', ')})`, { choiceIndex: index }));
+                } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    issues.push(this.createIssue('error', 'invalid-impact', scenarioId, scene.id, `${label} has a non-numeric "${key}" character impact`, { choiceIndex: index }));
+                }
+            });
+
+            Object.entries(choice.impact || {}).forEach(([stat, value]) => {
+                if (!this.IMPACT_KEYS.includes(stat)) {
+                    issues.push(this.createIssue('error', 'unknown-impact-key', scenarioId, scene.id, `${label} has unknown impact "${stat}" (expected ${this.IMPACT_KEYS.join(', ')})`, { choiceIndex: index, stat }));
+                } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    issues.push(this.createIssue('error', 'invalid-impact', scenarioId, scene.id, `${label} has a non-numeric "${stat}" impact`, { choiceIndex: index, stat }));
+                }
+            });
+        });
+
+        issues.push(...this.validateHints(scenarioId, scene, choices));
+
+        if (Array.isArray(scene.nextIf)) {
+            scene.nextIf.forEach((rule, ruleIndex) => {
+                issues.push(...this.validateRule(scenarioId, scene.id, `Scene "${scene.id}" rule ${ruleIndex + 1}`, rule, scenes));
+            });
+            if (choices.length === 0) {
+                issues.push(this.createIssue('warning', 'unused-condition', scenarioId, scene.id, `Scene "${scene.id}" has "nextIf" rules but no choices to apply them to`));
+            }
+        } else if (scene.nextIf !== undefined) {
+            issues.push(this.createIssue('error', 'invalid-condition', scenarioId, scene.id, `Scene "${scene.id}" "nextIf" must be a list of rules`));
+        }
+
+        if (Array.isArray(scene.variants)) {
+            scene.variants.forEach((variant, variantIndex) => {
+                const label = `Scene "${scene.id}" variant ${variantIndex + 1}`;
+                issues.push(...this.validateCondition(scenarioId, scene.id, label, variant && variant.when));
+                if (variant && !variant.mood && !variant.dialogue) {
+                    issues.push(this.createIssue('error', 'invalid-condition', scenarioId, scene.id, `${label} changes neither "mood" nor "dialogue"`));
+                }
+            });
+        } else if (scene.variants !== undefined) {
+            issues.push(this.createIssue('error', 'invalid-condition', scenarioId, scene.id, `Scene "${scene.id}" "variants" must be a list`));
+        }
+
+        return issues;
+    },
+
+    // A conditional next rule: { when, next } with a scene to go to
+    validateRule(scenarioId, sceneId, label, rule, scenes, extra = {}) {
+        const issues = this.validateCondition(scenarioId, sceneId, label, rule && rule.when, extra);
+
+        if (rule && !scenes.has(rule.next)) {
+            const message = rule.next ? `${label} leads to missing scene "${rule.next}"` : `${label} has no "next" scene`;
+            issues.push(this.createIssue('error', 'dangling-next', scenarioId, sceneId, message, { ...extra, next: rule.next }));
+        }
+        return issues;
+    },
+
+    // A "when" on the character's state: { trust: { min: 6 } }, with at least one key and bound
+    validateCondition(scenarioId, sceneId, label, when, extra = {}) {
+        const [min, max] = this.CHARACTER_RANGE;
+        const invalid = message => [this.createIssue('error', 'invalid-condition', scenarioId, sceneId, `${label} ${message}`, extra)];
+
+        if (!when || typeof when !== 'object' || Array.isArray(when) || Object.keys(when).length === 0) {
+            return invalid(`needs a "when", e.g. { "trust": { "min": 6 } }`);
+        }
+
+        return Object.entries(when).flatMap(([key, range]) => {
+            if (!this.CHARACTER_STATE.includes(key)) {
+                return invalid(`tests unknown "${key}" (expected ${this.CHARACTER_STATE.join(', ')})`);
+            }
+
+            const bounds = range && typeof range === 'object' ? Object.entries(range) : [];
+            const isValid = bounds.length > 0 && bounds.every(([bound, value]) =>
+                ['min', 'max'].includes(bound) && typeof value === 'number' && value >= min && value <= max);
+            return isValid ? [] : invalid(`needs "${key}" as { "min"?, "max"? } between ${min} and ${max}`);
+        });
+    },
+
+    // Starting values for the character's state: character.state { trust?, openness?, distress? }
+    validateCharacterState(scenarioId, scenario) {
+        const state = scenario.character && scenario.character.state;
+        if (state === undefined) return [];
+
+        const [min, max] = this.CHARACTER_RANGE;
+        if (!state || typeof state !== 'object' || Array.isArray(state)) {
+            return [this.createIssue('error', 'invalid-character-state', scenarioId, null, '"character.state" must be an object')];
+        }
+
+        return Object.entries(state)
+            .filter(([key, value]) => !this.CHARACTER_STATE.includes(key) || typeof value !== 'number' || value < min || value > max)
+            .map(([key]) => this.createIssue('error', 'invalid-character-state', scenarioId, null,
+                `"character.state.${key}" must be one of ${this.CHARACTER_STATE.join(', ')}, between ${min} and ${max}`));
+    },
+
+    // Optional author-written hints: { nudge?, principle?, nearAnswer? }, each non-empty text
+    validateHints(scenarioId, scene, choices) {
+        if (scene.hints === undefined) return [];
+
+        if (!scene.hints || typeof scene.hints !== 'object' || Array.isArray(scene.hints)) {
+            return [this.createIssue('error', 'invalid-hint', scenarioId, scene.id, `Scene "${scene.id}" "hints" must be an object`)];
+        }
+
+        const issues = [];
+        Object.entries(scene.hints).forEach(([level, text]) => {
+            if (!this.HINT_LEVELS.includes(level)) {
+                issues.push(this.createIssue('error', 'invalid-hint', scenarioId, scene.id, `Scene "${scene.id}" has unknown hint level "${level}" (expected ${this.HINT_LEVELS.join(', ')})`));
+            } else if (typeof text !== 'string' || !text.trim()) {
+                issues.push(this.createIssue('error', 'invalid-hint', scenarioId, scene.id, `Scene "${scene.id}" hint "${level}" must be non-empty text`));
+            }
+        });
+
+        if (choices.length === 0) {
+            issues.push(this.createIssue('warning', 'unused-hints', scenarioId, scene.id, `Scene "${scene.id}" has hints but no choices to give them for`));
+        }
+        return issues;
+    },
+
+    // Optional free-text persona (see ScenarioSchema)
+    validatePersona(scenarioId, scenario) {
+        const issues = [];
+        const responses = scenario.responses;
+
+        if (scenario.responseEngine !== undefined && !this.RESPONSE_ENGINES.includes(scenario.responseEngine)) {
+            issues.push(this.createIssue('error', 'invalid-persona', scenarioId, null, `Unknown "responseEngine" "${scenario.responseEngine}" (expected ${this.RESPONSE_ENGINES.join(', ')})`));
+        }
+
+        if (scenario.rubric !== undefined && !this.RUBRICS.includes(scenario.rubric)) {
+            issues.push(this.createIssue('error', 'invalid-persona', scenarioId, null, `Unknown "rubric" "${scenario.rubric}" (expected ${this.RUBRICS.join(', ')})`));
+        }
+
+        if (responses === undefined) {
+            return issues;
+        }
+
+        if (!responses || typeof responses.initial !== 'string' || !responses.patterns || typeof responses.patterns !== 'object') {
+            issues.push(this.createIssue('error', 'invalid-persona', scenarioId, null, '"responses" must have an "initial" string and a "patterns" object'));
+            return issues;
+        }
+
+        Object.entries(responses.patterns).forEach(([category, replies]) => {
+            if (!Array.isArray(replies) || replies.length === 0 || replies.some(reply => typeof reply !== 'string')) {
+                issues.push(this.createIssue('error', 'invalid-persona', scenarioId, null, `Response pattern "${category}" must be a non-empty list of strings`));
+            }
+        });
+
+        return issues;
+    },
+
+    // Optional voice-mode settings for the character
+    validateVoice(scenarioId, scenario) {
+        const voice = scenario.character && scenario.character.voice;
+        if (voice === undefined) {
+            return [];
+        }
+
+        if (!voice || typeof voice !== 'object' || Array.isArray(voice)) {
+            return [this.createIssue('error', 'invalid-voice', scenarioId, null, '"character.voice" must be an object')];
+        }
+
+        const issues = [];
+        ['lang', 'name'].forEach(key => {
+            if (voice[key] !== undefined && typeof voice[key] !== 'string') {
+                issues.push(this.createIssue('error', 'invalid-voice', scenarioId, null, `"character.voice.${key}" must be a string`));
+            }
+        });
+        Object.entries(this.VOICE_RANGES).forEach(([key, [min, max]]) => {
+            const value = voice[key];
+            if (value !== undefined && (typeof value !== 'number' || value < min || value > max)) {
+                issues.push(this.createIssue('error', 'invalid-voice', scenarioId, null, `"character.voice.${key}" must be a number from ${min} to ${max}`));
+            }
+        });
+
+        return issues;
+    },
+
+    // Countdowns: { seconds } on the scenario or a scene (false switches a scene's off), and at
+    // most one "onTimeout" choice per scene
+    validateTimers(scenarioId, scenario) {
+        const issues = [];
+        const [min, max] = this.TIMER_SECONDS;
+        const isValidTimer = timer => Boolean(timer) && typeof timer === 'object' &&
+            typeof timer.seconds === 'number' && timer.seconds >= min && timer.seconds <= max;
+
+        if (scenario.timer !== undefined && !isValidTimer(scenario.timer)) {
+            issues.push(this.createIssue('error', 'invalid-timer', scenarioId, null, `"timer" must be { "seconds": ${min}-${max} }`));
+        }
+
+        scenario.scenes.forEach(scene => {
+            if (!scene) return;
+
+            if (scene.timer !== undefined && scene.timer !== false && !isValidTimer(scene.timer)) {
+                issues.push(this.createIssue('error', 'invalid-timer', scenarioId, scene.id, `Scene "${scene.id}" "timer" must be false or { "seconds": ${min}-${max} }`));
+            }
+
+            const choices = Array.isArray(scene.choices) ? scene.choices : [];
+            choices.forEach((choice, index) => {
+                if (choice && choice.onTimeout !== undefined && typeof choice.onTimeout !== 'boolean') {
+                    issues.push(this.createIssue('error', 'invalid-timer', scenarioId, scene.id, `Choice ${index + 1} in "${scene.id}" has a non-boolean "onTimeout"`, { choiceIndex: index }));
+                }
+            });
+
+            const timeoutChoices = choices.filter(choice => choice && choice.onTimeout === true);
+            if (timeoutChoices.length > 1) {
+                issues.push(this.createIssue('error', 'invalid-timer', scenarioId, scene.id, `Scene "${scene.id}" marks ${timeoutChoices.length} choices "onTimeout" (expected at most one)`));
+            }
+
+            const timer = scene.timer !== undefined ? scene.timer : scenario.timer;
+            if (timeoutChoices.length > 0 && !timer) {
+                issues.push(this.createIssue('warning', 'unused-timeout-choice', scenarioId, scene.id, `Scene "${scene.id}" has an "onTimeout" choice but no timer`));
+            }
+        });
+
+        return issues;
+    },
+
+    // Learning objectives must have unique IDs, and choices may only tag declared ones
+    validateObjectives(scenarioId, scenario) {
+        const issues = [];
+        const objectives = scenario.learningObjectives === undefined ? [] : scenario.learningObjectives;
+        const objectiveIds = new Set();
+
+        if (!Array.isArray(objectives)) {
+            return [this.createIssue('error', 'invalid-objective', scenarioId, null, '"learningObjectives" must be a list of { id, text }')];
+        }
+
+        objectives.forEach((objective, index) => {
+            if (!objective || typeof objective.id !== 'string' || !objective.id || typeof objective.text !== 'string') {
+                issues.push(this.createIssue('error', 'invalid-objective', scenarioId, null, `Learning objective ${index + 1} needs an "id" and a "text"`));
+            } else if (objectiveIds.has(objective.id)) {
+                issues.push(this.createIssue('error', 'invalid-objective', scenarioId, null, `Learning objective "${objective.id}" is defined more than once`));
+            } else {
+                objectiveIds.add(objective.id);
+            }
+        });
+
+        scenario.scenes.forEach(scene => {
+            (Array.isArray(scene && scene.choices) ? scene.choices : []).forEach((choice, index) => {
+                if (!choice || choice.objectives === undefined) return;
+
+                ['demonstrates', 'misses'].forEach(kind => {
+                    const tagged = choice.objectives[kind] || [];
+                    if (!Array.isArray(tagged)) {
+                        issues.push(this.createIssue('error', 'invalid-objective', scenarioId, scene.id, `Choice ${index + 1} in "${scene.id}" has a non-list "objectives.${kind}"`, { choiceIndex: index }));
+                        return;
+                    }
+                    tagged.filter(objectiveId => !objectiveIds.has(objectiveId)).forEach(objectiveId => {
+                        issues.push(this.createIssue('error', 'unknown-objective', scenarioId, scene.id, `Choice ${index + 1} in "${scene.id}" tags unknown learning objective "${objectiveId}"`, { choiceIndex: index, objectiveId }));
+                    });
+                });
+            });
+        });
+
+        return issues;
+    },
+
+    // Check the scenario's crisis overrides; rule IDs are checked against the rules file at startup
+    validateCrisis(scenarioId, scenario) {
+        const crisis = scenario.crisis;
+        if (crisis === undefined) {
+            return [];
+        }
+
+        const practiceRules = crisis && crisis.practiceRules;
+        if (!crisis || typeof crisis !== 'object' || (practiceRules !== undefined &&
+            (!Array.isArray(practiceRules) || practiceRules.some(ruleId => typeof ruleId !== 'string')))) {
+            return [this.createIssue('error', 'invalid-crisis', scenarioId, null, '"crisis" must be an object whose "practiceRules" is a list of crisis rule IDs')];
+        }
+
+        return [];
+    },
+
+    // Breadth-first walk of the scene graph
+    findReachableScenes(startId, scenes) {
+        const reachable = new Set([startId]);
+        const queue = [startId];
+
+        while (queue.length > 0) {
+            const scene = scenes.get(queue.shift());
+            const sceneRules = scene && Array.isArray(scene.nextIf) ? scene.nextIf : [];
+            (scene && Array.isArray(scene.choices) ? scene.choices : []).forEach(choice => {
+                const rules = [...(Array.isArray(choice.nextIf) ? choice.nextIf : []), ...sceneRules];
+                [choice.next, ...rules.map(rule => rule && rule.next)].forEach(next => {
+                    if (scenes.has(next) && !reachable.has(next)) {
+                        reachable.add(next);
+                        queue.push(next);
+                    }
+                });
+            });
+        }
+
+        return reachable;
+    },
+
+    // Build a single issue record
+    createIssue(severity, code, scenarioId, sceneId, message, extra = {}) {
+        return { severity, code, scenarioId, sceneId, message, ...extra };
+    },
+
+    // Human-readable report for the CLI and server logs
+    formatReport(report) {
+        const lines = [];
+
+        [...report.errors, ...report.warnings].forEach(issue => {
+            const location = [issue.scenarioId, issue.sceneId].filter(Boolean).join(' > ') || '(file)';
+            lines.push(`${issue.severity.toUpperCase()} [${issue.code}] ${location}: ${issue.message}`);
+        });
+
+        lines.push(`${report.scenarioCount} scenarios checked: ${report.errors.length} errors, ${report.warnings.length} warnings`);
+        return lines.join('\n');
+    }
+};
+
+// Export for Node (server and CLI) and the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScenarioValidator;
+}
+if (typeof window !== 'undefined') {
+    window.ScenarioValidator = ScenarioValidator;
+}
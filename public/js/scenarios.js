@@ -11,7 +11,7 @@ const ScenariosModule = {
                 throw new Error(`Failed to load scenarios: ${response.status}`);
             }
             
-            const data = await response.json();
+            const data = ScenarioSchema.normalizeScenarios(await response.json());
             appState.scenarios = data;
             
             console.log('Scenarios loaded successfully:', Object.keys(data).length);
@@ -19,11 +19,11 @@ const ScenariosModule = {
         } catch (error) {
             console.error('Error loading scenarios:', error);
             
-            // Fallback: try to load from API
+            // Fallback: the API serves the same scenario schema as the JSON file
             try {
                 const apiResponse = await fetch(CONFIG.SCENARIOS_API);
                 if (apiResponse.ok) {
-                    const apiData = await apiResponse.json();
+                    const apiData = ScenarioSchema.normalizeScenarios(await apiResponse.json());
                     appState.scenarios = apiData;
                     return apiData;
                 }
@@ -62,6 +62,9 @@ const ScenariosModule = {
         });
         
         console.log('Scenarios rendered:', Object.keys(scenarios).length);
+        
+        // Completion badges from saved progress
+        ProgressModule.renderProgress();
     },
     
     // Create individual scenario card
@@ -138,6 +141,7 @@ const ScenariosModule = {
             appState.rehearsalAttempts[scenarioId] = 0;
         }
         appState.rehearsalAttempts[scenarioId]++;
+        ProgressModule.recordAttempt(scenarioId);
         
         // Update UI
         this.showConversationInterface();
@@ -174,6 +178,9 @@ const ScenariosModule = {
             conversationInterface.classList.remove('active');
         }
         
+        // The character stops talking when the learner leaves
+        VoiceModule.stop();
+        
         if (scenarioSelection) {
             scenarioSelection.style.display = 'block';
             scenarioSelection.scrollIntoView({ behavior: 'smooth', block: 'start' });
@@ -183,6 +190,7 @@ const ScenariosModule = {
         appState.currentScenario = null;
         appState.currentScene = 0;
         appState.conversationHistory = [];
+        ConversationModule.clearServerSession();
         
         // Clear selected cards
         document.querySelectorAll('.scenario-card').forEach(card => {
@@ -0,0 +1,347 @@
+// Twee 3 converter - turns a scenario (scenarios.json shape) into Twine's Twee text and back,
+// so writers can draft branching dialogue in Twine. Shared by scripts/twee.js, the server's
+// upload endpoint and the scenario editor.
+//
+//   :: StoryTitle                  scenario title
+//   :: StoryData                   Twine's story settings; "start" is the start scene
+//   :: ScenarioData                every other scenario field (id, character, category, ...) as JSON
+//   :: <scene id> [tags] {meta}    one passage per scene
+//
+// In a scene passage, plain lines are the narration (scene.text), lines starting with "> " the
+// character's dialogue, lines starting with "Takeaway: " an ending's criticalInfo, and each
+// [[link]] a choice, in order. Tags mark breakthroughs ("breakthrough"), endings ("end") and
+// their outcome ("success", "partial", "failure"). The passage metadata holds the scene's mood
+// and any other scene field, plus "choices": each choice's impact, objectives and other fields
+// in link order. A line that should start with one of the markers is escaped with a backslash.
+const TweeConverter = {
+
+    STORY_TITLE: 'StoryTitle',
+    STORY_DATA: 'StoryData',
+    SCENARIO_DATA: 'ScenarioData',
+
+    // Rehearsals always start here (see ScenarioValidator.START_SCENE)
+    START_SCENE: 'intro',
+
+    // Scenes are plain text with links, so any story format can open them
+    STORY_FORMAT: { format: 'Harlowe', 'format-version': '3.3.8' },
+
+    DIALOGUE_PREFIX: '> ',
+    TAKEAWAY_PREFIX: 'Takeaway: ',
+    BREAKTHROUGH_TAG: 'breakthrough',
+    END_TAG: 'end',
+    OUTCOMES: ['success', 'partial', 'failure'],
+
+    // Twine's passages for story JavaScript and CSS aren't scenes
+    IGNORED_TAGS: ['script', 'stylesheet'],
+
+    // Scene fields written as text, tags or links; the rest go in the passage metadata
+    TEXT_FIELDS: ['id', 'text', 'dialogue', 'criticalInfo', 'choices', 'isBreakthrough', 'isEnd', 'outcome'],
+
+    // Passage layout in Twine's story map; not part of the scene
+    LAYOUT_FIELDS: ['position', 'size'],
+    GRID: { columns: 6, width: 200, height: 150, size: '100,100' },
+
+    // Scenario -> Twee text
+    toTwee(id, scenario) {
+        const { title, scenes = [], ...fields } = scenario;
+        const start = scenes.find(scene => scene.id === this.START_SCENE) || scenes[0];
+
+        const passages = [
+            this.formatPassage(this.STORY_TITLE, [], null, title || id),
+            this.formatPassage(this.STORY_DATA, [], null, JSON.stringify({
+                ifid: this.createIfid(id),
+                ...this.STORY_FORMAT,
+                start: start ? start.id : undefined,
+                'tag-colors': { [this.BREAKTHROUGH_TAG]: 'yellow', [this.END_TAG]: 'purple' },
+                zoom: 1
+            }, null, 2)),
+            this.formatPassage(this.SCENARIO_DATA, [], null, JSON.stringify({ id, ...fields }, null, 2)),
+            ...scenes.map((scene, index) => this.formatScene(scene, index))
+        ];
+
+        return passages.join('\n\n\n') + '\n';
+    },
+
+    formatScene(scene, index) {
+        const tags = [];
+        if (scene.isBreakthrough) tags.push(this.BREAKTHROUGH_TAG);
+        if (scene.isEnd) tags.push(this.END_TAG);
+        if (scene.outcome) tags.push(scene.outcome);
+
+        const choices = Array.isArray(scene.choices) ? scene.choices : [];
+        const metadata = {
+            position: `${(index % this.GRID.columns) * this.GRID.width + 100},${Math.floor(index / this.GRID.columns) * this.GRID.height + 100}`,
+            size: this.GRID.size
+        };
+        Object.entries(scene).forEach(([field, value]) => {
+            if (!this.TEXT_FIELDS.includes(field)) metadata[field] = value;
+        });
+
+        const choiceFields = choices.map(({ text, next, ...fields }) => fields);
+        if (choiceFields.some(fields => Object.keys(fields).length > 0)) {
+            metadata.choices = choiceFields;
+        }
+
+        const sections = [
+            this.splitLines(scene.text).map(line => this.escapeLine(line)),
+            this.splitLines(scene.dialogue).map(line => this.DIALOGUE_PREFIX + line),
+            this.splitLines(scene.criticalInfo).map(line => this.TAKEAWAY_PREFIX + line),
+            choices.map(choice => this.formatLink(scene, choice))
+        ].filter(lines => lines.length > 0);
+
+        return this.formatPassage(scene.id, tags, metadata, sections.map(lines => lines.join('\n')).join('\n\n'));
+    },
+
+    formatPassage(name, tags, metadata, body) {
+        let header = `:: ${this.escapeName(name)}`;
+        if (tags.length > 0) header += ` [${tags.join(' ')}]`;
+        if (metadata) header += ` ${JSON.stringify(metadata)}`;
+        return body ? `${header}\n${body}` : header;
+    },
+
+    // [[text->target]]; Twine has no way to escape the link markers inside a link
+    formatLink(scene, choice) {
+        if (/->|<-|\||\[\[|\]\]|\n/.test(choice.text || '')) {
+            throw this.createError('unsupported-link', `A choice in "${scene.id}" contains "->", "<-", "|", "[[", "]]" or a line break, which Twee links can't hold: ${choice.text}`);
+        }
+        return `[[${choice.text || ''}->${choice.next || ''}]]`;
+    },
+
+    // Twee text -> { id, scenario, warnings }. id overrides the ID in ScenarioData.
+    fromTwee(text, { id = null } = {}) {
+        const warnings = [];
+        const passages = this.parsePassages(text, warnings);
+        const special = [this.STORY_TITLE, this.STORY_DATA, this.SCENARIO_DATA];
+        const find = name => passages.find(passage => passage.name === name);
+
+        const storyTitle = find(this.STORY_TITLE);
+        const storyData = this.parseJson(find(this.STORY_DATA), warnings);
+        const scenarioData = this.parseJson(find(this.SCENARIO_DATA), warnings);
+        const title = storyTitle ? storyTitle.body.trim() : '';
+
+        const scenes = passages
+            .filter(passage => !special.includes(passage.name) && !passage.tags.some(tag => this.IGNORED_TAGS.includes(tag)))
+            .map(passage => this.parseScene(passage, warnings));
+
+        if (scenes.length === 0) {
+            throw this.createError('no-scenes', 'The story has no scene passages');
+        }
+        if (storyData.start && storyData.start !== this.START_SCENE) {
+            warnings.push(`The story starts at "${storyData.start}", but rehearsals always start at "${this.START_SCENE}"`);
+        }
+
+        const { id: dataId, ...fields } = scenarioData;
+        const scenarioId = id || dataId || this.slugify(title);
+        if (!scenarioId) {
+            throw this.createError('missing-id', 'The story has no title or ScenarioData "id" to name the scenario by');
+        }
+
+        return {
+            id: scenarioId,
+            scenario: { title: title || scenarioId, ...fields, scenes },
+            warnings
+        };
+    },
+
+    parseScene(passage, warnings) {
+        const metadata = { ...passage.metadata };
+        this.LAYOUT_FIELDS.forEach(field => delete metadata[field]);
+        const { choices: choiceFields = [], ...fields } = metadata;
+
+        const narration = [];
+        const dialogue = [];
+        const takeaway = [];
+        const links = [];
+
+        passage.body.split('\n').forEach(line => {
+            if (line.startsWith(this.DIALOGUE_PREFIX)) {
+                dialogue.push(line.slice(this.DIALOGUE_PREFIX.length));
+            } else if (line.startsWith(this.TAKEAWAY_PREFIX)) {
+                takeaway.push(line.slice(this.TAKEAWAY_PREFIX.length));
+            } else {
+                // Links may sit inside the narration; the text around them stays
+                const rest = line.replace(/\[\[(.*?)\]\]/g, (match, link) => {
+                    links.push(this.parseLink(link));
+                    return '';
+                });
+                if (rest.trim() || rest === line) narration.push(this.unescapeLine(rest));
+            }
+        });
+
+        const isEnd = passage.tags.includes(this.END_TAG);
+        const outcome = passage.tags.find(tag => this.OUTCOMES.includes(tag));
+
+        if (!Array.isArray(choiceFields) || choiceFields.length > links.length) {
+            warnings.push(`Passage "${passage.name}" has metadata for more choices than it has links; the extra entries were ignored`);
+        }
+
+        const scene = {
+            id: passage.name,
+            text: narration.join('\n').trim(),
+            ...(dialogue.length > 0 && { dialogue: dialogue.join('\n') }),
+            ...fields
+        };
+        if (links.length > 0 || !isEnd) {
+            scene.choices = links.map((link, index) => ({
+                text: link.text,
+                ...(Array.isArray(choiceFields) && choiceFields[index]),
+                next: link.target
+            }));
+        }
+        if (passage.tags.includes(this.BREAKTHROUGH_TAG)) scene.isBreakthrough = true;
+        if (isEnd) scene.isEnd = true;
+        if (outcome) scene.outcome = outcome;
+        if (takeaway.length > 0) scene.criticalInfo = takeaway.join('\n');
+
+        return scene;
+    },
+
+    // The link forms Twine writes: [[target]], [[text|target]], [[text->target]], [[target<-text]]
+    parseLink(link) {
+        const pipe = link.lastIndexOf('|');
+        if (pipe !== -1) return { text: link.slice(0, pipe), target: link.slice(pipe + 1).trim() };
+
+        const arrow = link.lastIndexOf('->');
+        if (arrow !== -1) return { text: link.slice(0, arrow), target: link.slice(arrow + 2).trim() };
+
+        const backArrow = link.indexOf('<-');
+        if (backArrow !== -1) return { text: link.slice(backArrow + 2), target: link.slice(0, backArrow).trim() };
+
+        return { text: link, target: link.trim() };
+    },
+
+    // Split Twee text into { name, tags, metadata, body } passages
+    parsePassages(text, warnings) {
+        const passages = [];
+        let current = null;
+
+        String(text).replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            if (line.startsWith('::')) {
+                current = { ...this.parseHeader(line.slice(2), warnings), lines: [] };
+                passages.push(current);
+            } else if (current) {
+                current.lines.push(line);
+            }
+        });
+
+        return passages.map(({ lines, ...passage }) => ({
+            ...passage,
+            body: lines.join('\n').replace(/\n+$/, '')
+        }));
+    },
+
+    // " name [tag tag] {json}" with \-escaped [ ] { } \ in the name
+    parseHeader(header, warnings) {
+        let name = '';
+        let index = 0;
+
+        while (index < header.length && !'[{'.includes(header[index])) {
+            if (header[index] === '\\' && index + 1 < header.length) index++;
+            name += header[index];
+            index++;
+        }
+
+        let tags = [];
+        let rest = header.slice(index).trim();
+        if (rest.startsWith('[')) {
+            const end = rest.indexOf(']');
+            tags = rest.slice(1, end === -1 ? rest.length : end).split(/\s+/).filter(Boolean);
+            rest = end === -1 ? '' : rest.slice(end + 1).trim();
+        }
+
+        let metadata = {};
+        if (rest.startsWith('{')) {
+            try {
+                metadata = JSON.parse(rest);
+            } catch (error) {
+                warnings.push(`Passage "${name.trim()}" has unreadable metadata, so its impacts were lost: ${error.message}`);
+            }
+        }
+
+        return { name: name.trim(), tags, metadata };
+    },
+
+    parseJson(passage, warnings) {
+        if (!passage || !passage.body.trim()) return {};
+
+        try {
+            return JSON.parse(passage.body);
+        } catch (error) {
+            warnings.push(`${passage.name} is not valid JSON and was ignored: ${error.message}`);
+            return {};
+        }
+    },
+
+    // Scenario -> Twee -> scenario. Returns the paths whose values didn't survive the trip.
+    checkRoundTrip(id, scenario) {
+        const { scenario: result } = this.fromTwee(this.toTwee(id, scenario), { id });
+        return this.findDifferences(scenario, result);
+    },
+
+    findDifferences(expected, actual, path = '') {
+        if (expected === actual) return [];
+
+        const isObject = value => value !== null && typeof value === 'object';
+        if (!isObject(expected) || !isObject(actual) || Array.isArray(expected) !== Array.isArray(actual)) {
+            return [path || '(root)'];
+        }
+
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        return [...keys].flatMap(key => {
+            if (expected[key] === undefined && actual[key] === undefined) return [];
+            const childPath = Array.isArray(expected) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+            return this.findDifferences(expected[key], actual[key], childPath);
+        });
+    },
+
+    // Twine needs a UUID for the story; deriving it from the scenario ID keeps re-exports identical
+    createIfid(seed) {
+        let hex = '';
+        for (let round = 0; hex.length < 32; round++) {
+            let hash = 2166136261;
+            for (const char of `${round}:${seed}`) {
+                hash = Math.imul(hash ^ char.charCodeAt(0), 16777619) >>> 0;
+            }
+            hex += hash.toString(16).padStart(8, '0');
+        }
+
+        const variant = ((parseInt(hex[16], 16) & 3) | 8).toString(16);
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`.toUpperCase();
+    },
+
+    splitLines(value) {
+        return typeof value === 'string' && value !== '' ? value.split('\n') : [];
+    },
+
+    escapeName(name) {
+        return String(name).replace(/[\\[\]{}]/g, '\\$&');
+    },
+
+    // Narration lines that would read as a passage header, dialogue or takeaway
+    escapeLine(line) {
+        return /^(::|\\|> |Takeaway: )/.test(line) ? `\\${line}` : line;
+    },
+
+    unescapeLine(line) {
+        return line.startsWith('\\') ? line.slice(1) : line;
+    },
+
+    // "Talking To My Sister" -> "talking-to-my-sister"
+    slugify(title) {
+        return String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+    },
+
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+};
+
+// Export for Node (server and CLI) and the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TweeConverter;
+}
+if (typeof window !== 'undefined') {
+    window.TweeConverter = TweeConverter;
+}
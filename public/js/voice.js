@@ -0,0 +1,305 @@
+// Voice rehearsal mode - the character's dialogue is spoken with the browser's speech synthesis,
+// and the learner can answer out loud where the browser has speech recognition. Spoken replies
+// go through the same pipeline as typed ones (see ConversationModule.listenForReply). Everything
+// said is kept in a transcript, and the learner's pace and filler words feed the rehearsal analysis.
+const VoiceModule = {
+
+    STORAGE_KEY: 'rehearsalVoiceMode',
+
+    // Limits for scenario.character.voice (see ScenarioSchema); out-of-range values are clamped
+    RATE: { min: 0.5, max: 2, default: 1 },
+    PITCH: { min: 0, max: 2, default: 1 },
+    VOLUME: { min: 0, max: 1, default: 1 },
+
+    // Words per minute that are easy to follow in conversation
+    PACE: { slow: 110, fast: 170 },
+
+    // Filler words and phrases; "like" and "so" are left out, they are too often meant
+    FILLERS: ['um', 'umm', 'uh', 'uhh', 'er', 'erm', 'ah', 'hmm', 'you know', 'i mean', 'basically', 'literally', 'kinda', 'sorta'],
+
+    // Filler words per 100 that start to get noticed
+    FILLER_RATE_NOTICEABLE: 3,
+
+    enabled: false,
+
+    // This run's lines: { speaker: 'character' | 'learner', name, text, words?, durationMs?, fillers? }
+    transcript: [],
+
+    recognition: null,
+
+    init() {
+        this.enabled = this.isSupported() && localStorage.getItem(this.STORAGE_KEY) === 'on';
+
+        const toggle = document.getElementById('voiceToggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => this.setEnabled(!this.enabled));
+        }
+        this.renderToggle();
+    },
+
+    isSupported() {
+        return 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+    },
+
+    // The browser's speech recognition constructor, or null
+    getRecognition() {
+        return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+    },
+
+    canListen() {
+        return this.enabled && Boolean(this.getRecognition());
+    },
+
+    setEnabled(enabled) {
+        this.enabled = enabled && this.isSupported();
+        localStorage.setItem(this.STORAGE_KEY, this.enabled ? 'on' : 'off');
+
+        if (!this.enabled) {
+            this.stop();
+        }
+        this.renderToggle();
+    },
+
+    renderToggle() {
+        const toggle = document.getElementById('voiceToggle');
+        if (!toggle) return;
+
+        toggle.hidden = !this.isSupported();
+        toggle.setAttribute('aria-pressed', String(this.enabled));
+        toggle.textContent = this.enabled ? '🔊 Voice mode: on' : '🔈 Voice mode: off';
+        toggle.title = this.getRecognition()
+            ? 'Hear the character and answer out loud'
+            : 'Hear the character speak (this browser can\'t listen, so answers stay typed or clicked)';
+    },
+
+    // A new run starts a new transcript
+    reset() {
+        this.stop();
+        this.transcript = [];
+        this.renderTranscript();
+    },
+
+    // Stop speaking and listening, e.g. when leaving the rehearsal
+    stop() {
+        if (this.isSupported()) {
+            window.speechSynthesis.cancel();
+        }
+        if (this.recognition) {
+            this.recognition.abort();
+        }
+    },
+
+    // Speak a line of the character's dialogue in their voice
+    speak(text, character) {
+        if (!this.enabled || !text) return;
+
+        const settings = this.getSettings(character);
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = settings.lang;
+        utterance.rate = settings.rate;
+        utterance.pitch = settings.pitch;
+        utterance.volume = settings.volume;
+
+        const voice = this.findVoice(settings);
+        if (voice) utterance.voice = voice;
+
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+
+        this.transcript.push({ speaker: 'character', name: (character && character.name) || 'Character', text });
+        this.renderTranscript();
+    },
+
+    // The character's voice settings with defaults filled in
+    getSettings(character) {
+        const voice = (character && character.voice) || {};
+        return {
+            lang: voice.lang || document.documentElement.lang || 'en-US',
+            name: voice.name || null,
+            rate: this.clamp(voice.rate, this.RATE),
+            pitch: this.clamp(voice.pitch, this.PITCH),
+            volume: this.clamp(voice.volume, this.VOLUME)
+        };
+    },
+
+    // The named voice if the browser has it, else the first one for the language
+    findVoice(settings) {
+        const voices = window.speechSynthesis.getVoices();
+        const language = settings.lang.toLowerCase();
+
+        return (settings.name && voices.find(voice => voice.name === settings.name)) ||
+            voices.find(voice => voice.lang.toLowerCase() === language) ||
+            voices.find(voice => voice.lang.toLowerCase().split('-')[0] === language.split('-')[0]) ||
+            null;
+    },
+
+    // Listen for one reply. Resolves to { text, durationMs }, where durationMs runs from the
+    // first to the last sound heard; rejects with an error whose code is the recognition error.
+    listen(lang) {
+        const Recognition = this.getRecognition();
+        if (!Recognition) {
+            return Promise.reject(this.createError('not-supported', 'Speech recognition is not available in this browser'));
+        }
+
+        // Don't transcribe the character
+        window.speechSynthesis.cancel();
+
+        return new Promise((resolve, reject) => {
+            const recognition = new Recognition();
+            const startedAt = Date.now();
+            let speechStartedAt = null;
+            let speechEndedAt = null;
+            let text = '';
+            let errorCode = null;
+
+            recognition.lang = lang || document.documentElement.lang || 'en-US';
+            recognition.interimResults = false;
+            recognition.maxAlternatives = 1;
+
+            recognition.onspeechstart = () => { speechStartedAt = Date.now(); };
+            recognition.onspeechend = () => { speechEndedAt = Date.now(); };
+            recognition.onresult = (e) => {
+                text = Array.from(e.results).map(result => result[0].transcript).join(' ').trim();
+            };
+            recognition.onerror = (e) => { errorCode = e.error; };
+            recognition.onend = () => {
+                this.recognition = null;
+                if (text) {
+                    resolve({ text, durationMs: (speechEndedAt || Date.now()) - (speechStartedAt || startedAt) });
+                } else {
+                    reject(this.createError(errorCode || 'no-speech', 'Nothing was heard'));
+                }
+            };
+
+            this.recognition = recognition;
+            recognition.start();
+        });
+    },
+
+    // What to tell the learner when listening failed
+    describeError(error) {
+        switch (error.code) {
+            case 'not-allowed':
+            case 'service-not-allowed':
+                return 'The microphone is blocked. Allow it in the browser to answer out loud.';
+            case 'audio-capture':
+                return 'No microphone was found.';
+            case 'aborted':
+                return '';
+            case 'no-speech':
+                return 'I didn\'t hear anything. Try again when you\'re ready.';
+            default:
+                return 'Listening didn\'t work this time. You can still type or pick a choice.';
+        }
+    },
+
+    // Add the learner's spoken reply to the transcript with its delivery stats
+    recordReply(text, durationMs) {
+        const entry = { speaker: 'learner', name: 'You', text, ...this.analyzeSpeech(text, durationMs) };
+        this.transcript.push(entry);
+        this.renderTranscript();
+        return entry;
+    },
+
+    // Word count, duration and filler words ({ "um": 2 }) of one reply
+    analyzeSpeech(text, durationMs) {
+        const normalized = String(text).toLowerCase().replace(/[‘’`]/g, '\'');
+        const fillers = {};
+
+        this.FILLERS.forEach(filler => {
+            const count = (normalized.match(new RegExp(`\\b${filler}\\b`, 'g')) || []).length;
+            if (count > 0) fillers[filler] = count;
+        });
+
+        return {
+            words: normalized.split(/\s+/).filter(Boolean).length,
+            durationMs: Math.max(0, durationMs || 0),
+            fillers
+        };
+    },
+
+    // Pace and filler words over the run's spoken replies; null until there is one
+    getDeliveryStats() {
+        const replies = this.transcript.filter(entry => entry.speaker === 'learner');
+        if (replies.length === 0) return null;
+
+        const words = replies.reduce((sum, reply) => sum + reply.words, 0);
+        const durationMs = replies.reduce((sum, reply) => sum + reply.durationMs, 0);
+        const fillers = {};
+        replies.forEach(reply => Object.entries(reply.fillers).forEach(([filler, count]) => {
+            fillers[filler] = (fillers[filler] || 0) + count;
+        }));
+        const fillerCount = Object.values(fillers).reduce((sum, count) => sum + count, 0);
+
+        return {
+            replies: replies.length,
+            words,
+            wordsPerMinute: durationMs > 0 ? Math.round(words / (durationMs / 60000)) : null,
+            fillers,
+            fillerCount,
+            fillersPer100Words: words > 0 ? Math.round(fillerCount / words * 1000) / 10 : 0
+        };
+    },
+
+    // Delivery observations for the rehearsal analysis; empty when nothing was said out loud
+    describeDelivery() {
+        const stats = this.getDeliveryStats();
+        if (!stats) return [];
+
+        const observations = [];
+        const replies = `${stats.replies} spoken repl${stats.replies === 1 ? 'y' : 'ies'}`;
+
+        if (stats.wordsPerMinute !== null) {
+            let comment = 'Conversational. Easy to follow.';
+            if (stats.wordsPerMinute < this.PACE.slow) comment = 'Unhurried. Pauses can be kind, as long as they are on purpose.';
+            else if (stats.wordsPerMinute > this.PACE.fast) comment = 'Quick. Slowing down tells someone you have time for them.';
+            observations.push(`Pace: ${stats.wordsPerMinute} words per minute over ${replies}. ${comment}`);
+        }
+
+        if (stats.fillerCount === 0) {
+            observations.push(`Filler words: none in ${stats.words} words. Either you're a natural or you've rehearsed this.`);
+        } else {
+            const list = Object.entries(stats.fillers)
+                .sort((a, b) => b[1] - a[1])
+                .map(([filler, count]) => `“${filler}” ×${count}`)
+                .join(', ');
+            const comment = stats.fillersPer100Words >= this.FILLER_RATE_NOTICEABLE
+                ? 'Noticeable. A silent pause does the same job.'
+                : 'Barely noticeable.';
+            observations.push(`Filler words: ${stats.fillerCount} (${stats.fillersPer100Words} per 100 words) - ${list}. ${comment}`);
+        }
+
+        return observations;
+    },
+
+    renderTranscript() {
+        const container = document.getElementById('voiceTranscript');
+        if (!container) return;
+
+        const list = container.querySelector('ol');
+        list.replaceChildren(...this.transcript.map(entry => {
+            const item = document.createElement('li');
+            item.className = `transcript-line ${entry.speaker}`;
+
+            const speaker = document.createElement('strong');
+            speaker.textContent = `${entry.name}: `;
+            item.append(speaker, entry.text);
+            return item;
+        }));
+        container.hidden = this.transcript.length === 0;
+    },
+
+    clamp(value, range) {
+        if (typeof value !== 'number' || Number.isNaN(value)) return range.default;
+        return Math.min(range.max, Math.max(range.min, value));
+    },
+
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+};
+
+// Make globally accessible
+window.VoiceModule = VoiceModule;
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// Twee 3 import/export CLI (see public/js/twee-converter.js)
+// Usage: node scripts/twee.js export <scenarioId> [--file scenarios.json] [--out story.twee]
+//        node scripts/twee.js export --all --out <dir> [--file scenarios.json]
+//        node scripts/twee.js import <story.twee> [--id scenarioId] [--out scenario.json]
+//        node scripts/twee.js check [--file scenarios.json]
+
+const fs = require('fs');
+const path = require('path');
+const TweeConverter = require('../public/js/twee-converter');
+const ScenarioValidator = require('../public/js/scenario-validator');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'public', 'data', 'scenarios.json');
+const USAGE = [
+  'Usage: node scripts/twee.js export <scenarioId> [--file scenarios.json] [--out story.twee]',
+  '       node scripts/twee.js export --all --out <dir> [--file scenarios.json]',
+  '       node scripts/twee.js import <story.twee> [--id scenarioId] [--out scenario.json]',
+  '       node scripts/twee.js check [--file scenarios.json]'
+].join('\n');
+
+const [command, ...args] = process.argv.slice(2);
+const options = parseOptions(args);
+
+try {
+  switch (command) {
+    case 'export':
+      exportScenarios();
+      break;
+    case 'import':
+      importStory();
+      break;
+    case 'check':
+      checkRoundTrips();
+      break;
+    default:
+      console.error(USAGE);
+      process.exit(1);
+  }
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Write one scenario to stdout or --out, or every scenario into the --out directory
+function exportScenarios() {
+  const scenarios = readScenarios();
+
+  if (options.all) {
+    if (!options.out) throw new Error('--all needs an --out directory');
+    fs.mkdirSync(options.out, { recursive: true });
+    Object.entries(scenarios).forEach(([id, scenario]) => {
+      fs.writeFileSync(path.join(options.out, `${id}.twee`), TweeConverter.toTwee(id, scenario));
+    });
+    console.log(`Exported ${Object.keys(scenarios).length} scenarios to ${options.out}`);
+    return;
+  }
+
+  const id = options.positional[0];
+  if (!id) throw new Error(`Name a scenario to export\n${USAGE}`);
+  if (!scenarios[id]) throw new Error(`No scenario "${id}" in ${options.file}`);
+
+  writeOutput(TweeConverter.toTwee(id, scenarios[id]));
+}
+
+// Convert a story to { [scenarioId]: scenario }; fails on validation errors
+function importStory() {
+  const file = options.positional[0];
+  if (!file) throw new Error(`Name a .twee file to import\n${USAGE}`);
+
+  const { id, scenario, warnings } = TweeConverter.fromTwee(fs.readFileSync(file, 'utf8'), { id: options.id });
+  const report = ScenarioValidator.validateScenarios({ [id]: scenario });
+
+  warnings.forEach(warning => console.error(`WARNING [twee] ${warning}`));
+  console.error(ScenarioValidator.formatReport(report));
+  if (!report.valid) process.exit(1);
+
+  writeOutput(JSON.stringify({ [id]: scenario }, null, 2) + '\n');
+}
+
+// Every scenario must come back from Twee unchanged
+function checkRoundTrips() {
+  const scenarios = readScenarios();
+  let failed = 0;
+
+  Object.entries(scenarios).forEach(([id, scenario]) => {
+    let differences;
+    try {
+      differences = TweeConverter.checkRoundTrip(id, scenario);
+    } catch (error) {
+      differences = [error.message];
+    }
+
+    if (differences.length > 0) {
+      failed++;
+      console.log(`FAIL ${id}: ${differences.join(', ')}`);
+    }
+  });
+
+  console.log(`${Object.keys(scenarios).length} scenarios round-tripped through Twee: ${failed} changed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+function readScenarios() {
+  return JSON.parse(fs.readFileSync(options.file, 'utf8'));
+}
+
+function writeOutput(text) {
+  if (options.out) {
+    fs.writeFileSync(options.out, text);
+    console.error(`Wrote ${options.out}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+function parseOptions(list) {
+  const parsed = { file: DEFAULT_FILE, out: null, id: null, all: false, positional: [] };
+
+  for (let i = 0; i < list.length; i++) {
+    const arg = list[i];
+    if (arg === '--all') parsed.all = true;
+    else if (['--file', '--out', '--id'].includes(arg)) parsed[arg.slice(2)] = list[++i];
+    else parsed.positional.push(arg);
+  }
+
+  return parsed;
+}
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Scenario linter CLI
+// Usage: node scripts/validate-scenarios.js [--strict] [--json] [file...]
+
+const fs = require('fs');
+const path = require('path');
+const ScenarioValidator = require('../public/js/scenario-validator');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'public', 'data', 'scenarios.json');
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const asJson = args.includes('--json');
+const files = args.filter(arg => !arg.startsWith('--'));
+
+let failed = false;
+const results = [];
+
+(files.length > 0 ? files : [DEFAULT_FILE]).forEach(file => {
+  let report;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    report = ScenarioValidator.validateScenarios(data);
+  } catch (error) {
+    report = {
+      valid: false,
+      scenarioCount: 0,
+      errors: [ScenarioValidator.createIssue('error', 'unreadable-file', null, null, error.message)],
+      warnings: []
+    };
+  }
+
+  if (!report.valid || (strict && report.warnings.length > 0)) {
+    failed = true;
+  }
+
+  if (asJson) {
+    results.push({ file, ...report });
+  } else {
+    console.log(`${file}\n${ScenarioValidator.formatReport(report)}\n`);
+  }
+});
+
+if (asJson) {
+  console.log(JSON.stringify(results, null, 2));
+}
+
+process.exit(failed ? 1 : 0);
@@ -2,8 +2,19 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
+const fs = require('fs');
 const bodyParser = require('body-parser');
 const { v4: uuidv4 } = require('uuid');
+const ScenarioValidator = require('./public/js/scenario-validator');
+const ScenarioSchema = require('./public/js/scenario-schema');
+const TweeConverter = require('./public/js/twee-converter');
+const RehearsalEngine = require('./packages/rehearsal-engine');
+const CrisisDetector = require('./public/js/crisis-detector');
+const { createResponseEngine } = require('./lib/response-engine');
+const { createConversationStore } = require('./lib/conversation-store');
+const crisisResources = require('./lib/crisis-resources');
+const { assessConversation } = require('./lib/feedback-engine');
+const { matchChoice } = require('./lib/choice-matcher');
 require('dotenv').config();
 
 const app = express();
@@ -18,7 +29,7 @@ app.use(helmet({
       scriptSrc: ["'self'", "'unsafe-inline'"],
       scriptSrcAttr: ["'unsafe-inline'"],
       imgSrc: ["'self'", "data:", "https:"],
-      connectSrc: ["'self'"],
+      connectSrc: ["'self'", ...(process.env.BACKEND_URL ? [process.env.BACKEND_URL] : [])],
       fontSrc: ["'self'"],
       objectSrc: ["'none'"],
       mediaSrc: ["'self'"],
@@ -59,161 +70,51 @@ app.get('/actors_guild.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'actors_guild.html'));
 });
 
+// Serve the scenario editor page
+app.get('/scenario-editor.html', (req, res) => {
+  res.sendFile(path.join(__dirname, 'scenario-editor.html'));
+});
+
+// Serve the validated scenarios instead of the raw file on disk
+app.get('/data/scenarios.json', (req, res) => {
+  res.json(scenarios);
+});
+
+// The engine is its own package so the backend can depend on it; pages load it from js/
+app.get('/js/rehearsal-engine.js', (req, res) => {
+  res.sendFile(require.resolve('./packages/rehearsal-engine'));
+});
+
 // Serve static files (but exclude index.html)
 app.use(express.static(path.join(__dirname, 'public'), {
   index: false // Don't serve index.html from public folder
 }));
 
-// In-memory storage for conversations (in production, use a database)
-const conversations = new Map();
-const sessions = new Map();
-
-// Scenario data (matches your frontend scenarios)
-const scenarios = {
-  'friend-checkin': {
-    title: 'Checking on a Friend',
-    description: "You've noticed your friend Alex has been quieter lately, missing social gatherings, and seems withdrawn. Practice reaching out with empathy and active listening.",
-    difficulty: 'beginner',
-    initialMessage: "You decide to text Alex, who you haven't heard from in a few weeks...",
-    aiPersona: "You are Alex, someone who has been struggling with depression but hasn't talked to anyone about it. You're hesitant to open up but gradually open up if the person shows real empathy and doesn't try to 'fix' everything immediately.",
-    responses: {
-      initial: "Hey... I'm okay I guess. Just been really busy with work lately.",
-      patterns: {
-        empathy: ["Thanks for asking... it means a lot that you noticed.", "I appreciate you checking in. I have been struggling a bit."],
-        questions: ["I've been feeling pretty overwhelmed lately, to be honest.", "It's hard to explain... just feeling really down."],
-        solutions: ["I know you want to help, but I'm not ready for advice right now.", "Maybe... I just need someone to listen for now."]
-      }
-    }
-  },
-  'therapy-suggestion': {
-    title: 'Suggesting Therapy',
-    description: "Your friend has been sharing their struggles with anxiety and depression. You think therapy could help, but they've been resistant to the idea.",
-    difficulty: 'intermediate',
-    initialMessage: "During a coffee chat, your friend mentions they've been having a really hard time lately...",
-    aiPersona: "You are someone dealing with anxiety and depression who is resistant to therapy due to cost concerns, stigma, and doubt about its effectiveness.",
-    responses: {
-      initial: "I don't know... I've been thinking about therapy but it seems so expensive. And what if they just think I'm being dramatic?",
-      patterns: {
-        cost: ["Yeah, the cost is really what's holding me back. I can barely afford rent as it is.", "I looked into it but even with insurance it's still expensive."],
-        stigma: ["I grew up thinking therapy was for 'crazy' people. It's hard to shake that feeling.", "What if people find out? I'm worried about being judged."],
-        effectiveness: ["How do I know it will even work? What if I'm just wasting money?", "I've heard mixed things about therapy. Some people say it helped, others say it didn't."]
-      }
-    }
-  },
-  'workplace-mental-health': {
-    title: 'Workplace Mental Health',
-    description: "A colleague seems to be struggling and their work performance has changed. Navigate this sensitive conversation with appropriate professional boundaries.",
-    difficulty: 'intermediate',
-    initialMessage: "You notice a colleague has seemed overwhelmed and stressed lately...",
-    aiPersona: "You are a coworker dealing with burnout and stress but trying to maintain professionalism. You're worried about job security.",
-    responses: {
-      initial: "I'm fine, just a lot on my plate right now. I can handle it.",
-      patterns: {
-        workload: ["The deadlines have been really intense lately.", "I'm trying to keep up but there's just so much to do."],
-        support: ["I appreciate you asking... I guess I have been struggling to keep up.", "It's nice to know someone noticed. I've been trying to hide it."],
-        boundaries: ["I don't want to burden you with work problems.", "I'm not sure if I should be talking about this at work."]
-      }
-    }
-  },
-  'family-conversation': {
-    title: 'Family Discussion',
-    description: "You want to talk to a family member about mental health, but there are generational differences and potential stigma to navigate.",
-    difficulty: 'intermediate',
-    initialMessage: "You're visiting family and want to check in with a relative who seems to be struggling...",
-    aiPersona: "You are an older family member who believes in 'toughing things out' and sees therapy as a sign of weakness.",
-    responses: {
-      initial: "Mental health? We didn't have that when I was growing up. We just dealt with our problems.",
-      patterns: {
-        generational: ["In my day, we didn't talk about feelings all the time.", "People are too soft nowadays. We just pushed through."],
-        concern: ["Maybe you're right... I have been feeling different lately.", "I suppose things were harder to talk about back then."],
-        resistance: ["I don't need a stranger telling me what's wrong with my life.", "I've made it this far without help, haven't I?"]
-      }
-    }
-  },
-  'crisis-response': {
-    title: 'Crisis Response',
-    description: "Someone has just expressed thoughts of suicide. This is a practice scenario for learning appropriate crisis intervention techniques.",
-    difficulty: 'advanced',
-    initialMessage: "During a conversation, someone you care about mentions they've been having thoughts of ending their life...",
-    aiPersona: "You are someone in emotional crisis who has been having suicidal thoughts. You're scared but also feel hopeless.",
-    responses: {
-      initial: "I've been thinking... maybe everyone would be better off if I wasn't here anymore.",
-      patterns: {
-        direct: ["Yes... I have been thinking about ending my life.", "It scares me to say it out loud, but yes, I've been having those thoughts."],
-        support: ["Thank you for asking directly. It helps to know someone cares.", "I'm scared but I don't know what else to do."],
-        hopeless: ["I just don't see a way out of this pain.", "Everything feels impossible right now."]
-      }
-    }
-  },
-  'self-advocacy': {
-    title: 'Self-Advocacy',
-    description: "Practice asking for help and communicating your own mental health needs to friends, family, or healthcare providers.",
-    difficulty: 'beginner',
-    initialMessage: "You've decided it's time to reach out for support with your mental health...",
-    aiPersona: "You are a supportive friend who wants to help but isn't sure how.",
-    responses: {
-      initial: "Of course I want to help! What's going on? What can I do?",
-      patterns: {
-        specific: ["That helps me understand. What kind of support would be most helpful?", "I appreciate you being specific about what you need."],
-        listening: ["I'm here to listen. Take your time.", "You don't have to explain everything at once."],
-        overwhelmed: ["This sounds like a lot to handle. I'm glad you reached out.", "I may not have all the answers, but I care about you."]
-      }
-    }
-  },
-  'going-to-doctor': {
-    title: 'Going to the Doctor',
-    description: "Practice advocating for your mental health with a healthcare provider who might not take your concerns seriously.",
-    difficulty: 'intermediate',
-    initialMessage: "You're sitting in the doctor's office, waiting to discuss your mental health concerns...",
-    aiPersona: "You are a busy doctor who sometimes dismisses mental health concerns or rushes through appointments. You need patients to be clear and persistent about their needs.",
-    responses: {
-      initial: "So what brings you in today? I see this is listed as a mental health consultation.",
-      patterns: {
-        specific: ["Those are significant symptoms. How long have you been experiencing this?", "I can see this is affecting your quality of life. Let's discuss treatment options."],
-        vague: ["Can you be more specific about what you're experiencing?", "I need more details to understand how to help you."],
-        persistent: ["I appreciate you advocating for yourself. Let me refer you to a specialist.", "You're right to follow up on this. Mental health is important."]
-      }
-    }
-  },
-  'tough-work-conversation': {
-    title: 'Tough Conversation at Work',
-    description: "Navigate a difficult workplace discussion about requesting mental health accommodations with your manager.",
-    difficulty: 'intermediate',
-    initialMessage: "You've scheduled a meeting with your manager to discuss mental health accommodations...",
-    aiPersona: "You are a manager who cares about employee wellbeing but also needs to balance business needs. You appreciate clear communication and specific requests.",
-    responses: {
-      initial: "Thanks for scheduling this meeting. What did you want to discuss?",
-      patterns: {
-        professional: ["I appreciate you being upfront about this. What accommodations would be helpful?", "Mental health is important. Let's work together on this."],
-        specific: ["Those sound like reasonable requests. Let me talk to HR about formalizing this.", "I can see how that would help. What's the timeline for implementing this?"],
-        vague: ["I want to support you, but I need more specifics about what you need.", "Help me understand what changes would make the biggest difference."]
-      }
-    }
-  },
-  'asking-someone-out': {
-    title: 'Asking Someone Out',
-    description: "Practice handling vulnerability and potential rejection while asking someone you're interested in on a date.",
-    difficulty: 'beginner',
-    initialMessage: "You've been getting coffee with Alex from your book club for weeks. Today you want to ask them out...",
-    aiPersona: "You are someone who enjoys spending time with the person but hasn't considered dating them yet. You appreciate honesty and directness.",
-    responses: {
-      initial: "I always enjoy our conversations! What's on your mind?",
-      patterns: {
-        direct: ["Oh! I wasn't expecting that, but I'm flattered. Let me think about it.", "I appreciate you being honest about how you feel."],
-        respectful: ["I really value our friendship too. Thank you for being considerate about that.", "It means a lot that you'd put our friendship first."],
-        casual: ["That sounds fun! Are you thinking of this as a date, or just hanging out?", "I'd love to spend more time together. What did you have in mind?"]
-      }
-    }
-  }
-};
+// Scenarios in the canonical schema (see public/js/scenario-schema.js), shared by the
+// scenario player and the free-text API. A file that fails validation is refused:
+// the server will not start with a broken scene graph.
+const SCENARIOS_FILE = process.env.SCENARIOS_FILE || path.join(__dirname, 'public', 'data', 'scenarios.json');
+const scenarios = loadScenarioFile(SCENARIOS_FILE);
+
+// Free-text replies: pattern matcher by default, or an OpenAI-compatible model (see lib/response-engine.js)
+const responseEngine = createResponseEngine();
+
+// Free-text conversations and branching sessions, in memory or on disk (see lib/conversation-store.js).
+// Abandoned records expire after CONVERSATION_TTL_MINUTES.
+const conversations = createConversationStore('conversations');
+const sessions = createConversationStore('sessions');
 
-// Crisis keywords for detection
-const crisisKeywords = [
-  'suicide', 'kill myself', 'end it all', 'not worth living',
-  'better off dead', 'hurt myself', 'self harm', 'cutting',
-  'overdose', 'end my life', 'no point in living', 'worthless',
-  'hopeless', 'give up', 'can\'t go on', 'want to die'
-];
+// Crisis detection rules, shared with the browser (see public/js/crisis-detector.js).
+// An invalid rules file stops the server, like an invalid scenarios file.
+const CRISIS_RULES_FILE = process.env.CRISIS_RULES_FILE || path.join(__dirname, 'public', 'data', 'crisis-rules.json');
+CrisisDetector.configure(JSON.parse(fs.readFileSync(CRISIS_RULES_FILE, 'utf8')));
+checkScenarioCrisisRules(scenarios);
+const DEFAULT_CRISIS_MESSAGE = 'I notice you mentioned something concerning. Your safety is the most important thing right now. Please consider reaching out to crisis resources.';
+const HELP_REQUEST_MESSAGE = 'We\'ve paused the rehearsal. Thank you for telling us you need support - you don\'t have to go through this alone. The people below are available to talk right now.';
+
+// Crisis lines by country and language (see lib/crisis-resources.js)
+const CRISIS_RESOURCES_FILE = process.env.CRISIS_RESOURCES_FILE || path.join(__dirname, 'public', 'data', 'crisis-resources.json');
+const crisisDirectory = crisisResources.loadDirectory(CRISIS_RESOURCES_FILE);
 
 // API Routes
 
@@ -222,54 +123,118 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Get available scenarios
+// Crisis resources for the caller's locale: ?locale=en-GB overrides Accept-Language,
+// ?tags=lgbtq,youth puts specialty resources first
+app.get('/api/crisis-resources', (req, res) => {
+  res.json(findCrisisResources(req));
+});
+
+// Get available scenarios - full branching scenes, keyed by ID (same shape as /data/scenarios.json)
 app.get('/api/scenarios', (req, res) => {
-  const scenarioList = Object.keys(scenarios).map(key => ({
-    id: key,
-    title: scenarios[key].title,
-    description: scenarios[key].description,
-    difficulty: scenarios[key].difficulty
-  }));
-  res.json(scenarioList);
+  res.json(scenarios);
+});
+
+// Get a single scenario
+app.get('/api/scenarios/:id', (req, res) => {
+  const scenario = findScenario(req.params.id);
+
+  if (!scenario) {
+    return res.status(404).json({ error: 'Scenario not found' });
+  }
+
+  res.json(scenario);
+});
+
+// Download a scenario as a Twine story (Twee 3, see public/js/twee-converter.js)
+app.get('/api/scenarios/:id/twee', (req, res) => {
+  const scenario = findScenario(req.params.id);
+
+  if (!scenario) {
+    return res.status(404).json({ error: 'Scenario not found' });
+  }
+
+  res.type('text/plain').attachment(`${req.params.id}.twee`).send(TweeConverter.toTwee(req.params.id, scenario));
+});
+
+// Convert an uploaded Twee story to a scenario and check it. Nothing is stored: the result
+// goes into scenarios.json or the scenario editor. ?id= names the scenario.
+app.post('/api/scenarios/twee', bodyParser.text({ type: ['text/plain', 'text/x-twee'], limit: '2mb' }), (req, res) => {
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ error: 'Send the story as a text/plain body' });
+  }
+
+  let imported;
+  try {
+    imported = TweeConverter.fromTwee(req.body, { id: req.query.id || null });
+  } catch (error) {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+
+  const { id, scenario, warnings } = imported;
+  const report = ScenarioValidator.validateScenarios({ [id]: scenario });
+
+  // Whatever wouldn't survive the next export is worth knowing before the writer goes back to Twine
+  let differences;
+  try {
+    differences = TweeConverter.checkRoundTrip(id, scenario);
+  } catch (error) {
+    differences = [error.message];
+  }
+  if (differences.length > 0) {
+    warnings.push(`Exporting this scenario again would change: ${differences.join(', ')}`);
+  }
+
+  res.status(report.valid ? 200 : 400).json({
+    ...(!report.valid && { error: 'The story has validation errors' }),
+    id,
+    scenario,
+    warnings,
+    report
+  });
 });
 
 // Start a new conversation
-app.post('/api/conversations/start', (req, res) => {
+app.post('/api/conversations/start', asyncRoute(async (req, res) => {
   const { scenarioId } = req.body;
+  const scenario = findScenario(scenarioId);
   
-  if (!scenarios[scenarioId]) {
-    return res.status(400).json({ error: 'Invalid scenario ID' });
+  if (!scenario) {
+    return res.status(404).json({ error: 'Scenario not found' });
+  }
+
+  if (!ScenarioSchema.supportsFreeText(scenario)) {
+    return res.status(400).json({ error: 'Scenario does not support free-text conversations' });
   }
   
   const conversationId = uuidv4();
   const conversation = {
     id: conversationId,
     scenarioId,
-    scenario: scenarios[scenarioId],
+    scenario,
     messages: [],
     startTime: new Date(),
     state: 'active'
   };
   
-  conversations.set(conversationId, conversation);
+  await saveConversation(conversation);
   
   res.json({
     conversationId,
     scenario: {
-      title: scenarios[scenarioId].title,
-      description: scenarios[scenarioId].description,
-      initialMessage: scenarios[scenarioId].initialMessage
+      title: scenario.title,
+      description: scenario.description,
+      initialMessage: scenario.initialMessage
     },
-    initialResponse: scenarios[scenarioId].responses.initial
+    initialResponse: scenario.responses.initial
   });
-});
+}));
 
 // Send a message in a conversation
-app.post('/api/conversations/:id/messages', (req, res) => {
+app.post('/api/conversations/:id/messages', lockedRoute(conversations, async (req, res) => {
   const { id } = req.params;
   const { message } = req.body;
   
-  const conversation = conversations.get(id);
+  const conversation = await loadConversation(id);
   if (!conversation) {
     return res.status(404).json({ error: 'Conversation not found' });
   }
@@ -287,61 +252,97 @@ app.post('/api/conversations/:id/messages', (req, res) => {
   };
   conversation.messages.push(userMessage);
   
-  // Check for crisis content
-  const isCrisis = detectCrisis(message);
-  if (isCrisis) {
+  // Check for crisis content; the scenario's practice rules keep in-character questions in the rehearsal
+  const crisis = CrisisDetector.detect(message, {
+    practiceRules: (conversation.scenario.crisis && conversation.scenario.crisis.practiceRules) || []
+  });
+  if (crisis.isCrisis) {
     const crisisResponse = {
       id: uuidv4(),
       role: 'system',
-      content: 'I notice you mentioned something concerning. Your safety is the most important thing right now. Please consider reaching out to crisis resources.',
+      content: CrisisDetector.getTier(crisis.tier).message || DEFAULT_CRISIS_MESSAGE,
       timestamp: new Date(),
-      isCrisis: true
+      isCrisis: true,
+      crisisTier: crisis.tier,
+      crisisRule: crisis.ruleId
     };
     conversation.messages.push(crisisResponse);
+    await saveConversation(conversation);
     
     return res.json({
       response: crisisResponse,
       isCrisis: true,
-      crisisResources: {
-        national: '988',
-        crisis: '741741',
-        trevor: '1-866-488-7386'
-      }
+      crisisTier: crisis.tier,
+      crisisRule: crisis.ruleId,
+      crisisResources: findCrisisResources(req)
     });
   }
   
   // Generate AI response
-  const aiResponse = generateAIResponse(conversation, message);
+  const aiResponse = await responseEngine.generateResponse(conversation, message.trim());
+
   const aiMessage = {
     id: uuidv4(),
     role: 'ai',
-    content: aiResponse,
+    content: aiResponse.content,
+    engine: aiResponse.engine,
     timestamp: new Date()
   };
   conversation.messages.push(aiMessage);
+  await saveConversation(conversation);
   
   res.json({
     response: aiMessage,
     isCrisis: false
   });
-});
+}));
+
+// Out of character: the learner needs help themselves. Always answers with crisis resources,
+// whatever the scenario's practice rules say.
+app.post('/api/conversations/:id/help', lockedRoute(conversations, async (req, res) => {
+  const { id } = req.params;
+  const conversation = await loadConversation(id);
+  
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
+  
+  const helpResponse = {
+    id: uuidv4(),
+    role: 'system',
+    content: HELP_REQUEST_MESSAGE,
+    timestamp: new Date(),
+    isCrisis: true,
+    crisisSource: 'self_report'
+  };
+  conversation.messages.push(helpResponse);
+  conversation.needsHelp = true;
+  await saveConversation(conversation);
+  
+  res.json({
+    response: helpResponse,
+    isCrisis: true,
+    crisisSource: 'self_report',
+    crisisResources: findCrisisResources(req)
+  });
+}));
 
 // Get conversation history
-app.get('/api/conversations/:id', (req, res) => {
+app.get('/api/conversations/:id', asyncRoute(async (req, res) => {
   const { id } = req.params;
-  const conversation = conversations.get(id);
+  const conversation = await loadConversation(id);
   
   if (!conversation) {
     return res.status(404).json({ error: 'Conversation not found' });
   }
   
   res.json(conversation);
-});
+}));
 
 // End conversation and get feedback
-app.post('/api/conversations/:id/end', (req, res) => {
+app.post('/api/conversations/:id/end', lockedRoute(conversations, async (req, res) => {
   const { id } = req.params;
-  const conversation = conversations.get(id);
+  const conversation = await loadConversation(id);
   
   if (!conversation) {
     return res.status(404).json({ error: 'Conversation not found' });
@@ -349,120 +350,286 @@ app.post('/api/conversations/:id/end', (req, res) => {
   
   conversation.state = 'completed';
   conversation.endTime = new Date();
+  await saveConversation(conversation);
   
   const feedback = generateFeedback(conversation);
   
   res.json({
     feedback,
     conversationSummary: {
-      duration: conversation.endTime - conversation.startTime,
+      duration: conversation.endTime - new Date(conversation.startTime),
       messageCount: conversation.messages.length,
       scenario: conversation.scenario.title
     }
   });
-});
+}));
 
-// Helper functions
+// Branching rehearsal sessions - the server walks the scene graph and owns the scores
 
-function detectCrisis(message) {
-  const lowerMessage = message.toLowerCase();
-  return crisisKeywords.some(keyword => lowerMessage.includes(keyword));
-}
+// Start a session on a branching scenario. Sessions are anonymous: this server has no
+// accounts, so a user id from the request body couldn't be trusted
+app.post('/api/sessions/start', asyncRoute(async (req, res) => {
+  const { scenarioId } = req.body;
+  const scenario = findScenario(scenarioId);
 
-function generateAIResponse(conversation, userMessage) {
-  const scenario = conversation.scenario;
-  const messageHistory = conversation.messages;
-  const lowerMessage = userMessage.toLowerCase();
-  
-  // Analyze the user's message for patterns
-  let responseCategory = 'general';
-  
-  if (lowerMessage.includes('sorry') || lowerMessage.includes('understand') || lowerMessage.includes('feel')) {
-    responseCategory = 'empathy';
-  } else if (lowerMessage.includes('?')) {
-    responseCategory = 'questions';
-  } else if (lowerMessage.includes('should') || lowerMessage.includes('try') || lowerMessage.includes('maybe')) {
-    responseCategory = 'solutions';
+  if (!scenario) {
+    return res.status(404).json({ error: 'Scenario not found' });
   }
-  
-  // Get appropriate responses based on scenario and message pattern
-  const responses = scenario.responses.patterns;
-  let possibleResponses = [];
-  
-  if (responses[responseCategory]) {
-    possibleResponses = responses[responseCategory];
-  } else {
-    // Fallback to general responses
-    possibleResponses = [
-      "I appreciate you saying that.",
-      "That's helpful to hear.",
-      "Can you tell me more about that?",
-      "I'm glad we're talking about this."
-    ];
+
+  const session = RehearsalEngine.createSession(scenario, { id: uuidv4() });
+  await sessions.set(session.id, session);
+
+  res.json(formatSession(session));
+}));
+
+// Submit a choice for the current scene
+app.post('/api/sessions/:id/choices', lockedRoute(sessions, async (req, res) => {
+  const { id } = req.params;
+  const { choiceId, responseTime, timedOut } = req.body;
+
+  const session = await loadSession(id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
   }
-  
-  // Select a random response
-  return possibleResponses[Math.floor(Math.random() * possibleResponses.length)];
-}
 
-function generateFeedback(conversation) {
-  const userMessages = conversation.messages.filter(msg => msg.role === 'user');
-  
-  if (userMessages.length === 0) {
-    return {
-      overall: 5,
-      empathy: 5,
-      questions: 5,
-      areas: ['Try to engage more in the conversation']
-    };
+  if (!choiceId) {
+    return res.status(400).json({ error: 'choiceId is required' });
   }
-  
-  // Calculate empathy score
-  const empathyWords = ['sorry', 'understand', 'feel', 'sounds difficult', 'here for you', 'care'];
-  let empathyScore = 5;
-  
-  userMessages.forEach(msg => {
-    empathyWords.forEach(word => {
-      if (msg.content.toLowerCase().includes(word)) {
-        empathyScore += 0.5;
-      }
+
+  try {
+    RehearsalEngine.applyChoice(session, findScenario(session.scenarioId), choiceId, new Date(), {
+      responseTime,
+      timedOut: timedOut === true
     });
+  } catch (error) {
+    if (sendChoiceError(res, error)) return;
+    throw error;
+  }
+
+  await sessions.set(session.id, session);
+  res.json(formatSession(session));
+}));
+
+// Answer the current scene in the learner's own words: the closest choice is applied
+// (see lib/choice-matcher.js) and the match explains why
+app.post('/api/sessions/:id/responses', lockedRoute(sessions, async (req, res) => {
+  const { id } = req.params;
+  const { text, responseTime } = req.body;
+
+  const session = await loadSession(id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return res.status(400).json({ error: 'Response cannot be empty' });
+  }
+
+  if (session.isCompleted) {
+    return res.status(409).json({ error: 'This rehearsal has already ended' });
+  }
+
+  // Crisis content is answered with resources, and the scene waits for another reply
+  const scenario = findScenario(session.scenarioId);
+  const crisis = CrisisDetector.detect(text, {
+    practiceRules: (scenario.crisis && scenario.crisis.practiceRules) || []
   });
-  empathyScore = Math.min(10, Math.round(empathyScore));
-  
-  // Calculate question quality score
-  const questionCount = userMessages.filter(msg => msg.content.includes('?')).length;
-  const questionScore = Math.min(10, 5 + (questionCount * 1.5));
-  
-  const overallScore = Math.round((empathyScore + questionScore) / 2);
-  
-  const strengths = [];
-  const improvements = [];
-  
-  if (empathyScore >= 7) {
-    strengths.push('Excellent use of empathetic language');
-  } else {
-    improvements.push('Try to use more validating and empathetic phrases');
+  if (crisis.isCrisis) {
+    return res.json({
+      ...formatSession(session),
+      isCrisis: true,
+      crisisTier: crisis.tier,
+      crisisRule: crisis.ruleId,
+      message: CrisisDetector.getTier(crisis.tier).message || DEFAULT_CRISIS_MESSAGE,
+      crisisResources: findCrisisResources(req)
+    });
   }
-  
-  if (questionScore >= 7) {
-    strengths.push('Great use of open-ended questions');
-  } else {
-    improvements.push('Ask more open-ended questions to encourage sharing');
+
+  const scene = RehearsalEngine.findScene(scenario, session.currentSceneId);
+  let match;
+  try {
+    match = matchChoice(scene, text.trim());
+    RehearsalEngine.applyChoice(session, scenario, match.choiceId, new Date(), { responseTime });
+  } catch (error) {
+    if (sendChoiceError(res, error)) return;
+    throw error;
   }
-  
-  if (userMessages.length >= 5) {
-    strengths.push('Good engagement and conversation length');
+  Object.assign(session.choices[session.choices.length - 1], {
+    freeText: text.trim(),
+    matchConfidence: match.confidence
+  });
+
+  await sessions.set(session.id, session);
+  res.json({ ...formatSession(session), match, isCrisis: false });
+}));
+
+// Show the current scene's next hint (nudge, then principle, then near answer); each one
+// counts in stats.hintsUsed and costs a point off the score
+app.post('/api/sessions/:id/hints', lockedRoute(sessions, async (req, res) => {
+  const session = await loadSession(req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
   }
-  
+
+  let hint;
+  try {
+    hint = RehearsalEngine.revealHint(session, findScenario(session.scenarioId));
+  } catch (error) {
+    if (error.code === 'SESSION_COMPLETE') {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.code === 'NO_MORE_HINTS') {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  await sessions.set(session.id, session);
+  res.json({ ...formatSession(session), hint });
+}));
+
+// Step back to the scene where an earlier choice was made and branch from there
+app.post('/api/sessions/:id/rewind', lockedRoute(sessions, async (req, res) => {
+  const { id } = req.params;
+  const { step } = req.body;
+
+  const session = await loadSession(id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  if (!Number.isInteger(step)) {
+    return res.status(400).json({ error: 'step is required' });
+  }
+
+  try {
+    RehearsalEngine.rewindSession(session, findScenario(session.scenarioId), step);
+  } catch (error) {
+    if (error.code === 'INVALID_STEP') {
+      return res.status(400).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  await sessions.set(session.id, session);
+  res.json(formatSession(session));
+}));
+
+// Get a session, e.g. to resume it on another device
+app.get('/api/sessions/:id', asyncRoute(async (req, res) => {
+  const session = await loadSession(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  res.json(formatSession(session));
+}));
+
+// Helper functions
+
+// Pass rejected promises from async handlers on to the error middleware
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// An asyncRoute that loads, changes and saves the record named by :id. Requests for one
+// record run one after another, so two choices on a session can't both start from its
+// old state.
+function lockedRoute(store, handler) {
+  return asyncRoute((req, res, next) => store.lock(req.params.id, () => handler(req, res, next)));
+}
+
+// Scenario IDs come from clients, so only the file's own keys count: "constructor" or
+// "__proto__" would otherwise find Object.prototype's members
+function findScenario(id) {
+  return typeof id === 'string' && Object.hasOwn(scenarios, id) ? scenarios[id] : null;
+}
+
+// Conversations are stored without their scenario, which is reattached on load
+async function loadConversation(id) {
+  const conversation = await conversations.get(id);
+  const scenario = conversation && findScenario(conversation.scenarioId);
+  if (!scenario) {
+    return null;
+  }
+  return { ...conversation, scenario };
+}
+
+function saveConversation(conversation) {
+  const { scenario, ...record } = conversation;
+  return conversations.set(conversation.id, record);
+}
+
+// A stored session is only playable while its scenario is still loaded
+async function loadSession(id) {
+  const session = await sessions.get(id);
+  return session && findScenario(session.scenarioId) ? session : null;
+}
+
+function loadScenarioFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const report = ScenarioValidator.validateScenarios(data);
+
+  if (!report.valid) {
+    const error = new Error(`Refusing to load ${filePath}:\n${ScenarioValidator.formatReport(report)}`);
+    error.report = report;
+    throw error;
+  }
+
+  if (report.warnings.length > 0) {
+    console.warn(`⚠️ ${filePath}:\n${ScenarioValidator.formatReport(report)}`);
+  }
+
+  return ScenarioSchema.normalizeScenarios(data);
+}
+
+// Every rule a scenario practices must exist and be below the imminent tier
+function checkScenarioCrisisRules(data) {
+  const problems = Object.entries(data).flatMap(([id, scenario]) =>
+    CrisisDetector.checkPracticeRules(scenario.crisis && scenario.crisis.practiceRules)
+      .map(problem => `${id}: ${problem}`)
+  );
+
+  if (problems.length > 0) {
+    throw new Error(`Refusing to load ${SCENARIOS_FILE}:\n${problems.join('\n')}`);
+  }
+}
+
+function findCrisisResources(req) {
+  const query = req.query || {};
+  return crisisResources.findResources(crisisDirectory, {
+    locale: query.locale || (req.body && req.body.locale),
+    acceptLanguage: req.get('accept-language'),
+    tags: query.tags ? String(query.tags).split(',').map(tag => tag.trim()).filter(Boolean) : []
+  });
+}
+
+// Answer a choice the engine refused; returns false for errors it doesn't know
+function sendChoiceError(res, error) {
+  const status = { SESSION_COMPLETE: 409, INVALID_CHOICE: 400, INVALID_SCENARIO: 422 }[error.code];
+  if (!status) return false;
+
+  res.status(status).json({ error: error.message, code: error.code });
+  return true;
+}
+
+function formatSession(session) {
+  const scenario = findScenario(session.scenarioId);
+  return {
+    session,
+    scene: RehearsalEngine.findScene(scenario, session.currentSceneId),
+    hints: RehearsalEngine.getSceneHints(session, scenario),
+    ...(session.isCompleted && {
+      debrief: RehearsalEngine.buildDebrief(scenario, session.choices, session.currentSceneId)
+    })
+  };
+}
+
+function generateFeedback(conversation) {
   return {
-    overall: overallScore,
-    empathy: empathyScore,
-    questions: Math.round(questionScore),
-    strengths,
-    improvements,
-    messageCount: userMessages.length,
-    conversationLength: conversation.endTime - conversation.startTime
+    ...assessConversation(conversation),
+    conversationLength: conversation.endTime - new Date(conversation.startTime)
   };
 }
 
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchChoice } = require('../lib/choice-matcher');
+
+const coffee = { id: 'coffee', text: 'I brought your favorite coffee. Mind if I come in?', impact: { empathy: 3, trust: 2, effectiveness: 2 }, next: 'inside' };
+const worried = { id: 'worried', text: 'I\'m worried about you. You\'ve been really hard to reach.', impact: { empathy: 2, effectiveness: 1 }, next: 'inside' };
+const cheer = { id: 'cheer', text: 'Cheer up, it could be worse.', impact: { empathy: -2, trust: -1 }, next: 'door' };
+
+const scene = { id: 'intro', choices: [coffee, worried, cheer] };
+
+test('a close reply matches its choice with high confidence', () => {
+  const match = matchChoice(scene, 'I got you some coffee, can I come in?');
+
+  assert.equal(match.choiceId, 'coffee');
+  assert.equal(match.confidence, 'high');
+  assert.deepEqual(match.reasons, ['you both mention "come", "coffee"']);
+  assert.match(match.explanation, /^Your reply was read as "I brought your favorite coffee\. Mind if I come in\?"/);
+});
+
+test('shared techniques count toward the match', () => {
+  const match = matchChoice(scene, 'Just get over it.');
+
+  assert.equal(match.choiceId, 'cheer');
+  assert.equal(match.confidence, 'high');
+  assert.deepEqual(match.reasons, ['both minimize their feelings']);
+});
+
+test('an ambiguous reply takes the closest choice with medium confidence', () => {
+  const match = matchChoice(scene, 'I brought coffee because I was worried');
+
+  assert.equal(match.choiceId, 'coffee');
+  assert.equal(match.confidence, 'medium');
+  assert.ok(match.score > 0);
+});
+
+test('a reply that matches no choice goes by how it leans', () => {
+  const supportive = matchChoice(scene, 'What has been going on for you lately?');
+  assert.equal(supportive.choiceId, 'coffee');
+  assert.equal(supportive.confidence, 'low');
+  assert.equal(supportive.score, 0);
+  assert.deepEqual(supportive.reasons, ['your reply tries to ask an open question']);
+
+  const dismissive = matchChoice({ id: 'intro', choices: [coffee, worried] }, 'Just get over it.');
+  assert.equal(dismissive.choiceId, 'worried');
+  assert.equal(dismissive.confidence, 'low');
+
+  const neutral = matchChoice(scene, 'The weather is nice');
+  assert.equal(neutral.choiceId, 'worried');
+  assert.deepEqual(neutral.reasons, []);
+  assert.match(neutral.explanation, /^Your reply doesn't closely match any of the choices; it was read as/);
+});
+
+test('a scene without choices cannot be matched', () => {
+  assert.throws(() => matchChoice({ id: 'end', isEnd: true }, 'Hello'), { code: 'INVALID_CHOICE' });
+});
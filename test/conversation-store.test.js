@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore, createFileStore } = require('../lib/conversation-store');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversation-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Two requests reading, changing and saving one record at the same time
+async function addChoicesAtOnce(store, id) {
+  await store.set(id, { choices: [] });
+
+  const addChoice = choiceId => store.lock(id, async () => {
+    const record = await store.get(id);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    record.choices.push(choiceId);
+    await store.set(id, record);
+  });
+
+  await Promise.all([addChoice('warm'), addChoice('direct')]);
+  return store.get(id);
+}
+
+test('the memory store hands out copies of its records', async () => {
+  const store = createMemoryStore();
+  const record = { id: 'run-1', choices: [], startedAt: new Date('2026-01-01T12:00:00Z') };
+  await store.set('run-1', record);
+
+  record.choices.push('stored-too-early');
+  const loaded = await store.get('run-1');
+  loaded.choices.push('not-saved');
+
+  assert.deepEqual(await store.get('run-1'), { id: 'run-1', choices: [], startedAt: new Date('2026-01-01T12:00:00Z') });
+});
+
+test('the memory store expires records it has not seen for ttlMs', async () => {
+  let clock = 0;
+  const store = createMemoryStore({ ttlMs: 1000, now: () => clock });
+  await store.set('old', { n: 1 });
+  clock = 600;
+  await store.set('new', { n: 2 });
+
+  clock = 1000;
+  assert.equal(await store.get('old'), null);
+  assert.deepEqual(await store.get('new'), { n: 2 });
+
+  clock = 1600;
+  assert.equal(await store.sweep(), 1);
+  assert.equal(await store.get('new'), null);
+});
+
+test('the memory store runs locked changes to a record one after another', async () => {
+  const record = await addChoicesAtOnce(createMemoryStore(), 'run-1');
+
+  assert.deepEqual(record.choices, ['warm', 'direct']);
+});
+
+test('a failed locked change does not hold up the next one', async () => {
+  const store = createMemoryStore();
+
+  await assert.rejects(store.lock('run-1', async () => { throw new Error('choice rejected'); }), /choice rejected/);
+  assert.equal(await store.lock('run-1', async () => 'next'), 'next');
+});
+
+test('the file store keeps records across instances on the same directory', async t => {
+  const dir = tempDir(t);
+  await createFileStore({ dir }).set('run-1', { choices: ['warm'] });
+
+  const store = createFileStore({ dir });
+  assert.deepEqual(await store.get('run-1'), { choices: ['warm'] });
+  assert.equal(await store.delete('run-1'), true);
+  assert.equal(await store.get('run-1'), null);
+});
+
+test('the file store rejects IDs that are not safe file names', async t => {
+  const store = createFileStore({ dir: tempDir(t) });
+
+  assert.equal(await store.get('../secrets'), null);
+  await assert.rejects(store.set('../secrets', {}), /Invalid record ID/);
+});
+
+test('the file store runs locked changes to a record one after another', async t => {
+  const dir = tempDir(t);
+  const record = await addChoicesAtOnce(createFileStore({ dir }), 'run-1');
+
+  assert.deepEqual(record.choices, ['warm', 'direct']);
+  assert.deepEqual(fs.readdirSync(dir), ['run-1.json']);
+});
+
+test('the file store waits for another instance\'s lock', async t => {
+  const dir = tempDir(t);
+  const first = createFileStore({ dir });
+  const second = createFileStore({ dir });
+  const order = [];
+
+  await Promise.all([
+    first.lock('run-1', async () => {
+      order.push('first starts');
+      await new Promise(resolve => setTimeout(resolve, 50));
+      order.push('first ends');
+    }),
+    new Promise(resolve => setTimeout(resolve, 10)).then(() => second.lock('run-1', async () => {
+      order.push('second starts');
+    }))
+  ]);
+
+  assert.deepEqual(order, ['first starts', 'first ends', 'second starts']);
+});
+
+test('the file store takes over a lock left behind by a crashed instance', async t => {
+  const dir = tempDir(t);
+  const lockFile = path.join(dir, 'run-1.lock');
+  fs.writeFileSync(lockFile, '');
+  const stale = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockFile, stale, stale);
+
+  const store = createFileStore({ dir });
+  assert.equal(await store.lock('run-1', async () => 'done'), 'done');
+  assert.equal(fs.existsSync(lockFile), false);
+});
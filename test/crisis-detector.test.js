@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CrisisDetector = require('../public/js/crisis-detector');
+const config = require('../public/data/crisis-rules.json');
+
+const rules = CrisisDetector.compile(config);
+const detect = (text, options = {}) => CrisisDetector.detect(text, { rules, ...options });
+
+test('a negation does not cancel suicidal ideation', () => {
+  const result = detect('I\'m not sure I want to die');
+
+  assert.equal(result.isCrisis, true);
+  assert.equal(result.tier, 'elevated');
+  assert.equal(result.ruleId, 'suicidal-ideation');
+  assert.deepEqual(result.negated, []);
+});
+
+test('negations never cancel elevated or imminent phrases', () => {
+  assert.equal(detect('I don\'t know, I want to die').tier, 'elevated');
+  assert.equal(detect('No, I\'m going to kill myself').tier, 'imminent');
+  assert.equal(detect('I never said I would not hurt myself').tier, 'elevated');
+});
+
+test('a negation directly before a concern phrase cancels it', () => {
+  const result = detect('I\'m not hopeless, just tired');
+
+  assert.equal(result.isCrisis, false);
+  assert.deepEqual(result.negated.map(hit => hit.ruleId), ['hopelessness']);
+});
+
+test('a negation further back does not cancel a concern phrase', () => {
+  assert.equal(detect('I\'m not sure, I feel hopeless').tier, 'concern');
+  assert.equal(detect('I don\'t know why I feel so worthless').tier, 'concern');
+});
+
+test('the highest tier wins', () => {
+  const result = detect('I feel hopeless and I have a plan to end it');
+
+  assert.equal(result.tier, 'imminent');
+  assert.equal(result.ruleId, 'suicide-plan');
+});
+
+test('phrases match whole words only', () => {
+  assert.equal(detect('We were cutting the cake').isCrisis, false);
+  assert.equal(detect('I keep cutting myself').tier, 'elevated');
+});
+
+test('practiced rules stay in character when asked about the character', () => {
+  const practiceRules = ['suicidal-ideation'];
+
+  const asked = detect('Are you thinking about suicide?', { practiceRules });
+  assert.equal(asked.isCrisis, false);
+  assert.equal(asked.practice.length, 1);
+
+  const own = detect('I\'ve been thinking about suicide too', { practiceRules });
+  assert.equal(own.isCrisis, true);
+});
+
+test('imminent rules cannot be practiced', () => {
+  assert.deepEqual(CrisisDetector.checkPracticeRules(['suicide-plan', 'missing'], rules), [
+    'imminent crisis rule "suicide-plan" can\'t be practiced',
+    'unknown crisis rule "missing"'
+  ]);
+});
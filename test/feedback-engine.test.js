@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  assessConversation,
+  assessSkill,
+  detectTechniques,
+  getRubricId,
+  splitSentences
+} = require('../lib/feedback-engine');
+
+function conversation(category, ...contents) {
+  return {
+    scenario: { category },
+    messages: contents.map((content, index) => ({ id: `m${index}`, role: 'user', content }))
+  };
+}
+
+function skillScores(result) {
+  return Object.fromEntries(result.skills.map(skill => [skill.id, skill.score]));
+}
+
+test('rubric comes from the scenario, then its category, then the default', () => {
+  assert.equal(getRubricId({ category: 'friendship', rubric: 'crisis' }), 'crisis');
+  assert.equal(getRubricId({ category: 'healthcare-advocacy' }), 'self-advocacy');
+  assert.equal(getRubricId({ category: 'crisis-response' }), 'crisis');
+  assert.equal(getRubricId({ category: 'friendship' }), 'supportive');
+  assert.equal(getRubricId(null), 'supportive');
+});
+
+test('an empty conversation has no score', () => {
+  const result = assessConversation(conversation('friendship'));
+
+  assert.equal(result.overall, null);
+  assert.equal(result.messageCount, 0);
+  assert.deepEqual(result.skills, []);
+});
+
+test('open questions, reflections and validation earn points with the sentence as evidence', () => {
+  const result = assessConversation(conversation('friendship',
+    'What has this week been like for you?',
+    'It sounds like work has been overwhelming.',
+    'That makes sense.'));
+  const scores = skillScores(result);
+
+  assert.equal(result.rubric, 'supportive');
+  assert.equal(scores['open-questions'], 5.5);
+  assert.equal(scores['reflective-listening'], 4.5);
+  assert.equal(scores.validation, 5.5);
+
+  const openQuestions = result.skills.find(skill => skill.id === 'open-questions');
+  assert.deepEqual(openQuestions.earned, [{
+    messageId: 'm0',
+    excerpt: 'What has this week been like for you?',
+    points: 1.5,
+    reason: 'Open question that invites them to share'
+  }]);
+});
+
+test('yes/no questions lose points, but safety questions do not', () => {
+  const closed = assessSkill('open-questions', conversation('friendship', 'Did you go to work today?').messages);
+  assert.equal(closed.score, 3.5);
+  assert.equal(closed.lost[0].reason, 'Yes/no question - an open question would invite more');
+
+  const safety = assessSkill('open-questions', conversation('crisis-response', 'Are you thinking about suicide?').messages);
+  assert.equal(safety.score, 4);
+  assert.deepEqual(safety.lost, []);
+});
+
+test('a question about how they feel is not a reflection', () => {
+  const asked = assessSkill('reflective-listening', conversation('friendship', 'How do you feel about it?').messages);
+  const reflected = assessSkill('reflective-listening', conversation('friendship', 'You feel like nobody listens.').messages);
+
+  assert.deepEqual(asked.earned, []);
+  assert.equal(reflected.earned.length, 1);
+});
+
+test('minimizing loses validation points', () => {
+  const result = assessSkill('validation', conversation('friendship', 'At least it could be worse.').messages);
+
+  assert.equal(result.score, 2.5);
+  assert.equal(result.lost[0].reason, 'Minimizes or dismisses their feelings');
+});
+
+test('advice before exploring is premature, after exploring it is not', () => {
+  const early = assessSkill('premature-advice', conversation('friendship', 'You should just try yoga.').messages);
+  assert.equal(early.score, 6.5);
+  assert.equal(early.lost[0].reason, 'Advice before understanding what they need');
+
+  const late = assessSkill('premature-advice', conversation('friendship',
+    'What has been hardest?',
+    'That makes sense.',
+    'You could try talking to your manager.').messages);
+  assert.equal(late.score, 10);
+  assert.deepEqual(late.lost, []);
+});
+
+test('asking directly about suicide and connecting to help scores in the crisis rubric', () => {
+  const direct = assessConversation(conversation('crisis-response', 'Are you thinking about killing yourself?', 'You can call 988.'));
+  assert.equal(direct.rubric, 'crisis');
+  assert.equal(skillScores(direct)['safety-directness'], 8);
+
+  const vague = assessConversation(conversation('crisis-response', 'Promise me you won\'t do anything stupid.'));
+  assert.equal(skillScores(vague)['safety-directness'], 0);
+});
+
+test('clear requests score and undercutting costs points', () => {
+  const clear = assessSkill('clear-requests', conversation('self-advocacy', 'I need a follow-up appointment this week.').messages);
+  assert.equal(clear.score, 5);
+
+  const undercut = assessSkill('clear-requests', conversation('self-advocacy', 'Sorry to bother you, I need a referral.').messages);
+  assert.equal(undercut.score, 3.5);
+});
+
+test('repeated messages and repeated phrases do not stack points', () => {
+  const repeated = assessConversation(conversation('friendship', 'That makes sense.', 'That makes sense.', 'that  makes sense.'));
+  assert.equal(repeated.messageCount, 1);
+
+  const many = assessSkill('validation', conversation('friendship',
+    'That makes sense.', 'That\'s really hard.', 'Thank you for telling me.',
+    'I\'m sorry you went through that.', 'It\'s understandable.', 'You\'re not alone.').messages);
+  assert.equal(many.earned.length, 4);
+  assert.equal(many.score, 10);
+});
+
+test('strengths and improvements follow the skill scores', () => {
+  const result = assessConversation(conversation('friendship', 'Cheer up, it\'s not that bad.'));
+
+  assert.ok(result.improvements.includes('Reflect what you hear before responding ("It sounds like work has been overwhelming")'));
+  assert.ok(result.strengths.includes('You listened first and held your suggestions until you understood'));
+});
+
+test('techniques are detected per sentence', () => {
+  assert.deepEqual(detectTechniques('At least it could be worse. Do you want to talk?'), ['closed-question', 'dismissal']);
+  assert.deepEqual(detectTechniques('What would help right now?'), ['open-question']);
+});
+
+test('sentences drop fillers and a leading name from their lead', () => {
+  const [sentence] = splitSentences('So, Jordan, are you okay?');
+
+  assert.equal(sentence.isQuestion, true);
+  assert.equal(sentence.lead, 'are you okay?');
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RehearsalEngine = require('../packages/rehearsal-engine');
+
+const start = new Date('2026-01-01T12:00:00Z');
+const later = new Date('2026-01-01T12:00:30Z');
+
+function scenario(scenes) {
+  return { id: 'checkin', title: 'Checking In', character: { name: 'Alex' }, scenes };
+}
+
+const intro = {
+  id: 'intro',
+  text: 'Alex opens the door.',
+  choices: [
+    { id: 'warm', text: 'I brought coffee.', impact: { empathy: 2, trust: 1 }, next: 'success' },
+    { id: 'blunt', text: 'You look awful.', impact: { empathy: -2 }, next: 'failure' },
+    { id: 'talk', text: 'Can we talk?', impact: { trust: 1 }, next: 'inside' }
+  ]
+};
+const inside = {
+  id: 'inside',
+  text: 'Alex lets you in.',
+  choices: [{ id: 'listen', text: 'I\'m listening.', impact: { empathy: 1 }, next: 'success' }]
+};
+const success = { id: 'success', text: 'Alex smiles.', isEnd: true, outcome: 'success' };
+const failure = { id: 'failure', text: 'Alex closes the door.', isEnd: true, outcome: 'failure' };
+
+test('a new session starts at the intro', () => {
+  const session = RehearsalEngine.createSession(scenario([success, intro, inside, failure]), { id: 'run-1', now: start });
+
+  assert.equal(session.currentSceneId, 'intro');
+  assert.equal(session.currentScene, 1);
+  assert.deepEqual(session.playerStats, { empathy: 0, trust: 0, effectiveness: 0 });
+  assert.equal(session.isCompleted, false);
+});
+
+test('a scenario without an intro starts at its first scene', () => {
+  const session = RehearsalEngine.createSession(scenario([inside, success]), { now: start });
+
+  assert.equal(session.currentSceneId, 'inside');
+});
+
+test('a choice moves the session to the next scene and applies its impact', () => {
+  const checkin = scenario([intro, inside, success, failure]);
+  const session = RehearsalEngine.createSession(checkin, { now: start });
+
+  const next = RehearsalEngine.applyChoice(session, checkin, 'talk', later);
+
+  assert.equal(next, inside);
+  assert.equal(session.currentSceneId, 'inside');
+  assert.equal(session.playerStats.trust, 1);
+  assert.equal(session.choices.length, 1);
+  assert.equal(session.choices[0].responseTime, 30000);
+  assert.equal(session.isCompleted, false);
+});
+
+test('a choice that reaches an ending completes the session with its outcome', () => {
+  const checkin = scenario([intro, inside, success, failure]);
+
+  const won = RehearsalEngine.createSession(checkin, { now: start });
+  RehearsalEngine.applyChoice(won, checkin, 'warm', later);
+  assert.equal(won.isCompleted, true);
+  assert.equal(won.currentSceneId, 'success');
+  assert.equal(won.outcome.result, 'success');
+  assert.deepEqual(won.outcome.finalStats, { empathy: 2, trust: 1, effectiveness: 0 });
+  assert.equal(won.stats.totalTime, 30000);
+
+  const lost = RehearsalEngine.createSession(checkin, { now: start });
+  RehearsalEngine.applyChoice(lost, checkin, 'blunt', later);
+  assert.equal(lost.outcome.result, 'failure');
+  assert.equal(lost.outcome.nathanFeedback, RehearsalEngine.NATHAN_FEEDBACK.failure);
+});
+
+test('a choice-level ending counts as a success', () => {
+  const door = { id: 'intro', text: 'Alex opens the door.', choices: [{ id: 'leave', text: 'I\'ll leave you be.', isEnd: true }] };
+  const session = RehearsalEngine.createSession(scenario([door]), { now: start });
+
+  RehearsalEngine.applyChoice(session, scenario([door]), 'leave', later);
+
+  assert.equal(session.isCompleted, true);
+  assert.equal(session.outcome.result, 'success');
+});
+
+test('a choice leading to a missing scene is rejected', () => {
+  const checkin = scenario([intro, success]);
+  const session = RehearsalEngine.createSession(checkin, { now: start });
+  const before = structuredClone(session);
+
+  assert.throws(() => RehearsalEngine.applyChoice(session, checkin, 'blunt', later), {
+    code: 'INVALID_SCENARIO',
+    message: 'Scene "failure" does not exist'
+  });
+  assert.deepEqual(session, before);
+});
+
+test('a dead end cannot be played past', () => {
+  const stuck = { id: 'intro', text: 'Alex says nothing.', choices: [] };
+  const session = RehearsalEngine.createSession(scenario([stuck]), { now: start });
+
+  assert.throws(() => RehearsalEngine.applyChoice(session, scenario([stuck]), 'anything', later), { code: 'INVALID_CHOICE' });
+});
+
+test('a completed session takes no more choices', () => {
+  const checkin = scenario([intro, inside, success, failure]);
+  const session = RehearsalEngine.createSession(checkin, { now: start });
+  RehearsalEngine.applyChoice(session, checkin, 'warm', later);
+
+  assert.throws(() => RehearsalEngine.applyChoice(session, checkin, 'warm', later), { code: 'SESSION_COMPLETE' });
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ScenarioValidator = require('../public/js/scenario-validator');
+
+function scenario(scenes) {
+  return { title: 'Checking In', character: { name: 'Alex' }, scenes };
+}
+
+const intro = {
+  id: 'intro',
+  text: 'Alex opens the door.',
+  choices: [
+    { id: 'warm', text: 'I brought coffee.', impact: { empathy: 2 }, next: 'success' },
+    { id: 'blunt', text: 'You look awful.', impact: { empathy: -2 }, next: 'failure' }
+  ]
+};
+const success = { id: 'success', text: 'Alex smiles.', isEnd: true, outcome: 'success' };
+const failure = { id: 'failure', text: 'Alex closes the door.', isEnd: true, outcome: 'failure' };
+
+function codes(issues) {
+  return issues.map(issue => issue.code);
+}
+
+test('a complete scenario has no errors or warnings', () => {
+  const report = ScenarioValidator.validateScenarios({ checkin: scenario([intro, success, failure]) });
+
+  assert.equal(report.valid, true);
+  assert.equal(report.scenarioCount, 1);
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(report.warnings, []);
+});
+
+test('a choice leading to a missing scene is an error', () => {
+  const report = ScenarioValidator.validateScenarios({ checkin: scenario([intro, success]) });
+
+  assert.equal(report.valid, false);
+  assert.deepEqual(codes(report.errors), ['dangling-next']);
+  assert.equal(report.errors[0].sceneId, 'intro');
+  assert.equal(report.errors[0].choiceIndex, 1);
+  assert.equal(report.errors[0].next, 'failure');
+  assert.equal(report.errors[0].message, 'Choice 2 in "intro" leads to missing scene "failure"');
+});
+
+test('a choice or rule without a next scene is an error', () => {
+  const scenes = [
+    {
+      ...intro,
+      choices: [
+        { id: 'warm', text: 'I brought coffee.', next: 'success', nextIf: [{ when: { trust: { min: 6 } } }] },
+        { id: 'blunt', text: 'You look awful.' }
+      ]
+    },
+    success
+  ];
+  const report = ScenarioValidator.validateScenarios({ checkin: scenario(scenes) });
+
+  assert.deepEqual(codes(report.errors), ['dangling-next', 'dangling-next']);
+  assert.deepEqual(report.errors.map(issue => issue.message), [
+    'Choice 1 in "intro" rule 1 has no "next" scene',
+    'Choice 2 in "intro" has no "next" scene'
+  ]);
+});
+
+test('a scenario without an intro is an error', () => {
+  const report = ScenarioValidator.validateScenarios({ checkin: scenario([{ ...intro, id: 'door' }, success, failure]) });
+
+  assert.deepEqual(codes(report.errors), ['missing-intro']);
+  assert.equal(report.errors[0].message, 'Scenario has no "intro" scene');
+});
+
+test('a scene without choices that is not an ending is a dead end', () => {
+  const waiting = { id: 'waiting', text: 'Alex says nothing.' };
+  const scenes = [{ ...intro, choices: [...intro.choices, { id: 'wait', text: 'Wait.', next: 'waiting' }] }, waiting, success, failure];
+  const report = ScenarioValidator.validateScenarios({ checkin: scenario(scenes) });
+
+  assert.deepEqual(codes(report.errors), ['dead-end']);
+  assert.equal(report.errors[0].sceneId, 'waiting');
+});
+
+test('an ending needs a known outcome', () => {
+  const report = ScenarioValidator.validateScenarios({
+    checkin: scenario([intro, { ...success, outcome: undefined }, { ...failure, outcome: 'disaster' }])
+  });
+
+  assert.deepEqual(codes(report.errors), ['missing-outcome', 'invalid-outcome']);
+});
+
+test('scenes the intro cannot reach are warnings', () => {
+  const orphan = { id: 'orphan', text: 'Nobody gets here.', isEnd: true, outcome: 'partial' };
+  const report = ScenarioValidator.validateScenarios({ checkin: scenario([intro, success, failure, orphan]) });
+
+  assert.equal(report.valid, true);
+  assert.deepEqual(codes(report.warnings), ['unreachable-scene']);
+  assert.equal(report.warnings[0].sceneId, 'orphan');
+});
+
+test('the built-in scenarios have no errors', () => {
+  const report = ScenarioValidator.validateScenarios(require('../public/data/scenarios.json'));
+
+  assert.deepEqual(report.errors, []);
+});
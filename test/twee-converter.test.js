@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TweeConverter = require('../public/js/twee-converter');
+
+function scenario(scenes, fields = {}) {
+  return {
+    title: 'Checking In',
+    description: 'A short test scenario',
+    category: 'friendship',
+    difficulty: 'beginner',
+    character: { name: 'Alex', avatar: '😔', mood: 'withdrawn' },
+    ...fields,
+    scenes
+  };
+}
+
+const basic = scenario([
+  {
+    id: 'intro',
+    text: 'Alex opens the door.',
+    dialogue: 'Oh... hey.',
+    mood: 'tired',
+    choices: [
+      { id: 'warm', text: 'I brought coffee.', impact: { empathy: 2, trust: 1 }, next: 'success' },
+      { id: 'blunt', text: 'You look awful.', impact: { empathy: -2 }, next: 'failure' }
+    ]
+  },
+  { id: 'success', text: 'Alex smiles.', isEnd: true, outcome: 'success', criticalInfo: 'Show up.' },
+  { id: 'failure', text: 'Alex closes the door.', isEnd: true, outcome: 'failure' }
+]);
+
+test('a scenario comes back from Twee unchanged', () => {
+  assert.deepEqual(TweeConverter.checkRoundTrip('checking-in', basic), []);
+
+  const { id, scenario: result, warnings } = TweeConverter.fromTwee(TweeConverter.toTwee('checking-in', basic));
+  assert.equal(id, 'checking-in');
+  assert.deepEqual(result, basic);
+  assert.deepEqual(warnings, []);
+});
+
+test('scenes become passages with tags, dialogue, takeaways and links', () => {
+  const twee = TweeConverter.toTwee('checking-in', basic);
+
+  assert.match(twee, /^:: StoryTitle\nChecking In\n/);
+  assert.match(twee, /\n:: intro \{"position":"100,100","size":"100,100","mood":"tired","choices":\[\{"id":"warm",/);
+  assert.match(twee, /\nAlex opens the door\.\n\n> Oh\.\.\. hey\.\n\n\[\[I brought coffee\.->success\]\]\n\[\[You look awful\.->failure\]\]/);
+  assert.match(twee, /\n:: success \[end success\] \{[^\n]*\}\nAlex smiles\.\n\nTakeaway: Show up\./);
+});
+
+test('the story data names the start scene and keeps the same IFID on every export', () => {
+  const first = TweeConverter.toTwee('checking-in', basic);
+  const storyData = JSON.parse(first.split(':: StoryData\n')[1].split('\n\n\n')[0]);
+
+  assert.equal(storyData.start, 'intro');
+  assert.match(storyData.ifid, /^[0-9A-F]{8}-[0-9A-F]{4}-4[0-9A-F]{3}-[89AB][0-9A-F]{3}-[0-9A-F]{12}$/);
+  assert.equal(TweeConverter.toTwee('checking-in', basic), first);
+});
+
+test('scenes with no choices keep their shape', () => {
+  const noChoices = scenario([
+    { id: 'intro', text: 'Nobody answers.', choices: [] },
+    { id: 'quiet-ending', text: 'You leave a note.', isEnd: true, outcome: 'partial' },
+    { id: 'breakthrough', text: 'A text arrives.', isBreakthrough: true, isEnd: true, outcome: 'success' }
+  ]);
+
+  assert.deepEqual(TweeConverter.checkRoundTrip('no-choices', noChoices), []);
+
+  const { scenario: result } = TweeConverter.fromTwee(TweeConverter.toTwee('no-choices', noChoices));
+  assert.deepEqual(result.scenes[0].choices, []);
+  assert.equal('choices' in result.scenes[1], false);
+  assert.equal(result.scenes[2].isBreakthrough, true);
+});
+
+test('narration that looks like Twee markup is escaped and restored', () => {
+  const tricky = scenario([
+    {
+      id: 'intro',
+      text: ':: not a passage\n> not dialogue\nTakeaway: not a takeaway\n\\ a backslash',
+      dialogue: 'Line one\nLine two',
+      choices: [{ text: 'Go on.', impact: {}, next: 'end' }]
+    },
+    { id: 'end', text: 'Done.', isEnd: true, outcome: 'success' }
+  ]);
+
+  const twee = TweeConverter.toTwee('tricky', tricky);
+  assert.match(twee, /\n\\:: not a passage\n\\> not dialogue\n\\Takeaway: not a takeaway\n\\\\ a backslash\n/);
+  assert.deepEqual(TweeConverter.checkRoundTrip('tricky', tricky), []);
+});
+
+test('passage names with brackets and braces are escaped', () => {
+  const named = scenario([
+    { id: 'intro', text: 'Start.', choices: [{ text: 'Next', impact: {}, next: 'odd [name] {1}' }] },
+    { id: 'odd [name] {1}', text: 'End.', isEnd: true, outcome: 'success' }
+  ]);
+
+  assert.match(TweeConverter.toTwee('named', named), /\n:: odd \\\[name\\\] \\\{1\\\} \[end success\]/);
+  assert.deepEqual(TweeConverter.checkRoundTrip('named', named), []);
+});
+
+test('choice text that a Twee link cannot hold is refused', () => {
+  const arrow = scenario([
+    { id: 'intro', text: 'Start.', choices: [{ text: 'Left -> right', impact: {}, next: 'intro' }] }
+  ]);
+
+  assert.throws(() => TweeConverter.toTwee('arrow', arrow), { code: 'unsupported-link' });
+});
+
+test('stories written in Twine import with every link form', () => {
+  const twee = [
+    ':: StoryTitle',
+    'Talking To My Sister',
+    '',
+    ':: intro',
+    'She looks up. [[Sit down]] or [[leave|out]]',
+    '[[Ask how she is->ask]]',
+    '[[talk<-Say nothing]]',
+    '',
+    ':: Sit down [end success]',
+    '',
+    ':: out [end failure]',
+    '',
+    ':: ask [end partial]',
+    '',
+    ':: talk [end partial]',
+    '',
+    ':: Story JavaScript [script]',
+    'console.log("ignored")'
+  ].join('\n');
+
+  const { id, scenario: result, warnings } = TweeConverter.fromTwee(twee);
+
+  assert.equal(id, 'talking-to-my-sister');
+  assert.equal(result.title, 'Talking To My Sister');
+  assert.equal(result.scenes[0].text, 'She looks up.  or');
+  assert.deepEqual(result.scenes[0].choices, [
+    { text: 'Sit down', next: 'Sit down' },
+    { text: 'leave', next: 'out' },
+    { text: 'Ask how she is', next: 'ask' },
+    { text: 'Say nothing', next: 'talk' }
+  ]);
+  assert.deepEqual(result.scenes.map(scene => scene.id), ['intro', 'Sit down', 'out', 'ask', 'talk']);
+  assert.deepEqual(warnings, []);
+});
+
+test('import warns about problems it can recover from', () => {
+  const twee = [
+    ':: StoryData',
+    '{"start": "opening"}',
+    '',
+    ':: ScenarioData',
+    '{ not json',
+    '',
+    ':: opening {"choices": [{"impact": {"empathy": 1}}, {"impact": {"trust": 1}}]}',
+    '[[Hello->opening]]',
+    '',
+    ':: broken {oops}',
+    'Text.'
+  ].join('\n');
+
+  const { scenario: result, warnings } = TweeConverter.fromTwee(twee, { id: 'recovered' });
+
+  assert.deepEqual(result.scenes[0].choices, [{ text: 'Hello', impact: { empathy: 1 }, next: 'opening' }]);
+  assert.equal(warnings.length, 4);
+  assert.match(warnings.join('\n'), /ScenarioData is not valid JSON/);
+  assert.match(warnings.join('\n'), /Passage "broken" has unreadable metadata/);
+  assert.match(warnings.join('\n'), /metadata for more choices than it has links/);
+  assert.match(warnings.join('\n'), /starts at "opening"/);
+});
+
+test('import refuses stories without scenes or a name', () => {
+  assert.throws(() => TweeConverter.fromTwee(':: StoryTitle\nEmpty'), { code: 'no-scenes' });
+  assert.throws(() => TweeConverter.fromTwee(':: intro\nHello.'), { code: 'missing-id' });
+});
@@ -152,6 +152,7 @@ export function optionalAuth(req: AuthRequest, res: Response, next: NextFunction
 
 /**
  * Generate JWT token for user
+ * Access tokens are short-lived (JWT_EXPIRES_IN, default 15m); clients renew them with a refresh token
  */
 export function generateToken(user: { id: string; email: string; name: string; role: string }): string {
   const secret = process.env.JWT_SECRET;
@@ -172,7 +173,7 @@ export function generateToken(user: { id: string; email: string; name: string; r
   };
 
   const options: SignOptions = {
-    expiresIn: '24h',
+    expiresIn: (process.env.JWT_EXPIRES_IN || '15m') as SignOptions['expiresIn'],
     issuer: 'the-rehearsal-ai',
     audience: 'rehearsal-users'
   };
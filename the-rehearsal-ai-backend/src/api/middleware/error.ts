@@ -128,8 +128,11 @@ export function notFoundHandler(req: Request, res: Response): void {
           'GET /api/health',
           'POST /api/auth/login',
           'POST /api/auth/register',
+          'GET /api/scenarios',
+          'POST /api/conversations',
           'GET /api/scripts',
-          'POST /api/scripts'
+          'POST /api/scripts',
+          'GET /api/analytics/me'
         ]
       }
     },
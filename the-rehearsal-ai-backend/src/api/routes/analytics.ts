@@ -0,0 +1,321 @@
+// Analytics routes - progress snapshots for scripts and rehearsals
+// "If it isn't measured, it didn't happen. If it is measured, measure it again." - Nathan
+
+import express, { Router, Request, Response } from 'express';
+import { z } from 'zod';
+import { asyncHandler } from '../middleware/error';
+import { authenticateToken, optionalAuth, verifyToken, AuthRequest } from '../middleware/auth';
+import { ApiResponse, successResponse, ScriptMetrics, UserAnalytics } from '../../types/index';
+import { RehearsalError } from '../../utils/errors';
+import { conversationService } from '../../services/conversation';
+import { achievementService, DEFAULT_TIME_ZONE } from '../../services/achievements';
+import { analyticsService } from '../../services/analytics';
+import prisma from '../../config/database';
+
+const router = Router();
+
+const MAX_EVENTS_PER_BATCH = 50;
+const MAX_EVENT_DATA_LENGTH = 2000;
+
+const eventsSchema = z.object({
+  sessionId: z.string().regex(/^[A-Za-z0-9_-]{8,64}$/, 'Invalid session ID'),
+  token: z.string().max(2000).optional(),
+  events: z.array(z.object({
+    type: z.string().regex(/^[a-z][a-z0-9_]{0,49}$/, 'Invalid event type'),
+    scenarioId: z.string().max(100).optional(),
+    runId: z.string().max(64).optional(),
+    sceneId: z.string().max(100).optional(),
+    data: z.record(z.unknown())
+      .refine(data => JSON.stringify(data).length <= MAX_EVENT_DATA_LENGTH, 'Event data is too large')
+      .optional(),
+    occurredAt: z.coerce.date()
+  })).max(MAX_EVENTS_PER_BATCH)
+});
+
+/**
+ * POST /api/analytics/events
+ * Store a batch of usage events. Accepts JSON, or text/plain from navigator.sendBeacon,
+ * which can't send other content types across origins or set headers, so a signed-in
+ * browser puts its access token in the body instead.
+ * Nathan: "Every click is a data point. Every data point deserves a folder."
+ */
+router.post('/events', express.text({ type: 'text/plain', limit: '64kb' }), optionalAuth, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const validationResult = eventsSchema.safeParse(parseBody(req));
+  if (!validationResult.success) {
+    throw new RehearsalError(
+      'VALIDATION_ERROR',
+      'Invalid analytics events',
+      400,
+      'Nathan couldn\'t file these observations',
+      validationResult.error.flatten().fieldErrors
+    );
+  }
+
+  const { sessionId, events, token } = validationResult.data;
+  const tokenUser = token ? verifyToken(token) : null;
+
+  // A batch naming a user it can't prove is dropped, not stored as anonymous: that user may have opted out
+  const stored = token && !tokenUser
+    ? 0
+    : await analyticsService.recordEvents(events, sessionId, req.user ? req.user.id : tokenUser ? tokenUser.id : null);
+
+  const response: ApiResponse = successResponse(
+    { stored },
+    stored > 0 ? `${stored} observations filed.` : 'Nothing filed. Nathan respects your privacy settings.'
+  );
+
+  res.status(202).json(response);
+}));
+
+/**
+ * GET /api/analytics/scenarios
+ * Completion rate per scenario across everyone who shares usage data
+ */
+router.get('/scenarios', asyncHandler(async (req: Request, res: Response): Promise<void> => {
+  const scenarios = await analyticsService.getCompletionRates();
+
+  const response: ApiResponse = successResponse(
+    { scenarios },
+    `Completion rates for ${scenarios.length} scenarios.`
+  );
+
+  res.json(response);
+}));
+
+/**
+ * GET /api/analytics/scenarios/:scenarioId
+ * Which choices people make at each scene, where unfinished runs stopped, and how many finished
+ */
+router.get('/scenarios/:scenarioId', asyncHandler(async (req: Request, res: Response): Promise<void> => {
+  const insights = await analyticsService.getScenarioInsights(req.params.scenarioId);
+
+  const response: ApiResponse = successResponse(
+    { insights },
+    `${insights.runs} runs analyzed. Nathan has charted every one.`
+  );
+
+  res.json(response);
+}));
+
+/**
+ * GET /api/analytics/me
+ * The signed-in user's analytics, worked out from their rehearsals and scripts as they are now
+ * Nathan: "I keep a spreadsheet of my spreadsheets."
+ */
+router.get('/me', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const analytics = await buildUserAnalytics(req.user!.id, parseTimeZone(req));
+
+  const response: ApiResponse = successResponse(
+    { analytics: { ...analytics, generatedAt: new Date() } },
+    `${analytics.conversationMetrics.totalConversations} rehearsals and ${analytics.scriptMetrics.totalScripts} scripts analyzed.`
+  );
+
+  res.json(response);
+}));
+
+/**
+ * POST /api/analytics/me/snapshots
+ * Store the user's current analytics as a snapshot for the history
+ */
+router.post('/me/snapshots', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const userId = req.user!.id;
+  const analytics = await buildUserAnalytics(userId, parseTimeZone(req));
+
+  const snapshot = await prisma.userAnalytics.create({
+    data: {
+      userId,
+      scriptMetrics: analytics.scriptMetrics as any,
+      conversationMetrics: analytics.conversationMetrics as any,
+      learningProgress: analytics.learningProgress as any,
+      streaks: analytics.streaks as any,
+      achievements: analytics.achievements as any
+    }
+  });
+
+  const response: ApiResponse = successResponse(
+    { analytics: { ...analytics, generatedAt: snapshot.generatedAt } },
+    'Snapshot filed in Nathan\'s archive.'
+  );
+
+  res.status(201).json(response);
+}));
+
+/**
+ * GET /api/analytics/me/history
+ * Earlier snapshots, newest first, to chart progress over time
+ */
+router.get('/me/history', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit as string) || 20));
+
+  const snapshots = await prisma.userAnalytics.findMany({
+    where: { userId: req.user!.id },
+    orderBy: { generatedAt: 'desc' },
+    take: limit,
+    select: {
+      scriptMetrics: true,
+      conversationMetrics: true,
+      generatedAt: true
+    }
+  });
+
+  const response: ApiResponse = successResponse(
+    { snapshots },
+    `${snapshots.length} snapshots retrieved from Nathan's archive.`
+  );
+
+  res.json(response);
+}));
+
+/**
+ * GET /api/analytics/me/progress
+ * Attempts, best score and endings found per scenario, for the scenario grid badges
+ */
+router.get('/me/progress', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const progress = await conversationService.getScenarioProgress(req.user!.id);
+
+  const response: ApiResponse = successResponse(
+    { progress },
+    `Progress on ${progress.length} scenarios. Nathan has been keeping count.`
+  );
+
+  res.json(response);
+}));
+
+/**
+ * GET /api/analytics/me/achievements
+ * Check every achievement rule and report level, streaks, unlocked achievements and
+ * progress on the rest. Nothing is stored; unlocks are kept by POST /me/snapshots.
+ * Nathan: "Seven days in a row. I rehearsed the celebration on day four."
+ */
+router.get('/me/achievements', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const report = await achievementService.evaluate(req.user!.id, new Date(), parseTimeZone(req));
+
+  const response: ApiResponse = successResponse(
+    report,
+    report.newlyUnlocked.length > 0
+      ? `${report.newlyUnlocked.length} new achievement${report.newlyUnlocked.length === 1 ? '' : 's'} unlocked. Nathan is applauding, quietly.`
+      : `${report.achievements.length} achievements unlocked so far. Keep rehearsing.`
+  );
+
+  res.json(response);
+}));
+
+// Helper functions
+
+/**
+ * Everything in a UserAnalytics snapshot, without storing it
+ */
+async function buildUserAnalytics(userId: string, timeZone: string): Promise<Omit<UserAnalytics, 'generatedAt'>> {
+  const [scriptMetrics, conversationMetrics, progress] = await Promise.all([
+    calculateScriptMetrics(userId),
+    conversationService.getUserMetrics(userId),
+    achievementService.evaluate(userId, new Date(), timeZone)
+  ]);
+
+  return {
+    userId,
+    scriptMetrics,
+    conversationMetrics,
+    learningProgress: progress.learningProgress,
+    streaks: progress.streaks,
+    achievements: progress.achievements
+  };
+}
+
+/**
+ * Summarize the user's Director's Studio scripts
+ */
+async function calculateScriptMetrics(userId: string): Promise<ScriptMetrics> {
+  const scripts = await prisma.script.findMany({
+    where: { userId },
+    select: {
+      originalScript: true,
+      template: true,
+      enhancements: true,
+      nathanLevel: true,
+      draftNumber: true
+    }
+  });
+
+  const enhancementCounts = new Map<string, number>();
+  const templateCounts = new Map<string, number>();
+  let totalWords = 0;
+  let totalNathanLevel = 0;
+  let totalDrafts = 0;
+
+  scripts.forEach((script: any) => {
+    parseJsonArray(script.enhancements).forEach(type => {
+      enhancementCounts.set(type, (enhancementCounts.get(type) || 0) + 1);
+    });
+    templateCounts.set(script.template, (templateCounts.get(script.template) || 0) + 1);
+    totalWords += script.originalScript.split(/\s+/).filter(Boolean).length;
+    totalNathanLevel += script.nathanLevel;
+    totalDrafts += script.draftNumber;
+  });
+
+  const count = scripts.length;
+
+  return {
+    totalScripts: count,
+    averageNathanLevel: count > 0 ? Math.round(totalNathanLevel / count) : 0,
+    totalDrafts,
+    mostUsedEnhancements: [...enhancementCounts.entries()]
+      .map(([type, uses]) => ({ type, count: uses }))
+      .sort((a, b) => b.count - a.count),
+    averageWordsPerScript: count > 0 ? Math.round(totalWords / count) : 0,
+    categoryBreakdown: [...templateCounts.entries()]
+      .map(([category, uses]) => ({ category, count: uses }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
+/**
+ * The time zone streak days are counted in, from ?timeZone= (e.g. "Europe/Berlin")
+ */
+function parseTimeZone(req: Request): string {
+  const timeZone = req.query.timeZone;
+  if (timeZone === undefined) return DEFAULT_TIME_ZONE;
+
+  try {
+    if (typeof timeZone !== 'string') throw new RangeError('Time zone must be a string');
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch {
+    throw new RehearsalError(
+      'VALIDATION_ERROR',
+      'Invalid time zone',
+      400,
+      'Nathan has rehearsed in every time zone, but not that one'
+    );
+  }
+}
+
+/**
+ * Beacon batches arrive as text; anything that isn't JSON fails validation
+ */
+function parseBody(req: Request): unknown {
+  if (typeof req.body !== 'string') return req.body;
+
+  try {
+    return JSON.parse(req.body);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Script JSON fields are written as strings by the scripts routes
+ */
+function parseJsonArray(value: unknown): string[] {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [];
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export default router;
@@ -0,0 +1,197 @@
+// Auth routes - registration, login, token refresh and profile
+// "Trust is earned. Credentials are verified." - Nathan
+
+import { Router, Request, Response } from 'express';
+import { z } from 'zod';
+import { asyncHandler } from '../middleware/error';
+import { authenticateToken, AuthRequest } from '../middleware/auth';
+import { ApiResponse, successResponse, ValidationPatterns } from '../../types/index';
+import { RehearsalError } from '../../utils/errors';
+import { userService } from '../../services/user';
+
+const router = Router();
+
+// Validation schemas
+const registerSchema = z.object({
+  email: z.string().regex(ValidationPatterns.email, 'Valid email required'),
+  name: z.string().trim().min(1, 'Name required').max(100),
+  password: z.string().regex(
+    ValidationPatterns.password,
+    'Password needs at least 8 characters, with upper and lower case letters and a number'
+  )
+});
+
+const loginSchema = z.object({
+  email: z.string().min(1, 'Email required'),
+  password: z.string().min(1, 'Password required')
+});
+
+const refreshTokenSchema = z.object({
+  refreshToken: z.string().min(1, 'Refresh token required')
+});
+
+const updateProfileSchema = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  preferences: z.object({
+    nathanLevel: z.number().min(0).max(100).optional(),
+    defaultEnhancements: z.array(z.string()).optional(),
+    notificationSettings: z.object({
+      email: z.boolean(),
+      push: z.boolean(),
+      sms: z.boolean()
+    }).optional(),
+    privacySettings: z.object({
+      shareStats: z.boolean(),
+      shareScripts: z.boolean(),
+      shareUsage: z.boolean().optional()
+    }).optional()
+  }).optional()
+});
+
+/**
+ * POST /api/auth/register
+ * Create an account
+ * Nathan: "Welcome. Please initial all 47 pages."
+ */
+router.post('/register', asyncHandler(async (req: Request, res: Response): Promise<void> => {
+  const validationResult = registerSchema.safeParse(req.body);
+  if (!validationResult.success) {
+    throw new RehearsalError(
+      'VALIDATION_ERROR',
+      'Invalid registration data',
+      400,
+      'Nathan needs a valid email, a name and a strong password',
+      validationResult.error.flatten().fieldErrors
+    );
+  }
+
+  const session = await userService.register(validationResult.data);
+
+  const response: ApiResponse = successResponse(
+    session,
+    `Welcome, ${session.user.name}. Your first rehearsal is already being prepared.`
+  );
+
+  res.status(201).json(response);
+}));
+
+/**
+ * POST /api/auth/login
+ * Sign in with email and password
+ * Nathan: "I rehearsed this login 73 times."
+ */
+router.post('/login', asyncHandler(async (req: Request, res: Response): Promise<void> => {
+  const validationResult = loginSchema.safeParse(req.body);
+  if (!validationResult.success) {
+    throw new RehearsalError(
+      'VALIDATION_ERROR',
+      'Email and password required',
+      400,
+      'Nathan needs both an email and a password'
+    );
+  }
+
+  const { email, password } = validationResult.data;
+  const session = await userService.login(email, password);
+
+  const response: ApiResponse = successResponse(
+    session,
+    `Welcome back, ${session.user.name}.`
+  );
+
+  res.json(response);
+}));
+
+/**
+ * POST /api/auth/refresh
+ * Swap a refresh token for a new token pair (the old refresh token stops working)
+ * Nathan: "Every 15 minutes, I re-introduce myself. Just to be safe."
+ */
+router.post('/refresh', asyncHandler(async (req: Request, res: Response): Promise<void> => {
+  const validationResult = refreshTokenSchema.safeParse(req.body);
+  if (!validationResult.success) {
+    throw new RehearsalError(
+      'VALIDATION_ERROR',
+      'Refresh token required',
+      400,
+      'Nathan needs your refresh token to extend the session'
+    );
+  }
+
+  const session = await userService.refresh(validationResult.data.refreshToken);
+
+  const response: ApiResponse = successResponse(
+    session,
+    'Session extended. Nathan has renewed your credentials.'
+  );
+
+  res.json(response);
+}));
+
+/**
+ * POST /api/auth/logout
+ * Revoke a refresh token; the short-lived access token simply expires
+ */
+router.post('/logout', asyncHandler(async (req: Request, res: Response): Promise<void> => {
+  const validationResult = refreshTokenSchema.safeParse(req.body);
+  if (!validationResult.success) {
+    throw new RehearsalError(
+      'VALIDATION_ERROR',
+      'Refresh token required',
+      400,
+      'Nathan needs your refresh token to close the session'
+    );
+  }
+
+  await userService.logout(validationResult.data.refreshToken);
+
+  const response: ApiResponse = successResponse(
+    { loggedOut: true },
+    'Signed out. Nathan has filed the session away.'
+  );
+
+  res.json(response);
+}));
+
+/**
+ * GET /api/auth/me
+ * Get the signed-in user's profile
+ */
+router.get('/me', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const user = await userService.getById(req.user!.id);
+
+  const response: ApiResponse = successResponse(
+    { user },
+    'Profile retrieved from Nathan\'s filing cabinet.'
+  );
+
+  res.json(response);
+}));
+
+/**
+ * PUT /api/auth/me
+ * Update the signed-in user's name or preferences
+ */
+router.put('/me', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const validationResult = updateProfileSchema.safeParse(req.body);
+  if (!validationResult.success) {
+    throw new RehearsalError(
+      'VALIDATION_ERROR',
+      'Invalid profile data',
+      400,
+      'Nathan can\'t file these profile changes',
+      validationResult.error.flatten().fieldErrors
+    );
+  }
+
+  const user = await userService.updateProfile(req.user!.id, validationResult.data);
+
+  const response: ApiResponse = successResponse(
+    { user },
+    'Profile updated. Nathan has amended the paperwork.'
+  );
+
+  res.json(response);
+}));
+
+export default router;
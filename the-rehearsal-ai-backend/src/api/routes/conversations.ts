@@ -0,0 +1,182 @@
+// Conversation routes - server-authoritative rehearsals of branching scenarios
+// "The choices are yours. The scoring is mine." - Nathan
+
+import { Router, Response } from 'express';
+import { z } from 'zod';
+import { asyncHandler } from '../middleware/error';
+import { authenticateToken, AuthRequest } from '../middleware/auth';
+import { ApiResponse, successResponse } from '../../types/index';
+import { RehearsalError } from '../../utils/errors';
+import { conversationService } from '../../services/conversation';
+
+const router = Router();
+
+// Validation schemas
+const startConversationSchema = z.object({
+  scenarioId: z.string().min(1, 'Scenario ID required')
+});
+
+// Longer response times are an abandoned tab, not a pause; they are capped rather than
+// rejected, because the browser drops a run the import refuses
+const MAX_RESPONSE_TIME_MS = 60 * 60 * 1000;
+
+const timingSchema = z.object({
+  responseTime: z.number().min(0).transform(time => Math.min(Math.round(time), MAX_RESPONSE_TIME_MS)).optional(),
+  timedOut: z.boolean().optional(),
+  // Hint levels per scene: nudge, principle, near answer
+  hintsUsed: z.number().int().min(0).max(3).optional()
+});
+
+const choiceSchema = timingSchema.extend({
+  choiceId: z.string().min(1, 'Choice ID required')
+});
+
+const importConversationSchema = z.object({
+  id: z.string().regex(/^[A-Za-z0-9_-]{8,64}$/, 'Rehearsal ID must be 8-64 letters, digits, dashes or underscores'),
+  scenarioId: z.string().min(1, 'Scenario ID required'),
+  choiceIds: z.array(z.string().min(1)).max(200),
+  timings: z.array(timingSchema).max(200).optional(),
+  startedAt: z.coerce.date().optional()
+});
+
+const listConversationsSchema = z.object({
+  scenarioId: z.string().optional(),
+  completed: z.enum(['true', 'false']).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+/**
+ * POST /api/conversations
+ * Start a rehearsal of a scenario
+ * Nathan: "Places, everyone."
+ */
+router.post('/', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const validationResult = startConversationSchema.safeParse(req.body);
+  if (!validationResult.success) {
+    throw new RehearsalError(
+      'VALIDATION_ERROR',
+      'Invalid conversation data',
+      400,
+      'Nathan needs to know which scenario to rehearse'
+    );
+  }
+
+  const conversation = await conversationService.startConversation(req.user!.id, validationResult.data.scenarioId);
+
+  const response: ApiResponse = successResponse(
+    { conversation },
+    'Rehearsal started. Nathan is watching from the control room.'
+  );
+
+  res.status(201).json(response);
+}));
+
+/**
+ * POST /api/conversations/import
+ * Save a rehearsal played in the browser; its choices are replayed to score it
+ * Nathan: "If it happened off-camera, we film it again."
+ */
+router.post('/import', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const validationResult = importConversationSchema.safeParse(req.body);
+  if (!validationResult.success) {
+    throw new RehearsalError(
+      'VALIDATION_ERROR',
+      'Invalid rehearsal data',
+      400,
+      'Nathan can\'t reconstruct this rehearsal from the footage provided',
+      validationResult.error.flatten().fieldErrors
+    );
+  }
+
+  const conversation = await conversationService.importConversation(req.user!.id, validationResult.data);
+
+  const response: ApiResponse = successResponse(
+    { conversation },
+    'Rehearsal added to Nathan\'s archive.'
+  );
+
+  res.status(201).json(response);
+}));
+
+/**
+ * GET /api/conversations
+ * List the user's rehearsals
+ */
+router.get('/', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const validationResult = listConversationsSchema.safeParse(req.query);
+  if (!validationResult.success) {
+    throw new RehearsalError(
+      'VALIDATION_ERROR',
+      'Invalid query parameters',
+      400,
+      'Nathan can\'t sort the archive with these filters'
+    );
+  }
+
+  const { scenarioId, completed, limit, offset } = validationResult.data;
+  const { conversations, total } = await conversationService.listConversations(req.user!.id, {
+    scenarioId,
+    completed: completed === undefined ? undefined : completed === 'true',
+    limit,
+    offset
+  });
+
+  const response: ApiResponse = {
+    ...successResponse(
+      { conversations },
+      `Found ${total} rehearsals in Nathan's archive.`
+    ),
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + limit < total
+    }
+  };
+
+  res.json(response);
+}));
+
+/**
+ * GET /api/conversations/:id
+ * Get a rehearsal with its current scene, e.g. to resume it on another device
+ */
+router.get('/:id', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const conversation = await conversationService.getConversation(req.user!.id, req.params.id);
+
+  const response: ApiResponse = successResponse(
+    { conversation },
+    'Rehearsal retrieved. Picking up exactly where you left off.'
+  );
+
+  res.json(response);
+}));
+
+/**
+ * POST /api/conversations/:id/choices
+ * Submit a choice for the current scene
+ * Nathan: "Every choice has consequences. I've mapped all of them."
+ */
+router.post('/:id/choices', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const validationResult = choiceSchema.safeParse(req.body);
+  if (!validationResult.success) {
+    throw new RehearsalError(
+      'VALIDATION_ERROR',
+      'Invalid choice data',
+      400,
+      'Nathan needs to know which choice you made'
+    );
+  }
+
+  const { choiceId, ...timing } = validationResult.data;
+  const conversation = await conversationService.makeChoice(req.user!.id, req.params.id, choiceId, timing);
+
+  const message = conversation.isCompleted
+    ? conversation.outcome!.nathanFeedback
+    : 'Choice recorded. On to the next scene.';
+
+  res.json(successResponse({ conversation }, message));
+}));
+
+export default router;
@@ -0,0 +1,236 @@
+// Scenario routes - browse the branching scenarios and author new ones
+// "Every conversation deserves a floor plan." - Nathan
+
+import { Router, Request, Response } from 'express';
+import { z } from 'zod';
+import { asyncHandler } from '../middleware/error';
+import { authenticateToken, optionalAuth, AuthRequest } from '../middleware/auth';
+import { ApiResponse, successResponse } from '../../types/index';
+import { RehearsalError } from '../../utils/errors';
+import { scenarioService } from '../../services/scenario';
+
+const router = Router();
+
+// Validation schemas - the scenarios.json shape; extra scenario fields (aiPersona, responses, crisis, ...) pass through
+
+// The character's state, 0-10 (see RehearsalEngine.CHARACTER_STATE)
+const characterValue = z.number().min(0).max(10);
+const characterStateSchema = z.object({
+  trust: characterValue.optional(),
+  openness: characterValue.optional(),
+  distress: characterValue.optional()
+}).strict();
+
+// A condition on the character's state, e.g. { trust: { min: 6 } } (see RehearsalEngine.matchesState)
+const boundsSchema = z.object({
+  min: characterValue.optional(),
+  max: characterValue.optional()
+}).strict().refine(bounds => bounds.min !== undefined || bounds.max !== undefined, 'Give a min or a max');
+const conditionSchema = z.object({
+  trust: boundsSchema.optional(),
+  openness: boundsSchema.optional(),
+  distress: boundsSchema.optional()
+}).strict().refine(when => Object.keys(when).length > 0, 'Test at least one of trust, openness or distress');
+
+const nextRuleSchema = z.object({
+  when: conditionSchema,
+  next: z.string().max(60)
+});
+
+const choiceSchema = z.object({
+  id: z.string().max(60).optional(),
+  text: z.string().trim().min(1, 'Choice text required').max(500),
+  impact: z.object({
+    empathy: z.number().optional(),
+    trust: z.number().optional(),
+    effectiveness: z.number().optional()
+  }).strict().default({}),
+  next: z.string().max(60).optional(),
+  objectives: z.object({
+    demonstrates: z.array(z.string()).optional(),
+    misses: z.array(z.string()).optional()
+  }).optional(),
+  onTimeout: z.boolean().optional(),
+  nextIf: z.array(nextRuleSchema).max(10).optional(),
+  characterImpact: z.object({
+    trust: z.number().optional(),
+    openness: z.number().optional(),
+    distress: z.number().optional()
+  }).strict().optional()
+}).passthrough();
+
+// Countdown for timed scenes (see RehearsalEngine.getTimer)
+const timerSchema = z.object({
+  seconds: z.number().min(3).max(300)
+});
+
+const sceneSchema = z.object({
+  id: z.string().trim().min(1, 'Scene ID required').max(60),
+  text: z.string().max(2000).default(''),
+  dialogue: z.string().max(2000).optional(),
+  mood: z.string().max(100).optional(),
+  choices: z.array(choiceSchema).max(12).default([]),
+  isBreakthrough: z.boolean().optional(),
+  isEnd: z.boolean().optional(),
+  outcome: z.enum(['success', 'partial', 'failure']).optional(),
+  criticalInfo: z.string().max(2000).optional(),
+  timer: z.union([timerSchema, z.literal(false)]).optional(),
+  hints: z.object({
+    nudge: z.string().min(1).max(500).optional(),
+    principle: z.string().min(1).max(500).optional(),
+    nearAnswer: z.string().min(1).max(500).optional()
+  }).strict().optional(),
+  nextIf: z.array(nextRuleSchema).max(10).optional(),
+  variants: z.array(z.object({
+    when: conditionSchema,
+    mood: z.string().max(100).optional(),
+    dialogue: z.string().max(2000).optional()
+  })).max(10).optional()
+}).passthrough();
+
+const scenarioSchema = z.object({
+  id: z.string().regex(/^[a-z0-9][a-z0-9-]{0,59}$/, 'Lowercase letters, numbers and dashes only').optional(),
+  title: z.string().trim().min(1, 'Title required').max(200),
+  description: z.string().trim().max(2000).default(''),
+  category: z.string().trim().min(1, 'Category required').max(50),
+  difficulty: z.enum(['beginner', 'intermediate', 'advanced', 'expert']).default('intermediate'),
+  character: z.object({
+    name: z.string().trim().min(1, 'Character name required').max(100),
+    avatar: z.string().max(20).optional(),
+    mood: z.string().max(100).optional(),
+    voice: z.object({
+      lang: z.string().max(35).optional(),
+      name: z.string().max(200).optional(),
+      rate: z.number().min(0.5).max(2).optional(),
+      pitch: z.number().min(0).max(2).optional(),
+      volume: z.number().min(0).max(1).optional()
+    }).optional(),
+    state: characterStateSchema.optional()
+  }).passthrough(),
+  learningObjectives: z.array(z.object({
+    id: z.string().min(1),
+    text: z.string()
+  })).optional(),
+  timer: timerSchema.optional(),
+  scenes: z.array(sceneSchema).max(200),
+  status: z.enum(['draft', 'published']).optional()
+}).passthrough();
+
+function parseScenario(body: unknown) {
+  const validationResult = scenarioSchema.safeParse(body);
+  if (!validationResult.success) {
+    throw new RehearsalError(
+      'VALIDATION_ERROR',
+      'Invalid scenario data',
+      400,
+      'Nathan needs a title, a category, a character and well-formed scenes',
+      validationResult.error.flatten().fieldErrors
+    );
+  }
+
+  const { status, ...scenario } = validationResult.data;
+  return { status, scenario };
+}
+
+/**
+ * GET /api/scenarios
+ * List active scenarios, optionally filtered by category or difficulty
+ * Nathan: "I've catalogued every difficult conversation known to man."
+ */
+router.get('/', asyncHandler(async (req: Request, res: Response): Promise<void> => {
+  const { category, difficulty } = req.query;
+
+  const scenarios = await scenarioService.listScenarios({
+    category: category as string | undefined,
+    difficulty: difficulty as string | undefined
+  });
+
+  const response: ApiResponse = successResponse(
+    { scenarios },
+    `${scenarios.length} scenarios ready for rehearsal.`
+  );
+
+  res.json(response);
+}));
+
+/**
+ * GET /api/scenarios/mine
+ * The signed-in user's own scenarios, drafts included
+ */
+router.get('/mine', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const scenarios = await scenarioService.listAuthoredScenarios(req.user!.id);
+
+  const response: ApiResponse = successResponse(
+    { scenarios },
+    `${scenarios.length} scenarios in your writers' room.`
+  );
+
+  res.json(response);
+}));
+
+/**
+ * GET /api/scenarios/:id
+ * Get a scenario with its full scene graph; drafts only for their author
+ */
+router.get('/:id', optionalAuth, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const scenario = await scenarioService.getScenario(req.params.id, req.user);
+
+  const response: ApiResponse = successResponse(
+    { scenario },
+    `"${scenario.title}" has ${scenario.scenes.length} scenes. Nathan has rehearsed all of them.`
+  );
+
+  res.json(response);
+}));
+
+/**
+ * POST /api/scenarios
+ * Start a new draft scenario
+ * Nathan: "Every great rehearsal started as a bad first draft."
+ */
+router.post('/', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const { scenario: input } = parseScenario(req.body);
+  const scenario = await scenarioService.createScenario(req.user!, input);
+
+  const response: ApiResponse = successResponse(
+    { scenario },
+    `Draft "${scenario.title}" saved. Nobody else can see it yet.`
+  );
+
+  res.status(201).json(response);
+}));
+
+/**
+ * PUT /api/scenarios/:id
+ * Save a scenario; "status" publishes it or moves it back to draft
+ */
+router.put('/:id', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const { status, scenario: input } = parseScenario(req.body);
+  const scenario = await scenarioService.updateScenario(req.user!, req.params.id, input, status);
+
+  const response: ApiResponse = successResponse(
+    { scenario },
+    scenario.status === 'published'
+      ? `"${scenario.title}" is published. The curtain is up.`
+      : `Draft "${scenario.title}" saved.`
+  );
+
+  res.json(response);
+}));
+
+/**
+ * DELETE /api/scenarios/:id
+ * Retire a scenario
+ */
+router.delete('/:id', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  await scenarioService.deleteScenario(req.user!, req.params.id);
+
+  const response: ApiResponse = successResponse(
+    { id: req.params.id },
+    'Scenario struck from the schedule.'
+  );
+
+  res.json(response);
+}));
+
+export default router;
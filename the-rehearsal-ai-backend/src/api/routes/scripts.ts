@@ -205,6 +205,93 @@ router.get('/', authenticateToken, asyncHandler(async (req: AuthRequest, res: Re
   res.json(response);
 }));
 
+/**
+ * GET /api/scripts/templates
+ * Get available script templates
+ * Nathan: "Templates are starting points. I have 1,247 variations."
+ * Registered before /:id so "templates" isn't taken for a script ID
+ */
+router.get('/templates', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
+  const templates = {
+    'mental-health': [
+      {
+        id: 'therapy-first-time',
+        title: 'First Therapy Session',
+        description: 'Overthinking every word',
+        nathanLevel: 65,
+        category: 'Mental Health Scenarios'
+      },
+      {
+        id: 'medication-stigma',
+        title: 'Taking Medication',
+        description: 'Secret pill organization',
+        nathanLevel: 78,
+        category: 'Mental Health Scenarios'
+      },
+      {
+        id: 'family-dinner-anxiety',
+        title: 'Family Dinner Anxiety',
+        description: 'Rehearsing small talk',
+        nathanLevel: 71,
+        category: 'Mental Health Scenarios'
+      }
+    ],
+    'social-situations': [
+      {
+        id: 'party-exit-strategy',
+        title: 'Party Exit Planning',
+        description: '47 escape routes',
+        nathanLevel: 82,
+        category: 'Social Situations'
+      },
+      {
+        id: 'coffee-order-practice',
+        title: 'Coffee Shop Rehearsal',
+        description: 'Ordering without panic',
+        nathanLevel: 68,
+        category: 'Social Situations'
+      },
+      {
+        id: 'phone-call-prep',
+        title: 'Phone Call Preparation',
+        description: 'Script for pizza delivery',
+        nathanLevel: 75,
+        category: 'Social Situations'
+      }
+    ],
+    'difficult-conversations': [
+      {
+        id: 'addiction-intervention',
+        title: 'Addiction Conversation',
+        description: '147 ways to show you care',
+        nathanLevel: 89,
+        category: 'Difficult Conversations'
+      },
+      {
+        id: 'substance-concern',
+        title: 'Expressing Concern',
+        description: 'Without judgment flowchart',
+        nathanLevel: 91,
+        category: 'Difficult Conversations'
+      },
+      {
+        id: 'recovery-support',
+        title: 'Supporting Recovery',
+        description: 'Being helpful vs enabling',
+        nathanLevel: 94,
+        category: 'Difficult Conversations'
+      }
+    ]
+  };
+
+  const response: ApiResponse = successResponse(
+    { templates },
+    'All templates loaded. Nathan has personally tested each one 147 times.'
+  );
+
+  res.json(response);
+}));
+
 /**
  * GET /api/scripts/:id
  * Get specific script with full details
@@ -535,92 +622,6 @@ router.delete('/:id', authenticateToken, asyncHandler(async (req: AuthRequest, r
   res.json(response);
 }));
 
-/**
- * GET /api/scripts/templates
- * Get available script templates
- * Nathan: "Templates are starting points. I have 1,247 variations."
- */
-router.get('/templates', authenticateToken, asyncHandler(async (req: AuthRequest, res: Response): Promise<void> => {
-  const templates = {
-    'mental-health': [
-      {
-        id: 'therapy-first-time',
-        title: 'First Therapy Session',
-        description: 'Overthinking every word',
-        nathanLevel: 65,
-        category: 'Mental Health Scenarios'
-      },
-      {
-        id: 'medication-stigma',
-        title: 'Taking Medication',
-        description: 'Secret pill organization',
-        nathanLevel: 78,
-        category: 'Mental Health Scenarios'
-      },
-      {
-        id: 'family-dinner-anxiety',
-        title: 'Family Dinner Anxiety',
-        description: 'Rehearsing small talk',
-        nathanLevel: 71,
-        category: 'Mental Health Scenarios'
-      }
-    ],
-    'social-situations': [
-      {
-        id: 'party-exit-strategy',
-        title: 'Party Exit Planning',
-        description: '47 escape routes',
-        nathanLevel: 82,
-        category: 'Social Situations'
-      },
-      {
-        id: 'coffee-order-practice',
-        title: 'Coffee Shop Rehearsal',
-        description: 'Ordering without panic',
-        nathanLevel: 68,
-        category: 'Social Situations'
-      },
-      {
-        id: 'phone-call-prep',
-        title: 'Phone Call Preparation',
-        description: 'Script for pizza delivery',
-        nathanLevel: 75,
-        category: 'Social Situations'
-      }
-    ],
-    'difficult-conversations': [
-      {
-        id: 'addiction-intervention',
-        title: 'Addiction Conversation',
-        description: '147 ways to show you care',
-        nathanLevel: 89,
-        category: 'Difficult Conversations'
-      },
-      {
-        id: 'substance-concern',
-        title: 'Expressing Concern',
-        description: 'Without judgment flowchart',
-        nathanLevel: 91,
-        category: 'Difficult Conversations'
-      },
-      {
-        id: 'recovery-support',
-        title: 'Supporting Recovery',
-        description: 'Being helpful vs enabling',
-        nathanLevel: 94,
-        category: 'Difficult Conversations'
-      }
-    ]
-  };
-
-  const response: ApiResponse = successResponse(
-    { templates },
-    'All templates loaded. Nathan has personally tested each one 147 times.'
-  );
-
-  res.json(response);
-}));
-
 // Helper functions
 
 /**
@@ -0,0 +1,29 @@
+// Seed the Scenario table from the frontend's scenarios.json
+// "Every set needs props before the actors arrive." - Nathan
+//
+// Usage: npm run seed:scenarios [-- path/to/scenarios.json]
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { scenarioService } from '../services/scenario';
+import prisma from '../config/database';
+
+dotenv.config();
+
+const DEFAULT_SCENARIOS_FILE = path.join(__dirname, '..', '..', '..', 'public', 'data', 'scenarios.json');
+
+async function main(): Promise<void> {
+  const file = process.argv[2] || DEFAULT_SCENARIOS_FILE;
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const imported = await scenarioService.importScenarios(data);
+  console.log(`🎬 Seeded ${imported.length} scenarios from ${file}`);
+}
+
+main()
+  .catch(error => {
+    console.error('Failed to seed scenarios:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
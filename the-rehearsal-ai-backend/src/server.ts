@@ -0,0 +1,114 @@
+// The Rehearsal AI Backend - Express entrypoint
+// "Before opening night, check that every door leads somewhere." - Nathan
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import express, { Request, Response, NextFunction } from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import { rateLimit } from 'express-rate-limit';
+import { errorHandler, notFoundHandler, asyncHandler } from './api/middleware/error';
+import authRouter from './api/routes/auth';
+import scenariosRouter from './api/routes/scenarios';
+import conversationsRouter from './api/routes/conversations';
+import scriptsRouter from './api/routes/scripts';
+import analyticsRouter from './api/routes/analytics';
+import { HealthCheck, ServiceStatus } from './types/index';
+import { ErrorFactory } from './utils/errors';
+import prisma from './config/database';
+
+const PORT = parseInt(process.env.PORT || '4000', 10);
+const VERSION = '1.0.0';
+
+export const app = express();
+
+// Security and parsing
+app.use(helmet());
+app.use(cors({
+  origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['http://localhost:3000'],
+  credentials: true
+}));
+app.use(express.json({ limit: '1mb' }));
+
+// Rate limit the API; errors go through errorHandler like everything else
+app.use('/api', rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: parseInt(process.env.RATE_LIMIT_MAX || '300', 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req: Request, res: Response, next: NextFunction) => {
+    next(ErrorFactory.rateLimit('Too many requests, please slow down'));
+  }
+}));
+
+/**
+ * GET /api/health
+ * Nathan: "I check my own pulse every 47 minutes."
+ */
+app.get('/api/health', asyncHandler(async (req: Request, res: Response): Promise<void> => {
+  const database = await checkDatabase();
+
+  const health: HealthCheck = {
+    status: database.status,
+    timestamp: new Date().toISOString(),
+    version: VERSION,
+    uptime: Math.round(process.uptime()),
+    services: {
+      database,
+      ai: {
+        status: process.env.OPENAI_API_KEY ? 'healthy' : 'degraded',
+        lastCheck: new Date().toISOString(),
+        message: process.env.OPENAI_API_KEY ? undefined : 'OPENAI_API_KEY is not set'
+      },
+      storage: database
+    },
+    nathanNote: database.status === 'healthy'
+      ? 'All systems rehearsed and ready.'
+      : 'The filing cabinet is stuck. Nathan is looking for the key.'
+  };
+
+  res.status(database.status === 'healthy' ? 200 : 503).json(health);
+}));
+
+// API routes
+app.use('/api/auth', authRouter);
+app.use('/api/scenarios', scenariosRouter);
+app.use('/api/conversations', conversationsRouter);
+app.use('/api/scripts', scriptsRouter);
+app.use('/api/analytics', analyticsRouter);
+
+// Unknown routes and errors
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Helper functions
+
+async function checkDatabase(): Promise<ServiceStatus> {
+  const startTime = Date.now();
+
+  try {
+    await prisma.$queryRaw`SELECT 1`;
+    return {
+      status: 'healthy',
+      responseTime: Date.now() - startTime,
+      lastCheck: new Date().toISOString()
+    };
+  } catch (error) {
+    return {
+      status: 'unhealthy',
+      responseTime: Date.now() - startTime,
+      lastCheck: new Date().toISOString(),
+      message: 'Database unreachable'
+    };
+  }
+}
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🎬 The Rehearsal AI backend is running on port ${PORT}`);
+    console.log(`🏥 Health check: http://localhost:${PORT}/api/health`);
+  });
+}
+
+export default app;
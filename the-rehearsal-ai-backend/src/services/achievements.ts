@@ -0,0 +1,449 @@
+// Achievements Service - achievements, streaks, XP and levels from rehearsals and scripts
+// "I award myself a small sticker after every rehearsal. The stickers are also rehearsed." - Nathan
+
+import prisma from '../config/database';
+import { conversationService } from './conversation';
+import {
+  Achievement,
+  UserStreaks,
+  LearningProgress,
+  ConversationOutcome,
+  Scene,
+  NATHAN_CONSTANTS
+} from '../types/index';
+
+type Rarity = Achievement['rarity'];
+
+interface RehearsalRecord {
+  scenarioId: string;
+  category: string;
+  difficulty: string;
+  endingId: string | null;
+  endingsTotal: number;
+  outcome: ConversationOutcome;
+  retries: number;
+  completedAt: Date;
+}
+
+interface ScriptRecord {
+  nathanLevel: number;
+  draftNumber: number;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+// Everything the rules look at, gathered once per evaluation
+export interface AchievementContext {
+  rehearsals: RehearsalRecord[];
+  scripts: ScriptRecord[];
+  rehearsalDays: string[];
+  scriptDays: string[];
+  streaks: UserStreaks;
+}
+
+export interface AchievementRule {
+  id: string;
+  name: string;
+  description: string;
+  icon: string;
+  category: 'rehearsals' | 'mastery' | 'consistency' | 'scripts';
+  rarity: Rarity;
+  evaluate: (context: AchievementContext) => { current: number; target: number };
+}
+
+export type LockedAchievement = Omit<Achievement, 'unlockedAt'> & { progress: { current: number; target: number } };
+
+export interface AchievementReport {
+  achievements: Achievement[];
+  inProgress: LockedAchievement[];
+  newlyUnlocked: string[];
+  streaks: UserStreaks;
+  learningProgress: LearningProgress;
+}
+
+// XP for activity, and for each achievement by rarity
+const XP = {
+  rehearsalCompleted: 20,
+  rehearsalSucceeded: 10,
+  scriptWritten: 15
+};
+
+const RARITY_XP: Record<Rarity, number> = {
+  common: 50,
+  uncommon: 100,
+  rare: 250,
+  epic: 500,
+  legendary: 1000
+};
+
+// Streak days are counted in UTC unless the browser says which time zone the user is in
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+// Each level needs LEVEL_STEP more XP than the one before it
+const LEVEL_STEP = 100;
+const STAT_MAX = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const count = (current: number, target: number) => ({ current: Math.min(current, target), target });
+
+export const ACHIEVEMENT_RULES: AchievementRule[] = [
+  {
+    id: 'opening-night',
+    name: 'Opening Night',
+    description: 'Finish your first rehearsal',
+    icon: '🎬',
+    category: 'rehearsals',
+    rarity: 'common',
+    evaluate: ({ rehearsals }) => count(rehearsals.length, 1)
+  },
+  {
+    id: 'method-actor',
+    name: 'Method Actor',
+    description: 'Finish 10 rehearsals',
+    icon: '🎭',
+    category: 'rehearsals',
+    rarity: 'uncommon',
+    evaluate: ({ rehearsals }) => count(rehearsals.length, 10)
+  },
+  {
+    id: 'minimum-rehearsal-count',
+    name: 'Bare Minimum',
+    description: `Finish ${NATHAN_CONSTANTS.MINIMUM_REHEARSAL_COUNT} rehearsals, the least Nathan would accept`,
+    icon: '📼',
+    category: 'rehearsals',
+    rarity: 'rare',
+    evaluate: ({ rehearsals }) => count(rehearsals.length, NATHAN_CONSTANTS.MINIMUM_REHEARSAL_COUNT)
+  },
+  {
+    id: 'first-success',
+    name: 'It Went Well',
+    description: 'Reach a successful ending',
+    icon: '✅',
+    category: 'mastery',
+    rarity: 'common',
+    evaluate: ({ rehearsals }) => count(rehearsals.filter(rehearsal => rehearsal.outcome.result === 'success').length, 1)
+  },
+  {
+    id: 'scenario-explorer',
+    name: 'Range',
+    description: 'Finish 5 different scenarios',
+    icon: '🧭',
+    category: 'rehearsals',
+    rarity: 'uncommon',
+    evaluate: ({ rehearsals }) => count(new Set(rehearsals.map(rehearsal => rehearsal.scenarioId)).size, 5)
+  },
+  {
+    id: 'every-timeline',
+    name: 'Every Timeline',
+    description: 'Reach every ending in a scenario',
+    icon: '🗺️',
+    category: 'mastery',
+    rarity: 'rare',
+    // Progress is the scenario closest to being fully explored
+    evaluate: ({ rehearsals }) => {
+      const found = new Map<string, { endings: Set<string>; total: number }>();
+      rehearsals.forEach(rehearsal => {
+        if (!rehearsal.endingId || rehearsal.endingsTotal === 0) return;
+        const entry = found.get(rehearsal.scenarioId) || { endings: new Set<string>(), total: rehearsal.endingsTotal };
+        entry.endings.add(rehearsal.endingId);
+        found.set(rehearsal.scenarioId, entry);
+      });
+
+      const best = [...found.values()].sort((a, b) => b.endings.size / b.total - a.endings.size / a.total)[0];
+      return best ? count(best.endings.size, best.total) : count(0, 1);
+    }
+  },
+  {
+    id: 'perfect-empathy-advanced',
+    name: 'Perfect Empathy',
+    description: 'Finish an advanced scenario with empathy at 10',
+    icon: '💜',
+    category: 'mastery',
+    rarity: 'epic',
+    evaluate: ({ rehearsals }) => count(rehearsals.filter(rehearsal =>
+      rehearsal.difficulty === 'advanced' && rehearsal.outcome.finalStats.empathy >= STAT_MAX
+    ).length, 1)
+  },
+  {
+    id: 'second-take',
+    name: 'Second Take',
+    description: 'Succeed at a scenario after an attempt that didn\'t go well',
+    icon: '🔁',
+    category: 'mastery',
+    rarity: 'uncommon',
+    evaluate: ({ rehearsals }) => count(countComebacks(rehearsals), 1)
+  },
+  {
+    id: 'week-streak',
+    name: 'Week of Rehearsals',
+    description: 'Practice 7 days in a row',
+    icon: '🔥',
+    category: 'consistency',
+    rarity: 'uncommon',
+    evaluate: ({ streaks }) => count(streaks.longest, 7)
+  },
+  {
+    id: 'month-streak',
+    name: 'Daily Call Sheet',
+    description: 'Practice 30 days in a row',
+    icon: '📅',
+    category: 'consistency',
+    rarity: 'epic',
+    evaluate: ({ streaks }) => count(streaks.longest, 30)
+  },
+  {
+    id: 'directors-chair',
+    name: 'Director\'s Chair',
+    description: 'Write your first script in the Director\'s Studio',
+    icon: '🎥',
+    category: 'scripts',
+    rarity: 'common',
+    evaluate: ({ scripts }) => count(scripts.length, 1)
+  },
+  {
+    id: 'backup-plans',
+    name: 'Backup Plans',
+    description: `Take a script to draft ${NATHAN_CONSTANTS.BACKUP_PLAN_COUNT}`,
+    icon: '📝',
+    category: 'scripts',
+    rarity: 'rare',
+    evaluate: ({ scripts }) => count(Math.max(0, ...scripts.map(script => script.draftNumber)), NATHAN_CONSTANTS.BACKUP_PLAN_COUNT)
+  },
+  {
+    id: 'full-fielder',
+    name: 'Full Fielder',
+    description: `Write a script at Nathan level ${NATHAN_CONSTANTS.PERFECT_NATHAN_LEVEL}`,
+    icon: '🏆',
+    category: 'scripts',
+    rarity: 'legendary',
+    evaluate: ({ scripts }) => count(Math.max(0, ...scripts.map(script => script.nathanLevel)), NATHAN_CONSTANTS.PERFECT_NATHAN_LEVEL)
+  }
+];
+
+class AchievementService {
+  /**
+   * Evaluate every rule for a user, without storing anything. Unlock dates carry over from
+   * the last stored snapshot, and anything unlocked since then is listed in newlyUnlocked.
+   * Practice days are counted in timeZone (an IANA name such as "Europe/Berlin").
+   */
+  async evaluate(userId: string, now: Date = new Date(), timeZone: string = DEFAULT_TIME_ZONE): Promise<AchievementReport> {
+    const [context, previous] = await Promise.all([
+      this.buildContext(userId, now, timeZone),
+      this.getStoredAchievements(userId)
+    ]);
+    const unlockedAt = new Map(previous.map(achievement => [achievement.id, achievement.unlockedAt]));
+
+    const achievements: Achievement[] = [];
+    const inProgress: LockedAchievement[] = [];
+    const newlyUnlocked: string[] = [];
+
+    ACHIEVEMENT_RULES.forEach(rule => {
+      const progress = rule.evaluate(context);
+      const details = {
+        id: rule.id,
+        name: rule.name,
+        description: rule.description,
+        icon: rule.icon,
+        category: rule.category,
+        rarity: rule.rarity
+      };
+
+      if (progress.current >= progress.target) {
+        if (!unlockedAt.has(rule.id)) newlyUnlocked.push(rule.id);
+        achievements.push({ ...details, progress, unlockedAt: unlockedAt.get(rule.id) || now });
+      } else {
+        inProgress.push({ ...details, progress });
+      }
+    });
+
+    return {
+      achievements,
+      inProgress,
+      newlyUnlocked,
+      streaks: context.streaks,
+      learningProgress: this.calculateLearningProgress(context, achievements)
+    };
+  }
+
+  /**
+   * XP from activity and achievements, turned into a level
+   */
+  calculateLearningProgress(context: AchievementContext, achievements: Achievement[]): LearningProgress {
+    const { rehearsals, scripts } = context;
+
+    const experience =
+      rehearsals.length * XP.rehearsalCompleted +
+      rehearsals.filter(rehearsal => rehearsal.outcome.result === 'success').length * XP.rehearsalSucceeded +
+      scripts.length * XP.scriptWritten +
+      achievements.reduce((sum, achievement) => sum + RARITY_XP[achievement.rarity], 0);
+
+    // Level n -> n+1 costs n * LEVEL_STEP XP
+    let level = 1;
+    let nextLevelExperience = LEVEL_STEP;
+    while (experience >= nextLevelExperience) {
+      level += 1;
+      nextLevelExperience += level * LEVEL_STEP;
+    }
+
+    const categories = new Map<string, RehearsalRecord[]>();
+    rehearsals.forEach(rehearsal => {
+      categories.set(rehearsal.category, [...(categories.get(rehearsal.category) || []), rehearsal]);
+    });
+
+    return {
+      level,
+      experience,
+      nextLevelExperience,
+      skillPoints: {
+        empathy: rehearsals.reduce((sum, rehearsal) => sum + rehearsal.outcome.finalStats.empathy, 0),
+        communication: rehearsals.reduce((sum, rehearsal) => sum + rehearsal.outcome.finalStats.effectiveness, 0),
+        resilience: countComebacks(rehearsals) + rehearsals.reduce((sum, rehearsal) => sum + rehearsal.retries, 0),
+        preparation: scripts.reduce((sum, script) => sum + script.draftNumber, 0)
+      },
+      // One competency per scenario category: level is rehearsals finished, progress the average score
+      competencies: [...categories.entries()].map(([name, records]) => ({
+        name,
+        level: records.length,
+        progress: Math.round(records.reduce((sum, record) => {
+          const { empathy, trust, effectiveness } = record.outcome.finalStats;
+          return sum + (empathy + trust + effectiveness) / (3 * STAT_MAX);
+        }, 0) / records.length * 100)
+      }))
+    };
+  }
+
+  /**
+   * Current and longest runs of consecutive practice days in the user's time zone, from the
+   * moments the server recorded practice. A streak stays current until a whole day goes by
+   * without practice.
+   */
+  calculateStreaks(rehearsalActivity: Date[], scriptActivity: Date[], now: Date, timeZone: string = DEFAULT_TIME_ZONE): UserStreaks {
+    const rehearsalDays = toDays(rehearsalActivity, timeZone);
+    const scriptDays = toDays(scriptActivity, timeZone);
+    const allDays = [...new Set([...rehearsalDays, ...scriptDays])].sort();
+    const latest = Math.max(...[...rehearsalActivity, ...scriptActivity].map(date => new Date(date).getTime()));
+    const lastActivity = Number.isFinite(latest) ? new Date(latest) : now;
+
+    return {
+      current: currentStreak(allDays, now, timeZone),
+      longest: longestStreak(allDays),
+      scriptingStreak: currentStreak(scriptDays, now, timeZone),
+      conversationStreak: currentStreak(rehearsalDays, now, timeZone),
+      lastActivity
+    };
+  }
+
+  private async buildContext(userId: string, now: Date, timeZone: string): Promise<AchievementContext> {
+    const [conversations, scripts] = await Promise.all([
+      prisma.conversation.findMany({
+        where: { userId },
+        orderBy: { updatedAt: 'asc' },
+        include: { scenario: { select: { category: true, difficulty: true, scenes: true } } }
+      }),
+      prisma.script.findMany({
+        where: { userId },
+        select: { nathanLevel: true, draftNumber: true, createdAt: true, updatedAt: true }
+      })
+    ]);
+
+    const rehearsals: RehearsalRecord[] = conversations
+      .filter((conversation: any) => conversation.isCompleted)
+      .map((conversation: any) => {
+        const scenes = conversation.scenario.scenes as Scene[];
+        const ending = conversationService.findCurrentScene(conversation, scenes);
+        return {
+          scenarioId: conversation.scenarioId,
+          category: conversation.scenario.category,
+          difficulty: conversation.scenario.difficulty,
+          endingId: ending && ending.isEnd ? ending.id : null,
+          endingsTotal: scenes.filter(scene => scene.isEnd).length,
+          outcome: conversation.outcome as ConversationOutcome,
+          retries: (conversation.stats && conversation.stats.retries) || 0,
+          completedAt: conversation.updatedAt
+        };
+      });
+
+    // Any rehearsal activity counts toward a streak, finished or not. A conversation's createdAt
+    // is left out: an imported guest run sets it to when the browser says it started.
+    const rehearsalActivity: Date[] = conversations.map((conversation: any) => conversation.updatedAt);
+    const scriptActivity: Date[] = scripts.flatMap((script: any) => [script.createdAt, script.updatedAt]);
+
+    return {
+      rehearsals,
+      scripts,
+      rehearsalDays: toDays(rehearsalActivity, timeZone),
+      scriptDays: toDays(scriptActivity, timeZone),
+      streaks: this.calculateStreaks(rehearsalActivity, scriptActivity, now, timeZone)
+    };
+  }
+
+  private async getStoredAchievements(userId: string): Promise<Achievement[]> {
+    const latest = await prisma.userAnalytics.findFirst({
+      where: { userId },
+      orderBy: { generatedAt: 'desc' },
+      select: { achievements: true }
+    });
+
+    return Array.isArray(latest && latest.achievements) ? (latest!.achievements as Achievement[]) : [];
+  }
+}
+
+// Scenarios finished successfully after an earlier attempt that wasn't a success
+function countComebacks(rehearsals: RehearsalRecord[]): number {
+  const struggled = new Set<string>();
+  const comebacks = new Set<string>();
+
+  rehearsals.forEach(rehearsal => {
+    if (rehearsal.outcome.result !== 'success') {
+      struggled.add(rehearsal.scenarioId);
+    } else if (struggled.has(rehearsal.scenarioId)) {
+      comebacks.add(rehearsal.scenarioId);
+    }
+  });
+
+  return comebacks.size;
+}
+
+// The calendar day a moment falls on in a time zone, as YYYY-MM-DD
+function toDay(date: Date | string, timeZone: string): string {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(date));
+}
+
+// The distinct days a list of moments fall on
+function toDays(dates: Date[], timeZone: string): string[] {
+  return [...new Set(dates.map(date => toDay(date, timeZone)))];
+}
+
+function dayNumber(day: string): number {
+  return Math.floor(new Date(`${day}T00:00:00.000Z`).getTime() / DAY_MS);
+}
+
+function longestStreak(days: string[]): number {
+  const numbers = [...new Set(days.map(dayNumber))].sort((a, b) => a - b);
+  let longest = 0;
+  let run = 0;
+
+  numbers.forEach((day, index) => {
+    run = index > 0 && day === numbers[index - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  return longest;
+}
+
+function currentStreak(days: string[], now: Date, timeZone: string): number {
+  const practiced = new Set(days.map(dayNumber));
+  const today = dayNumber(toDay(now, timeZone));
+
+  // Today may not have been practiced yet; the streak still counts from yesterday
+  let day = practiced.has(today) ? today : today - 1;
+  let streak = 0;
+  while (practiced.has(day)) {
+    streak += 1;
+    day -= 1;
+  }
+
+  return streak;
+}
+
+export const achievementService = new AchievementService();
@@ -0,0 +1,287 @@
+// Analytics Service - usage events from the browser and what they add up to
+// "I counted how often people pause before answering. Then I counted my counting." - Nathan
+
+import prisma from '../config/database';
+import {
+  AnalyticsEventInput,
+  ScenarioCompletion,
+  ScenarioInsights,
+  SceneChoiceStats
+} from '../types/index';
+import { userService } from './user';
+
+// Run events the aggregates are built from (sent by public/js/conversation.js)
+export const RUN_EVENTS = {
+  started: 'scenario_started',
+  choice: 'choice_made',
+  completed: 'scenario_completed'
+};
+
+// A run with no events for this long is counted as abandoned, not in progress
+const ABANDONED_AFTER_MS = 30 * 60 * 1000;
+
+// Scene and choice statistics are worked out from this many of a scenario's latest runs
+const MAX_INSIGHT_RUNS = 5000;
+
+// Tries at folding a batch into a run before giving up on a run another batch keeps changing
+const MAX_RUN_UPDATE_ATTEMPTS = 3;
+
+interface Outcomes {
+  runs: number;
+  successes: number;
+}
+
+// A run's rollup, as stored in AnalyticsRun
+interface RunSummary {
+  runId: string;
+  sessionId: string;
+  scenarioId: string;
+  visitedScenes: string[];
+  choices: Array<{ sceneId: string; choiceId: string; occurredAt: string }>;
+  lastSceneId: string | null;
+  outcome: string | null;
+  lastEventAt: Date;
+}
+
+class AnalyticsService {
+  /**
+   * Store a batch of events. Signed-in users' own privacy setting decides; anonymous
+   * batches are only sent by browsers that opted in. Events for a run another page
+   * visit started are dropped. Returns how many were stored.
+   */
+  async recordEvents(events: AnalyticsEventInput[], sessionId: string, userId: string | null): Promise<number> {
+    if (events.length === 0) return 0;
+
+    if (userId) {
+      const user = await userService.getById(userId);
+      if (!user.preferences.privacySettings.shareUsage) return 0;
+    }
+
+    const runIds = [...new Set(events.map(event => event.runId).filter(Boolean))] as string[];
+    const othersRuns = runIds.length > 0
+      ? await prisma.analyticsRun.findMany({ where: { runId: { in: runIds }, sessionId: { not: sessionId } }, select: { runId: true } })
+      : [];
+    const taken = new Set(othersRuns.map((run: { runId: string }) => run.runId));
+    const accepted = events.filter(event => !event.runId || !taken.has(event.runId));
+    if (accepted.length === 0) return 0;
+
+    const result = await prisma.analyticsEvent.createMany({
+      data: accepted.map(event => ({
+        userId,
+        sessionId,
+        type: event.type,
+        scenarioId: event.scenarioId || null,
+        runId: event.runId || null,
+        sceneId: event.sceneId || null,
+        data: (event.data || {}) as any,
+        occurredAt: event.occurredAt
+      }))
+    });
+
+    await this.updateRuns(accepted, sessionId);
+    return result.count;
+  }
+
+  /**
+   * Runs started and finished per scenario, with the outcomes they reached
+   */
+  async getCompletionRates(now: Date = new Date()): Promise<ScenarioCompletion[]> {
+    const completions = await this.countRuns({}, now);
+    return [...completions.values()].sort((a, b) => b.runs - a.runs);
+  }
+
+  /**
+   * Completion rate, choice popularity per scene and drop-off points for one scenario.
+   * Runs and drop-offs are counted over every run; scenes and choices over the latest
+   * MAX_INSIGHT_RUNS.
+   */
+  async getScenarioInsights(scenarioId: string, now: Date = new Date()): Promise<ScenarioInsights> {
+    const [completions, dropOffGroups, runs] = await Promise.all([
+      this.countRuns({ scenarioId }, now),
+      prisma.analyticsRun.groupBy({
+        by: ['lastSceneId'],
+        where: { scenarioId, ...this.abandonedWhere(now), lastSceneId: { not: null } },
+        _count: { _all: true }
+      }),
+      prisma.analyticsRun.findMany({
+        where: { scenarioId },
+        orderBy: { lastEventAt: 'desc' },
+        take: MAX_INSIGHT_RUNS,
+        select: { visitedScenes: true, choices: true, outcome: true }
+      })
+    ]);
+
+    const scenes = new Map<string, { visits: number; finished: Outcomes; choices: Map<string, { count: number; finished: Outcomes }> }>();
+    const getScene = (sceneId: string) => {
+      const entry = scenes.get(sceneId) || { visits: 0, finished: { runs: 0, successes: 0 }, choices: new Map() };
+      scenes.set(sceneId, entry);
+      return entry;
+    };
+
+    runs.forEach((run: Pick<RunSummary, 'visitedScenes' | 'choices' | 'outcome'>) => {
+      const countFinished = (finished: Outcomes) => {
+        if (!run.outcome) return;
+        finished.runs += 1;
+        if (run.outcome === 'success') finished.successes += 1;
+      };
+
+      run.visitedScenes.forEach(sceneId => {
+        const entry = getScene(sceneId);
+        entry.visits += 1;
+        countFinished(entry.finished);
+      });
+
+      run.choices.forEach(({ sceneId, choiceId }) => {
+        const choices = getScene(sceneId).choices;
+        const choice = choices.get(choiceId) || { count: 0, finished: { runs: 0, successes: 0 } };
+        choice.count += 1;
+        countFinished(choice.finished);
+        choices.set(choiceId, choice);
+      });
+    });
+
+    const sceneStats: SceneChoiceStats[] = [...scenes.entries()].map(([sceneId, entry]) => {
+      const total = [...entry.choices.values()].reduce((sum, choice) => sum + choice.count, 0);
+      return {
+        sceneId,
+        visits: entry.visits,
+        finishedRuns: entry.finished.runs,
+        successRate: successRate(entry.finished),
+        choices: [...entry.choices.entries()]
+          .map(([choiceId, choice]) => ({
+            choiceId,
+            count: choice.count,
+            share: round(choice.count / total),
+            finishedRuns: choice.finished.runs,
+            successRate: successRate(choice.finished)
+          }))
+          .sort((a, b) => b.count - a.count)
+      };
+    });
+
+    const dropOffs = dropOffGroups.map((group: any) => ({ sceneId: group.lastSceneId as string, count: group._count._all as number }));
+    const abandoned = dropOffs.reduce((sum: number, dropOff: { count: number }) => sum + dropOff.count, 0);
+
+    return {
+      ...(completions.get(scenarioId) || { scenarioId, runs: 0, completed: 0, completionRate: 0, outcomes: {} }),
+      scenes: sceneStats,
+      dropOffs: dropOffs
+        .map((dropOff: { sceneId: string; count: number }) => ({ ...dropOff, share: round(dropOff.count / abandoned) }))
+        .sort((a: { count: number }, b: { count: number }) => b.count - a.count)
+    };
+  }
+
+  // Runs, completions by outcome and the completion rate per scenario, counted in the database
+  private async countRuns(where: { scenarioId?: string }, now: Date): Promise<Map<string, ScenarioCompletion>> {
+    const [started, finished, abandoned] = await Promise.all([
+      prisma.analyticsRun.groupBy({ by: ['scenarioId'], where, _count: { _all: true } }),
+      prisma.analyticsRun.groupBy({ by: ['scenarioId', 'outcome'], where: { ...where, outcome: { not: null } }, _count: { _all: true } }),
+      prisma.analyticsRun.groupBy({ by: ['scenarioId'], where: { ...where, ...this.abandonedWhere(now) }, _count: { _all: true } })
+    ]);
+
+    const completions = new Map<string, ScenarioCompletion>();
+    started.forEach((group: any) => {
+      completions.set(group.scenarioId, { scenarioId: group.scenarioId, runs: group._count._all, completed: 0, completionRate: 0, outcomes: {} });
+    });
+    finished.forEach((group: any) => {
+      const completion = completions.get(group.scenarioId);
+      if (!completion) return;
+      completion.completed += group._count._all;
+      completion.outcomes[group.outcome] = group._count._all;
+    });
+
+    // Runs still being played don't count either way
+    const abandonedCounts = new Map<string, number>(abandoned.map((group: any) => [group.scenarioId, group._count._all]));
+    completions.forEach(completion => {
+      const finishedOrAbandoned = completion.completed + (abandonedCounts.get(completion.scenarioId) || 0);
+      completion.completionRate = finishedOrAbandoned > 0 ? round(completion.completed / finishedOrAbandoned) : 0;
+    });
+
+    return completions;
+  }
+
+  private abandonedWhere(now: Date) {
+    return { outcome: null, lastEventAt: { lt: new Date(now.getTime() - ABANDONED_AFTER_MS) } };
+  }
+
+  // Fold a batch's run events into their AnalyticsRun rows. Each run is read and written in
+  // one serializable transaction, so batches for the same run arriving together can't
+  // overwrite each other's events; the one that loses is tried again.
+  private async updateRuns(events: AnalyticsEventInput[], sessionId: string): Promise<void> {
+    const runEvents = new Map<string, AnalyticsEventInput[]>();
+    events.forEach(event => {
+      if (!event.runId || !event.scenarioId || !Object.values(RUN_EVENTS).includes(event.type)) return;
+      runEvents.set(event.runId, [...(runEvents.get(event.runId) || []), event]);
+    });
+
+    for (const [runId, batch] of runEvents) {
+      await retryOnConflict(() => prisma.$transaction(async (tx: any) => {
+        const stored: RunSummary | null = await tx.analyticsRun.findUnique({ where: { runId } });
+        if (stored && stored.sessionId !== sessionId) return;
+
+        const run = batch
+          .sort((a, b) => a.occurredAt.getTime() - b.occurredAt.getTime())
+          .reduce((summary, event) => this.applyEvent(summary, event), stored || {
+            runId,
+            sessionId,
+            scenarioId: batch[0].scenarioId!,
+            visitedScenes: [],
+            choices: [],
+            lastSceneId: null,
+            outcome: null,
+            lastEventAt: batch[0].occurredAt
+          });
+
+        const data = { ...run, visitedScenes: run.visitedScenes as any, choices: run.choices as any };
+        await tx.analyticsRun.upsert({ where: { runId }, create: data, update: data });
+      }, { isolationLevel: 'Serializable' }));
+    }
+  }
+
+  // A run with one more event: the scenes it reached, its choices and, for the latest
+  // event, the scene the player was looking at
+  private applyEvent(run: RunSummary, event: AnalyticsEventInput): RunSummary {
+    const data = event.data || {};
+    const nextSceneId = event.type === RUN_EVENTS.choice && data.nextSceneId ? String(data.nextSceneId) : null;
+    const visited = new Set(run.visitedScenes);
+    if (event.sceneId) visited.add(event.sceneId);
+    if (nextSceneId) visited.add(nextSceneId);
+
+    const choices = event.type === RUN_EVENTS.choice && event.sceneId
+      ? [...run.choices, { sceneId: event.sceneId, choiceId: String(data.choiceId || 'unknown'), occurredAt: event.occurredAt.toISOString() }]
+        .sort((a, b) => a.occurredAt.localeCompare(b.occurredAt))
+      : run.choices;
+
+    const isLatest = event.occurredAt >= new Date(run.lastEventAt);
+
+    return {
+      ...run,
+      visitedScenes: [...visited],
+      choices,
+      ...(isLatest && { lastEventAt: event.occurredAt, lastSceneId: nextSceneId || event.sceneId || run.lastSceneId }),
+      ...(event.type === RUN_EVENTS.completed && { outcome: String(data.outcome || 'unknown') })
+    };
+  }
+}
+
+// Run a transaction again when the database rejects it for clashing with another one: a
+// serialization failure (P2034) or both creating the same run (P2002)
+async function retryOnConflict<T>(transaction: () => Promise<T>): Promise<T> {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await transaction();
+    } catch (error: any) {
+      if (attempt >= MAX_RUN_UPDATE_ATTEMPTS || !['P2034', 'P2002'].includes(error && error.code)) throw error;
+    }
+  }
+}
+
+function successRate({ runs, successes }: Outcomes): number | null {
+  return runs > 0 ? round(successes / runs) : null;
+}
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
+
+export const analyticsService = new AnalyticsService();
@@ -0,0 +1,481 @@
+// Conversation Service - server-side walk through a scenario's scene graph
+// "The server keeps score. Nobody gets to rehearse their own results." - Nathan
+
+import prisma from '../config/database';
+import {
+  Scene,
+  SceneTimer,
+  ScenarioCharacter,
+  CharacterState,
+  ConversationChoice,
+  ConversationOutcome,
+  ConversationStats,
+  ConversationMetrics,
+  ScenarioProgress
+} from '../types/index';
+import { RehearsalError, ErrorFactory } from '../utils/errors';
+import { RehearsalEngine, EngineScenario, EngineSession, PlayerStats } from '../utils/rehearsal-engine';
+
+// Guest runs wait in the browser until sign-in; an import can't say it started longer ago
+const MAX_IMPORT_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+export interface ConversationState {
+  currentSceneId: string | null;
+  playerStats: PlayerStats;
+  characterState: CharacterState;
+  breakthroughs: string[];
+}
+
+export interface ConversationView {
+  id: string;
+  userId: string;
+  scenarioId: string;
+  currentScene: number;
+  choices: ConversationChoice[];
+  outcome: ConversationOutcome | null;
+  stats: ConversationStats;
+  isCompleted: boolean;
+  state: ConversationState;
+  scene: Scene | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface ConversationImport {
+  id: string;
+  scenarioId: string;
+  choiceIds: string[];
+  timings?: ChoiceTiming[];
+  startedAt?: Date;
+}
+
+// What the browser measured for a choice: milliseconds from the choices appearing to the
+// answer, whether a timed scene's countdown ran out, and how many hints were shown first
+export interface ChoiceTiming {
+  responseTime?: number;
+  timedOut?: boolean;
+  hintsUsed?: number;
+}
+
+// What a rehearsal needs from its scenario: the scene graph, its timer and the character's starting state
+interface ScenarioScript extends EngineScenario {
+  characterState: CharacterState;
+}
+
+export interface ConversationListOptions {
+  scenarioId?: string;
+  completed?: boolean;
+  limit: number;
+  offset: number;
+}
+
+class ConversationService {
+  /**
+   * Start a rehearsal of a scenario at its intro scene
+   */
+  async startConversation(userId: string, scenarioId: string): Promise<ConversationView> {
+    const script = await this.getScript(scenarioId);
+    const session = RehearsalEngine.createSession(script, { now: new Date() });
+
+    const conversation = await prisma.conversation.create({
+      data: {
+        userId,
+        scenarioId,
+        currentScene: session.currentScene,
+        currentSceneId: session.currentSceneId,
+        choices: [],
+        stats: session.stats as any
+      }
+    });
+
+    return this.toConversationView(conversation, script);
+  }
+
+  /**
+   * Get one of the user's conversations
+   */
+  async getConversation(userId: string, id: string): Promise<ConversationView> {
+    const conversation = await this.findOwnConversation(userId, id);
+    const script = await this.getScript(conversation.scenarioId);
+
+    return this.toConversationView(conversation, script);
+  }
+
+  /**
+   * List the user's conversations, newest first
+   */
+  async listConversations(userId: string, options: ConversationListOptions): Promise<{ conversations: any[]; total: number }> {
+    const where: any = { userId };
+    if (options.scenarioId) where.scenarioId = options.scenarioId;
+    if (options.completed !== undefined) where.isCompleted = options.completed;
+
+    const [conversations, total] = await Promise.all([
+      prisma.conversation.findMany({
+        where,
+        orderBy: { updatedAt: 'desc' },
+        take: options.limit,
+        skip: options.offset,
+        include: { scenario: { select: { title: true } } }
+      }),
+      prisma.conversation.count({ where })
+    ]);
+
+    return {
+      conversations: conversations.map((conversation: any) => ({
+        id: conversation.id,
+        scenarioId: conversation.scenarioId,
+        scenarioTitle: conversation.scenario.title,
+        isCompleted: conversation.isCompleted,
+        result: conversation.isCompleted ? conversation.outcome.result : null,
+        choiceCount: (conversation.choices as ConversationChoice[]).length,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt
+      })),
+      total
+    };
+  }
+
+  /**
+   * Apply a choice in the current scene and move to the next one
+   */
+  async makeChoice(userId: string, id: string, choiceId: string, timing: ChoiceTiming = {}): Promise<ConversationView> {
+    const conversation = await this.findOwnConversation(userId, id);
+
+    if (conversation.isCompleted) {
+      throw new RehearsalError(
+        'SESSION_COMPLETE',
+        'This rehearsal has already ended',
+        409,
+        'This rehearsal is over. Nathan recommends starting another one.'
+      );
+    }
+
+    const script = await this.getScript(conversation.scenarioId);
+    const session = this.toSession(conversation, script);
+    this.advance(session, script, choiceId, new Date(), timing);
+
+    const updated = await prisma.conversation.update({
+      where: { id },
+      data: {
+        currentScene: session.currentScene,
+        currentSceneId: session.currentSceneId,
+        choices: session.choices as any,
+        stats: session.stats as any,
+        ...(session.isCompleted && { outcome: session.outcome as any, isCompleted: true })
+      }
+    });
+
+    return this.toConversationView(updated, script);
+  }
+
+  /**
+   * Record a rehearsal played in the browser, e.g. as a guest before signing in.
+   * The choices are replayed here, so the stored scores are the server's own.
+   * Importing the same ID again returns the stored rehearsal instead of a copy.
+   */
+  async importConversation(userId: string, data: ConversationImport): Promise<ConversationView> {
+    const existing = await prisma.conversation.findUnique({ where: { id: data.id } });
+    if (existing) {
+      if (existing.userId !== userId) {
+        throw ErrorFactory.conflict('Rehearsal ID is already in use');
+      }
+      return this.toConversationView(existing, await this.getScript(existing.scenarioId));
+    }
+
+    const script = await this.getScript(data.scenarioId);
+    const now = Date.now();
+    const startedAt = Math.min(now, Math.max(now - MAX_IMPORT_AGE_MS, data.startedAt ? data.startedAt.getTime() : now));
+    const session = RehearsalEngine.createSession(script, { now: new Date(startedAt) });
+
+    // Each choice is placed its response time after the one before, and never after now
+    let clock = startedAt;
+    data.choiceIds.forEach((choiceId, index) => {
+      if (session.isCompleted) {
+        throw new RehearsalError(
+          'INVALID_CHOICE',
+          `The rehearsal had already ended before choice ${index + 1}`,
+          400,
+          'Nathan can\'t record choices made after the final scene'
+        );
+      }
+      const timing = (data.timings && data.timings[index]) || {};
+      clock = Math.min(now, clock + (timing.responseTime || 0));
+      this.advance(session, script, choiceId, new Date(clock), timing);
+    });
+
+    const conversation = await prisma.conversation.create({
+      data: {
+        id: data.id,
+        userId,
+        scenarioId: data.scenarioId,
+        currentScene: session.currentScene,
+        currentSceneId: session.currentSceneId,
+        choices: session.choices as any,
+        stats: session.stats as any,
+        createdAt: session.createdAt,
+        ...(session.isCompleted && { outcome: session.outcome as any, isCompleted: true })
+      }
+    });
+
+    return this.toConversationView(conversation, script);
+  }
+
+  /**
+   * Per-scenario progress: attempts, best score, endings found and when it was played
+   */
+  async getScenarioProgress(userId: string): Promise<ScenarioProgress[]> {
+    const conversations = await prisma.conversation.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' },
+      include: { scenario: { select: { scenes: true } } }
+    });
+
+    const progress = new Map<string, ScenarioProgress>();
+    conversations.forEach((conversation: any) => {
+      const entry: ScenarioProgress = progress.get(conversation.scenarioId) || {
+        scenarioId: conversation.scenarioId,
+        attempts: 0,
+        completions: 0,
+        bestScore: 0,
+        endingsFound: [],
+        firstPlayedAt: conversation.createdAt,
+        lastPlayedAt: conversation.updatedAt
+      };
+
+      entry.attempts += 1;
+      if (conversation.updatedAt > entry.lastPlayedAt) entry.lastPlayedAt = conversation.updatedAt;
+
+      if (conversation.isCompleted) {
+        const outcome = conversation.outcome as ConversationOutcome;
+        const ending = this.findCurrentScene(conversation, conversation.scenario.scenes as Scene[]);
+        entry.completions += 1;
+        entry.bestScore = Math.max(entry.bestScore, this.getScore(outcome.finalStats, conversation.stats as ConversationStats));
+        if (ending && ending.isEnd && !entry.endingsFound.includes(ending.id)) {
+          entry.endingsFound.push(ending.id);
+        }
+      }
+
+      progress.set(conversation.scenarioId, entry);
+    });
+
+    return [...progress.values()];
+  }
+
+  /**
+   * Conversation metrics for the user's analytics snapshot
+   */
+  async getUserMetrics(userId: string): Promise<ConversationMetrics> {
+    const [conversations, scenarioProgress] = await Promise.all([
+      prisma.conversation.findMany({
+        where: { userId },
+        include: { scenario: { select: { title: true } } }
+      }),
+      this.getScenarioProgress(userId)
+    ]);
+
+    const completed = conversations.filter((conversation: any) => conversation.isCompleted);
+    const outcomes: ConversationOutcome[] = completed.map((conversation: any) => conversation.outcome as ConversationOutcome);
+    const average = (values: number[]) => values.length > 0
+      ? values.reduce((sum, value) => sum + value, 0) / values.length
+      : 0;
+
+    // Scenarios with the most attempts that didn't end in success
+    const struggles = new Map<string, number>();
+    conversations.forEach((conversation: any) => {
+      if (conversation.isCompleted && conversation.outcome.result === 'success') return;
+      struggles.set(conversation.scenario.title, (struggles.get(conversation.scenario.title) || 0) + 1);
+    });
+
+    // Stats that average below the midpoint at the end of a rehearsal
+    const { STATS, STAT_MIN, STAT_MAX } = RehearsalEngine;
+    const improvementAreas = STATS.filter(stat =>
+      outcomes.length > 0 && average(outcomes.map(outcome => outcome.finalStats[stat])) < (STAT_MAX - STAT_MIN) / 2
+    );
+
+    return {
+      totalConversations: conversations.length,
+      averageScore: Math.round(average(outcomes.map(outcome => average(STATS.map(stat => outcome.finalStats[stat])))) * 10) / 10,
+      successRate: Math.round(average(outcomes.map(outcome => (outcome.result === 'success' ? 100 : 0)))),
+      averageTime: Math.round(average(completed.map((conversation: any) => (conversation.stats as ConversationStats).totalTime))),
+      mostDifficultScenarios: [...struggles.entries()]
+        .map(([scenario, attempts]) => ({ scenario, attempts }))
+        .sort((a, b) => b.attempts - a.attempts)
+        .slice(0, 3),
+      improvementAreas,
+      scenarioProgress
+    };
+  }
+
+  /**
+   * Replay the choices to get stats, the character's state and breakthroughs, which the
+   * Conversation model doesn't store
+   */
+  getState(conversation: any, script: ScenarioScript): ConversationState {
+    const scenes = script.scenes;
+    const choices = conversation.choices as ConversationChoice[];
+    const current = this.findCurrentScene(conversation, scenes);
+    const visited = new Set([...choices.map(choice => choice.sceneId), ...(current ? [current.id] : [])]);
+
+    return {
+      currentSceneId: current ? current.id : null,
+      playerStats: this.calculateStats(choices),
+      characterState: this.calculateCharacterState(choices, script),
+      breakthroughs: scenes.filter(scene => scene.isBreakthrough && visited.has(scene.id)).map(scene => scene.id)
+    };
+  }
+
+  /**
+   * Apply a choice in the current scene with RehearsalEngine.applyChoice, without saving.
+   * The hints the browser showed before the choice are counted first, as revealHint would.
+   */
+  private advance(
+    session: EngineSession,
+    script: ScenarioScript,
+    choiceId: string,
+    now: Date,
+    timing: ChoiceTiming = {}
+  ): void {
+    session.stats.hintsUsed = (session.stats.hintsUsed || 0) + Math.min(timing.hintsUsed || 0, RehearsalEngine.HINT_LEVELS.length);
+
+    try {
+      RehearsalEngine.applyChoice(session, script, choiceId, now, {
+        responseTime: timing.responseTime,
+        timedOut: Boolean(timing.timedOut)
+      });
+    } catch (error: any) {
+      if (error.code === 'INVALID_CHOICE') {
+        throw new RehearsalError(error.code, error.message, 400, 'Nathan did not plan for that choice in this scene');
+      }
+      if (error.code === 'INVALID_SCENARIO') {
+        throw new RehearsalError(error.code, error.message, 422, 'This scenario is missing a scene. Nathan is rebuilding the set.');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * A stored conversation as an engine session, picking up where its last choice left off
+   */
+  private toSession(conversation: any, script: ScenarioScript): EngineSession {
+    const choices = conversation.choices as ConversationChoice[];
+    const current = this.findCurrentScene(conversation, script.scenes);
+
+    // The author removed the scene this rehearsal is on since it started
+    if (!current) {
+      throw new RehearsalError(
+        'INVALID_SCENARIO',
+        `Scene "${conversation.currentSceneId}" does not exist`,
+        422,
+        'This scenario is missing a scene. Nathan is rebuilding the set.'
+      );
+    }
+
+    return {
+      currentScene: script.scenes.indexOf(current),
+      currentSceneId: current.id,
+      playerStats: this.calculateStats(choices),
+      characterState: this.calculateCharacterState(choices, script),
+      choices: [...choices],
+      breakthroughs: [],
+      stats: { ...(conversation.stats as ConversationStats) },
+      outcome: null,
+      isCompleted: false,
+      sceneEnteredAt: choices.length > 0 ? new Date(choices[choices.length - 1].timestamp) : conversation.createdAt,
+      createdAt: conversation.createdAt
+    };
+  }
+
+  /**
+   * Sum choice impacts in order with RehearsalEngine.applyImpact
+   */
+  calculateStats(choices: ConversationChoice[]): PlayerStats {
+    return choices.reduce((stats, choice) => RehearsalEngine.applyImpact(stats, choice.impact), RehearsalEngine.initialStats());
+  }
+
+  /**
+   * Replay the choices' effect on the character from the scenario's starting state
+   */
+  calculateCharacterState(choices: ConversationChoice[], script: ScenarioScript): CharacterState {
+    return choices.reduce((state, entry) => {
+      const choice = RehearsalEngine.findChoice(RehearsalEngine.findScene(script, entry.sceneId), entry.choiceId);
+      return choice ? RehearsalEngine.applyCharacterImpact(state, choice) : state;
+    }, { ...script.characterState });
+  }
+
+  /**
+   * The scene a conversation is on, by its ID. A published scenario's scenes can be edited,
+   * so the stored index only counts for conversations saved before the ID was.
+   */
+  findCurrentScene(conversation: { currentScene: number; currentSceneId?: string | null }, scenes: Scene[]): Scene | null {
+    if (conversation.currentSceneId) {
+      return scenes.find(scene => scene.id === conversation.currentSceneId) || null;
+    }
+    return scenes[conversation.currentScene] || null;
+  }
+
+  private toConversationView(conversation: any, script: ScenarioScript): ConversationView {
+    const isCompleted = conversation.isCompleted;
+    const scene = this.findCurrentScene(conversation, script.scenes);
+
+    return {
+      id: conversation.id,
+      userId: conversation.userId,
+      scenarioId: conversation.scenarioId,
+      currentScene: scene ? script.scenes.indexOf(scene) : conversation.currentScene,
+      choices: conversation.choices,
+      outcome: isCompleted ? conversation.outcome : null,
+      stats: conversation.stats,
+      isCompleted,
+      state: this.getState(conversation, script),
+      scene,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt
+    };
+  }
+
+  private async findOwnConversation(userId: string, id: string): Promise<any> {
+    const conversation = await prisma.conversation.findFirst({
+      where: { id, userId }
+    });
+
+    if (!conversation) {
+      throw ErrorFactory.notFound('Conversation');
+    }
+
+    return conversation;
+  }
+
+  private async getScript(scenarioId: string): Promise<ScenarioScript> {
+    const scenario = await prisma.scenario.findFirst({
+      where: { id: scenarioId, isActive: true },
+      select: { scenes: true, character: true, metadata: true }
+    });
+
+    if (!scenario) {
+      throw ErrorFactory.notFound('Scenario');
+    }
+
+    const metadata = (scenario.metadata || {}) as { timer?: SceneTimer };
+    // Choices without an ID get one from their position, as in ScenarioSchema.normalizeScene
+    const scenes = (scenario.scenes as Scene[]).map(scene => ({
+      ...scene,
+      choices: (scene.choices || []).map((choice, index) => ({ ...choice, id: choice.id || `choice-${index + 1}` }))
+    }));
+
+    return {
+      scenes,
+      timer: metadata.timer,
+      characterState: RehearsalEngine.initialCharacterState({
+        scenes,
+        character: scenario.character as Partial<ScenarioCharacter>
+      })
+    };
+  }
+
+  // Score out of 30 less the hints shown
+  private getScore(finalStats: PlayerStats, stats: ConversationStats): number {
+    return RehearsalEngine.getScore(finalStats, (stats && stats.hintsUsed) || 0);
+  }
+}
+
+export const conversationService = new ConversationService();
@@ -0,0 +1,315 @@
+// Scenario Service - the branching conversations users rehearse
+// "A good scenario has an ending for every decision. I have 1,247 endings." - Nathan
+
+import prisma from '../config/database';
+import { Scene } from '../types/index';
+import { RehearsalError, ErrorFactory } from '../utils/errors';
+
+export type ScenarioStatus = 'draft' | 'published';
+
+// Every run starts at this scene (see public/js/scenario-validator.js)
+const START_SCENE = 'intro';
+const OUTCOMES = ['success', 'partial', 'failure'];
+
+export interface ScenarioFilters {
+  category?: string;
+  difficulty?: string;
+}
+
+export interface ScenarioSummary {
+  id: string;
+  title: string;
+  description: string;
+  category: string;
+  difficulty: string;
+  character: any;
+  sceneCount: number;
+}
+
+export interface ScenarioDetail extends Omit<ScenarioSummary, 'sceneCount'> {
+  scenes: Scene[];
+  metadata: Record<string, any>;
+  status: ScenarioStatus;
+  authorId: string | null;
+  publishedAt: Date | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface AuthoredScenario extends ScenarioSummary {
+  status: ScenarioStatus;
+  publishedAt: Date | null;
+  updatedAt: Date;
+}
+
+// A scenario in the scenarios.json shape; fields without a column go in metadata
+export interface ScenarioInput {
+  id?: string;
+  title: string;
+  description: string;
+  category: string;
+  difficulty?: string;
+  character?: Record<string, any>;
+  scenes: any[];
+  [field: string]: any;
+}
+
+// The signed-in user making an authoring request
+export interface ScenarioEditor {
+  id: string;
+  role: string;
+}
+
+class ScenarioService {
+  /**
+   * List active scenarios, without their scenes
+   */
+  async listScenarios(filters: ScenarioFilters = {}): Promise<ScenarioSummary[]> {
+    const scenarios = await prisma.scenario.findMany({
+      where: {
+        isActive: true,
+        status: 'published',
+        ...(filters.category && { category: filters.category }),
+        ...(filters.difficulty && { difficulty: filters.difficulty })
+      },
+      orderBy: { title: 'asc' }
+    });
+
+    return scenarios.map((scenario: any) => this.toScenarioSummary(scenario));
+  }
+
+  /**
+   * Get an active scenario with its full scene graph. Drafts are only visible to
+   * their author and admins.
+   */
+  async getScenario(id: string, viewer?: ScenarioEditor): Promise<ScenarioDetail> {
+    const scenario = await prisma.scenario.findFirst({
+      where: { id, isActive: true }
+    });
+
+    if (!scenario || (scenario.status !== 'published' && !this.canEdit(scenario, viewer))) {
+      throw ErrorFactory.notFound('Scenario');
+    }
+
+    return this.toScenarioDetail(scenario);
+  }
+
+  /**
+   * A user's own scenarios, drafts included, most recently edited first
+   */
+  async listAuthoredScenarios(userId: string): Promise<AuthoredScenario[]> {
+    const scenarios = await prisma.scenario.findMany({
+      where: { authorId: userId, isActive: true },
+      orderBy: { updatedAt: 'desc' }
+    });
+
+    return scenarios.map((scenario: any) => ({
+      ...this.toScenarioSummary(scenario),
+      status: scenario.status,
+      publishedAt: scenario.publishedAt,
+      updatedAt: scenario.updatedAt
+    }));
+  }
+
+  /**
+   * Start a new draft. Its ID comes from the input or the title and can't be changed later.
+   */
+  async createScenario(editor: ScenarioEditor, input: ScenarioInput): Promise<ScenarioDetail> {
+    const id = input.id || slugify(input.title);
+
+    const existing = await prisma.scenario.findUnique({ where: { id } });
+    if (existing) {
+      throw ErrorFactory.conflict(`A scenario with the ID "${id}" already exists`, { id });
+    }
+
+    const scenario = await prisma.scenario.create({
+      data: { id, ...this.toFields(input), status: 'draft', authorId: editor.id }
+    });
+
+    return this.toScenarioDetail(scenario);
+  }
+
+  /**
+   * Save an author's changes. Publishing checks the scene graph first: a published
+   * scenario must be playable from start to every ending.
+   */
+  async updateScenario(editor: ScenarioEditor, id: string, input: ScenarioInput, status?: ScenarioStatus): Promise<ScenarioDetail> {
+    const current = await this.getEditableScenario(editor, id);
+    const nextStatus = status || current.status;
+
+    if (nextStatus === 'published') {
+      const problems = this.findPublishingProblems(input.scenes);
+      if (problems.length > 0) {
+        throw new RehearsalError(
+          'SCENARIO_NOT_PUBLISHABLE',
+          'Fix the scene graph before publishing',
+          400,
+          'Nathan won\'t open a set with doors that lead nowhere',
+          { problems }
+        );
+      }
+    }
+
+    const scenario = await prisma.scenario.update({
+      where: { id },
+      data: {
+        ...this.toFields(input),
+        status: nextStatus,
+        publishedAt: nextStatus === 'published' ? current.publishedAt || new Date() : null
+      }
+    });
+
+    return this.toScenarioDetail(scenario);
+  }
+
+  /**
+   * Take a scenario out of circulation; past conversations keep it
+   */
+  async deleteScenario(editor: ScenarioEditor, id: string): Promise<void> {
+    await this.getEditableScenario(editor, id);
+    await prisma.scenario.update({ where: { id }, data: { isActive: false } });
+  }
+
+  /**
+   * The errors that would break a run: no start scene, duplicate or missing scenes,
+   * dead ends and endings without an outcome. The editor shows the same checks, and
+   * warnings, from public/js/scenario-validator.js as the author types.
+   */
+  findPublishingProblems(scenes: any[]): string[] {
+    const problems: string[] = [];
+    const ids = new Set<string>();
+
+    scenes.forEach((scene, index) => {
+      if (!scene || typeof scene.id !== 'string' || !scene.id) {
+        problems.push(`Scene ${index + 1} has no ID`);
+      } else if (ids.has(scene.id)) {
+        problems.push(`Scene "${scene.id}" is defined more than once`);
+      } else {
+        ids.add(scene.id);
+      }
+    });
+
+    if (!ids.has(START_SCENE)) {
+      problems.push(`There is no "${START_SCENE}" scene to start from`);
+    }
+
+    scenes.forEach(scene => {
+      if (!scene || !scene.id) return;
+      const choices: any[] = Array.isArray(scene.choices) ? scene.choices : [];
+
+      if (scene.isEnd && !OUTCOMES.includes(scene.outcome)) {
+        problems.push(`Ending "${scene.id}" needs an outcome (${OUTCOMES.join(', ')})`);
+      } else if (!scene.isEnd && choices.length === 0) {
+        problems.push(`Scene "${scene.id}" has no choices and is not an ending`);
+      }
+
+      choices.forEach((choice, index) => {
+        if (!choice.isEnd && !ids.has(choice.next)) {
+          problems.push(`Choice ${index + 1} in "${scene.id}" leads to ${choice.next ? `missing scene "${choice.next}"` : 'no scene'}`);
+        }
+        (choice.nextIf || []).forEach((rule: any, ruleIndex: number) => {
+          if (!ids.has(rule.next)) {
+            problems.push(`Choice ${index + 1} in "${scene.id}" rule ${ruleIndex + 1} leads to ${rule.next ? `missing scene "${rule.next}"` : 'no scene'}`);
+          }
+        });
+      });
+
+      (scene.nextIf || []).forEach((rule: any, ruleIndex: number) => {
+        if (!ids.has(rule.next)) {
+          problems.push(`Scene "${scene.id}" rule ${ruleIndex + 1} leads to ${rule.next ? `missing scene "${rule.next}"` : 'no scene'}`);
+        }
+      });
+    });
+
+    return problems;
+  }
+
+  /**
+   * Upsert scenarios from the frontend's scenarios.json ({ [scenarioId]: scenario })
+   * Fields without a column of their own (persona, responses, ...) are kept in metadata.
+   */
+  async importScenarios(data: Record<string, any>): Promise<string[]> {
+    const imported: string[] = [];
+
+    for (const [id, scenario] of Object.entries(data)) {
+      const fields = this.toFields(scenario);
+
+      await prisma.scenario.upsert({
+        where: { id },
+        create: { id, ...fields },
+        update: fields
+      });
+
+      imported.push(id);
+    }
+
+    return imported;
+  }
+
+  toScenarioSummary(scenario: any): ScenarioSummary {
+    return {
+      id: scenario.id,
+      title: scenario.title,
+      description: scenario.description,
+      category: scenario.category,
+      difficulty: scenario.difficulty,
+      character: scenario.character,
+      sceneCount: (scenario.scenes as Scene[]).length
+    };
+  }
+
+  toScenarioDetail(scenario: any): ScenarioDetail {
+    return {
+      id: scenario.id,
+      title: scenario.title,
+      description: scenario.description,
+      category: scenario.category,
+      difficulty: scenario.difficulty,
+      character: scenario.character,
+      scenes: scenario.scenes as Scene[],
+      metadata: scenario.metadata || {},
+      status: scenario.status,
+      authorId: scenario.authorId,
+      publishedAt: scenario.publishedAt,
+      createdAt: scenario.createdAt,
+      updatedAt: scenario.updatedAt
+    };
+  }
+
+  /**
+   * Columns for a scenario in the scenarios.json shape; the rest (persona, responses, ...) is metadata
+   */
+  private toFields(scenario: ScenarioInput) {
+    const { id, title, description, category, difficulty, character, scenes, ...metadata } = scenario;
+    return {
+      title,
+      description,
+      category,
+      difficulty: difficulty || 'intermediate',
+      character: character || {},
+      scenes: scenes || [],
+      metadata
+    };
+  }
+
+  private canEdit(scenario: any, editor?: ScenarioEditor): boolean {
+    return Boolean(editor && (editor.role === 'admin' || scenario.authorId === editor.id));
+  }
+
+  // Someone else's scenario is reported as missing, like other users' scripts
+  private async getEditableScenario(editor: ScenarioEditor, id: string): Promise<any> {
+    const scenario = await prisma.scenario.findFirst({ where: { id, isActive: true } });
+    if (!scenario || !this.canEdit(scenario, editor)) {
+      throw ErrorFactory.notFound('Scenario');
+    }
+    return scenario;
+  }
+}
+
+// "Talking To My Sister" -> "talking-to-my-sister"
+function slugify(title: string): string {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return slug || `scenario-${Date.now().toString(36)}`;
+}
+
+export const scenarioService = new ScenarioService();
@@ -0,0 +1,285 @@
+// User Service - accounts, credentials and preferences
+// "Every relationship starts with a proper introduction. And a signed form." - Nathan
+
+import bcrypt from 'bcryptjs';
+import prisma from '../config/database';
+import { generateToken, verifyToken } from '../api/middleware/auth';
+import { UserPreferences, NATHAN_CONSTANTS } from '../types/index';
+import { RehearsalError, ErrorFactory } from '../utils/errors';
+import { createRefreshToken, hashToken, getRefreshTokenExpiry } from '../utils/auth';
+
+const PASSWORD_SALT_ROUNDS = 12;
+
+// Checked for unknown emails so they take as long to reject as wrong passwords. It is the
+// hash of a random string nobody kept, at the same cost as real ones.
+const DUMMY_PASSWORD_HASH = '$2a$12$zlPitTaHE2zwO.wNK2EGgeRAi5HEGagujUhdgS61XijzMYVbpPpM2';
+
+const DEFAULT_PREFERENCES: UserPreferences = {
+  nathanLevel: NATHAN_CONSTANTS.DEFAULT_NATHAN_LEVEL,
+  defaultEnhancements: [],
+  notificationSettings: {
+    email: false,
+    push: false,
+    sms: false
+  },
+  privacySettings: {
+    shareStats: false,
+    shareScripts: false,
+    shareUsage: false
+  }
+};
+
+interface RegisterRequest {
+  email: string;
+  name: string;
+  password: string;
+}
+
+interface ProfileUpdate {
+  name?: string;
+  preferences?: Partial<Omit<UserPreferences, 'privacySettings'>> & {
+    privacySettings?: Partial<UserPreferences['privacySettings']>;
+  };
+}
+
+export interface PublicUser {
+  id: string;
+  email: string;
+  name: string;
+  role: string;
+  isActive: boolean;
+  createdAt: Date;
+  lastLogin: Date | null;
+  preferences: UserPreferences;
+}
+
+export interface AuthResult {
+  user: PublicUser;
+  token: string;
+  expiresAt: string | null;
+  refreshToken: string;
+}
+
+class UserService {
+  /**
+   * Create an account and sign the new user in
+   */
+  async register(request: RegisterRequest): Promise<AuthResult> {
+    const email = request.email.trim().toLowerCase();
+
+    const existingUser = await prisma.user.findUnique({ where: { email } });
+    if (existingUser) {
+      throw this.emailInUse();
+    }
+
+    let user;
+    try {
+      user = await prisma.user.create({
+        data: {
+          email,
+          name: request.name.trim(),
+          password: await bcrypt.hash(request.password, PASSWORD_SALT_ROUNDS),
+          preferences: DEFAULT_PREFERENCES as any,
+          lastLogin: new Date()
+        }
+      });
+    } catch (error: any) {
+      // Another sign-up with the same email got in between the check and the create
+      if (error && error.code === 'P2002') {
+        throw this.emailInUse();
+      }
+      throw error;
+    }
+
+    return this.createSession(user);
+  }
+
+  /**
+   * Check credentials and issue a token
+   */
+  async login(email: string, password: string): Promise<AuthResult> {
+    const user = await prisma.user.findUnique({
+      where: { email: email.trim().toLowerCase() }
+    });
+
+    // Same error, and the same bcrypt work, for unknown emails and wrong passwords
+    const passwordMatches = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !passwordMatches) {
+      throw new RehearsalError(
+        'INVALID_CREDENTIALS',
+        'Invalid email or password',
+        401,
+        'Nathan doesn\'t recognize these credentials'
+      );
+    }
+
+    if (!user.isActive) {
+      throw new RehearsalError(
+        'ACCOUNT_DISABLED',
+        'This account has been deactivated',
+        403,
+        'Nathan has archived this account'
+      );
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: { lastLogin: new Date() }
+    });
+
+    return this.createSession(updatedUser);
+  }
+
+  /**
+   * Swap a refresh token for a new access token and refresh token
+   * Each refresh token works once; presenting a used one revokes every session of that user.
+   */
+  async refresh(refreshToken: string): Promise<AuthResult> {
+    const stored = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) },
+      include: { user: true }
+    });
+
+    if (!stored || stored.expiresAt <= new Date()) {
+      throw this.invalidRefreshToken();
+    }
+
+    if (stored.revokedAt) {
+      // A rotated token came back: assume it was stolen and end every session
+      await prisma.refreshToken.updateMany({
+        where: { userId: stored.userId, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+      throw this.invalidRefreshToken();
+    }
+
+    if (!stored.user.isActive) {
+      throw this.invalidRefreshToken();
+    }
+
+    // Only one request may rotate the token; a concurrent one finds it already revoked. The
+    // old token stays usable if the new one can't be stored.
+    return prisma.$transaction(async (tx: any) => {
+      const { count } = await tx.refreshToken.updateMany({
+        where: { id: stored.id, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+      if (count === 0) {
+        throw this.invalidRefreshToken();
+      }
+
+      return this.createSession(stored.user, tx);
+    });
+  }
+
+  /**
+   * Revoke a refresh token; unknown or already revoked tokens are ignored
+   */
+  async logout(refreshToken: string): Promise<void> {
+    await prisma.refreshToken.updateMany({
+      where: { tokenHash: hashToken(refreshToken), revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+  }
+
+  /**
+   * Get an active user by ID
+   */
+  async getById(id: string): Promise<PublicUser> {
+    const user = await prisma.user.findUnique({ where: { id } });
+
+    if (!user || !user.isActive) {
+      throw ErrorFactory.notFound('User');
+    }
+
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Update the user's name and merge in preference changes
+   */
+  async updateProfile(id: string, update: ProfileUpdate): Promise<PublicUser> {
+    const current = await this.getById(id);
+
+    const user = await prisma.user.update({
+      where: { id },
+      data: {
+        ...(update.name && { name: update.name.trim() }),
+        ...(update.preferences && {
+          preferences: {
+            ...current.preferences,
+            ...update.preferences,
+            // Settings added later (e.g. shareUsage) keep their value when a client leaves them out
+            privacySettings: { ...current.preferences.privacySettings, ...update.preferences.privacySettings }
+          } as any
+        })
+      }
+    });
+
+    return this.toPublicUser(user);
+  }
+
+  /**
+   * Strip credentials and fill in default preferences
+   */
+  toPublicUser(user: any): PublicUser {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      isActive: user.isActive,
+      createdAt: user.createdAt,
+      lastLogin: user.lastLogin,
+      preferences: {
+        ...DEFAULT_PREFERENCES,
+        ...(user.preferences || {}),
+        privacySettings: { ...DEFAULT_PREFERENCES.privacySettings, ...((user.preferences && user.preferences.privacySettings) || {}) }
+      }
+    };
+  }
+
+  /**
+   * Issue an access token and store a new refresh token, in db's transaction if given one
+   */
+  private async createSession(user: any, db: any = prisma): Promise<AuthResult> {
+    const token = generateToken(user);
+    const refreshToken = createRefreshToken();
+    const decoded = verifyToken(token);
+
+    await db.refreshToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashToken(refreshToken),
+        expiresAt: getRefreshTokenExpiry()
+      }
+    });
+
+    return {
+      user: this.toPublicUser(user),
+      token,
+      expiresAt: decoded && decoded.exp ? new Date(decoded.exp * 1000).toISOString() : null,
+      refreshToken
+    };
+  }
+
+  private emailInUse(): RehearsalError {
+    return new RehearsalError(
+      'EMAIL_IN_USE',
+      'An account with this email already exists',
+      409,
+      'Nathan already has a file on this email address'
+    );
+  }
+
+  private invalidRefreshToken(): RehearsalError {
+    return new RehearsalError(
+      'INVALID_REFRESH_TOKEN',
+      'Refresh token is invalid or expired',
+      401,
+      'Nathan\'s records show this session has ended - please sign in again'
+    );
+  }
+}
+
+export const userService = new UserService();
@@ -54,6 +54,8 @@ export interface UserPreferences {
   privacySettings: {
     shareStats: boolean;
     shareScripts: boolean;
+    // Usage events from the browser (POST /api/analytics/events); off until the user opts in
+    shareUsage: boolean;
   };
 }
 
@@ -175,6 +177,7 @@ export interface Conversation {
   userId: string;
   scenarioId: string;
   currentScene: number;
+  currentSceneId: string | null;
   choices: ConversationChoice[];
   outcome: ConversationOutcome;
   stats: ConversationStats;
@@ -192,6 +195,9 @@ export interface ConversationChoice {
     effectiveness: number;
   };
   timestamp: Date;
+  responseTime?: number;
+  timedOut?: boolean;
+  hintsUsed?: number;
 }
 
 export interface ConversationOutcome {
@@ -236,6 +242,31 @@ export interface ScenarioCharacter {
   background: string;
   triggers: string[];
   preferences: string[];
+  // Starting values; the rest start at 5
+  state?: Partial<CharacterState>;
+}
+
+// The character's side of a rehearsal, each 0-10, as in RehearsalEngine.CHARACTER_STATE
+export interface CharacterState {
+  trust: number;
+  openness: number;
+  distress: number;
+}
+
+// Holds when every listed part of the character's state is within its (inclusive) bounds
+export type StateCondition = Partial<Record<keyof CharacterState, { min?: number; max?: number }>>;
+
+// Where a choice leads instead of its own "next" while the condition holds
+export interface NextRule {
+  when: StateCondition;
+  next: string;
+}
+
+// The scene's mood and dialogue while the condition holds
+export interface SceneVariant {
+  when: StateCondition;
+  mood?: string;
+  dialogue?: string;
 }
 
 export interface Scene {
@@ -248,6 +279,23 @@ export interface Scene {
   isBreakthrough?: boolean;
   isEnd?: boolean;
   outcome?: string;
+  criticalInfo?: string;
+  hints?: SceneHints;
+  nextIf?: NextRule[];
+  variants?: SceneVariant[];
+  timer?: SceneTimer | false;
+}
+
+// Countdown for a timed scene; the scenario's applies to every scene without its own
+export interface SceneTimer {
+  seconds: number;
+}
+
+// Author-written hints, gentlest first; missing levels are generated from the choices
+export interface SceneHints {
+  nudge?: string;
+  principle?: string;
+  nearAnswer?: string;
 }
 
 export interface SceneChoice {
@@ -259,8 +307,16 @@ export interface SceneChoice {
     effectiveness: number;
   };
   next: string;
+  nextIf?: NextRule[];
+  characterImpact?: Partial<CharacterState>;
+  // Taken when a timed scene's countdown runs out
+  onTimeout?: boolean;
   difficulty: number;
   successRate: number;
+  objectives?: {
+    demonstrates?: string[];
+    misses?: string[];
+  };
 }
 
 export type ScenarioCategory = 
@@ -278,7 +334,13 @@ export interface ScenarioMetadata {
   completionCount: number;
   rating: number;
   tags: string[];
-  learningObjectives: string[];
+  learningObjectives: LearningObjective[];
+}
+
+// Choices tag the objectives they demonstrate or miss (see SceneChoice.objectives)
+export interface LearningObjective {
+  id: string;
+  text: string;
 }
 
 /**
@@ -310,6 +372,17 @@ export interface ConversationMetrics {
   averageTime: number;
   mostDifficultScenarios: Array<{ scenario: string; attempts: number }>;
   improvementAreas: string[];
+  scenarioProgress: ScenarioProgress[];
+}
+
+export interface ScenarioProgress {
+  scenarioId: string;
+  attempts: number;
+  completions: number;
+  bestScore: number;
+  endingsFound: string[];
+  firstPlayedAt: Date;
+  lastPlayedAt: Date;
 }
 
 export interface LearningProgress {
@@ -351,6 +424,39 @@ export interface Achievement {
   };
 }
 
+// One usage event from the browser, as sent to POST /api/analytics/events
+export interface AnalyticsEventInput {
+  type: string;
+  scenarioId?: string;
+  runId?: string;
+  sceneId?: string;
+  data?: Record<string, unknown>;
+  occurredAt: Date;
+}
+
+export interface ScenarioCompletion {
+  scenarioId: string;
+  runs: number;
+  completed: number;
+  completionRate: number;
+  outcomes: Record<string, number>;
+}
+
+// successRate is the share of finished runs through the scene (or choice) that ended in success
+export interface SceneChoiceStats {
+  sceneId: string;
+  visits: number;
+  finishedRuns: number;
+  successRate: number | null;
+  choices: Array<{ choiceId: string; count: number; share: number; finishedRuns: number; successRate: number | null }>;
+}
+
+export interface ScenarioInsights extends ScenarioCompletion {
+  scenes: SceneChoiceStats[];
+  // Scenes where unfinished runs were last seen, most common first
+  dropOffs: Array<{ sceneId: string; count: number; share: number }>;
+}
+
 /**
  * Nathan Fielder constants and configurations
  */
@@ -0,0 +1,28 @@
+// Auth utilities for The Rehearsal AI
+// "A password is a rehearsed secret. Never write it down unhashed." - Nathan
+
+import { randomBytes, createHash } from 'crypto';
+
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+/**
+ * Create an opaque refresh token (only its hash is stored)
+ */
+export function createRefreshToken(): string {
+  return randomBytes(48).toString('hex');
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ */
+export function hashToken(token: string): string {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * When a refresh token issued now should expire
+ */
+export function getRefreshTokenExpiry(now: Date = new Date()): Date {
+  const days = parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS || '') || DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+  return new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+}
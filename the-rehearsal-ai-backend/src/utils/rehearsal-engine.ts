@@ -0,0 +1,74 @@
+// The browser player's rules, shared with the server
+// "Two scripts for one scene is how continuity errors happen." - Nathan
+//
+// The engine is the @the-rehearsal/engine package (packages/rehearsal-engine), the same file
+// the browser player loads, so a rule changed there changes here too.
+
+import engine from '@the-rehearsal/engine';
+import {
+  Scene,
+  SceneChoice,
+  SceneTimer,
+  CharacterState,
+  ScenarioCharacter,
+  ConversationChoice,
+  ConversationOutcome,
+  ConversationStats
+} from '../types/index';
+
+export type PlayerStats = ConversationOutcome['finalStats'];
+
+// A scenario as far as the engine's rules look at it
+export interface EngineScenario {
+  scenes: Scene[];
+  character?: Partial<ScenarioCharacter> | null;
+  timer?: SceneTimer;
+}
+
+// A rehearsal as RehearsalEngine.createSession builds it and applyChoice moves it on
+export interface EngineSession {
+  currentScene: number;
+  currentSceneId: string | null;
+  playerStats: PlayerStats;
+  characterState: CharacterState;
+  choices: ConversationChoice[];
+  breakthroughs: string[];
+  stats: ConversationStats;
+  outcome: ConversationOutcome | null;
+  isCompleted: boolean;
+  sceneEnteredAt: Date;
+  createdAt: Date;
+  updatedAt?: Date;
+}
+
+/**
+ * The parts of RehearsalEngine the backend uses; see packages/rehearsal-engine
+ */
+export interface RehearsalRules {
+  STATS: Array<keyof PlayerStats>;
+  STAT_MIN: number;
+  STAT_MAX: number;
+  START_SCENE: string;
+  HINT_LEVELS: string[];
+  initialStats(): PlayerStats;
+  applyImpact(stats: PlayerStats, impact: Partial<PlayerStats> | undefined): PlayerStats;
+  initialCharacterState(scenario: EngineScenario): CharacterState;
+  applyCharacterImpact(state: CharacterState, choice: SceneChoice): CharacterState;
+  resolveNext(scene: Scene, choice: SceneChoice, state: CharacterState): string;
+  findStartScene(scenario: EngineScenario): Scene | null;
+  findScene(scenario: EngineScenario, sceneId: string | null): Scene | null;
+  findChoice(scene: Scene | null, choiceId: string): SceneChoice | null;
+  getTimer(scenario: EngineScenario, scene: Scene): number | null;
+  findTimeoutChoice(scene: Scene): SceneChoice | null;
+  getScore(playerStats: PlayerStats, hintsUsed?: number): number;
+  createSession(scenario: EngineScenario, options?: { now?: Date }): EngineSession;
+  applyChoice(
+    session: EngineSession,
+    scenario: EngineScenario,
+    choiceId: string,
+    now?: Date,
+    options?: { responseTime?: number; timedOut?: boolean }
+  ): Scene | null;
+}
+
+export const RehearsalEngine = engine as RehearsalRules;